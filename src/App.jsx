@@ -11,6 +11,10 @@ import {
 // Context & Providers
 import { AuthProvider, AuthContext } from "./context/AuthContext.jsx";
 import { ToastProvider } from "./components/Toast.jsx";
+import { SocketProvider } from "./context/SocketProvider.jsx";
+import { OfflineQueueProvider } from "./context/OfflineQueueProvider.jsx";
+import { StockAlertProvider } from "./context/StockAlertProvider.jsx";
+import { PERMISSIONS, canAccessDashboard, hasPermission } from "./config/permissions";
 
 // ==== Import các component hiện có ====
 import Products from "./pages/ProductManagement/Products.jsx";
@@ -37,6 +41,10 @@ import LiveStreamManagement from "./pages/LiveStream/LiveStreamManagement.jsx";
 import LiveStreamDashboard from "./pages/LiveStream/LiveStreamDashboard.jsx";
 import LiveStreamDetails from "./pages/LiveStream/LiveStreamDetails.jsx";
 import LiveStreamControl from "./pages/LiveStream/LiveStreamControl.jsx";
+import Forbidden from "./pages/Forbidden.jsx";
+import AuditLogs from "./pages/AuditLog/AuditLogs.jsx";
+import Refunds from "./pages/Refunds/Refunds.jsx";
+import Inventory from "./pages/Inventory/Inventory.jsx";
 
 // Redirect to categories tab
 const CategoriesRedirect = () => {
@@ -48,7 +56,8 @@ const CategoriesRedirect = () => {
 };
 
 // Protected Route Component
-const ProtectedRoute = ({ children }) => {
+// permission: optional key from config/permissions; missing it shows a 403 page
+const ProtectedRoute = ({ children, permission }) => {
   const { user, isAuthLoading } = React.useContext(AuthContext);
   const location = useLocation();
 
@@ -57,10 +66,14 @@ const ProtectedRoute = ({ children }) => {
     return <div className="flex items-center justify-center h-screen">Loading...</div>;
   }
 
-  if (!user || !["admin", "manager"].includes(user.role)) {
+  if (!user || !canAccessDashboard(user)) {
     return <Navigate to="/login" state={{ from: location.pathname }} replace />;
   }
 
+  if (permission && !hasPermission(user, permission)) {
+    return <Forbidden />;
+  }
+
   return children;
 };
 
@@ -71,189 +84,222 @@ const App = () => {
       {/* ToastProvider must be OUTSIDE AuthProvider so AuthContext can use showToast */}
       <ToastProvider>
         <AuthProvider>
-          <Layout>
-            <Routes>
-              {/* Public Routes */}
-              <Route path="/login" element={<Login />} />
-              <Route path="/forgot-password" element={<ForgotPassword />} />
-              <Route path="/otp-verification" element={<OTPVerification />} />
-              <Route path="/reset-password" element={<ResetPassword />} />
+          {/* SocketProvider needs the authenticated user from AuthProvider */}
+          <SocketProvider>
+            {/* Queues order updates made while offline; conflict-checks via the socket */}
+            <OfflineQueueProvider>
+              {/* Low-stock alerts for the header bell and the Notifications page */}
+              <StockAlertProvider>
+                <Layout>
+                  <Routes>
+                    {/* Public Routes */}
+                    <Route path="/login" element={<Login />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/otp-verification" element={<OTPVerification />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
 
-              {/* Protected Routes */}
-              <Route
-                path="/"
-                element={
-                  <ProtectedRoute>
-                    <OrderStatistics />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/products"
-                element={
-                  <ProtectedRoute>
-                    <Products />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/variants"
-                element={
-                  <ProtectedRoute>
-                    <ProductVariants />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/orders"
-                element={
-                  <ProtectedRoute>
-                    <Orders />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/bills"
-                element={
-                  <ProtectedRoute>
-                    <Bills />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/feedbacks"
-                element={
-                  <ProtectedRoute>
-                    <Feedbacks />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/accounts"
-                element={
-                  <ProtectedRoute>
-                    <Accounts />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/specifications"
-                element={
-                  <ProtectedRoute>
-                    <ProductSpecifications />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/categories"
-                element={
-                  <ProtectedRoute>
-                    <CategoriesRedirect />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/profile"
-                element={
-                  <ProtectedRoute>
-                    <Profile />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/vouchers"
-                element={
-                  <ProtectedRoute>
-                    <Vouchers />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/notifications"
-                element={
-                  <ProtectedRoute>
-                    <Notifications />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/chat"
-                element={
-                  <ProtectedRoute>
-                    <AdminChat />
-                  </ProtectedRoute>
-                }
-              />
+                    {/* Protected Routes */}
+                    <Route
+                      path="/"
+                      element={
+                        <ProtectedRoute>
+                          <OrderStatistics />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/products"
+                      element={
+                        <ProtectedRoute>
+                          <Products />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/variants"
+                      element={
+                        <ProtectedRoute>
+                          <ProductVariants />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/inventory"
+                      element={
+                        <ProtectedRoute>
+                          <Inventory />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/orders"
+                      element={
+                        <ProtectedRoute>
+                          <Orders />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/bills"
+                      element={
+                        <ProtectedRoute>
+                          <Bills />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/feedbacks"
+                      element={
+                        <ProtectedRoute>
+                          <Feedbacks />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/accounts"
+                      element={
+                        <ProtectedRoute permission={PERMISSIONS.ACCOUNTS_MANAGE}>
+                          <Accounts />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/specifications"
+                      element={
+                        <ProtectedRoute>
+                          <ProductSpecifications />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/categories"
+                      element={
+                        <ProtectedRoute>
+                          <CategoriesRedirect />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/profile"
+                      element={
+                        <ProtectedRoute>
+                          <Profile />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/vouchers"
+                      element={
+                        <ProtectedRoute>
+                          <Vouchers />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/notifications"
+                      element={
+                        <ProtectedRoute>
+                          <Notifications />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/chat"
+                      element={
+                        <ProtectedRoute>
+                          <AdminChat />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/refunds"
+                      element={
+                        <ProtectedRoute permission={PERMISSIONS.REFUNDS_MANAGE}>
+                          <Refunds />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/audit-logs"
+                      element={
+                        <ProtectedRoute permission={PERMISSIONS.AUDIT_VIEW}>
+                          <AuditLogs />
+                        </ProtectedRoute>
+                      }
+                    />
 
-              {/* Statistics */}
-              <Route
-                path="/statistics/revenue"
-                element={
-                  <ProtectedRoute>
-                    <RevenueStatistics />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/statistics/customer"
-                element={
-                  <ProtectedRoute>
-                    <CustomerStatistics />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/statistics/product"
-                element={
-                  <ProtectedRoute>
-                    <ProductStatistics />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/statistics/order"
-                element={
-                  <ProtectedRoute>
-                    <OrderStatistics />
-                  </ProtectedRoute>
-                }
-              />
+                    {/* Statistics */}
+                    <Route
+                      path="/statistics/revenue"
+                      element={
+                        <ProtectedRoute permission={PERMISSIONS.REVENUE_VIEW}>
+                          <RevenueStatistics />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/statistics/customer"
+                      element={
+                        <ProtectedRoute>
+                          <CustomerStatistics />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/statistics/product"
+                      element={
+                        <ProtectedRoute>
+                          <ProductStatistics />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/statistics/order"
+                      element={
+                        <ProtectedRoute>
+                          <OrderStatistics />
+                        </ProtectedRoute>
+                      }
+                    />
 
-              {/* Live Stream */}
-              <Route
-                path="/livestream"
-                element={
-                  <ProtectedRoute>
-                    <LiveStreamManagement />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/manage-livestream/:livestreamId"
-                element={
-                  <ProtectedRoute>
-                    <LiveStreamDashboard />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/livestream/details/:livestreamId"
-                element={
-                  <ProtectedRoute>
-                    <LiveStreamDetails />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/livestream-control/:livestreamId"
-                element={
-                  <ProtectedRoute>
-                    <LiveStreamControl />
-                  </ProtectedRoute>
-                }
-              />
-            </Routes>
-          </Layout>
+                    {/* Live Stream */}
+                    <Route
+                      path="/livestream"
+                      element={
+                        <ProtectedRoute>
+                          <LiveStreamManagement />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/manage-livestream/:livestreamId"
+                      element={
+                        <ProtectedRoute permission={PERMISSIONS.LIVESTREAM_HOST}>
+                          <LiveStreamDashboard />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/livestream/details/:livestreamId"
+                      element={
+                        <ProtectedRoute>
+                          <LiveStreamDetails />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/livestream-control/:livestreamId"
+                      element={
+                        <ProtectedRoute permission={PERMISSIONS.LIVESTREAM_HOST}>
+                          <LiveStreamControl />
+                        </ProtectedRoute>
+                      }
+                    />
+                  </Routes>
+                </Layout>
+              </StockAlertProvider>
+            </OfflineQueueProvider>
+          </SocketProvider>
         </AuthProvider>
       </ToastProvider>
     </Router>
@@ -1,5 +1,23 @@
 import axiosClient from "./axiosClient";
 
+// Tag a write so the server records it in the audit log (see Api.auditLogs).
+// The server captures actor, timestamp and before/after values itself. Routine per-user
+// activity (reading notifications, sending chat messages) is left untagged.
+const audit = (action, entityId) => ({
+    headers: {
+        "X-Audit-Action": action,
+        ...(entityId ? { "X-Audit-Entity-Id": String(entityId) } : {}),
+    },
+});
+
+// Upload options: onProgress(percent) for the request body, signal from an AbortController to cancel
+const uploadOptions = ({ onProgress, signal } = {}) => ({
+    signal,
+    onUploadProgress: onProgress
+        ? (event) => event.total && onProgress(Math.round((event.loaded / event.total) * 100))
+        : undefined,
+});
+
 const Api = {
     // ==== Utils ====
     utils: {
@@ -20,15 +38,16 @@ const Api = {
 
     // ==== Upload ====
     upload: {
-        image: (file) => {
+        image: (file, options) => {
             const formData = new FormData();
             formData.append("image", file);
             return axiosClient.post("/upload", formData, {
                 headers: { "Content-Type": "multipart/form-data" },
                 timeout: 60000, // 60 seconds for image upload
+                ...uploadOptions(options),
             });
         },
-        multiple: (files) => {
+        multiple: (files, options) => {
             const formData = new FormData();
             files.forEach((file) => {
                 formData.append("images", file);
@@ -36,6 +55,7 @@ const Api = {
             return axiosClient.post("/upload/multiple", formData, {
                 headers: { "Content-Type": "multipart/form-data" },
                 timeout: 120000, // 120 seconds for multiple images upload
+                ...uploadOptions(options),
             });
         },
     },
@@ -62,21 +82,21 @@ const Api = {
         // Get account order statistics (Admin, manager, or self)
         getOrderStatistics: (userId) => axiosClient.get(`/accounts/${userId}/order-statistics`).then(response => response.data),
         // Create a new account (Admin only)
-        create: (data) => axiosClient.post("/accounts", data).then(response => response.data),
+        create: (data) => axiosClient.post("/accounts", data, audit("account.create")).then(response => response.data),
         // Update an account (Admin or self)
-        update: (userId, data) => axiosClient.put(`/accounts/${userId}`, data).then(response => response.data),
+        update: (userId, data) => axiosClient.put(`/accounts/${userId}`, data, audit("account.update", userId)).then(response => response.data),
         // Update profile information (Admin or self)
-        updateProfile: (userId, data) => axiosClient.put(`/accounts/change-profile/${userId}`, data).then(response => response.data),
+        updateProfile: (userId, data) => axiosClient.put(`/accounts/change-profile/${userId}`, data, audit("account.update_profile", userId)).then(response => response.data),
         // Change password (Admin or self)
-        changePassword: (userId, data) => axiosClient.put(`/accounts/change-password/${userId}`, data).then(response => response.data),
+        changePassword: (userId, data) => axiosClient.put(`/accounts/change-password/${userId}`, data, audit("account.change_password", userId)).then(response => response.data),
         // Soft delete an account (Admin or self)
-        softDelete: (userId) => axiosClient.delete(`/accounts/soft/${userId}`).then(response => response.data),
+        softDelete: (userId) => axiosClient.delete(`/accounts/soft/${userId}`, audit("account.soft_delete", userId)).then(response => response.data),
         // Disable an account (Admin only)
-        disable: (userId) => axiosClient.put(`/accounts/disable/${userId}`).then(response => response.data),
+        disable: (userId) => axiosClient.put(`/accounts/disable/${userId}`, undefined, audit("account.disable", userId)).then(response => response.data),
         // Delete an account permanently (Admin or self)
-        delete: (userId) => axiosClient.delete(`/accounts/${userId}`).then(response => response.data),
+        delete: (userId) => axiosClient.delete(`/accounts/${userId}`, audit("account.delete", userId)).then(response => response.data),
         // Edit staff information (Admin only, for staff accounts)
-        editStaff: (userId, data) => axiosClient.put(`/accounts/edit-staff/${userId}`, data).then(response => response.data),
+        editStaff: (userId, data) => axiosClient.put(`/accounts/edit-staff/${userId}`, data, audit("account.edit_staff", userId)).then(response => response.data),
     },
 
     // ==== Products ====
@@ -102,17 +122,21 @@ const Api = {
         // Get single product by ID
         getById: (productId) => axiosClient.get(`/new-products/${productId}`).then(response => response.data),
         // Create product (admin/manager only)
-        create: (data) => axiosClient.post('/new-products', data).then(response => response.data),
+        create: (data) => axiosClient.post('/new-products', data, audit("product.create")).then(response => response.data),
         // Update product (admin/manager only)
-        update: (productId, data) => axiosClient.put(`/new-products/${productId}`, data).then(response => response.data),
+        update: (productId, data) => axiosClient.put(`/new-products/${productId}`, data, audit("product.update", productId)).then(response => response.data),
         // Delete product (admin/manager only)
-        delete: (productId) => axiosClient.delete(`/new-products/${productId}`).then(response => response.data),
+        delete: (productId) => axiosClient.delete(`/new-products/${productId}`, audit("product.delete", productId)).then(response => response.data),
         // Add product image (admin/manager only)
-        addImage: (productId, data) => axiosClient.post(`/new-products/${productId}/images`, data).then(response => response.data),
+        addImage: (productId, data) => axiosClient.post(`/new-products/${productId}/images`, data, audit("product.add_image", productId)).then(response => response.data),
         // Delete product image (admin/manager only)
-        deleteImage: (productId, imageId) => axiosClient.delete(`/new-products/${productId}/images/${imageId}`).then(response => response.data),
+        deleteImage: (productId, imageId) => axiosClient.delete(`/new-products/${productId}/images/${imageId}`, audit("product.delete_image", productId)).then(response => response.data),
         // Search products
         search: (params) => axiosClient.get('/new-products/search', { params }).then(response => response.data),
+        // Get revision history, newest first (admin/manager only)
+        getRevisions: (productId, params = {}) => axiosClient.get(`/new-products/${productId}/revisions`, { params }).then(response => response.data),
+        // Restore name, description, images and category from a revision (admin/manager only)
+        revertToRevision: (productId, revisionId) => axiosClient.post(`/new-products/${productId}/revisions/${revisionId}/revert`, {}, audit("product.revert", productId)).then(response => response.data),
     },
 
     // ==== New Product Variants ====
@@ -122,15 +146,18 @@ const Api = {
         // Get single variant by ID (accessible to public)
         getById: (variantId) => axiosClient.get(`/new-variants/get-variant-detail/${variantId}`).then(response => response.data),
         // Create variant (restricted to manager/admin)
-        create: (data) => axiosClient.post('/new-variants/create-variant', data).then(response => response.data),
+        create: (data) => axiosClient.post('/new-variants/create-variant', data, audit("variant.create")).then(response => response.data),
         // Bulk create variants (restricted to manager/admin)
-        bulkCreate: (data) => axiosClient.post('/new-variants/bulk-create-variants', data).then(response => response.data),
+        bulkCreate: (data) => axiosClient.post('/new-variants/bulk-create-variants', data, audit("variant.bulk_create")).then(response => response.data),
         // Update variant (restricted to manager/admin)
-        update: (variantId, data) => axiosClient.put(`/new-variants/update-variant/${variantId}`, data).then(response => response.data),
+        update: (variantId, data) => axiosClient.put(`/new-variants/update-variant/${variantId}`, data, audit("variant.update", variantId)).then(response => response.data),
         // Delete variant (restricted to manager/admin)
-        delete: (variantId) => axiosClient.delete(`/new-variants/delete-variant/${variantId}`).then(response => response.data),
+        delete: (variantId) => axiosClient.delete(`/new-variants/delete-variant/${variantId}`, audit("variant.delete", variantId)).then(response => response.data),
         // Get variants by product ID (using get-all-variants with productId filter)
         getByProduct: (productId) => axiosClient.get(`/new-variants/get-all-variants?productId=${productId}`).then(response => response.data),
+        // Atomically add `delta` (negative to remove) to a variant's stock: { delta, reason, note, orderId }.
+        // Every call is recorded as a stock movement.
+        adjustStock: (variantId, data) => axiosClient.patch(`/new-variants/${variantId}/adjust-stock`, data, audit("variant.stock_adjust", variantId)).then(response => response.data),
     },
 
     // ==== Product Colors ====
@@ -140,11 +167,11 @@ const Api = {
         // Get single color by ID (accessible to public)
         getById: (colorId) => axiosClient.get(`/specifications/get-color-detail/${colorId}`).then(response => response.data),
         // Create color (restricted to admin/manager)
-        create: (data) => axiosClient.post('/specifications/create-color', data).then(response => response.data),
+        create: (data) => axiosClient.post('/specifications/create-color', data, audit("color.create")).then(response => response.data),
         // Update color (restricted to admin/manager)
-        update: (colorId, data) => axiosClient.put(`/specifications/update-color/${colorId}`, data).then(response => response.data),
+        update: (colorId, data) => axiosClient.put(`/specifications/update-color/${colorId}`, data, audit("color.update", colorId)).then(response => response.data),
         // Delete color (restricted to admin/manager)
-        delete: (colorId) => axiosClient.delete(`/specifications/delete-color/${colorId}`).then(response => response.data),
+        delete: (colorId) => axiosClient.delete(`/specifications/delete-color/${colorId}`, audit("color.delete", colorId)).then(response => response.data),
         // Search colors (accessible to public)
         search: (params = {}) => axiosClient.get('/specifications/search-specifications', { params: { ...params, type: 'color' } }).then(response => response.data),
     },
@@ -156,11 +183,11 @@ const Api = {
         // Get single size by ID (accessible to public)
         getById: (sizeId) => axiosClient.get(`/specifications/get-size-detail/${sizeId}`).then(response => response.data),
         // Create size (restricted to admin/manager)
-        create: (data) => axiosClient.post('/specifications/create-size', data).then(response => response.data),
+        create: (data) => axiosClient.post('/specifications/create-size', data, audit("size.create")).then(response => response.data),
         // Update size (restricted to admin/manager)
-        update: (sizeId, data) => axiosClient.put(`/specifications/update-size/${sizeId}`, data).then(response => response.data),
+        update: (sizeId, data) => axiosClient.put(`/specifications/update-size/${sizeId}`, data, audit("size.update", sizeId)).then(response => response.data),
         // Delete size (restricted to admin/manager)
-        delete: (sizeId) => axiosClient.delete(`/specifications/delete-size/${sizeId}`).then(response => response.data),
+        delete: (sizeId) => axiosClient.delete(`/specifications/delete-size/${sizeId}`, audit("size.delete", sizeId)).then(response => response.data),
         // Search sizes (accessible to public)
         search: (params = {}) => axiosClient.get('/specifications/search-specifications', { params: { ...params, type: 'size' } }).then(response => response.data),
     },
@@ -172,7 +199,7 @@ const Api = {
         // Legacy methods for backward compatibility
         getAll: (filters = {}) => axiosClient.get('/specifications', { params: filters }),
         getById: (specId) => axiosClient.get(`/specifications/${specId}`),
-        create: (data) => axiosClient.post('/specifications', data).then(response => response.data),
+        create: (data) => axiosClient.post('/specifications', data, audit("specification.create")).then(response => response.data),
     },
 
     // ==== Categories ====
@@ -182,11 +209,11 @@ const Api = {
         // Get single category by ID (accessible to public)
         getById: (categoryId) => axiosClient.get(`/categories/get-category-detail/${categoryId}`).then(response => response.data),
         // Create category (restricted to admin/manager)
-        create: (data) => axiosClient.post('/categories/create-category', data).then(response => response.data),
+        create: (data) => axiosClient.post('/categories/create-category', data, audit("category.create")).then(response => response.data),
         // Update category (restricted to admin/manager)
-        update: (categoryId, data) => axiosClient.put(`/categories/update-category/${categoryId}`, data).then(response => response.data),
+        update: (categoryId, data) => axiosClient.put(`/categories/update-category/${categoryId}`, data, audit("category.update", categoryId)).then(response => response.data),
         // Delete category (restricted to admin/manager)
-        delete: (categoryId) => axiosClient.delete(`/categories/delete-category/${categoryId}`).then(response => response.data),
+        delete: (categoryId) => axiosClient.delete(`/categories/delete-category/${categoryId}`, audit("category.delete", categoryId)).then(response => response.data),
         // Search categories (accessible to public)
         search: (params = {}) => axiosClient.get('/categories/search-categories', { params }).then(response => response.data),
     },
@@ -201,12 +228,45 @@ const Api = {
         getDetails: (orderId) => axiosClient.get(`/orders/get-order-by-id/${orderId}`).then(response => response.data),
         // Get orders by user/account ID
         getUserOrders: (accId) => axiosClient.get(`/orders/user/${accId}`).then(response => response.data),
-        // Update order (status, payment, refund) - Admin endpoint
-        update: (orderId, data) => axiosClient.put(`/orders/admin/update/${orderId}`, data).then(response => response.data),
-        // Cancel order
-        cancel: (orderId) => axiosClient.patch(`/orders/${orderId}/cancel`, {}).then(response => response.data),
+        // Update order (status, payment, refund) - Admin endpoint.
+        // Confirming or cancelling moves stock; the response data then includes the resulting stockMovements.
+        update: (orderId, data) => axiosClient.put(`/orders/admin/update/${orderId}`, data, audit("order.update", orderId)).then(response => response.data),
+        // Upload refund proof / set refund status (kept apart from update so the audit log can tell them apart)
+        updateRefund: (orderId, data) => axiosClient.put(`/orders/admin/update/${orderId}`, data, audit("order.refund_update", orderId)).then(response => response.data),
+        // Get status history (order, payment, refund changes with actor and time)
+        getStatusHistory: (orderId) => axiosClient.get(`/orders/${orderId}/status-history`).then(response => response.data),
+        // Cancel order (response data includes stockMovements when confirmed stock is put back)
+        cancel: (orderId) => axiosClient.patch(`/orders/${orderId}/cancel`, {}, audit("order.cancel", orderId)).then(response => response.data),
         // Debug: Generate random orders (only when ENABLE_DEBUG_ORDERS=true)
-        generateDebugOrders: (count) => axiosClient.post("/orders/debug/generate-orders", { count }).then(response => response.data),
+        generateDebugOrders: (count) => axiosClient.post("/orders/debug/generate-orders", { count }, audit("order.debug_generate")).then(response => response.data),
+    },
+
+    // ==== Inventory ====
+    inventory: {
+        // Units held by pending orders, per variant: [{ variantId, reserved }]
+        getReservations: () => axiosClient.get("/inventory/reservations").then(response => response.data),
+        // Stock movements, newest first: { data, pagination }. Params: { variantId, orderId, reason, page, limit }
+        getMovements: (params = {}) => axiosClient.get("/inventory/movements", { params }).then(response => response.data),
+        // Low-stock thresholds: { global, products: [{ productId, threshold }] }
+        getThresholds: () => axiosClient.get("/inventory/thresholds").then(response => response.data),
+        // Replace the thresholds; the server raises a low_stock alert when a variant's available stock drops to its threshold
+        updateThresholds: (data) => axiosClient.put("/inventory/thresholds", data, audit("inventory.thresholds_update")).then(response => response.data),
+    },
+
+    // ==== Returns ====
+    returns: {
+        // Record a return on a delivered order: { items: [{ detailId, variantId, quantity }], reason, inspection, restock, refundAmount, note, refund_status? }.
+        // With restock: true the server puts the returned units back in the same transaction (movement reason order_returned).
+        create: (orderId, data) => axiosClient.post(`/orders/${orderId}/returns`, data, audit("order.return_create", orderId)).then(response => response.data),
+    },
+
+    // ==== Refunds ====
+    refunds: {
+        // Record a full or partial refund: { amount, reason, note, items: [{ detailId, quantity, amount }], proofs: [url] }.
+        // The server appends it to order.refunds and moves refund_status to partially_refunded or refunded.
+        create: (orderId, data) => axiosClient.post(`/orders/${orderId}/refunds`, data, audit("order.refund_create", orderId)).then(response => response.data),
+        // Assign the refund to a staff account (null to unassign)
+        assign: (orderId, assigneeId) => axiosClient.patch(`/orders/${orderId}/refund-assignee`, { assigneeId }, audit("order.refund_assign", orderId)).then(response => response.data),
     },
 
     // ==== Feedback ====
@@ -216,9 +276,9 @@ const Api = {
         // Get feedback by ID (Admin/Staff only)
         getById: (feedbackId) => axiosClient.get(`/feedback/get-feedback-by-id/${feedbackId}`).then(response => response.data),
         // Delete feedback (soft delete) (Admin/Staff only)
-        delete: (feedbackId) => axiosClient.delete(`/feedback/delete-feedback/${feedbackId}`).then(response => response.data),
+        delete: (feedbackId) => axiosClient.delete(`/feedback/delete-feedback/${feedbackId}`, audit("feedback.delete", feedbackId)).then(response => response.data),
         // Restore deleted feedback (Admin/Staff only)
-        restore: (feedbackId) => axiosClient.patch(`/feedback/restore-feedback/${feedbackId}`).then(response => response.data),
+        restore: (feedbackId) => axiosClient.patch(`/feedback/restore-feedback/${feedbackId}`, undefined, audit("feedback.restore", feedbackId)).then(response => response.data),
     },
 
     // ==== Vouchers ====
@@ -228,11 +288,11 @@ const Api = {
         // Get voucher by ID
         getById: (voucherId) => axiosClient.get(`/vouchers/${voucherId}`).then(response => response.data),
         // Create voucher (admin/manager only)
-        create: (data) => axiosClient.post("/vouchers/create-voucher", data).then(response => response.data),
+        create: (data) => axiosClient.post("/vouchers/create-voucher", data, audit("voucher.create")).then(response => response.data),
         // Update voucher (admin/manager only)
-        update: (voucherId, data) => axiosClient.put(`/vouchers/update-voucher/${voucherId}`, data).then(response => response.data),
+        update: (voucherId, data) => axiosClient.put(`/vouchers/update-voucher/${voucherId}`, data, audit("voucher.update", voucherId)).then(response => response.data),
         // Delete/Disable voucher (admin/manager only)
-        disable: (voucherId) => axiosClient.delete(`/vouchers/disable-voucher/${voucherId}`).then(response => response.data),
+        disable: (voucherId) => axiosClient.delete(`/vouchers/disable-voucher/${voucherId}`, audit("voucher.disable", voucherId)).then(response => response.data),
         // Apply voucher to order
         applyVoucher: (data) => axiosClient.post("/vouchers/apply-voucher", data).then(response => response.data),
     },
@@ -257,6 +317,8 @@ const Api = {
     // ==== Bills ====
     bills: {
         export: (orderId) => axiosClient.get(`/bills/export-bill/${orderId}`),
+        // Issue the legal invoice number for an order (next in the yearly sequence; returns the existing one if already issued)
+        issueInvoice: (orderId) => axiosClient.post(`/bills/${orderId}/invoice`, {}, audit("bill.issue_invoice", orderId)),
     },
 
     // ==== Notifications ====
@@ -264,7 +326,11 @@ const Api = {
         getAll: (params = {}) => axiosClient.get("/notifications", { params }),
         markAsRead: (notificationId) => axiosClient.patch(`/notifications/${notificationId}/read`),
         markAllAsRead: () => axiosClient.patch("/notifications/mark-all-read"),
-        delete: (notificationId) => axiosClient.delete(`/notifications/${notificationId}`),
+        delete: (notificationId) => axiosClient.delete(`/notifications/${notificationId}`, audit("notification.delete", notificationId)),
+        // Internal alerts for staff (e.g. low_stock), newest first: { data: [...], unreadCount }
+        getAdminAlerts: (params = {}) => axiosClient.get("/notifications/admin/alerts", { params }),
+        markAlertRead: (alertId) => axiosClient.patch(`/notifications/admin/alerts/${alertId}/read`),
+        markAllAlertsRead: () => axiosClient.patch("/notifications/admin/alerts/mark-all-read"),
     },
 
     // ==== Chat ====
@@ -282,7 +348,7 @@ const Api = {
         }),
         // Verify registration
         verifyRegistration: (data, token) => axiosClient.post('/passkeys/register/verify', data, {
-            headers: { Authorization: `Bearer ${token}` },
+            headers: { Authorization: `Bearer ${token}`, ...audit("passkey.create").headers },
         }),
         // Generate authentication options
         generateAuthenticationOptions: (username) => axiosClient.post('/passkeys/auth/generate', { username }),
@@ -294,17 +360,25 @@ const Api = {
         }),
         // Delete a passkey
         deletePasskey: (passkeyId, token) => axiosClient.delete(`/passkeys/${passkeyId}`, {
-            headers: { Authorization: `Bearer ${token}` },
+            headers: { Authorization: `Bearer ${token}`, ...audit("passkey.delete", passkeyId).headers },
         }),
     },
 
+    // ==== Audit Logs ====
+    auditLogs: {
+        // Search audit entries (actor, entityType, action, entityId, startDate, endDate, page, limit)
+        getAll: (params = {}) => axiosClient.get("/audit-logs", { params }).then(response => response.data),
+        // Get a single audit entry with full before/after values
+        getById: (logId) => axiosClient.get(`/audit-logs/${logId}`).then(response => response.data),
+    },
+
     // ==== Livestream ====
     livestream: {
         // ==== Livestream Management ====
         // Start livestream (admin/manager only)
-        start: (data) => axiosClient.post("/livestream/start", data).then(response => response.data),
+        start: (data) => axiosClient.post("/livestream/start", data, audit("livestream.start")).then(response => response.data),
         // End livestream (admin/manager only)
-        end: (livestreamId) => axiosClient.put("/livestream/end", { livestreamId }).then(response => response.data),
+        end: (livestreamId) => axiosClient.put("/livestream/end", { livestreamId }, audit("livestream.end", livestreamId)).then(response => response.data),
         // Get host livestreams (admin/manager only)
         getHost: () => axiosClient.get("/livestream/my-livestream").then(response => response.data),
         // Get host token (admin/manager only)
@@ -322,21 +396,21 @@ const Api = {
         // Get comments for a livestream (Admin - all comments, including deleted)
         getAdminComments: (liveId, params = {}) => axiosClient.get(`/livestream-comments/admin/comments/${liveId}`, { params }).then(response => response.data),
         // Hide/Delete comment (Sender hoặc Admin/Manager)
-        hideComment: (commentId) => axiosClient.delete(`/livestream-comments/${commentId}/hide-comment`).then(response => response.data),
+        hideComment: (commentId) => axiosClient.delete(`/livestream-comments/${commentId}/hide-comment`, audit("livestream.hide_comment", commentId)).then(response => response.data),
         // Pin comment (Admin only)
-        pinComment: (commentId, liveId) => axiosClient.post(`/livestream-comments/${commentId}/pin-comment`, { liveId }).then(response => response.data),
+        pinComment: (commentId, liveId) => axiosClient.post(`/livestream-comments/${commentId}/pin-comment`, { liveId }, audit("livestream.pin_comment", commentId)).then(response => response.data),
         // Remove pin from comment (Admin only)
-        unpinComment: (commentId, liveId) => axiosClient.post(`/livestream-comments/${commentId}/unpin-comment`, { liveId }).then(response => response.data),
+        unpinComment: (commentId, liveId) => axiosClient.post(`/livestream-comments/${commentId}/unpin-comment`, { liveId }, audit("livestream.unpin_comment", commentId)).then(response => response.data),
 
         // ==== Livestream Products ====
         // Add product to livestream (Admin only)
-        addProduct: (data) => axiosClient.post("/livestream-products/add-live-product", data).then(response => response.data),
+        addProduct: (data) => axiosClient.post("/livestream-products/add-live-product", data, audit("livestream.add_product")).then(response => response.data),
         // Remove product from livestream (Admin only)
-        removeProduct: (data) => axiosClient.post("/livestream-products/remove-live-product", data).then(response => response.data),
+        removeProduct: (data) => axiosClient.post("/livestream-products/remove-live-product", data, audit("livestream.remove_product")).then(response => response.data),
         // Pin product (Admin only)
-        pinProduct: (liveProductId, data) => axiosClient.post(`/livestream-products/${liveProductId}/pin-live-product`, data).then(response => response.data),
+        pinProduct: (liveProductId, data) => axiosClient.post(`/livestream-products/${liveProductId}/pin-live-product`, data, audit("livestream.pin_product", liveProductId)).then(response => response.data),
         // Remove pin from product (Admin only)
-        unpinProduct: (liveProductId, data) => axiosClient.post(`/livestream-products/${liveProductId}/unpin-live-product`, data).then(response => response.data),
+        unpinProduct: (liveProductId, data) => axiosClient.post(`/livestream-products/${liveProductId}/unpin-live-product`, data, audit("livestream.unpin_product", liveProductId)).then(response => response.data),
         // Get all active products in a livestream (User và Admin dùng chung - chỉ active products)
         getLiveProducts: (liveId) => axiosClient.get(`/livestream-products/${liveId}/live-products`).then(response => response.data),
         // Get all live products including removed (Admin only)
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getAccessToken, getRefreshToken, setTokens } from '../utils/authToken';
 
 const axiosClient = axios.create({
   baseURL: import.meta.env.VITE_API_URL ||
@@ -11,11 +12,48 @@ const axiosClient = axios.create({
   },
 });
 
+// Endpoints whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_PATHS = /\/(auth\/(login|register|signup|refresh-token)|passkeys\/auth)/;
+
+// Requests that failed with 401 while a refresh is in flight
+let isRefreshing = false;
+let pendingQueue = [];
+
+const processQueue = (error, token) => {
+  pendingQueue.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(token)));
+  pendingQueue = [];
+};
+
+const refreshAccessToken = async () => {
+  const { data } = await axiosClient.post(
+    '/auth/refresh-token',
+    { refreshToken: getRefreshToken() },
+    { _skipAuthRefresh: true }
+  );
+  const token = data?.token || data?.accessToken || data?.data?.token;
+  if (!token) {
+    throw new Error('Refresh response did not contain a token');
+  }
+  setTokens(token, data?.refreshToken || data?.data?.refreshToken);
+  return token;
+};
+
+const toClientError = (error) => {
+  const status = error.response?.status;
+  const message = status === 401 ? 'Unauthorized access - please log in' :
+    status === 404 ? 'Resource not found' :
+      status >= 500 ? 'Server error - please try again later' :
+        !error.response ? 'Failed to connect to server. Please check your connection.' :
+          'An error occurred. Please try again.';
+
+  return { ...error, message };
+};
+
 // Request interceptor
 axiosClient.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    const token = localStorage.getItem('token');
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -31,23 +69,49 @@ axiosClient.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    const status = error.response?.status;
-    const message = status === 401 ? 'Unauthorized access - please log in' :
-      status === 404 ? 'Resource not found' :
-        status >= 500 ? 'Server error - please try again later' :
-          !error.response ? 'Failed to connect to server. Please check your connection.' :
-            'An error occurred. Please try again.';
-
-    // Handle 401 errors by clearing token and redirecting to login
-    if (status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const canRefresh =
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !originalRequest._skipAuthRefresh &&
+      !NO_REFRESH_PATHS.test(originalRequest.url || '') &&
+      getRefreshToken();
+
+    // Logging out on a final 401 is AuthContext's job; it has the router and toasts
+    if (!canRefresh) {
+      return Promise.reject(toClientError(error));
+    }
+
+    originalRequest._retry = true;
+
+    // Another request is already refreshing: wait for it, then retry with the new token
+    if (isRefreshing) {
+      try {
+        const token = await new Promise((resolve, reject) => {
+          pendingQueue.push({ resolve, reject });
+        });
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return axiosClient(originalRequest);
+      } catch {
+        return Promise.reject(toClientError(error));
+      }
     }
 
-    return Promise.reject({ ...error, message });
+    isRefreshing = true;
+    try {
+      const token = await refreshAccessToken();
+      processQueue(null, token);
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return axiosClient(originalRequest);
+    } catch (refreshError) {
+      processQueue(refreshError, null);
+      return Promise.reject(toClientError(error));
+    } finally {
+      isRefreshing = false;
+    }
   }
 );
 
-export default axiosClient;
\ No newline at end of file
+export default axiosClient;
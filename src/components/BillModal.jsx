@@ -1,18 +1,25 @@
 import React, { useRef, useState } from 'react';
 import gashLogo from '../assets/image/gash-logo.svg';
-import html2canvas from 'html2canvas';
-import jsPDF from 'jspdf';
+import { createInvoicePdf, getInvoiceFilename } from '../utils/invoicePdf';
+import { getBillVatBreakdown, getInvoiceNumber } from '../utils/invoiceUtils';
+import { formatVatRate } from '../utils/vat';
+import { INVOICE_TEMPLATE } from '../config/invoiceTemplate';
 import { useToast } from '../hooks/useToast';
 
 const BillModal = ({ isOpen, onClose, billData }) => {
   const { showToast } = useToast();
   const billRef = useRef(null);
   const [zoomLevel, setZoomLevel] = useState(1);
+  const [isExporting, setIsExporting] = useState(false);
 
   if (!isOpen || !billData) {
     return null;
   }
 
+  const invoiceNumber = getInvoiceNumber(billData);
+  const { lines: vatLines, totals, total, mismatch, vatRate } = getBillVatBreakdown(billData);
+  const taxLabel = INVOICE_TEMPLATE.tax.label;
+
   const formatPrice = (price) => {
     return price !== undefined && price !== null
       ? new Intl.NumberFormat('vi-VN', {
@@ -26,181 +33,22 @@ const BillModal = ({ isOpen, onClose, billData }) => {
     return dateString ? new Date(dateString).toLocaleDateString('vi-VN') : 'N/A';
   };
 
-  const renderItemsTable = () => {
-    if (!billData?.items || billData.items.length === 0) {
-      return '<p>No items found</p>';
-    }
-
-    const itemsRows = billData.items.map((item, index) => `
-      <tr>
-        <td style="border: 1px solid #d1d5db; padding: 12px;">
-          <p style="font-weight: 600; color: #1f2937; margin: 0;">${item.productName || 'N/A'}</p>
-        </td>
-        <td style="border: 1px solid #d1d5db; padding: 12px; text-align: center; color: #6b7280;">
-          ${item.color || 'N/A'}
-        </td>
-        <td style="border: 1px solid #d1d5db; padding: 12px; text-align: center; color: #6b7280;">
-          ${item.size || 'N/A'}
-        </td>
-        <td style="border: 1px solid #d1d5db; padding: 12px; text-align: center; font-weight: 500;">
-          ${item.quantity || 0}
-        </td>
-        <td style="border: 1px solid #d1d5db; padding: 12px; text-align: right; color: #6b7280;">
-          ${formatPrice(item.unitPrice)}
-        </td>
-        <td style="border: 1px solid #d1d5db; padding: 12px; text-align: right; font-weight: 600; color: #1f2937;">
-          ${formatPrice(item.totalPrice)}
-        </td>
-      </tr>
-    `).join('');
-
-    return `
-      <table style="width: 100%; border-collapse: collapse; border: 1px solid #d1d5db;">
-        <thead>
-          <tr style="background-color: #f9fafb;">
-            <th style="border: 1px solid #d1d5db; padding: 12px; text-align: left; font-weight: 600; color: #374151;">Product</th>
-            <th style="border: 1px solid #d1d5db; padding: 12px; text-align: center; font-weight: 600; color: #374151;">Color</th>
-            <th style="border: 1px solid #d1d5db; padding: 12px; text-align: center; font-weight: 600; color: #374151;">Size</th>
-            <th style="border: 1px solid #d1d5db; padding: 12px; text-align: center; font-weight: 600; color: #374151;">Quantity</th>
-            <th style="border: 1px solid #d1d5db; padding: 12px; text-align: right; font-weight: 600; color: #374151;">Unit Price</th>
-            <th style="border: 1px solid #d1d5db; padding: 12px; text-align: right; font-weight: 600; color: #374151;">Total</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${itemsRows}
-        </tbody>
-      </table>
-    `;
-  };
-
   const handleExportPDF = async () => {
     if (!billData) {
       showToast('Unable to export PDF: No bill data', 'error');
       return;
     }
 
+    setIsExporting(true);
     try {
-      const pdfContent = document.createElement('div');
-      pdfContent.style.cssText = `
-        width: 800px;
-        background: white;
-        font-family: Arial, sans-serif;
-        color: #000;
-        padding: 20px;
-        box-sizing: border-box;
-      `;
-
-      pdfContent.innerHTML = `
-        <div style="background: linear-gradient(to right, #7B542F, #B6771D); padding: 32px; border-bottom: 4px solid #FF9D00; color: white;">
-          <div style="display: flex; justify-content: space-between; align-items: flex-start;">
-            <div style="display: flex; align-items: center;">
-              <div style="width: 200px; height: 64px; background: rgba(255,255,255,0.2); border-radius: 8px; display: flex; align-items: center; justify-content: center; margin-right: 16px; padding: 8px;">
-                <img src="${gashLogo}" alt="GASH Logo" style="height: 48px; width: auto;" />
-              </div>
-              <div>
-                <p style="color: rgba(255,255,255,0.9); font-size: 14px; margin: 0;">Modern fashion for everyone</p>
-              </div>
-            </div>
-            <div style="text-align: right;">
-              <h2 style="font-size: 30px; font-weight: bold; color: white; margin: 0 0 8px 0;">INVOICE</h2>
-              <p style="color: rgba(255,255,255,0.9); margin: 0;">Date: ${formatDate(billData.order?.orderDate)}</p>
-              <p style="color: rgba(255,255,255,0.9); font-size: 14px; margin: 0;">Order ID: #${billData.order?.orderId || billData.order?._id || 'N/A'}</p>
-            </div>
-          </div>
-        </div>
-
-        <div style="padding: 32px; border-bottom: 1px solid #e5e7eb;">
-          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 32px;">
-            <div style="background: #FFCF71; padding: 24px; border-radius: 8px; border-left: 4px solid #B6771D;">
-              <h3 style="font-size: 18px; font-weight: bold; color: #7B542F; margin: 0 0 16px 0;">BILL TO:</h3>
-              <div style="color: #374151;">
-                <p style="color: #4b5563; margin: 0 0 4px 0;">Name: ${billData.customer?.name || 'N/A'}</p>
-                <p style="color: #4b5563; margin: 0 0 4px 0;">Email: ${billData.customer?.email || 'N/A'}</p>
-                <p style="color: #4b5563; margin: 0 0 4px 0;">Phone: ${billData.customer?.phone || 'N/A'}</p>
-                <p style="color: #4b5563; margin: 0;">Address: ${billData.customer?.address || 'N/A'}</p>
-              </div>
-            </div>
-            <div style="background: #FFCF71; padding: 24px; border-radius: 8px; border-left: 4px solid #B6771D;">
-              <h3 style="font-size: 18px; font-weight: bold; color: #7B542F; margin: 0 0 16px 0;">PAY TO:</h3>
-              <div style="color: #374151;">
-                <p style="font-weight: 600; color: #111827; margin: 0 0 4px 0;">GASH Company</p>
-                <p style="color: #4b5563; margin: 0 0 4px 0;">support@gash.com</p>
-                <p style="color: #4b5563; margin: 0 0 4px 0;">600 Nguyễn Văn Cừ Nối Dài</p>
-                <p style="color: #4b5563; margin: 0;">An Bình, Bình Thủy, Cần Thơ</p>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        <div style="padding: 24px;">
-          <h3 style="font-size: 18px; font-weight: bold; color: #1f2937; margin: 0 0 16px 0;">ORDER ITEMS</h3>
-          ${renderItemsTable()}
-        </div>
-
-        <div style="padding: 32px; background-color: #FFCF71; border-top: 1px solid #e5e7eb;">
-          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 32px;">
-            <div style="background: white; padding: 24px; border-radius: 8px; border: 1px solid #e5e7eb;">
-              <h3 style="font-size: 18px; font-weight: bold; color: #7B542F; margin: 0 0 16px 0;">PAYMENT INFORMATION</h3>
-              <div style="color: #374151; space-y: 8px;">
-                <p style="margin: 0;"><span style="font-weight: 600;">Method:</span> ${billData.order?.paymentMethod || 'N/A'}</p>
-                <p style="margin: 0;"><span style="font-weight: 600;">Status:</span> ${billData.order?.paymentStatus?.toUpperCase() || 'N/A'}</p>
-                ${billData.discount?.voucher ? `
-                  <p style="margin: 0;"><span style="font-weight: 600;">Voucher:</span> ${billData.discount.voucher.code} (${billData.discount.voucher.discountValue}${billData.discount.voucher.discountType === 'percentage' ? '%' : '₫'} off)</p>
-                ` : ''}
-              </div>
-            </div>
-            <div style="background: white; padding: 24px; border-radius: 8px; border: 1px solid #e5e7eb;">
-              <h3 style="font-size: 18px; font-weight: bold; color: #7B542F; margin: 0 0 16px 0;">PRICE SUMMARY</h3>
-              <div style="space-y: 8px;">
-                <div style="display: flex; justify-content: space-between;">
-                  <span>Subtotal:</span>
-                  <span>${formatPrice(billData.summary?.subtotal)}</span>
-                </div>
-                ${billData.summary?.discount > 0 ? `
-                  <div style="display: flex; justify-content: space-between; color: #B6771D;">
-                    <span>Discount:</span>
-                    <span>-${formatPrice(billData.summary.discount)}</span>
-                  </div>
-                ` : ''}
-                <hr style="border-color: #d1d5db;" />
-                <div style="display: flex; justify-content: space-between; font-weight: bold; font-size: 18px;">
-                  <span>Total:</span>
-                  <span style="color: #B6771D;">${formatPrice(billData.summary?.totalAmount)}</span>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        <div style="padding: 24px; background-color: #FFCF71; text-align: center; color: #4b5563;">
-          <p style="margin: 0 0 4px 0;">Thank you for your purchase!</p>
-          <p style="font-size: 14px; margin: 0;">For support, contact: support@gash.com</p>
-        </div>
-      `;
-
-      document.body.appendChild(pdfContent);
-
-      const canvas = await html2canvas(pdfContent, {
-        scale: 2,
-        useCORS: true,
-        logging: false,
-      });
-
-      const imgData = canvas.toDataURL('image/png');
-      const pdf = new jsPDF('p', 'pt', 'a4');
-      const pdfWidth = pdf.internal.pageSize.getWidth();
-      const pdfHeight = pdf.internal.pageSize.getHeight();
-      const imgWidth = canvas.width / 2;
-      const imgHeight = canvas.height / 2;
-      const ratio = Math.min(pdfWidth / imgWidth, pdfHeight / imgHeight);
-
-      pdf.addImage(imgData, 'PNG', 0, 0, imgWidth * ratio, imgHeight * ratio);
-      pdf.save(`invoice_${billData.order?.orderId || billData.order?._id || 'bill'}.pdf`);
-
-      document.body.removeChild(pdfContent);
+      const pdf = await createInvoicePdf(billData);
+      pdf.save(getInvoiceFilename(billData));
       showToast('PDF exported successfully', 'success');
     } catch (err) {
+      console.error('Export PDF Error:', err);
       showToast('Failed to export PDF', 'error');
+    } finally {
+      setIsExporting(false);
     }
   };
 
@@ -219,7 +67,8 @@ const BillModal = ({ isOpen, onClose, billData }) => {
               <div className="flex items-center gap-2 lg:gap-3 w-full sm:w-auto justify-end">
                 <button
                   onClick={handleExportPDF}
-                  className="px-3 lg:px-4 py-2 lg:py-3 text-white rounded-lg transition-all duration-200 shadow-sm hover:shadow-md font-medium text-xs lg:text-sm flex items-center space-x-2"
+                  disabled={isExporting}
+                  className="px-3 lg:px-4 py-2 lg:py-3 text-white rounded-lg transition-all duration-200 shadow-sm hover:shadow-md font-medium text-xs lg:text-sm flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
                   style={{ backgroundColor: '#E9A319' }}
                   onMouseEnter={(e) => e.currentTarget.style.backgroundColor = '#A86523'}
                   onMouseLeave={(e) => e.currentTarget.style.backgroundColor = '#E9A319'}
@@ -227,7 +76,7 @@ const BillModal = ({ isOpen, onClose, billData }) => {
                   <svg className="w-4 h-4 lg:w-5 lg:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                   </svg>
-                  <span>Export PDF</span>
+                  <span>{isExporting ? 'Exporting...' : 'Export PDF'}</span>
                 </button>
                 <button
                   type="button"
@@ -267,6 +116,7 @@ const BillModal = ({ isOpen, onClose, billData }) => {
                   <div className="text-right text-white">
                     <h2 className="text-xl lg:text-2xl font-bold mb-1">INVOICE</h2>
                     <p className="text-xs lg:text-sm">Date: {formatDate(billData.order?.orderDate)}</p>
+                    <p className="text-xs lg:text-sm">Invoice No: {invoiceNumber || 'Not issued'}</p>
                     <p className="text-xs lg:text-sm">Order ID: #{billData.order?.orderId || billData.order?._id || 'N/A'}</p>
                   </div>
                 </div>
@@ -308,11 +158,14 @@ const BillModal = ({ isOpen, onClose, billData }) => {
                         <th className="border border-gray-300 px-3 py-2 text-center text-sm font-semibold text-gray-700">Size</th>
                         <th className="border border-gray-300 px-3 py-2 text-center text-sm font-semibold text-gray-700">Quantity</th>
                         <th className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-700">Unit Price</th>
-                        <th className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-700">Total</th>
+                        <th className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-700">Discount</th>
+                        <th className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-700">Net</th>
+                        <th className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-700">{taxLabel}</th>
+                        <th className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-700">Gross</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {billData.items?.map((item, index) => (
+                      {vatLines.map((item, index) => (
                         <tr key={index} className="hover:bg-gray-50">
                           <td className="border border-gray-300 px-3 py-2">
                             <p className="text-sm font-semibold text-gray-800">{item.productName || 'N/A'}</p>
@@ -329,8 +182,17 @@ const BillModal = ({ isOpen, onClose, billData }) => {
                           <td className="border border-gray-300 px-3 py-2 text-right text-sm text-gray-600">
                             {formatPrice(item.unitPrice)}
                           </td>
+                          <td className="border border-gray-300 px-3 py-2 text-right text-sm text-gray-600">
+                            {item.discount > 0 ? `-${formatPrice(item.discount)}` : formatPrice(0)}
+                          </td>
+                          <td className="border border-gray-300 px-3 py-2 text-right text-sm text-gray-600">
+                            {formatPrice(item.net)}
+                          </td>
+                          <td className="border border-gray-300 px-3 py-2 text-right text-sm text-gray-600">
+                            {formatPrice(item.tax)}
+                          </td>
                           <td className="border border-gray-300 px-3 py-2 text-right text-sm font-semibold text-gray-800">
-                            {formatPrice(item.totalPrice)}
+                            {formatPrice(item.gross)}
                           </td>
                         </tr>
                       ))}
@@ -358,19 +220,32 @@ const BillModal = ({ isOpen, onClose, billData }) => {
                     <div className="space-y-1.5 text-sm">
                       <div className="flex justify-between">
                         <span>Subtotal:</span>
-                        <span>{formatPrice(billData.summary?.subtotal)}</span>
+                        <span>{formatPrice(totals.subtotal)}</span>
                       </div>
-                      {billData.summary?.discount > 0 && (
+                      {totals.discount > 0 && (
                         <div className="flex justify-between" style={{ color: '#B6771D' }}>
                           <span>Discount:</span>
-                          <span>-{formatPrice(billData.summary.discount)}</span>
+                          <span>-{formatPrice(totals.discount)}</span>
                         </div>
                       )}
+                      <div className="flex justify-between">
+                        <span>Net (excl. {taxLabel}):</span>
+                        <span>{formatPrice(totals.net)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>{taxLabel} ({formatVatRate(vatRate)}):</span>
+                        <span>{formatPrice(totals.tax)}</span>
+                      </div>
                       <hr className="border-gray-300" />
                       <div className="flex justify-between font-bold text-base">
                         <span>Total:</span>
-                        <span style={{ color: '#B6771D' }}>{formatPrice(billData.summary?.totalAmount)}</span>
+                        <span style={{ color: '#B6771D' }}>{formatPrice(total)}</span>
                       </div>
+                      {mismatch !== 0 && (
+                        <p className="text-xs text-red-600">
+                          Line amounts add up to {formatPrice(totals.gross)}, which does not match the charged total.
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
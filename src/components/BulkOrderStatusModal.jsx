@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { getOrderTransitionError } from "../utils/orderStateMachine";
+import { splitStockMovements, summarizeStockMovements } from "../utils/stockUtils";
+import { useOfflineQueue } from "../hooks/useOfflineQueue";
+
+// Bulk transitions only move orders forward; cancellation needs a reason per order
+const bulkStatusOptions = [
+    { value: "confirmed", label: "Confirmed" },
+    { value: "shipping", label: "Shipping" },
+    { value: "delivered", label: "Delivered" },
+];
+
+const formatOrderId = (orderId) =>
+    orderId && typeof orderId === "string" ? "#" + orderId.slice(-6).toUpperCase() : "N/A";
+
+const BulkOrderStatusModal = ({
+    isOpen,
+    onClose,
+    orders,
+    onOrderUpdated,
+    onComplete,
+}) => {
+    const [targetStatus, setTargetStatus] = useState("confirmed");
+    const [isApplying, setIsApplying] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [results, setResults] = useState(null); // [{ order, status: 'success' | 'queued' | 'failed' | 'skipped', message }]
+    const { submitOrderUpdate } = useOfflineQueue();
+
+    useEffect(() => {
+        if (isOpen) {
+            setTargetStatus("confirmed");
+            setProgress(0);
+            setResults(null);
+        }
+    }, [isOpen]);
+
+    // Per-order validation against the workflow and pay-status rules
+    const validation = useMemo(
+        () =>
+            (orders || []).map((order) => ({
+                order,
+                error: getOrderTransitionError(order, targetStatus),
+            })),
+        [orders, targetStatus]
+    );
+    const eligibleCount = validation.filter((v) => !v.error).length;
+
+    if (!isOpen) return null;
+
+    const handleApply = async () => {
+        setIsApplying(true);
+        setProgress(0);
+        const report = [];
+
+        // Sequential on purpose: keeps the server load predictable and the report ordered
+        for (const { order, error } of validation) {
+            if (error) {
+                report.push({ order, status: "skipped", message: error });
+            } else {
+                try {
+                    const updateData = { order_status: targetStatus };
+                    // VNPAY orders must remain paid unless cancelled
+                    if (order.payment_method === "VNPAY" && order.pay_status) {
+                        updateData.pay_status = order.pay_status;
+                    }
+                    const result = await submitOrderUpdate(order, updateData);
+                    if (result.queued) {
+                        report.push({ order, status: "queued", message: `Offline: ${order.order_status} → ${targetStatus} will sync later` });
+                    } else {
+                        const { order: updatedData, stockMovements } = splitStockMovements(result.data);
+                        const stockSummary = summarizeStockMovements(stockMovements);
+                        onOrderUpdated?.(order._id, updatedData);
+                        report.push({
+                            order,
+                            status: "success",
+                            message: `${order.order_status} → ${targetStatus}${stockSummary ? ` (${stockSummary})` : ""}`,
+                        });
+                    }
+                } catch (err) {
+                    report.push({
+                        order,
+                        status: "failed",
+                        message: err?.response?.data?.message || err?.message || "Failed to update order",
+                    });
+                }
+            }
+            setProgress(report.length);
+        }
+
+        setResults(report);
+        setIsApplying(false);
+        onComplete?.(report);
+    };
+
+    const summary = results
+        ? {
+            success: results.filter((r) => r.status === "success").length,
+            queued: results.filter((r) => r.status === "queued").length,
+            failed: results.filter((r) => r.status === "failed").length,
+            skipped: results.filter((r) => r.status === "skipped").length,
+        }
+        : null;
+
+    const rows = results || validation.map(({ order, error }) => ({
+        order,
+        status: error ? "skipped" : "pending",
+        message: error || `${order.order_status} → ${targetStatus}`,
+    }));
+
+    const rowStyles = {
+        success: "bg-green-100 text-green-800",
+        queued: "bg-blue-100 text-blue-800",
+        failed: "bg-red-100 text-red-800",
+        skipped: "bg-gray-100 text-gray-600",
+        pending: "bg-yellow-100 text-yellow-800",
+    };
+
+    const rowLabels = {
+        success: "Updated",
+        queued: "Queued",
+        failed: "Failed",
+        skipped: "Skipped",
+        pending: "Ready",
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/30 backdrop-blur-[2px] flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-2xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 lg:p-5 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <h3 className="text-lg sm:text-xl lg:text-2xl font-bold text-gray-900">
+                        {results ? "Bulk Update Report" : `Update ${orders?.length || 0} Orders`}
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                        disabled={isApplying}
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Body */}
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6">
+                    {!results && (
+                        <div className="mb-4">
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                New Order Status
+                            </label>
+                            <select
+                                value={targetStatus}
+                                onChange={(e) => setTargetStatus(e.target.value)}
+                                disabled={isApplying}
+                                className="w-full px-4 py-2.5 border rounded-lg transition-all duration-200 focus:ring-2 bg-white text-sm lg:text-base border-gray-300 hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]"
+                            >
+                                {bulkStatusOptions.map((opt) => (
+                                    <option key={opt.value} value={opt.value}>
+                                        {opt.label}
+                                    </option>
+                                ))}
+                            </select>
+                            <p className="text-xs text-gray-500 mt-1.5">
+                                {eligibleCount} of {orders?.length || 0} selected orders can move to this status. Others will be skipped.
+                            </p>
+                        </div>
+                    )}
+
+                    {summary && (
+                        <div className="mb-4 flex flex-wrap gap-2 text-sm font-medium">
+                            <span className="px-3 py-1 rounded-full bg-green-100 text-green-800">{summary.success} updated</span>
+                            {summary.queued > 0 && (
+                                <span className="px-3 py-1 rounded-full bg-blue-100 text-blue-800">{summary.queued} queued</span>
+                            )}
+                            <span className="px-3 py-1 rounded-full bg-red-100 text-red-800">{summary.failed} failed</span>
+                            <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-600">{summary.skipped} skipped</span>
+                        </div>
+                    )}
+
+                    {isApplying && (
+                        <div className="mb-4">
+                            <div className="flex justify-between text-xs text-gray-600 mb-1">
+                                <span>Processing...</span>
+                                <span>{progress} / {validation.length}</span>
+                            </div>
+                            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div
+                                    className="h-full bg-gradient-to-r from-[#E9A319] to-[#A86523] transition-all duration-300"
+                                    style={{ width: `${validation.length ? (progress / validation.length) * 100 : 0}%` }}
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="border rounded-lg divide-y" style={{ borderColor: '#A86523' }}>
+                        {rows.map(({ order, status, message }) => (
+                            <div key={order._id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                                <div className="min-w-0">
+                                    <span className="font-medium text-gray-900" title={order._id}>{formatOrderId(order._id)}</span>
+                                    <span className="ml-2 text-gray-500 truncate">
+                                        {order.name || order.acc_id?.name || order.acc_id?.username || "Guest"}
+                                    </span>
+                                    <p className="text-xs text-gray-500">{message}</p>
+                                </div>
+                                <span className={`shrink-0 px-2.5 py-1 rounded-full text-xs font-semibold ${rowStyles[status]}`}>
+                                    {rowLabels[status]}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Modal Footer */}
+                <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-end gap-3 sm:gap-4 p-3 sm:p-4 lg:p-5 border-t shrink-0" style={{ borderColor: '#A86523' }}>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-5 py-2.5 text-gray-700 hover:text-gray-900 hover:bg-gray-50 rounded-lg transition-all duration-200 font-medium text-sm lg:text-base focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        disabled={isApplying}
+                    >
+                        {results ? "Close" : "Cancel"}
+                    </button>
+                    {!results && (
+                        <button
+                            type="button"
+                            onClick={handleApply}
+                            disabled={isApplying || eligibleCount === 0}
+                            className="px-6 py-2.5 text-white rounded-lg transition-all duration-200 shadow-md hover:shadow-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed text-sm lg:text-base focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:hover:shadow-md bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:hover:from-[#E9A319] disabled:hover:to-[#A86523]"
+                            style={{ '--tw-ring-color': '#A86523' }}
+                        >
+                            {isApplying ? (
+                                <div className="flex items-center justify-center space-x-2">
+                                    <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
+                                    <span>Processing...</span>
+                                </div>
+                            ) : (
+                                `Apply to ${eligibleCount} order${eligibleCount !== 1 ? "s" : ""}`
+                            )}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkOrderStatusModal;
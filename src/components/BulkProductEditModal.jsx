@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useMemo } from "react";
+import Api from "../common/SummaryAPI";
+import {
+    PRODUCT_STATUS_OPTIONS,
+    getBulkActionError,
+    previewProductChanges,
+    toProductUpdatePayload,
+} from "../utils/bulkEditUtils";
+
+const ACTION_TYPES = [
+    { value: "category", label: "Category" },
+    { value: "status", label: "Status" },
+];
+
+// Category or status for many products at once, previewed as a per-product diff.
+// Discontinuing is handed back to the page so it goes through the usual confirm dialog.
+const BulkProductEditModal = ({ isOpen, onClose, products, categories = [], onApplied, onDiscontinue }) => {
+    const [action, setAction] = useState({ type: "category", value: "" });
+    const [isApplying, setIsApplying] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [results, setResults] = useState(null); // [{ product, status: 'success' | 'failed', message }]
+
+    useEffect(() => {
+        if (isOpen) {
+            setAction({ type: "category", value: "" });
+            setProgress(0);
+            setResults(null);
+        }
+    }, [isOpen]);
+
+    const actionError = getBulkActionError(action);
+    const preview = useMemo(
+        () => (actionError ? [] : previewProductChanges(products || [], action, categories)),
+        [products, action, actionError, categories]
+    );
+    const toApply = preview.filter((item) => item.changes.length > 0);
+    const isDiscontinue = action.type === "status" && action.value === "discontinued";
+
+    if (!isOpen) return null;
+
+    const handleClose = () => {
+        if (isApplying) return;
+        onClose();
+    };
+
+    const handleApply = async () => {
+        if (isDiscontinue) {
+            onDiscontinue?.(toApply.map((item) => item.product));
+            return;
+        }
+        setIsApplying(true);
+        setProgress(0);
+        const report = [];
+
+        for (const { product, changes } of toApply) {
+            const [change] = changes;
+            try {
+                const response = await Api.newProducts.update(product._id, toProductUpdatePayload(product, { [change.field]: change.value }));
+                report.push({ product, status: "success", updated: response.data?.data || response.data });
+            } catch (err) {
+                report.push({ product, status: "failed", message: err.response?.data?.message || err.message || "Update failed" });
+            }
+            setProgress(report.length);
+        }
+
+        setResults(report);
+        setIsApplying(false);
+        if (report.some((r) => r.status === "success")) onApplied?.(report);
+    };
+
+    const succeeded = results ? results.filter((r) => r.status === "success").length : 0;
+    const failed = results ? results.filter((r) => r.status === "failed") : [];
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-2xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: "#A86523" }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: "#A86523" }}>
+                    <h3 className="text-base sm:text-lg font-bold text-gray-900">
+                        Bulk Edit {products?.length || 0} Product{products?.length !== 1 ? "s" : ""}
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={handleClose}
+                        disabled={isApplying}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50"
+                        style={{ "--tw-ring-color": "#A86523" }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 flex-1 overflow-y-auto space-y-4">
+                    {results ? (
+                        <div className="space-y-3">
+                            <p className="text-sm text-gray-700">
+                                <span className="font-semibold text-green-700">{succeeded} updated</span>
+                                {failed.length > 0 && <>, <span className="font-semibold text-red-600">{failed.length} failed</span></>}
+                            </p>
+                            {failed.length > 0 && (
+                                <ul className="text-sm bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                                    {failed.map(({ product, message }) => (
+                                        <li key={product._id} className="text-red-700">
+                                            <span className="font-semibold">{product.productName}</span>: {message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    ) : (
+                        <>
+                            <div className="flex gap-2" role="tablist">
+                                {ACTION_TYPES.map((type) => (
+                                    <button
+                                        key={type.value}
+                                        type="button"
+                                        role="tab"
+                                        aria-selected={action.type === type.value}
+                                        disabled={isApplying}
+                                        onClick={() => setAction({ type: type.value, value: type.value === "status" ? "active" : "" })}
+                                        className={`px-3 py-1.5 text-sm font-medium rounded-lg border-2 transition-colors ${action.type === type.value ? "text-white" : "text-gray-700 border-gray-200 hover:bg-gray-50"}`}
+                                        style={action.type === type.value ? { backgroundColor: "#E9A319", borderColor: "#E9A319" } : undefined}
+                                    >
+                                        {type.label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    {action.type === "category" ? "New category" : "New status"}
+                                </label>
+                                <select
+                                    value={action.value}
+                                    onChange={(e) => setAction((prev) => ({ ...prev, value: e.target.value }))}
+                                    disabled={isApplying}
+                                    className="w-full sm:w-64 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 text-sm border-gray-300"
+                                    style={{ "--tw-ring-color": "#A86523" }}
+                                >
+                                    {action.type === "category" ? (
+                                        <>
+                                            <option value="">Select a category</option>
+                                            {categories.filter((category) => category.isDeleted !== true).map((category) => (
+                                                <option key={category._id} value={category._id}>{category.cat_name}</option>
+                                            ))}
+                                        </>
+                                    ) : (
+                                        PRODUCT_STATUS_OPTIONS.map((option) => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))
+                                    )}
+                                </select>
+                            </div>
+                            {isDiscontinue && (
+                                <p className="text-xs text-gray-500">You will be asked to confirm. Products with variants in active orders cannot be discontinued.</p>
+                            )}
+
+                            {!actionError && (
+                                <div className="space-y-2">
+                                    <p className="text-sm text-gray-700">
+                                        <span className="font-semibold">{toApply.length}</span> product{toApply.length !== 1 ? "s" : ""} will change
+                                        {preview.length - toApply.length > 0 && <>, {preview.length - toApply.length} already match</>}
+                                    </p>
+                                    <div className="border border-gray-200 rounded-lg overflow-x-auto max-h-80 overflow-y-auto">
+                                        <table className="w-full text-sm">
+                                            <thead className="bg-gray-50 text-xs text-gray-600 uppercase sticky top-0">
+                                                <tr>
+                                                    <th className="px-3 py-2 text-left">Product</th>
+                                                    <th className="px-3 py-2 text-right">Before</th>
+                                                    <th className="px-3 py-2 text-right">After</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-gray-100">
+                                                {preview.map(({ product, changes }) => {
+                                                    const [change] = changes;
+                                                    return (
+                                                        <tr key={product._id} className={change ? "" : "text-gray-400"}>
+                                                            <td className="px-3 py-2">{product.productName}</td>
+                                                            {change ? (
+                                                                <>
+                                                                    <td className="px-3 py-2 text-right line-through text-gray-500">{change.from || "N/A"}</td>
+                                                                    <td className="px-3 py-2 text-right font-semibold" style={{ color: "#A86523" }}>{change.to}</td>
+                                                                </>
+                                                            ) : (
+                                                                <td colSpan={2} className="px-3 py-2 text-right text-xs">No change</td>
+                                                            )}
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
+                            {isApplying && (
+                                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                                    <div
+                                        className="h-full transition-all duration-300"
+                                        style={{ width: `${toApply.length ? (progress / toApply.length) * 100 : 0}%`, backgroundColor: "#E9A319" }}
+                                    />
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                {/* Modal Footer */}
+                <div className="flex items-center justify-end space-x-3 p-3 sm:p-4 border-t shrink-0" style={{ borderColor: "#A86523" }}>
+                    <button
+                        onClick={handleClose}
+                        disabled={isApplying}
+                        className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                    >
+                        {results ? "Close" : "Cancel"}
+                    </button>
+                    {!results && (
+                        <button
+                            onClick={handleApply}
+                            disabled={isApplying || !!actionError || toApply.length === 0}
+                            className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                            style={{ backgroundColor: "#E9A319" }}
+                            onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = "#A86523")}
+                            onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = "#E9A319")}
+                        >
+                            {isApplying
+                                ? `Applying ${progress}/${toApply.length}...`
+                                : `${isDiscontinue ? "Discontinue" : "Apply to"} ${toApply.length} product${toApply.length !== 1 ? "s" : ""}`}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkProductEditModal;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useMemo } from "react";
+import Api from "../common/SummaryAPI";
+import {
+    MAX_STOCK,
+    PRICE_ADJUST_MODES,
+    VARIANT_STATUS_OPTIONS,
+    getBulkActionError,
+    previewVariantChanges,
+    toVariantUpdatePayload,
+} from "../utils/bulkEditUtils";
+
+const ACTION_TYPES = [
+    { value: "price", label: "Price" },
+    { value: "stock", label: "Stock" },
+    { value: "status", label: "Status" },
+];
+
+const formatPrice = (price) => {
+    if (typeof price !== "number" || isNaN(price)) return "N/A";
+    return new Intl.NumberFormat("vi-VN", { style: "currency", currency: "VND" }).format(price);
+};
+
+const formatValue = (field, value) => (field === "variantPrice" ? formatPrice(value) : String(value ?? "N/A"));
+
+const getVariantLabel = (variant) =>
+    `${variant.productColorId?.color_name || "N/A"} / ${variant.productSizeId?.size_name || "N/A"}`;
+
+// Price, stock or status for many variants at once, previewed as a per-variant diff.
+// Stock goes through adjustStock so every change lands in the stock ledger.
+const BulkVariantEditModal = ({ isOpen, onClose, variants, onApplied }) => {
+    const [action, setAction] = useState({ type: "price", mode: "increase_percent", value: "" });
+    const [isApplying, setIsApplying] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [results, setResults] = useState(null); // [{ variant, status: 'success' | 'failed', message }]
+
+    useEffect(() => {
+        if (isOpen) {
+            setAction({ type: "price", mode: "increase_percent", value: "" });
+            setProgress(0);
+            setResults(null);
+        }
+    }, [isOpen]);
+
+    const actionError = getBulkActionError(action);
+    const preview = useMemo(
+        () => (actionError ? [] : previewVariantChanges(variants || [], action)),
+        [variants, action, actionError]
+    );
+    const toApply = preview.filter((item) => !item.error && item.changes.length > 0);
+    const blockedCount = preview.filter((item) => item.error).length;
+
+    if (!isOpen) return null;
+
+    const handleClose = () => {
+        if (isApplying) return;
+        onClose();
+    };
+
+    const handleApply = async () => {
+        setIsApplying(true);
+        setProgress(0);
+        const report = [];
+
+        // Sequential on purpose: keeps the server load predictable and the report ordered
+        for (const { variant, changes } of toApply) {
+            const [change] = changes;
+            try {
+                if (change.field === "stockQuantity") {
+                    // Re-read the stock so sales made since the page loaded are not undone
+                    const fresh = await Api.newVariants.getById(variant._id);
+                    const currentStock = (fresh?.data || fresh)?.stockQuantity ?? change.from ?? 0;
+                    if (change.to !== currentStock) {
+                        await Api.newVariants.adjustStock(variant._id, {
+                            delta: change.to - currentStock,
+                            reason: "bulk_edit",
+                            note: "Bulk edit",
+                        });
+                    }
+                } else {
+                    await Api.newVariants.update(variant._id, toVariantUpdatePayload(variant, { [change.field]: change.to }));
+                }
+                report.push({ variant, status: "success", patch: { [change.field]: change.to } });
+            } catch (err) {
+                report.push({ variant, status: "failed", message: err.response?.data?.message || err.message || "Update failed" });
+            }
+            setProgress(report.length);
+        }
+
+        setResults(report);
+        setIsApplying(false);
+        if (report.some((r) => r.status === "success")) onApplied?.(report);
+    };
+
+    const succeeded = results ? results.filter((r) => r.status === "success").length : 0;
+    const failed = results ? results.filter((r) => r.status === "failed") : [];
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-3xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: "#A86523" }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: "#A86523" }}>
+                    <h3 className="text-base sm:text-lg font-bold text-gray-900">
+                        Bulk Edit {variants?.length || 0} Variant{variants?.length !== 1 ? "s" : ""}
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={handleClose}
+                        disabled={isApplying}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50"
+                        style={{ "--tw-ring-color": "#A86523" }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 flex-1 overflow-y-auto space-y-4">
+                    {results ? (
+                        <div className="space-y-3">
+                            <p className="text-sm text-gray-700">
+                                <span className="font-semibold text-green-700">{succeeded} updated</span>
+                                {failed.length > 0 && <>, <span className="font-semibold text-red-600">{failed.length} failed</span></>}
+                            </p>
+                            {failed.length > 0 && (
+                                <ul className="text-sm bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                                    {failed.map(({ variant, message }) => (
+                                        <li key={variant._id} className="text-red-700">
+                                            <span className="font-semibold">{variant.productId?.productName || "Unknown Product"} ({getVariantLabel(variant)})</span>: {message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    ) : (
+                        <>
+                            <div className="flex gap-2" role="tablist">
+                                {ACTION_TYPES.map((type) => (
+                                    <button
+                                        key={type.value}
+                                        type="button"
+                                        role="tab"
+                                        aria-selected={action.type === type.value}
+                                        disabled={isApplying}
+                                        onClick={() => setAction({
+                                            type: type.value,
+                                            mode: type.value === "price" ? "increase_percent" : undefined,
+                                            value: type.value === "status" ? "active" : "",
+                                        })}
+                                        className={`px-3 py-1.5 text-sm font-medium rounded-lg border-2 transition-colors ${action.type === type.value ? "text-white" : "text-gray-700 border-gray-200 hover:bg-gray-50"}`}
+                                        style={action.type === type.value ? { backgroundColor: "#E9A319", borderColor: "#E9A319" } : undefined}
+                                    >
+                                        {type.label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div className="flex flex-wrap items-end gap-3">
+                                {action.type === "price" && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Change</label>
+                                        <select
+                                            value={action.mode}
+                                            onChange={(e) => setAction((prev) => ({ ...prev, mode: e.target.value }))}
+                                            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 text-sm border-gray-300"
+                                            style={{ "--tw-ring-color": "#A86523" }}
+                                        >
+                                            {PRICE_ADJUST_MODES.map((mode) => (
+                                                <option key={mode.value} value={mode.value}>{mode.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                {action.type === "status" ? (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">New status</label>
+                                        <select
+                                            value={action.value}
+                                            onChange={(e) => setAction((prev) => ({ ...prev, value: e.target.value }))}
+                                            className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 text-sm border-gray-300"
+                                            style={{ "--tw-ring-color": "#A86523" }}
+                                        >
+                                            {VARIANT_STATUS_OPTIONS.map((option) => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ) : (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            {action.type === "stock" ? "Set stock to" : action.mode?.endsWith("percent") ? "Percent" : "Amount (VND)"}
+                                        </label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={action.type === "stock" ? MAX_STOCK : undefined}
+                                            step={action.type === "stock" ? 1 : "any"}
+                                            value={action.value}
+                                            onChange={(e) => setAction((prev) => ({ ...prev, value: e.target.value }))}
+                                            className={`w-40 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 text-sm ${action.value !== "" && actionError ? "border-red-500" : "border-gray-300"}`}
+                                            style={{ "--tw-ring-color": "#A86523" }}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                            {action.value !== "" && actionError && <p className="text-sm text-red-600">{actionError}</p>}
+                            {action.type === "stock" && (
+                                <p className="text-xs text-gray-500">Each change is recorded in the variant's stock history as a bulk edit.</p>
+                            )}
+
+                            {!actionError && (
+                                <div className="space-y-2">
+                                    <p className="text-sm text-gray-700">
+                                        <span className="font-semibold">{toApply.length}</span> variant{toApply.length !== 1 ? "s" : ""} will change
+                                        {preview.length - toApply.length - blockedCount > 0 && <>, {preview.length - toApply.length - blockedCount} already match</>}
+                                        {blockedCount > 0 && <>, <span className="text-red-600 font-semibold">{blockedCount} skipped</span></>}
+                                    </p>
+                                    <div className="border border-gray-200 rounded-lg overflow-x-auto max-h-80 overflow-y-auto">
+                                        <table className="w-full text-sm">
+                                            <thead className="bg-gray-50 text-xs text-gray-600 uppercase sticky top-0">
+                                                <tr>
+                                                    <th className="px-3 py-2 text-left">Product</th>
+                                                    <th className="px-3 py-2 text-left">Variant</th>
+                                                    <th className="px-3 py-2 text-right">Before</th>
+                                                    <th className="px-3 py-2 text-right">After</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-gray-100">
+                                                {preview.map(({ variant, changes, error }) => {
+                                                    const [change] = changes;
+                                                    return (
+                                                        <tr key={variant._id} className={error ? "bg-red-50/60" : change ? "" : "text-gray-400"}>
+                                                            <td className="px-3 py-2">{variant.productId?.productName || "Unknown Product"}</td>
+                                                            <td className="px-3 py-2">{getVariantLabel(variant)}</td>
+                                                            {error ? (
+                                                                <td colSpan={2} className="px-3 py-2 text-right text-xs text-red-600">{error}</td>
+                                                            ) : change ? (
+                                                                <>
+                                                                    <td className="px-3 py-2 text-right line-through text-gray-500 whitespace-nowrap">{formatValue(change.field, change.from)}</td>
+                                                                    <td className="px-3 py-2 text-right font-semibold whitespace-nowrap" style={{ color: "#A86523" }}>{formatValue(change.field, change.to)}</td>
+                                                                </>
+                                                            ) : (
+                                                                <td colSpan={2} className="px-3 py-2 text-right text-xs">No change</td>
+                                                            )}
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
+                            {isApplying && (
+                                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                                    <div
+                                        className="h-full transition-all duration-300"
+                                        style={{ width: `${toApply.length ? (progress / toApply.length) * 100 : 0}%`, backgroundColor: "#E9A319" }}
+                                    />
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                {/* Modal Footer */}
+                <div className="flex items-center justify-end space-x-3 p-3 sm:p-4 border-t shrink-0" style={{ borderColor: "#A86523" }}>
+                    <button
+                        onClick={handleClose}
+                        disabled={isApplying}
+                        className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                    >
+                        {results ? "Close" : "Cancel"}
+                    </button>
+                    {!results && (
+                        <button
+                            onClick={handleApply}
+                            disabled={isApplying || !!actionError || toApply.length === 0}
+                            className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                            style={{ backgroundColor: "#E9A319" }}
+                            onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = "#A86523")}
+                            onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = "#E9A319")}
+                        >
+                            {isApplying ? `Applying ${progress}/${toApply.length}...` : `Apply to ${toApply.length} variant${toApply.length !== 1 ? "s" : ""}`}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkVariantEditModal;
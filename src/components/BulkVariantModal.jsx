@@ -2,6 +2,9 @@
 import React, { useState, useCallback, useContext, useEffect } from 'react';
 import { ToastContext } from '../context/ToastContext';
 import Api from '../common/SummaryAPI';
+import UploadProgressList from './UploadProgressList';
+import { useImageUpload } from '../hooks/useImageUpload';
+import { checkImageFiles } from '../utils/imagePipeline';
 
 const BulkVariantModal = ({
     isOpen,
@@ -27,30 +30,14 @@ const BulkVariantModal = ({
     const [variantImagePreview, setVariantImagePreview] = useState('');
     const [validationErrors, setValidationErrors] = useState({});
 
-    // Upload helper
+    // Upload helper: optimized to WebP and sent with progress, retry and cancel
+    const { items: uploadItems, uploadFiles, retry: retryUpload, cancel: cancelUpload, reset: resetUploads } = useImageUpload({ preset: 'product' });
+
     const uploadSingleImage = useCallback(async (file) => {
         if (!file) return '';
-        try {
-            const response = await Api.upload.image(file);
-
-            // Try different possible response structures
-            const imageUrl = response.data?.url ||
-                response.data?.data?.url ||
-                response.data?.imageUrl ||
-                response.data?.data?.imageUrl ||
-                response.data;
-
-            if (!imageUrl) {
-                console.error('No image URL found in response:', response);
-                return '';
-            }
-
-            return imageUrl;
-        } catch (err) {
-            console.error('Upload error:', err);
-            return '';
-        }
-    }, []);
+        const [result] = await uploadFiles([file]);
+        return result.url;
+    }, [uploadFiles]);
 
     // Reset form when modal opens/closes
     useEffect(() => {
@@ -65,8 +52,9 @@ const BulkVariantModal = ({
             setVariantImagePreview('');
             setError('');
             setValidationErrors({});
+            resetUploads();
         }
-    }, [isOpen]);
+    }, [isOpen, resetUploads]);
 
     // Validation functions
     const validateForm = useCallback(() => {
@@ -172,14 +160,16 @@ const BulkVariantModal = ({
     }, [validationErrors]);
 
     // Handle variant image change
-    const handleVariantImageChange = useCallback((e) => {
+    const handleVariantImageChange = useCallback(async (e) => {
         const file = e.target.files && e.target.files[0];
         if (file) {
-            if (!file.type.startsWith('image/')) {
-                showToast('File must be an image', 'error');
+            const { rejected } = await checkImageFiles([file], 'product');
+            if (rejected.length > 0) {
+                showToast(rejected[0].message, 'error');
                 e.target.value = '';
                 return;
             }
+            resetUploads();
             setVariantImageFile(file);
             setVariantImagePreview(URL.createObjectURL(file));
 
@@ -195,7 +185,7 @@ const BulkVariantModal = ({
             setVariantImageFile(null);
             setVariantImagePreview('');
         }
-    }, [showToast, validationErrors]);
+    }, [showToast, validationErrors, resetUploads]);
 
     // Handle submit (bulk create)
     const handleSubmit = useCallback(async () => {
@@ -276,6 +266,7 @@ const BulkVariantModal = ({
             setVariantImagePreview('');
             setError('');
             setValidationErrors({});
+            resetUploads();
 
             // Notify parent
             if (onVariantsCreated) {
@@ -301,7 +292,7 @@ const BulkVariantModal = ({
         } finally {
             setLoading(false);
         }
-    }, [bulkForm, variantImageFile, product, uploadSingleImage, validateForm, showToast, onVariantsCreated, onClose]);
+    }, [bulkForm, variantImageFile, product, uploadSingleImage, resetUploads, validateForm, showToast, onVariantsCreated, onClose]);
 
     // Reset form
     const resetForm = useCallback(() => {
@@ -315,7 +306,8 @@ const BulkVariantModal = ({
         setVariantImagePreview('');
         setError('');
         setValidationErrors({});
-    }, []);
+        resetUploads();
+    }, [resetUploads]);
 
     // Handle close modal
     const handleClose = useCallback(() => {
@@ -534,6 +526,7 @@ const BulkVariantModal = ({
                             {validationErrors.variantImage && (
                                 <p className="mt-1.5 text-sm text-red-600">{validationErrors.variantImage}</p>
                             )}
+                            <UploadProgressList items={uploadItems} onCancel={cancelUpload} onRetry={retryUpload} className="mt-3" />
                         </div>
 
                         {/* Preview Info */}
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useContext } from "react";
+import Api from "../common/SummaryAPI";
+import Loading from "./Loading";
+import { ToastContext } from "../context/ToastContext";
+import { downloadBlob, downloadCSV } from "../utils/csvUtils";
+import { downloadXlsx } from "../utils/xlsxUtils";
+import { toReservationMap } from "../utils/stockUtils";
+import {
+    CATALOG_EXPORT_HEADER,
+    toCatalogRows,
+    toFeedItems,
+    toFeedTSV,
+    toFeedXml,
+} from "../utils/catalogExport";
+import { toIdString } from "../utils/idUtils";
+
+const FORMATS = [
+    { key: 'csv', label: 'Catalogue CSV', description: 'One row per variant, opens in Excel' },
+    { key: 'xlsx', label: 'Catalogue XLSX', description: 'Same columns as the CSV, with numeric price and stock cells' },
+    { key: 'feed_xml', label: 'Product feed (XML)', description: 'Google Merchant RSS feed of active variants for marketplace uploads' },
+    { key: 'feed_tsv', label: 'Product feed (TSV)', description: 'The same feed as a tab-separated file' },
+];
+
+const extractArray = (response) => {
+    const data = response?.data ?? response;
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.data)) return data.data;
+    return [];
+};
+
+// Exports whichever side the page already has filtered: Products passes `products` and the
+// variants are fetched for them; ProductVariants passes `variants` and their products are fetched.
+const CatalogExportModal = ({ isOpen, onClose, products, variants, categories, reservations }) => {
+    const { showToast } = useContext(ToastContext);
+    const [format, setFormat] = useState('csv');
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setError(null);
+            setData(null);
+            try {
+                const [productsResponse, variantsResponse, categoriesResponse, reservationsResponse] = await Promise.all([
+                    products ? null : Api.newProducts.getAll(),
+                    variants ? null : Api.newVariants.getAll(),
+                    categories ? null : Api.categories.getAll(),
+                    // Only used for feed availability; fall back to on-hand stock without it
+                    reservations ? null : Api.inventory.getReservations().catch(() => null),
+                ]);
+
+                let exportProducts = products;
+                let exportVariants = variants;
+                if (!exportProducts) {
+                    const productIds = new Set(exportVariants.map((v) => toIdString(v.productId)));
+                    exportProducts = extractArray(productsResponse).filter((p) => productIds.has(toIdString(p)));
+                }
+                if (!exportVariants) {
+                    const productIds = new Set(exportProducts.map((p) => toIdString(p)));
+                    exportVariants = extractArray(variantsResponse).filter((v) => productIds.has(toIdString(v.productId)));
+                }
+                if (!cancelled) {
+                    setData({
+                        products: exportProducts,
+                        variants: exportVariants,
+                        categories: categories || extractArray(categoriesResponse),
+                        reservations: reservations || toReservationMap(reservationsResponse?.data),
+                    });
+                }
+            } catch (err) {
+                if (!cancelled) setError(err?.response?.data?.message || err.message || 'Failed to load the catalogue');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+        return () => {
+            cancelled = true;
+        };
+        // Snapshot of the page's filtered list when the modal opens; later re-renders must not reload
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const feedItems = data ? toFeedItems(data.products, data.variants, data) : [];
+    const productCount = data?.products.length || 0;
+    const variantCount = data?.variants.length || 0;
+    const isFeed = format.startsWith('feed');
+
+    const handleExport = () => {
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            downloadCSV(CATALOG_EXPORT_HEADER, toCatalogRows(data.products, data.variants, data.categories), `catalogue_${date}.csv`);
+        } else if (format === 'xlsx') {
+            downloadXlsx(CATALOG_EXPORT_HEADER, toCatalogRows(data.products, data.variants, data.categories), `catalogue_${date}.xlsx`, 'Catalogue');
+        } else if (format === 'feed_xml') {
+            const xml = toFeedXml(feedItems, { title: 'Product feed', description: `Generated ${date}` });
+            downloadBlob(new Blob([xml], { type: 'application/xml;charset=utf-8' }), `product_feed_${date}.xml`);
+        } else {
+            downloadBlob(new Blob([toFeedTSV(feedItems)], { type: 'text/tab-separated-values;charset=utf-8' }), `product_feed_${date}.tsv`);
+        }
+        showToast('Export downloaded', 'success');
+        onClose();
+    };
+
+    const nothingToExport = isFeed ? feedItems.length === 0 : productCount === 0;
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-lg transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b" style={{ borderColor: '#A86523' }}>
+                    <h3 className="text-base sm:text-lg font-bold text-gray-900">Export Catalogue</h3>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 space-y-4">
+                    {loading ? (
+                        <Loading type="inline" size="medium" message="Loading catalogue..." />
+                    ) : error ? (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                            <p className="text-sm text-red-600">{error}</p>
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-700">
+                            Current filters: <span className="font-semibold">{productCount} product{productCount !== 1 ? 's' : ''}</span>,{' '}
+                            <span className="font-semibold">{variantCount} variant{variantCount !== 1 ? 's' : ''}</span>
+                            {isFeed && <> ({feedItems.length} active in the feed)</>}
+                        </p>
+                    )}
+
+                    <div className="space-y-2" role="radiogroup" aria-label="Export format">
+                        {FORMATS.map((option) => (
+                            <label
+                                key={option.key}
+                                className={`flex items-start gap-3 p-3 rounded-lg border-2 cursor-pointer transition-colors ${format === option.key ? 'bg-amber-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                                style={format === option.key ? { borderColor: '#E9A319' } : undefined}
+                            >
+                                <input
+                                    type="radio"
+                                    name="catalogExportFormat"
+                                    value={option.key}
+                                    checked={format === option.key}
+                                    onChange={() => setFormat(option.key)}
+                                    className="mt-1 text-amber-600 focus:ring-amber-500"
+                                />
+                                <span>
+                                    <span className="block text-sm font-semibold text-gray-900">{option.label}</span>
+                                    <span className="block text-xs text-gray-600">{option.description}</span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Modal Footer */}
+                <div className="flex items-center justify-end space-x-3 p-3 sm:p-4 border-t" style={{ borderColor: '#A86523' }}>
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        disabled={loading || !data || nothingToExport}
+                        className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                        style={{ backgroundColor: '#E9A319' }}
+                        onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
+                        onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                    >
+                        Download
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CatalogExportModal;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from "react";
+import Api from "../common/SummaryAPI";
+import { getStatusLabel } from "../utils/orderStateMachine";
+
+// A COD buyer above either rate is flagged before staff confirm the order
+const RISKY_CANCEL_RATE = 0.3;
+const RISKY_REFUND_RATE = 0.2;
+const RECENT_ORDER_LIMIT = 5;
+
+const formatPrice = (price) => {
+    if (typeof price !== 'number' || isNaN(price)) return 'N/A';
+    return new Intl.NumberFormat('vi-VN', {
+        style: 'currency',
+        currency: 'VND',
+    }).format(price);
+};
+
+// dd/MM/yyyy
+const formatDate = (dateStr) => {
+    if (!dateStr) return "N/A";
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return "N/A";
+    const day = String(d.getDate()).padStart(2, '0');
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${d.getFullYear()}`;
+};
+
+const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+
+const getOrderDate = (order) => order.orderDate || order.createdAt || order.created_at;
+
+const statusStyles = {
+    pending: "bg-yellow-100 text-yellow-800",
+    confirmed: "bg-blue-100 text-blue-800",
+    shipping: "bg-purple-100 text-purple-800",
+    delivered: "bg-green-100 text-green-800",
+    cancelled: "bg-red-100 text-red-800",
+};
+
+// The order payload references the buyer in several shapes depending on the endpoint
+const getCustomerId = (order) => {
+    const ref = order?.customer?._id || order?.customer?.id || order?.acc_id;
+    return ref && typeof ref === "object" ? ref._id : ref || null;
+};
+
+// Build the summary from the buyer's orders; server statistics win when present
+const summarize = (orders, stats, currentOrderId) => {
+    const total = stats.totalOrders ?? orders.length;
+    const cancelled = stats.cancelledOrders ?? orders.filter((o) => o.order_status === "cancelled").length;
+    const refunded = stats.refundedOrders ??
+        orders.filter((o) => o.refund_status === "refunded" || o.refund_status === "partially_refunded").length;
+    const delivered = orders.filter((o) => o.order_status === "delivered");
+    const totalSpent = stats.totalSpent ??
+        delivered.reduce((sum, o) => sum + (o.finalPrice ?? o.totalPrice ?? 0), 0);
+
+    return {
+        total,
+        delivered: stats.deliveredOrders ?? delivered.length,
+        totalSpent,
+        cancelRate: total > 0 ? cancelled / total : 0,
+        refundRate: total > 0 ? refunded / total : 0,
+        previous: orders
+            .filter((o) => o._id !== currentOrderId)
+            .sort((a, b) => new Date(getOrderDate(b)) - new Date(getOrderDate(a))),
+    };
+};
+
+// Buyer history beside an order: previous orders, cancel/refund rates, spend and last chat contact
+const CustomerHistoryPanel = ({ order }) => {
+    const customerId = getCustomerId(order);
+    const [summary, setSummary] = useState(null);
+    const [lastContact, setLastContact] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        if (!customerId) return;
+        let cancelled = false;
+
+        const load = async () => {
+            setLoading(true);
+            setError("");
+            // Each source is optional; show whatever arrives
+            const [ordersRes, statsRes, chatRes] = await Promise.allSettled([
+                Api.orders.getUserOrders(customerId),
+                Api.accounts.getOrderStatistics(customerId),
+                Api.chat.getConversations({ accountId: customerId }),
+            ]);
+            if (cancelled) return;
+
+            if (ordersRes.status === "rejected" && statsRes.status === "rejected") {
+                setError(ordersRes.reason?.message || "Failed to load customer history");
+                setSummary(null);
+            } else {
+                const ordersData = ordersRes.status === "fulfilled"
+                    ? ordersRes.value?.data || ordersRes.value?.orders || ordersRes.value
+                    : [];
+                const statsData = statsRes.status === "fulfilled" ? statsRes.value?.data || statsRes.value || {} : {};
+                setSummary(summarize(Array.isArray(ordersData) ? ordersData : [], statsData, order?._id));
+            }
+
+            if (chatRes.status === "fulfilled") {
+                const conversations = chatRes.value?.data?.data || chatRes.value?.data || [];
+                const own = (Array.isArray(conversations) ? conversations : []).filter((c) => {
+                    const accountId = typeof c.accountId === "object" ? c.accountId?._id : c.accountId;
+                    return String(accountId) === String(customerId);
+                });
+                const latest = own
+                    .map((c) => c.updatedAt || c.createdAt)
+                    .filter(Boolean)
+                    .sort((a, b) => new Date(b) - new Date(a))[0];
+                setLastContact(latest || null);
+            } else {
+                setLastContact(null);
+            }
+            setLoading(false);
+        };
+
+        load();
+        return () => {
+            cancelled = true;
+        };
+    }, [customerId, order?._id]);
+
+    if (!customerId) {
+        return (
+            <div className="bg-gray-50 rounded-lg p-2.5 sm:p-3 border" style={{ borderColor: '#A86523' }}>
+                <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-1.5">Customer History</h3>
+                <p className="text-xs text-gray-500">Guest order: no account history available.</p>
+            </div>
+        );
+    }
+
+    const isCod = order?.payment_method === "COD";
+    const isRisky = summary && (summary.cancelRate >= RISKY_CANCEL_RATE || summary.refundRate >= RISKY_REFUND_RATE);
+
+    return (
+        <div className="bg-gray-50 rounded-lg p-2.5 sm:p-3 border" style={{ borderColor: '#A86523' }}>
+            <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-1.5 sm:mb-2">Customer History</h3>
+
+            {loading ? (
+                <p className="text-xs text-gray-500">Loading customer history...</p>
+            ) : error ? (
+                <p className="text-xs text-red-600">{error}</p>
+            ) : summary ? (
+                <div className="space-y-2.5">
+                    {isRisky && (
+                        <div className={`rounded-lg px-2.5 py-1.5 text-xs font-medium ${isCod ? "bg-red-100 text-red-800" : "bg-yellow-100 text-yellow-800"}`}>
+                            {isCod
+                                ? "High cancellation/refund rate on a COD order. Consider contacting the customer before confirming."
+                                : "This customer has a high cancellation/refund rate."}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-1.5">
+                        <div>
+                            <p className="text-xs text-gray-500">Orders</p>
+                            <p className="text-sm font-semibold text-gray-900">{summary.total}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Delivered</p>
+                            <p className="text-sm font-semibold text-gray-900">{summary.delivered}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Cancel rate</p>
+                            <p className={`text-sm font-semibold ${summary.cancelRate >= RISKY_CANCEL_RATE ? "text-red-600" : "text-gray-900"}`}>
+                                {formatRate(summary.cancelRate)}
+                            </p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Refund rate</p>
+                            <p className={`text-sm font-semibold ${summary.refundRate >= RISKY_REFUND_RATE ? "text-red-600" : "text-gray-900"}`}>
+                                {formatRate(summary.refundRate)}
+                            </p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Total spent</p>
+                            <p className="text-sm font-semibold text-green-600">{formatPrice(summary.totalSpent)}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Last contact</p>
+                            <p className="text-sm font-semibold text-gray-900">{lastContact ? formatDate(lastContact) : "Never"}</p>
+                        </div>
+                    </div>
+
+                    <div>
+                        <p className="text-xs text-gray-500 mb-1">Previous orders</p>
+                        {summary.previous.length === 0 ? (
+                            <p className="text-xs text-gray-500">This is the customer's first order.</p>
+                        ) : (
+                            <ul className="space-y-1">
+                                {summary.previous.slice(0, RECENT_ORDER_LIMIT).map((o) => (
+                                    <li key={o._id} className="flex items-center justify-between gap-2 text-xs">
+                                        <span className="font-medium text-gray-900">#{String(o._id).slice(-6).toUpperCase()}</span>
+                                        <span className="text-gray-500">{formatDate(getOrderDate(o))}</span>
+                                        <span className={`px-2 py-0.5 rounded-full font-semibold ${statusStyles[o.order_status] || "bg-gray-100 text-gray-800"}`}>
+                                            {getStatusLabel(o.order_status)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {summary.previous.length > RECENT_ORDER_LIMIT && (
+                            <p className="text-xs text-gray-500 mt-1">
+                                +{summary.previous.length - RECENT_ORDER_LIMIT} more
+                            </p>
+                        )}
+                    </div>
+                </div>
+            ) : null}
+        </div>
+    );
+};
+
+export default CustomerHistoryPanel;
@@ -1,6 +1,7 @@
 import React, { useRef, useState, useCallback, useContext } from "react";
 import { motion } from "framer-motion";
 import { ToastContext } from "../context/ToastContext";
+import UploadProgressList from "./UploadProgressList";
 
 const EditProfileModal = ({
   formData,
@@ -12,6 +13,9 @@ const EditProfileModal = ({
   selectedFile,
   profile,
   loading,
+  uploadItems = [],
+  onCancelUpload,
+  onRetryUpload,
 }) => {
   const { showToast } = useContext(ToastContext);
   const fileInputRef = useRef(null);
@@ -229,6 +233,7 @@ const EditProfileModal = ({
             {validationErrors.image && (
               <p className="mt-1.5 text-sm text-red-600">{validationErrors.image}</p>
             )}
+            <UploadProgressList items={uploadItems} onCancel={onCancelUpload} onRetry={onRetryUpload} className="mt-3 w-full max-w-sm" />
           </div>
 
           {/* Form */}
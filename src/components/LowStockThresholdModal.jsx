@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useContext } from "react";
+import Api from "../common/SummaryAPI";
+import Loading from "./Loading";
+import { ToastContext } from "../context/ToastContext";
+import { LOW_STOCK_THRESHOLD } from "../utils/stockUtils";
+
+const isValidThreshold = (value) => value !== '' && Number.isInteger(Number(value)) && Number(value) >= 0;
+
+// Edits the global low-stock threshold and per-product overrides.
+// products: [{ id, name }] to choose overrides from.
+const LowStockThresholdModal = ({ isOpen, onClose, thresholds, products = [], onSaved }) => {
+    const { showToast } = useContext(ToastContext);
+    const [globalThreshold, setGlobalThreshold] = useState('');
+    const [overrides, setOverrides] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setGlobalThreshold(String(thresholds?.global ?? LOW_STOCK_THRESHOLD));
+        setOverrides((thresholds?.products || []).map((p) => ({ productId: String(p.productId), threshold: String(p.threshold) })));
+        setError(null);
+    }, [isOpen, thresholds]);
+
+    if (!isOpen) return null;
+
+    const usedProductIds = overrides.map((o) => o.productId);
+
+    const updateOverride = (index, field, value) => {
+        setOverrides((prev) => prev.map((o, i) => (i === index ? { ...o, [field]: value } : o)));
+        setError(null);
+    };
+
+    const addOverride = () => {
+        const next = products.find((p) => !usedProductIds.includes(p.id));
+        setOverrides((prev) => [...prev, { productId: next?.id || '', threshold: globalThreshold }]);
+    };
+
+    const removeOverride = (index) => {
+        setOverrides((prev) => prev.filter((_, i) => i !== index));
+        setError(null);
+    };
+
+    const handleSave = async () => {
+        if (!isValidThreshold(globalThreshold)) {
+            setError('The global threshold must be a whole number of 0 or more');
+            return;
+        }
+        if (overrides.some((o) => !o.productId)) {
+            setError('Choose a product for every override');
+            return;
+        }
+        if (overrides.some((o) => !isValidThreshold(o.threshold))) {
+            setError('Product thresholds must be whole numbers of 0 or more');
+            return;
+        }
+        if (new Set(usedProductIds).size !== usedProductIds.length) {
+            setError('Each product can only have one override');
+            return;
+        }
+
+        const payload = {
+            global: Number(globalThreshold),
+            products: overrides.map((o) => ({ productId: o.productId, threshold: Number(o.threshold) })),
+        };
+        setSaving(true);
+        try {
+            const response = await Api.inventory.updateThresholds(payload);
+            onSaved?.(response?.data || payload);
+            showToast('Low-stock thresholds saved', 'success');
+            onClose();
+        } catch (err) {
+            setError(err?.response?.data?.message || err.message || 'Failed to save thresholds');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-offset-1 transition-all duration-200";
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-lg max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <h3 className="text-base sm:text-lg font-bold text-gray-900">Low-Stock Thresholds</h3>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 relative flex-1 overflow-y-auto space-y-4">
+                    {saving && (
+                        <div className="absolute inset-0 bg-white/90 backdrop-blur-sm rounded-lg flex items-center justify-center z-10">
+                            <Loading type="inline" size="medium" message="Saving thresholds..." />
+                        </div>
+                    )}
+
+                    <p className="text-sm text-gray-600">
+                        An alert is raised when a variant's available stock drops to its threshold or below.
+                    </p>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="global-threshold">
+                            Global threshold
+                        </label>
+                        <input
+                            id="global-threshold"
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={globalThreshold}
+                            onChange={(e) => { setGlobalThreshold(e.target.value); setError(null); }}
+                            className={`${inputClass} w-32`}
+                            style={{ '--tw-ring-color': '#A86523' }}
+                        />
+                    </div>
+
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <p className="text-sm font-medium text-gray-700">Product overrides</p>
+                            <button
+                                type="button"
+                                onClick={addOverride}
+                                disabled={overrides.length >= products.length}
+                                className="text-sm font-medium hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline"
+                                style={{ color: '#A86523' }}
+                            >
+                                + Add override
+                            </button>
+                        </div>
+                        {overrides.length === 0 ? (
+                            <p className="text-sm text-gray-500">Every product uses the global threshold.</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {overrides.map((override, index) => (
+                                    <div key={index} className="flex items-center gap-2">
+                                        <select
+                                            value={override.productId}
+                                            onChange={(e) => updateOverride(index, 'productId', e.target.value)}
+                                            className={`${inputClass} flex-1`}
+                                            style={{ '--tw-ring-color': '#A86523' }}
+                                            aria-label="Product"
+                                        >
+                                            <option value="">Select product</option>
+                                            {products
+                                                .filter((p) => p.id === override.productId || !usedProductIds.includes(p.id))
+                                                .map((p) => (
+                                                    <option key={p.id} value={p.id}>{p.name}</option>
+                                                ))}
+                                        </select>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            step={1}
+                                            value={override.threshold}
+                                            onChange={(e) => updateOverride(index, 'threshold', e.target.value)}
+                                            className={`${inputClass} w-24`}
+                                            style={{ '--tw-ring-color': '#A86523' }}
+                                            aria-label="Threshold"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => removeOverride(index)}
+                                            className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                                            aria-label="Remove override"
+                                        >
+                                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                            </svg>
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {error && (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                            <p className="text-sm text-red-600">{error}</p>
+                        </div>
+                    )}
+                </div>
+
+                {/* Modal Footer */}
+                <div className={`flex items-center justify-end p-3 sm:p-4 border-t shrink-0 space-x-3 ${saving ? 'opacity-50 pointer-events-none' : ''}`} style={{ borderColor: '#A86523' }}>
+                    <button
+                        onClick={onClose}
+                        disabled={saving}
+                        className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                        style={{ backgroundColor: '#E9A319' }}
+                        onMouseEnter={(e) => !saving && (e.currentTarget.style.backgroundColor = '#A86523')}
+                        onMouseLeave={(e) => !saving && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                    >
+                        Save Thresholds
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LowStockThresholdModal;
@@ -0,0 +1,117 @@
+import React from "react";
+import { getStatusLabel } from "../utils/orderStateMachine";
+
+const fieldLabels = {
+    order_status: "Order Status",
+    pay_status: "Payment Status",
+    refund_status: "Refund Status",
+};
+
+const fieldStyles = {
+    order_status: "bg-yellow-100 text-yellow-800",
+    pay_status: "bg-green-100 text-green-800",
+    refund_status: "bg-orange-100 text-orange-800",
+};
+
+// dd/MM/yyyy HH:mm
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return "N/A";
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return "N/A";
+    const day = String(d.getDate()).padStart(2, '0');
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const year = d.getFullYear();
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    return `${day}/${month}/${year} ${hours}:${minutes}`;
+};
+
+// changedBy may be a populated account, a plain name or missing (system change)
+const formatActor = (changedBy) => {
+    if (!changedBy) return "System";
+    if (typeof changedBy === "string") return changedBy;
+    const name = changedBy.name || changedBy.username || changedBy.email || "Unknown";
+    return changedBy.role ? `${name} (${changedBy.role})` : name;
+};
+
+// Without recorded history, show what the order itself can tell us
+const deriveHistory = (order) => {
+    if (!order) return [];
+    const entries = [];
+    const createdAt = order.orderDate || order.createdAt || order.created_at;
+    if (createdAt) {
+        entries.push({
+            field: "order_status",
+            from: null,
+            to: "pending",
+            changedBy: order.acc_id?.name || order.acc_id?.username || order.name,
+            changedAt: createdAt,
+            note: "Order placed",
+        });
+    }
+    const updatedAt = order.updatedAt || order.updated_at;
+    if (updatedAt && order.order_status && order.order_status !== "pending") {
+        entries.push({
+            field: "order_status",
+            from: null,
+            to: order.order_status,
+            changedBy: null,
+            changedAt: updatedAt,
+            note: order.order_status === "cancelled" ? order.cancelReason : "Last update",
+        });
+    }
+    return entries;
+};
+
+const OrderStatusTimeline = ({ order, history, loading }) => {
+    if (loading) {
+        return <p className="text-xs sm:text-sm text-gray-500">Loading history...</p>;
+    }
+
+    const isDerived = !history || history.length === 0;
+    const entries = (isDerived ? deriveHistory(order) : history)
+        .slice()
+        .sort((a, b) => new Date(b.changedAt || b.createdAt) - new Date(a.changedAt || a.createdAt));
+
+    if (entries.length === 0) {
+        return <p className="text-xs sm:text-sm text-gray-500">No status changes recorded</p>;
+    }
+
+    return (
+        <div className="bg-white rounded-lg p-2.5 sm:p-3 shadow-sm">
+            <ol className="relative border-l-2 ml-2" style={{ borderColor: '#E9A319' }}>
+                {entries.map((entry, index) => {
+                    const field = entry.field || "order_status";
+                    return (
+                        <li key={entry._id || index} className="mb-3 last:mb-0 ml-4">
+                            <span
+                                className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full border-2 border-white"
+                                style={{ backgroundColor: '#A86523' }}
+                            />
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${fieldStyles[field] || "bg-gray-100 text-gray-700"}`}>
+                                    {fieldLabels[field] || field}
+                                </span>
+                                <span className="text-xs sm:text-sm font-medium text-gray-900">
+                                    {entry.from ? `${getStatusLabel(entry.from)} → ` : ""}
+                                    {getStatusLabel(entry.to)}
+                                </span>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-0.5">
+                                {formatDateTime(entry.changedAt || entry.createdAt)} · {formatActor(entry.changedBy)}
+                            </p>
+                            {entry.note && (
+                                <p className="text-xs text-gray-600 mt-0.5">{entry.note}</p>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+            {isDerived && (
+                <p className="text-xs text-gray-400 mt-2">Detailed history is not available for this order.</p>
+            )}
+        </div>
+    );
+};
+
+export default OrderStatusTimeline;
@@ -0,0 +1,444 @@
+import React, { useState, useMemo, useContext, useRef } from "react";
+import Api from "../common/SummaryAPI";
+import Loading from "./Loading";
+import { ToastContext } from "../context/ToastContext";
+import { downloadCSV } from "../utils/csvUtils";
+import { toProductUpdatePayload } from "../utils/bulkEditUtils";
+import {
+    IMPORT_COLUMNS,
+    IMPORT_MAX_FILE_SIZE,
+    IMPORT_TEMPLATE_ROWS,
+    readImportFile,
+    toDescriptionHtml,
+    toImportRecords,
+    validateImport,
+} from "../utils/catalogImport";
+
+const formatPrice = (price) => {
+    if (typeof price !== 'number' || isNaN(price)) return '—';
+    return new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND' }).format(price);
+};
+
+const STEPS = [
+    { key: 'upload', label: 'Upload' },
+    { key: 'preview', label: 'Review' },
+    { key: 'import', label: 'Import' },
+];
+
+// Creates products and their variants from a CSV/XLSX sheet: upload, review errors row by
+// row, then create each valid product with newProducts.create and its variants with
+// newVariants.bulkCreate (one call per colour/price/stock/image group).
+const ProductImportModal = ({ isOpen, onClose, categories = [], colors = [], sizes = [], products = [], onImported }) => {
+    const { showToast } = useContext(ToastContext);
+    const [step, setStep] = useState('upload');
+    const [fileName, setFileName] = useState('');
+    const [records, setRecords] = useState([]);
+    const [fileError, setFileError] = useState(null);
+    const [reading, setReading] = useState(false);
+    const [errorsOnly, setErrorsOnly] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [results, setResults] = useState([]);
+    const fileInputRef = useRef(null);
+
+    // Re-validated whenever the specification lists change, e.g. after adding a missing colour
+    const validation = useMemo(
+        () => validateImport(records, { categories, colors, sizes, products }),
+        [records, categories, colors, sizes, products]
+    );
+    const validProducts = validation.products.filter((p) => p.isValid);
+    const invalidRowCount = validation.rows.filter((r) => r.errors.length > 0).length;
+    const productErrorCount = validation.products.filter((p) => p.errors.length > 0).length;
+    const validVariantCount = validProducts.reduce(
+        (sum, p) => sum + p.variantGroups.reduce((groupSum, g) => groupSum + g.sizeIds.length, 0),
+        0
+    );
+    const visibleRows = errorsOnly
+        ? validation.rows.filter((r) => r.errors.length > 0 || validation.products.find((p) => p.key === r.productKey)?.errors.length > 0)
+        : validation.rows;
+
+    if (!isOpen) return null;
+
+    const reset = () => {
+        setStep('upload');
+        setFileName('');
+        setRecords([]);
+        setFileError(null);
+        setErrorsOnly(false);
+        setProgress(0);
+        setResults([]);
+        if (fileInputRef.current) fileInputRef.current.value = '';
+    };
+
+    const handleClose = () => {
+        if (importing) return;
+        reset();
+        onClose();
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        setFileError(null);
+        if (file.size > IMPORT_MAX_FILE_SIZE) {
+            setFileError(`File must be smaller than ${IMPORT_MAX_FILE_SIZE / 1024 / 1024}MB`);
+            return;
+        }
+        setReading(true);
+        try {
+            const parsed = toImportRecords(await readImportFile(file));
+            if (parsed.length === 0) throw new Error('The file has no data rows');
+            setRecords(parsed);
+            setFileName(file.name);
+            setStep('preview');
+        } catch (err) {
+            setFileError(err.message || 'Could not read the file');
+        } finally {
+            setReading(false);
+        }
+    };
+
+    const handleDownloadTemplate = () => {
+        downloadCSV(IMPORT_COLUMNS.map((c) => c.label), IMPORT_TEMPLATE_ROWS, 'product_import_template.csv');
+    };
+
+    const handleImport = async () => {
+        setStep('import');
+        setImporting(true);
+        setProgress(0);
+        const report = [];
+
+        // Sequential so a failure is attributed to the right product and the server is not flooded.
+        // Each product starts as a draft and is only published once all of its variants exist.
+        for (const product of validProducts) {
+            const entry = { productName: product.productName, rowNumbers: product.rowNumbers, created: 0, failedGroups: [] };
+            try {
+                const response = await Api.newProducts.create({
+                    productName: product.productName,
+                    categoryId: product.categoryId,
+                    description: toDescriptionHtml(product.description),
+                    productStatus: 'draft',
+                    productImageIds: product.images.map((imageUrl, index) => ({ imageUrl, isMain: index === 0 })),
+                });
+                const created = response.data?.data || response.data;
+                if (!created?._id) throw new Error('The server did not return the new product');
+
+                for (const group of product.variantGroups) {
+                    try {
+                        await Api.newVariants.bulkCreate({
+                            productId: created._id,
+                            productColorId: group.productColorId,
+                            variantImage: group.variantImage,
+                            variantPrice: group.variantPrice,
+                            stockQuantity: group.stockQuantity,
+                            sizeIds: group.sizeIds,
+                        });
+                        entry.created += group.sizeIds.length;
+                    } catch (err) {
+                        entry.failedGroups.push(err?.response?.data?.message || err.message || 'Failed to create variants');
+                    }
+                }
+                if (entry.failedGroups.length > 0) {
+                    entry.status = 'partial';
+                    entry.message = 'Left unpublished as a draft until its variants are fixed';
+                } else {
+                    try {
+                        await Api.newProducts.update(created._id, toProductUpdatePayload(created, { productStatus: 'active' }));
+                        entry.status = 'success';
+                    } catch (err) {
+                        entry.status = 'partial';
+                        entry.message = `Left unpublished as a draft: ${err?.response?.data?.message || err.message || 'Failed to publish'}`;
+                    }
+                }
+            } catch (err) {
+                entry.status = 'failed';
+                entry.message = err?.response?.data?.message || err.message || 'Failed to create product';
+            }
+            report.push(entry);
+            setProgress(report.length);
+        }
+
+        setResults(report);
+        setImporting(false);
+        const succeeded = report.filter((r) => r.status !== 'failed').length;
+        const drafts = report.filter((r) => r.status === 'partial').length;
+        showToast(
+            `Imported ${succeeded} of ${report.length} product${report.length !== 1 ? 's' : ''}${drafts > 0 ? `, ${drafts} left unpublished` : ''}`,
+            succeeded === report.length && report.every((r) => r.status === 'success') ? 'success' : 'info'
+        );
+        if (succeeded > 0) onImported?.();
+    };
+
+    // Rows that were not imported, with the reason, so they can be fixed and re-uploaded
+    const handleDownloadErrors = () => {
+        const failedProducts = new Map(results.filter((r) => r.status === 'failed').map((r) => [r.productName.toLowerCase(), r.message]));
+        const rows = validation.rows
+            .map((row) => {
+                const product = validation.products.find((p) => p.key === row.productKey);
+                const reasons = [
+                    ...row.errors,
+                    ...(product?.errors || []),
+                    ...(product && !product.isValid && row.errors.length === 0 && product.errors.length === 0 ? ['Another row of this product has errors'] : []),
+                    ...(failedProducts.has(row.productKey) ? [failedProducts.get(row.productKey)] : []),
+                ];
+                return reasons.length > 0 ? [row.rowNumber, ...IMPORT_COLUMNS.map((c) => row.values[c.key]), reasons.join('; ')] : null;
+            })
+            .filter(Boolean);
+        if (rows.length === 0) {
+            showToast('Every row was imported', 'info');
+            return;
+        }
+        downloadCSV(['Row', ...IMPORT_COLUMNS.map((c) => c.label), 'Errors'], rows, `product_import_errors_${new Date().toISOString().slice(0, 10)}.csv`);
+    };
+
+    const stepIndex = STEPS.findIndex((s) => s.key === step);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-5xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <div>
+                        <h3 className="text-base sm:text-lg font-bold text-gray-900">Import Products</h3>
+                        <ol className="flex items-center gap-2 mt-1 text-xs">
+                            {STEPS.map((s, index) => (
+                                <li key={s.key} className={`flex items-center gap-1 ${index <= stepIndex ? 'font-semibold' : 'text-gray-400'}`} style={index <= stepIndex ? { color: '#A86523' } : undefined}>
+                                    <span className="w-4 h-4 rounded-full border flex items-center justify-center text-[10px]" style={{ borderColor: 'currentColor' }}>{index + 1}</span>
+                                    {s.label}
+                                    {index < STEPS.length - 1 && <span className="text-gray-300 ml-1">›</span>}
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleClose}
+                        disabled={importing}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 relative flex-1 overflow-y-auto">
+                    {step === 'upload' && (
+                        <div className="space-y-4">
+                            <p className="text-sm text-gray-700">
+                                One row per variant. Rows with the same product name become one product; its category,
+                                description and images only need to be filled on one row. Separate several image URLs with "|".
+                            </p>
+                            <div className="text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded-lg p-3">
+                                <p className="font-semibold text-gray-800 mb-1">Columns</p>
+                                <p>
+                                    {IMPORT_COLUMNS.map((c, index) => (
+                                        <span key={c.key}>
+                                            {c.label}{c.required && <span className="text-red-500">*</span>}
+                                            {index < IMPORT_COLUMNS.length - 1 && ', '}
+                                        </span>
+                                    ))}
+                                </p>
+                                <p className="mt-1">Category, color and size must match existing specifications by name.</p>
+                            </div>
+                            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                                <label
+                                    className={`inline-flex items-center justify-center px-4 py-2 text-sm text-white rounded-lg font-medium shadow-sm hover:shadow-md cursor-pointer transition-all duration-200 ${reading ? 'opacity-50 pointer-events-none' : ''}`}
+                                    style={{ backgroundColor: '#E9A319' }}
+                                    onMouseEnter={(e) => (e.currentTarget.style.backgroundColor = '#A86523')}
+                                    onMouseLeave={(e) => (e.currentTarget.style.backgroundColor = '#E9A319')}
+                                >
+                                    {reading ? 'Reading file...' : 'Choose CSV or XLSX file'}
+                                    <input
+                                        ref={fileInputRef}
+                                        type="file"
+                                        accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                                        onChange={handleFileChange}
+                                        className="hidden"
+                                    />
+                                </label>
+                                <button
+                                    type="button"
+                                    onClick={handleDownloadTemplate}
+                                    className="text-sm font-medium hover:underline"
+                                    style={{ color: '#A86523' }}
+                                >
+                                    Download template
+                                </button>
+                            </div>
+                            {fileError && (
+                                <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                                    <p className="text-sm text-red-600">{fileError}</p>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {step === 'preview' && (
+                        <div className="space-y-3">
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                                <p className="text-sm text-gray-700">
+                                    <span className="font-semibold">{fileName}</span>: {validation.rows.length} row{validation.rows.length !== 1 ? 's' : ''},{' '}
+                                    <span className="text-green-700 font-semibold">{validProducts.length} product{validProducts.length !== 1 ? 's' : ''} ({validVariantCount} variants) ready</span>
+                                    {(invalidRowCount > 0 || productErrorCount > 0) && (
+                                        <>, <span className="text-red-600 font-semibold">{invalidRowCount} row error{invalidRowCount !== 1 ? 's' : ''}{productErrorCount > 0 && `, ${productErrorCount} product error${productErrorCount !== 1 ? 's' : ''}`}</span></>
+                                    )}
+                                </p>
+                                <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={errorsOnly}
+                                        onChange={(e) => setErrorsOnly(e.target.checked)}
+                                        className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+                                    />
+                                    Only rows with problems
+                                </label>
+                            </div>
+
+                            {validation.products.some((p) => p.errors.length > 0) && (
+                                <ul className="text-sm bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                                    {validation.products.filter((p) => p.errors.length > 0).map((p) => (
+                                        <li key={p.key} className="text-red-700">
+                                            <span className="font-semibold">{p.productName}</span> (rows {p.rowNumbers.join(', ')}): {p.errors.join('; ')}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+
+                            <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                                <table className="w-full min-w-[760px] text-sm">
+                                    <thead className="bg-gray-50 text-xs text-gray-600 uppercase">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left">Row</th>
+                                            <th className="px-3 py-2 text-left">Product</th>
+                                            <th className="px-3 py-2 text-left">Category</th>
+                                            <th className="px-3 py-2 text-left">Color</th>
+                                            <th className="px-3 py-2 text-left">Size</th>
+                                            <th className="px-3 py-2 text-right">Price</th>
+                                            <th className="px-3 py-2 text-right">Stock</th>
+                                            <th className="px-3 py-2 text-left">Status</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {visibleRows.map((row) => (
+                                            <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50/60' : ''}>
+                                                <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                                                <td className="px-3 py-2 text-gray-900">{row.values.productName || '—'}</td>
+                                                <td className="px-3 py-2 text-gray-700">{row.values.category || <span className="text-gray-400">↑</span>}</td>
+                                                <td className="px-3 py-2 text-gray-700">{row.values.color || '—'}</td>
+                                                <td className="px-3 py-2 text-gray-700">{row.values.size || '—'}</td>
+                                                <td className="px-3 py-2 text-right text-gray-900 whitespace-nowrap">{formatPrice(row.price)}</td>
+                                                <td className="px-3 py-2 text-right text-gray-900">{Number.isNaN(row.stock) ? '—' : row.stock}</td>
+                                                <td className="px-3 py-2">
+                                                    {row.errors.length > 0 ? (
+                                                        <ul className="text-xs text-red-600 list-disc list-inside">
+                                                            {row.errors.map((err) => <li key={err}>{err}</li>)}
+                                                        </ul>
+                                                    ) : (
+                                                        <span className="text-xs font-semibold text-green-700">OK</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {visibleRows.length === 0 && <p className="text-center text-sm text-gray-500">No problems found</p>}
+                        </div>
+                    )}
+
+                    {step === 'import' && (
+                        <div className="space-y-4">
+                            {importing ? (
+                                <div className="py-6">
+                                    <Loading type="inline" size="medium" message={`Importing ${progress} of ${validProducts.length} products...`} />
+                                    <div className="mt-4 h-2 bg-gray-100 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full transition-all duration-300"
+                                            style={{ width: `${validProducts.length ? (progress / validProducts.length) * 100 : 0}%`, backgroundColor: '#E9A319' }}
+                                        />
+                                    </div>
+                                </div>
+                            ) : (
+                                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                                    {results.map((result) => (
+                                        <li key={result.productName} className="flex flex-wrap items-start justify-between gap-2 px-3 py-2 text-sm">
+                                            <div>
+                                                <p className="font-medium text-gray-900">{result.productName}</p>
+                                                {result.message && <p className="text-xs text-red-600">{result.message}</p>}
+                                                {result.failedGroups.map((message, index) => (
+                                                    <p key={index} className="text-xs text-red-600">{message}</p>
+                                                ))}
+                                            </div>
+                                            <span
+                                                className={`px-2 py-0.5 rounded-full text-xs font-semibold ${result.status === 'success'
+                                                    ? 'bg-green-100 text-green-800'
+                                                    : result.status === 'partial'
+                                                        ? 'bg-amber-100 text-amber-800'
+                                                        : 'bg-red-100 text-red-800'
+                                                    }`}
+                                            >
+                                                {result.status === 'failed' ? 'Failed' : `${result.created} variant${result.created !== 1 ? 's' : ''}`}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {/* Modal Footer */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-t shrink-0 gap-3" style={{ borderColor: '#A86523' }}>
+                    <div>
+                        {step === 'preview' && (
+                            <button
+                                type="button"
+                                onClick={reset}
+                                className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium"
+                            >
+                                Choose another file
+                            </button>
+                        )}
+                        {step === 'import' && !importing && (
+                            <button
+                                type="button"
+                                onClick={handleDownloadErrors}
+                                className="px-4 py-2 text-sm font-medium hover:underline"
+                                style={{ color: '#A86523' }}
+                            >
+                                Download rows not imported
+                            </button>
+                        )}
+                    </div>
+                    <div className="flex items-center space-x-3">
+                        <button
+                            onClick={handleClose}
+                            disabled={importing}
+                            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                        >
+                            {step === 'import' && !importing ? 'Close' : 'Cancel'}
+                        </button>
+                        {step === 'preview' && (
+                            <button
+                                onClick={handleImport}
+                                disabled={validProducts.length === 0}
+                                className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                                style={{ backgroundColor: '#E9A319' }}
+                                onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
+                                onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                            >
+                                Import {validProducts.length} product{validProducts.length !== 1 ? 's' : ''}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductImportModal;
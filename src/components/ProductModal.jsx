@@ -3,7 +3,10 @@ import React, { useState, useCallback, useContext, useRef, useEffect } from 'rea
 import { FaStar } from 'react-icons/fa';
 import { MdFormatBold, MdFormatItalic, MdFormatListBulleted, MdFormatListNumbered, MdLink, MdFormatUnderlined, MdLooksOne, MdLooksTwo, MdLooks3 } from 'react-icons/md';
 import { ToastContext } from '../context/ToastContext';
-import Api from '../common/SummaryAPI';
+import UploadProgressList from './UploadProgressList';
+import { useImageUpload } from '../hooks/useImageUpload';
+import { checkImageFiles } from '../utils/imagePipeline';
+import { EDITABLE_PRODUCT_STATUSES, toDateTimeLocal, fromDateTimeLocal, getScheduleErrors } from '../utils/productPublishing';
 
 const ProductModal = ({
     isOpen,
@@ -23,8 +26,10 @@ const ProductModal = ({
         productName: '',
         categoryId: '',
         description: '',
-        productStatus: 'pending', // Default to 'pending' - will be set to 'active' when variant is added
-        productImageIds: []
+        productStatus: 'draft',
+        productImageIds: [],
+        publishAt: '',
+        unpublishAt: ''
     });
     const [newImages, setNewImages] = useState([]);
     const [newImagePreviews, setNewImagePreviews] = useState([]);
@@ -81,7 +86,10 @@ const ProductModal = ({
                 categoryId: product.categoryId?._id || product.categoryId || '',
                 description: product.description || '',
                 productStatus: product.productStatus || 'active',
-                productImageIds: product.productImageIds || []
+                productImageIds: product.productImageIds || [],
+                // Held in datetime-local form while editing, converted back on submit
+                publishAt: toDateTimeLocal(product.publishAt),
+                unpublishAt: toDateTimeLocal(product.unpublishAt)
             };
             setFormData(initialData);
             setNewImages([]);
@@ -100,8 +108,10 @@ const ProductModal = ({
                 productName: '',
                 categoryId: '',
                 description: '',
-                productStatus: 'pending', // Default to 'pending' - will be set to 'active' when variant is added
-                productImageIds: []
+                productStatus: 'draft',
+                productImageIds: [],
+                publishAt: '',
+                unpublishAt: ''
             });
             setNewImages([]);
             setNewImagePreviews([]);
@@ -181,6 +191,9 @@ const ProductModal = ({
         const descriptionError = validateField('description', formData.description);
         if (descriptionError) errors.description = descriptionError;
 
+        // Validate status and schedule
+        Object.assign(errors, getScheduleErrors(formData, isEditMode ? product : {}));
+
         // Validate images
         if (isEditMode) {
             // Edit mode: combine existing and new images
@@ -210,7 +223,7 @@ const ProductModal = ({
 
         setValidationErrors(errors);
         return Object.keys(errors).length === 0;
-    }, [formData, newImages, mainImageIndex, validateField, isEditMode]);
+    }, [formData, newImages, mainImageIndex, validateField, isEditMode, product]);
 
     // Handle field change with real-time validation
     const handleFieldChange = useCallback((field, value) => {
@@ -235,105 +248,35 @@ const ProductModal = ({
         });
     }, [validateField]);
 
-    // Upload helper (single image) with retry mechanism
-    const uploadSingleImage = useCallback(async (file, retries = 2) => {
-        if (!file) return '';
-
-        for (let attempt = 0; attempt <= retries; attempt++) {
-            try {
-                if (attempt > 0) {
-                    // Wait before retry with exponential backoff
-                    const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-
-                const response = await Api.upload.image(file);
-
-                // Backend returns: { success: true, url: '...', filename: '...' }
-                // axiosClient returns full response object, so URL is at response.data.url
-                const imageUrl = response.data?.url;
-
-                if (!imageUrl) {
-                    if (attempt === retries) {
-                        return '';
-                    }
-                    continue; // Retry
-                }
-
-                return imageUrl;
-            } catch (err) {
-                const isLastAttempt = attempt === retries;
-
-                if (isLastAttempt) {
-                    return '';
-                }
-
-                // If it's a network error, retry
-                if (err.code === 'ECONNABORTED' || err.code === 'ERR_NETWORK' || !err.response) {
-                    continue;
-                }
-
-                // If it's a server error (5xx), retry
-                if (err.response?.status >= 500) {
-                    continue;
-                }
-
-                // For other errors (4xx), don't retry
-                return '';
-            }
-        }
-
-        return '';
-    }, []);
+    // Images are optimized and uploaded one by one with progress, retry and cancel;
+    // a resubmit only sends the ones that failed
+    const {
+        items: uploadItems,
+        uploadFiles,
+        retry: retryUpload,
+        cancel: cancelUpload,
+        forget: forgetUpload,
+        reset: resetUploads,
+    } = useImageUpload({ preset: 'product' });
 
     const uploadMultipleImages = useCallback(async (files) => {
         if (!files || files.length === 0) return [];
-
-        // Try multiple upload first
-        try {
-            const response = await Api.upload.multiple(files);
-
-            // Backend returns: { success: true, files: [{ url: '...', filename: '...' }, ...] }
-            // axiosClient returns full response object, so files are at response.data.files
-            const uploadedFiles = response.data?.files || [];
-
-            if (uploadedFiles && uploadedFiles.length > 0) {
-                // Extract URLs from the files array
-                const imageUrls = uploadedFiles.map(file => file.url).filter(url => url);
-
-                if (imageUrls.length === files.length) {
-                    return imageUrls;
-                }
-            }
-        } catch {
-            // Fall through to single upload
-        }
-
-        // Fallback: Upload files one by one with retry
-        const uploadedUrls = [];
-
-        for (let i = 0; i < files.length; i++) {
-            const url = await uploadSingleImage(files[i], 2); // 2 retries
-            if (url) {
-                uploadedUrls.push(url);
-            }
-        }
-
-        return uploadedUrls;
-    }, [uploadSingleImage]);
+        const results = await uploadFiles(files);
+        return results.map(result => result.url).filter(url => url);
+    }, [uploadFiles]);
 
     // Handle new image file selection
-    const handleNewImageFilesChange = useCallback((e) => {
-        const files = Array.from(e.target.files || []);
-        if (files.length === 0) return;
-
-        // Validate all files are images
-        const allImagesValid = files.every(file => file.type.startsWith('image/'));
-        if (!allImagesValid) {
-            showToast('All files must be images', 'error');
-            e.target.value = '';
-            return;
+    const handleNewImageFilesChange = useCallback(async (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (picked.length === 0) return;
+
+        // Type, size and minimum dimensions are checked before anything is added
+        const { accepted: files, rejected } = await checkImageFiles(picked, 'product');
+        if (rejected.length > 0) {
+            showToast(rejected.length === 1 ? rejected[0].message : `${rejected.length} images were skipped: ${rejected[0].message}`, 'error');
         }
+        if (files.length === 0) return;
 
         setNewImages(prev => [...prev, ...files]);
 
@@ -363,6 +306,7 @@ const ProductModal = ({
 
     // Remove a new image
     const removeNewImage = useCallback((index) => {
+        forgetUpload(newImages[index]);
         setNewImages(prev => prev.filter((_, i) => i !== index));
         setNewImagePreviews(prev => prev.filter((_, i) => i !== index));
         // Adjust main image index if needed
@@ -380,7 +324,7 @@ const ProductModal = ({
                 setMainImageIndex(prev => prev - 1);
             }
         }
-    }, [formData.productImageIds, mainImageIndex, isEditMode]);
+    }, [formData.productImageIds, mainImageIndex, isEditMode, newImages, forgetUpload]);
 
     // Handle form submit
     const handleSubmit = useCallback(async (e) => {
@@ -436,6 +380,8 @@ const ProductModal = ({
                 await onSubmit({
                     ...formData,
                     productImageIds: updatedImageData,
+                    publishAt: fromDateTimeLocal(formData.publishAt),
+                    unpublishAt: fromDateTimeLocal(formData.unpublishAt),
                 });
             } else {
                 // Create mode: Upload all images
@@ -464,6 +410,8 @@ const ProductModal = ({
                 await onSubmit({
                     ...formData,
                     productImageIds: imageData,
+                    publishAt: fromDateTimeLocal(formData.publishAt),
+                    unpublishAt: fromDateTimeLocal(formData.unpublishAt),
                 });
             }
 
@@ -472,13 +420,16 @@ const ProductModal = ({
                 productName: '',
                 categoryId: '',
                 description: '',
-                productStatus: 'pending', // Default to 'pending' - will be set to 'active' when variant is added
-                productImageIds: []
+                productStatus: 'draft',
+                productImageIds: [],
+                publishAt: '',
+                unpublishAt: ''
             });
             setNewImages([]);
             setNewImagePreviews([]);
             setMainImageIndex(0);
             setValidationErrors({});
+            resetUploads();
             setLocalLoading(false);
         } catch (err) {
             console.error(`${isEditMode ? 'Edit' : 'Add'} product error:`, err);
@@ -569,6 +520,18 @@ const ProductModal = ({
                     errorMessage = 'Cannot update a discontinued product';
                 } else if (backendMessage.includes('Invalid product ID')) {
                     errorMessage = 'Invalid product ID';
+                } else if (backendMessage.includes('Unpublish time') || backendMessage.includes('unpublishAt')) {
+                    setValidationErrors(prev => ({
+                        ...prev,
+                        unpublishAt: backendMessage
+                    }));
+                    hasFieldErrors = true;
+                } else if (backendMessage.includes('Publish time') || backendMessage.includes('publishAt')) {
+                    setValidationErrors(prev => ({
+                        ...prev,
+                        publishAt: backendMessage
+                    }));
+                    hasFieldErrors = true;
                 } else if (backendMessage.includes('Product status must be')) {
                     setValidationErrors(prev => ({
                         ...prev,
@@ -598,7 +561,7 @@ const ProductModal = ({
         } finally {
             setLocalLoading(false);
         }
-    }, [formData, newImages, mainImageIndex, uploadMultipleImages, onSubmit, validateForm, showToast, isEditMode]);
+    }, [formData, newImages, mainImageIndex, uploadMultipleImages, resetUploads, onSubmit, validateForm, showToast, isEditMode]);
 
     // Reset form when modal closes
     const handleClose = useCallback(() => {
@@ -606,15 +569,18 @@ const ProductModal = ({
             productName: '',
             categoryId: '',
             description: '',
-            productStatus: 'active',
-            productImageIds: []
+            productStatus: 'draft',
+            productImageIds: [],
+            publishAt: '',
+            unpublishAt: ''
         });
         setNewImages([]);
         setNewImagePreviews([]);
         setMainImageIndex(0);
         setValidationErrors({});
+        resetUploads();
         onClose();
-    }, [onClose]);
+    }, [onClose, resetUploads]);
 
     if (!isOpen) return null;
     if (isEditMode && !product) return null;
@@ -918,6 +884,88 @@ const ProductModal = ({
                                         ))
                                     )}
                                 </div>
+
+                                {/* Upload progress */}
+                                <UploadProgressList items={uploadItems} onCancel={cancelUpload} onRetry={retryUpload} />
+                            </div>
+                        </div>
+
+                        {/* Publishing */}
+                        <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                Publishing
+                            </label>
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 p-4 border border-gray-200 rounded-lg">
+                                <div>
+                                    <label htmlFor={isEditMode ? "edit-productStatus" : "productStatus"} className="block text-xs font-medium text-gray-600 mb-1">
+                                        Status
+                                    </label>
+                                    <select
+                                        id={isEditMode ? "edit-productStatus" : "productStatus"}
+                                        value={formData.productStatus}
+                                        onChange={(e) => handleFieldChange('productStatus', e.target.value)}
+                                        className={`w-full px-3 py-2 border rounded-lg transition-all duration-200 bg-white text-sm ${validationErrors.productStatus
+                                            ? 'border-red-400 focus:border-red-500 focus:ring-red-500'
+                                            : 'border-gray-300 hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]'
+                                            }`}
+                                    >
+                                        {/* Statuses set by the system (pending, discontinued) are shown but cannot be picked */}
+                                        {!EDITABLE_PRODUCT_STATUSES.some(option => option.value === formData.productStatus) && (
+                                            <option value={formData.productStatus} disabled>
+                                                {formData.productStatus.charAt(0).toUpperCase() + formData.productStatus.slice(1)}
+                                            </option>
+                                        )}
+                                        {EDITABLE_PRODUCT_STATUSES.map(option => (
+                                            <option key={option.value} value={option.value}>
+                                                {option.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <p className="mt-1 text-xs text-gray-500">
+                                        {EDITABLE_PRODUCT_STATUSES.find(option => option.value === formData.productStatus)?.hint || 'Set automatically'}
+                                    </p>
+                                    {validationErrors.productStatus && (
+                                        <p className="mt-1.5 text-sm text-red-600">{validationErrors.productStatus}</p>
+                                    )}
+                                </div>
+                                <div>
+                                    <label htmlFor={isEditMode ? "edit-publishAt" : "publishAt"} className="block text-xs font-medium text-gray-600 mb-1">
+                                        Publish at
+                                    </label>
+                                    <input
+                                        id={isEditMode ? "edit-publishAt" : "publishAt"}
+                                        type="datetime-local"
+                                        value={formData.publishAt}
+                                        onChange={(e) => handleFieldChange('publishAt', e.target.value)}
+                                        className={`w-full px-3 py-2 border rounded-lg transition-all duration-200 bg-white text-sm ${validationErrors.publishAt
+                                            ? 'border-red-400 focus:border-red-500 focus:ring-red-500'
+                                            : 'border-gray-300 hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]'
+                                            }`}
+                                    />
+                                    <p className="mt-1 text-xs text-gray-500">Goes live automatically at this time</p>
+                                    {validationErrors.publishAt && (
+                                        <p className="mt-1.5 text-sm text-red-600">{validationErrors.publishAt}</p>
+                                    )}
+                                </div>
+                                <div>
+                                    <label htmlFor={isEditMode ? "edit-unpublishAt" : "unpublishAt"} className="block text-xs font-medium text-gray-600 mb-1">
+                                        Unpublish at
+                                    </label>
+                                    <input
+                                        id={isEditMode ? "edit-unpublishAt" : "unpublishAt"}
+                                        type="datetime-local"
+                                        value={formData.unpublishAt}
+                                        onChange={(e) => handleFieldChange('unpublishAt', e.target.value)}
+                                        className={`w-full px-3 py-2 border rounded-lg transition-all duration-200 bg-white text-sm ${validationErrors.unpublishAt
+                                            ? 'border-red-400 focus:border-red-500 focus:ring-red-500'
+                                            : 'border-gray-300 hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]'
+                                            }`}
+                                    />
+                                    <p className="mt-1 text-xs text-gray-500">Hidden from the store after this time</p>
+                                    {validationErrors.unpublishAt && (
+                                        <p className="mt-1.5 text-sm text-red-600">{validationErrors.unpublishAt}</p>
+                                    )}
+                                </div>
                             </div>
                         </div>
 
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback, useContext } from "react";
+import Api from "../common/SummaryAPI";
+import Loading from "./Loading";
+import { ToastContext } from "../context/ToastContext";
+import {
+    diffRevert,
+    diffSnapshots,
+    formatScheduleDate,
+    getRevisionActorName,
+} from "../utils/productPublishing";
+
+const PAGE_SIZE = 20;
+
+const ChangesTable = ({ changes }) => (
+    <table className="w-full text-xs">
+        <tbody className="divide-y divide-gray-100">
+            {changes.map((change) => (
+                <tr key={change.key} className="align-top">
+                    <td className="py-1.5 pr-3 font-medium text-gray-600 whitespace-nowrap">{change.label}</td>
+                    <td className="py-1.5 pr-3 text-gray-500 line-through">
+                        <div className="whitespace-pre-line break-all line-clamp-4">{change.from || "—"}</div>
+                    </td>
+                    <td className="py-1.5 font-semibold" style={{ color: "#A86523" }}>
+                        <div className="whitespace-pre-line break-all line-clamp-4">{change.to || "—"}</div>
+                    </td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+// Revision history of one product, newest first. Each entry is diffed against the one before it;
+// reverting restores name, description, images and category and hands the saved product to onReverted.
+const ProductRevisionsModal = ({ isOpen, onClose, product, categories = [], onReverted, readOnly = false }) => {
+    const { showToast } = useContext(ToastContext);
+    const [revisions, setRevisions] = useState([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const [pendingRevert, setPendingRevert] = useState(null);
+    const [reverting, setReverting] = useState(false);
+
+    const productId = product?._id;
+
+    const fetchRevisions = useCallback(async (pageToLoad) => {
+        if (!productId) return;
+        setLoading(true);
+        setError("");
+        try {
+            const response = await Api.newProducts.getRevisions(productId, { page: pageToLoad, limit: PAGE_SIZE });
+            const pageData = Array.isArray(response?.data) ? response.data : [];
+            const pagination = response?.pagination || {};
+            const total = pagination.totalItems ?? pagination.total;
+            setRevisions((prev) => (pageToLoad === 1 ? pageData : [...prev, ...pageData]));
+            setHasMore(total !== undefined ? pageToLoad * PAGE_SIZE < total : pageData.length === PAGE_SIZE);
+            setPage(pageToLoad);
+        } catch (err) {
+            setError(err?.response?.data?.message || err.message || "Failed to load revision history");
+        } finally {
+            setLoading(false);
+        }
+    }, [productId]);
+
+    useEffect(() => {
+        if (isOpen) {
+            setPendingRevert(null);
+            fetchRevisions(1);
+        }
+    }, [isOpen, fetchRevisions]);
+
+    const handleClose = () => {
+        if (reverting) return;
+        setRevisions([]);
+        setError("");
+        onClose();
+    };
+
+    const handleConfirmRevert = async () => {
+        if (!pendingRevert) return;
+        setReverting(true);
+        try {
+            const response = await Api.newProducts.revertToRevision(productId, pendingRevert._id);
+            const updatedProduct = response.data?.data || response.data;
+            showToast(`Reverted to version ${pendingRevert.version}`, "success");
+            setPendingRevert(null);
+            onReverted?.(updatedProduct);
+            fetchRevisions(1);
+        } catch (err) {
+            showToast(err?.response?.data?.message || err.message || "Failed to revert product", "error");
+        } finally {
+            setReverting(false);
+        }
+    };
+
+    if (!isOpen || !product) return null;
+
+    const revertChanges = pendingRevert ? diffRevert(product, pendingRevert, categories) : [];
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-3xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: "#A86523" }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: "#A86523" }}>
+                    <div className="min-w-0">
+                        <h3 className="text-base sm:text-lg font-bold text-gray-900">Revision History</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 truncate">{product.productName}</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleClose}
+                        disabled={reverting}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50"
+                        style={{ "--tw-ring-color": "#A86523" }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 flex-1 overflow-y-auto space-y-3">
+                    {error ? (
+                        <div className="text-center py-6">
+                            <p className="text-sm text-red-600 mb-2">{error}</p>
+                            <button
+                                type="button"
+                                onClick={() => fetchRevisions(1)}
+                                className="text-sm font-medium hover:underline"
+                                style={{ color: "#A86523" }}
+                            >
+                                Retry
+                            </button>
+                        </div>
+                    ) : revisions.length === 0 && loading ? (
+                        <Loading type="inline" size="medium" message="Loading revision history..." className="py-6" />
+                    ) : revisions.length === 0 ? (
+                        <p className="text-center text-sm text-gray-500 py-6">No revisions recorded</p>
+                    ) : (
+                        revisions.map((revision, index) => {
+                            const previous = revisions[index + 1];
+                            const changes = previous ? diffSnapshots(previous.snapshot, revision.snapshot, categories) : [];
+                            const isCurrent = index === 0;
+                            const isPending = pendingRevert?._id === revision._id;
+                            const canRevert = !readOnly && !isCurrent && diffRevert(product, revision, categories).length > 0;
+
+                            return (
+                                <div
+                                    key={revision._id || index}
+                                    className={`rounded-lg border p-3 ${isPending ? "bg-amber-50" : ""}`}
+                                    style={{ borderColor: isPending ? "#A86523" : "#E5E7EB" }}
+                                >
+                                    <div className="flex items-start justify-between gap-2">
+                                        <div>
+                                            <p className="text-sm font-semibold text-gray-900">
+                                                Version {revision.version}
+                                                {isCurrent && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700">Current</span>}
+                                            </p>
+                                            <p className="text-xs text-gray-500">
+                                                {formatScheduleDate(revision.createdAt) || "N/A"} · {getRevisionActorName(revision)}
+                                            </p>
+                                        </div>
+                                        {canRevert && !isPending && (
+                                            <button
+                                                type="button"
+                                                onClick={() => setPendingRevert(revision)}
+                                                disabled={reverting}
+                                                className="px-3 py-1.5 text-xs font-medium rounded-lg border-2 transition-colors hover:bg-amber-50 disabled:opacity-50"
+                                                style={{ borderColor: "#E9A319", color: "#A86523" }}
+                                            >
+                                                Revert
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    <div className="mt-2">
+                                        {changes.length > 0 ? (
+                                            <ChangesTable changes={changes} />
+                                        ) : (
+                                            <p className="text-xs text-gray-500">
+                                                {previous ? "No field changes" : revision.version === 1 ? "Product created" : "Earlier revisions not loaded"}
+                                            </p>
+                                        )}
+                                    </div>
+
+                                    {isPending && (
+                                        <div className="mt-3 pt-3 border-t border-amber-200 space-y-2">
+                                            <p className="text-sm font-medium text-gray-900">Reverting will change the current product:</p>
+                                            <ChangesTable changes={revertChanges} />
+                                            <p className="text-xs text-gray-500">Status and schedule are kept as they are.</p>
+                                            <div className="flex justify-end gap-2">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setPendingRevert(null)}
+                                                    disabled={reverting}
+                                                    className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                                                >
+                                                    Cancel
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={handleConfirmRevert}
+                                                    disabled={reverting || revertChanges.length === 0}
+                                                    className="px-3 py-1.5 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                                                    style={{ backgroundColor: "#E9A319" }}
+                                                    onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = "#A86523")}
+                                                    onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = "#E9A319")}
+                                                >
+                                                    {reverting ? "Reverting..." : `Revert to version ${revision.version}`}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })
+                    )}
+
+                    {hasMore && !error && (
+                        <div className="text-center">
+                            <button
+                                type="button"
+                                onClick={() => fetchRevisions(page + 1)}
+                                disabled={loading}
+                                className="px-4 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-amber-50 hover:border-amber-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                            >
+                                {loading ? "Loading..." : "Load more"}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductRevisionsModal;
@@ -0,0 +1,330 @@
+import React, { useState, useMemo } from "react";
+import Loading from "./Loading";
+import { buildRefundItems } from "../utils/refundUtils";
+import { INSPECTION_RESULTS, RETURN_REASONS, getReturnedQuantities } from "../utils/returnUtils";
+
+const formatPrice = (price) => {
+    if (typeof price !== 'number' || isNaN(price)) return 'N/A';
+    return new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND' }).format(price);
+};
+
+const getVariantLabel = (detail) => {
+    const parts = [detail.variant?.color?.name, detail.variant?.size?.name].filter(Boolean);
+    return parts.length > 0 ? parts.join(' - ') : 'Standard';
+};
+
+const EMPTY_FORM = {
+    quantities: {},
+    reason: '',
+    inspection: '',
+    restock: false,
+    requestRefund: true,
+    refundAmount: '',
+    note: '',
+};
+
+// Records a return on a delivered order: which items came back, why, what inspection found,
+// whether they go back into stock and how much should be refunded.
+const ReturnRequestModal = ({ isOpen, onClose, order, orderDetails = [], onSubmit, isSubmitting }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [error, setError] = useState(null);
+
+    const returnedQuantities = useMemo(() => getReturnedQuantities(order), [order]);
+    const refundItems = useMemo(
+        () => buildRefundItems(order, orderDetails, form.quantities),
+        [order, orderDetails, form.quantities]
+    );
+    const itemsValue = refundItems.reduce((sum, item) => sum + item.amount, 0);
+    const canRefund = order?.pay_status === 'paid';
+    // Left empty, the refund defaults to what the returned items were paid
+    const refundAmount = form.refundAmount === '' ? itemsValue : Math.round(Number(form.refundAmount) || 0);
+    const totalQuantity = Object.values(form.quantities).reduce((sum, q) => sum + q, 0);
+
+    const setField = (field, value) => {
+        setForm(prev => ({ ...prev, [field]: value }));
+        setError(null);
+    };
+
+    const handleQuantityChange = (detail, value) => {
+        const max = (detail.quantity || 0) - (returnedQuantities[detail._id] || 0);
+        const quantity = Math.min(max, Math.max(0, parseInt(value, 10) || 0));
+        setField('quantities', { ...form.quantities, [detail._id]: quantity });
+    };
+
+    // Inspection result decides the default restock choice; staff can still override it
+    const handleInspectionChange = (value) => {
+        const result = INSPECTION_RESULTS.find(r => r.value === value);
+        setForm(prev => ({ ...prev, inspection: value, restock: !!result?.restock }));
+        setError(null);
+    };
+
+    const validationError = (() => {
+        if (totalQuantity <= 0) return "Select at least one item being returned";
+        if (!form.reason) return "Select a return reason";
+        if (!form.inspection) return "Record the inspection result";
+        if (form.reason === 'other' && !form.note.trim()) return "Add a note explaining the return";
+        if (canRefund && form.requestRefund && (refundAmount <= 0 || refundAmount > itemsValue)) {
+            return `Refund must be between 1 and ${formatPrice(itemsValue)}`;
+        }
+        return null;
+    })();
+
+    const handleClose = () => {
+        setForm(EMPTY_FORM);
+        setError(null);
+        onClose();
+    };
+
+    const handleSubmit = async () => {
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        try {
+            await onSubmit({
+                items: orderDetails
+                    .filter(detail => form.quantities[detail._id] > 0)
+                    .map(detail => ({
+                        detailId: detail._id,
+                        variantId: detail.variant?._id,
+                        quantity: form.quantities[detail._id],
+                    })),
+                reason: form.reason,
+                inspection: form.inspection,
+                restock: form.restock,
+                refundAmount: canRefund && form.requestRefund ? refundAmount : 0,
+                note: form.note.trim(),
+            });
+            setForm(EMPTY_FORM);
+            setError(null);
+        } catch (err) {
+            setError(err?.response?.data?.message || err?.message || "Failed to record return");
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const inputClass = "w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:border-transparent";
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-2xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <h3 className="text-base sm:text-lg font-bold text-gray-900 flex items-center">
+                        <svg className="w-5 h-5 mr-2 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                        </svg>
+                        Record Return
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={handleClose}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 relative flex-1 overflow-y-auto">
+                    {isSubmitting && (
+                        <div className="absolute inset-0 bg-white/90 backdrop-blur-sm rounded-lg flex items-center justify-center z-10">
+                            <Loading type="inline" size="medium" message="Recording return..." />
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="mb-3 p-2.5 bg-red-50 border border-red-200 rounded-lg">
+                            <div className="flex items-center">
+                                <svg className="h-4 w-4 text-red-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                </svg>
+                                <p className="text-xs sm:text-sm text-red-800">{error}</p>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className={`space-y-4 ${isSubmitting ? 'opacity-50 pointer-events-none' : ''}`}>
+                        {/* Items */}
+                        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Item</th>
+                                        <th className="px-3 py-2 text-center text-xs font-semibold text-gray-700 uppercase tracking-wider">Returnable</th>
+                                        <th className="px-3 py-2 text-center text-xs font-semibold text-gray-700 uppercase tracking-wider">Return Qty</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {orderDetails.map((detail) => {
+                                        const remainingQty = (detail.quantity || 0) - (returnedQuantities[detail._id] || 0);
+                                        return (
+                                            <tr key={detail._id} className={remainingQty <= 0 ? 'opacity-50' : ''}>
+                                                <td className="px-3 py-2">
+                                                    <p className="font-medium text-gray-900">{detail.variant?.product?.name || 'Unknown product'}</p>
+                                                    <p className="text-xs text-gray-500">{getVariantLabel(detail)}</p>
+                                                </td>
+                                                <td className="px-3 py-2 text-center text-gray-700">{remainingQty} / {detail.quantity || 0}</td>
+                                                <td className="px-3 py-2 text-center">
+                                                    <input
+                                                        type="number"
+                                                        min={0}
+                                                        max={remainingQty}
+                                                        value={form.quantities[detail._id] || 0}
+                                                        onChange={(e) => handleQuantityChange(detail, e.target.value)}
+                                                        disabled={remainingQty <= 0}
+                                                        className="w-16 px-2 py-1 text-center border border-gray-300 rounded-lg focus:outline-none focus:ring-2 disabled:bg-gray-100"
+                                                        style={{ '--tw-ring-color': '#A86523' }}
+                                                        aria-label={`Return quantity for ${detail.variant?.product?.name || 'item'}`}
+                                                    />
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Reason & inspection */}
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="return-reason">Reason</label>
+                                <select
+                                    id="return-reason"
+                                    value={form.reason}
+                                    onChange={(e) => setField('reason', e.target.value)}
+                                    className={inputClass}
+                                    style={{ '--tw-ring-color': '#A86523' }}
+                                >
+                                    <option value="">Select a reason</option>
+                                    {RETURN_REASONS.map((r) => (
+                                        <option key={r.value} value={r.value}>{r.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="return-inspection">Inspection Result</label>
+                                <select
+                                    id="return-inspection"
+                                    value={form.inspection}
+                                    onChange={(e) => handleInspectionChange(e.target.value)}
+                                    className={inputClass}
+                                    style={{ '--tw-ring-color': '#A86523' }}
+                                >
+                                    <option value="">Select a result</option>
+                                    {INSPECTION_RESULTS.map((r) => (
+                                        <option key={r.value} value={r.value}>{r.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        {/* Restock */}
+                        <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={form.restock}
+                                onChange={(e) => setField('restock', e.target.checked)}
+                                className="mt-0.5 w-4 h-4 rounded border-gray-300"
+                                style={{ accentColor: '#A86523' }}
+                            />
+                            <span>
+                                Restock returned items
+                                <span className="block text-xs text-gray-500">Adds {totalQuantity} unit{totalQuantity !== 1 ? 's' : ''} back to the variants' stock.</span>
+                            </span>
+                        </label>
+
+                        {/* Refund */}
+                        {canRefund && (
+                            <div className="rounded-lg border border-gray-200 p-3 space-y-2">
+                                <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.requestRefund}
+                                        onChange={(e) => setField('requestRefund', e.target.checked)}
+                                        className="mt-0.5 w-4 h-4 rounded border-gray-300"
+                                        style={{ accentColor: '#A86523' }}
+                                    />
+                                    <span>
+                                        Refund the customer
+                                        <span className="block text-xs text-gray-500">The order moves to Pending Refund and shows up on the Refunds page.</span>
+                                    </span>
+                                </label>
+                                {form.requestRefund && (
+                                    <div>
+                                        <label className="block text-xs font-medium text-gray-700 mb-1" htmlFor="return-refund-amount">
+                                            Refund Amount (items paid {formatPrice(itemsValue)})
+                                        </label>
+                                        <input
+                                            id="return-refund-amount"
+                                            type="number"
+                                            min={0}
+                                            max={itemsValue}
+                                            value={form.refundAmount}
+                                            onChange={(e) => setField('refundAmount', e.target.value)}
+                                            placeholder={String(itemsValue)}
+                                            className={inputClass}
+                                            style={{ '--tw-ring-color': '#A86523' }}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Note */}
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="return-note">
+                                Note {form.reason !== 'other' && <span className="text-gray-400 font-normal">(optional)</span>}
+                            </label>
+                            <textarea
+                                id="return-note"
+                                rows={2}
+                                value={form.note}
+                                onChange={(e) => setField('note', e.target.value)}
+                                maxLength={500}
+                                className={inputClass}
+                                style={{ '--tw-ring-color': '#A86523' }}
+                            />
+                        </div>
+                    </div>
+                </div>
+
+                {/* Modal Footer */}
+                <div className={`flex items-center justify-between p-3 sm:p-4 border-t shrink-0 gap-3 ${isSubmitting ? 'opacity-50 pointer-events-none' : ''}`} style={{ borderColor: '#A86523' }}>
+                    <p className="text-sm text-gray-700">
+                        {totalQuantity} item{totalQuantity !== 1 ? 's' : ''}
+                        {canRefund && form.requestRefund && (
+                            <> · Refund <span className="font-bold" style={{ color: '#A86523' }}>{formatPrice(refundAmount)}</span></>
+                        )}
+                    </p>
+                    <div className="flex items-center space-x-3">
+                        <button
+                            onClick={handleClose}
+                            disabled={isSubmitting}
+                            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleSubmit}
+                            disabled={isSubmitting || totalQuantity <= 0}
+                            className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 shadow-sm hover:shadow-md"
+                            style={{ backgroundColor: '#E9A319' }}
+                            onMouseEnter={(e) => !isSubmitting && !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
+                            onMouseLeave={(e) => !isSubmitting && !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                        >
+                            <span>Record Return</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReturnRequestModal;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useMemo } from "react";
+import Api from "../common/SummaryAPI";
+import { getStatusLabel } from "../utils/orderStateMachine";
+import { createShippingDocumentsPdf } from "../utils/shippingDocuments";
+
+// Only orders that are ready to leave (or already left) the warehouse get slips and labels
+const PRINTABLE_STATUSES = ["confirmed", "shipping"];
+
+const documentOptions = [
+    { value: "both", label: "Packing slips + shipping labels" },
+    { value: "slips", label: "Packing slips only (A4)" },
+    { value: "labels", label: "Shipping labels only (4x6\")" },
+];
+
+const formatOrderId = (orderId) =>
+    orderId && typeof orderId === "string" ? "#" + orderId.slice(-6).toUpperCase() : "N/A";
+
+const ShippingDocumentsModal = ({ isOpen, onClose, orders, onComplete }) => {
+    const [documentType, setDocumentType] = useState("both");
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [failures, setFailures] = useState([]); // [{ order, message }]
+
+    useEffect(() => {
+        if (isOpen) {
+            setDocumentType("both");
+            setProgress(0);
+            setFailures([]);
+        }
+    }, [isOpen]);
+
+    const printable = useMemo(
+        () => (orders || []).filter((order) => PRINTABLE_STATUSES.includes(order.order_status)),
+        [orders]
+    );
+    const skipped = (orders || []).length - printable.length;
+
+    if (!isOpen) return null;
+
+    const handleGenerate = async () => {
+        setIsGenerating(true);
+        setProgress(0);
+        const entries = [];
+        const failed = [];
+
+        // Items live on the order details endpoint, so fetch them one order at a time
+        for (const order of printable) {
+            try {
+                const response = await Api.orders.getDetails(order._id);
+                const orderData = response?.data || response;
+                const details = orderData?.orderDetails || [];
+                entries.push({ order: { ...order, ...orderData }, details: Array.isArray(details) ? details : [] });
+            } catch (err) {
+                failed.push({ order, message: err?.response?.data?.message || err?.message || "Failed to load order items" });
+            }
+            setProgress(entries.length + failed.length);
+        }
+
+        setFailures(failed);
+        if (entries.length > 0) {
+            const pdf = await createShippingDocumentsPdf(entries, {
+                slips: documentType !== "labels",
+                labels: documentType !== "slips",
+            });
+            const stamp = new Date().toISOString().slice(0, 10);
+            pdf.save(`shipping_documents_${stamp}.pdf`);
+        }
+        setIsGenerating(false);
+        onComplete?.({ printed: entries.length, failed });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/30 backdrop-blur-[2px] flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-2xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 lg:p-5 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <h3 className="text-lg sm:text-xl lg:text-2xl font-bold text-gray-900">
+                        Print Packing Slips & Labels
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                        disabled={isGenerating}
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Body */}
+                <div className="flex-1 overflow-y-auto p-4 sm:p-6">
+                    <div className="mb-4">
+                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                            Documents
+                        </label>
+                        <select
+                            value={documentType}
+                            onChange={(e) => setDocumentType(e.target.value)}
+                            disabled={isGenerating}
+                            className="w-full px-4 py-2.5 border rounded-lg transition-all duration-200 focus:ring-2 bg-white text-sm lg:text-base border-gray-300 hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]"
+                        >
+                            {documentOptions.map((opt) => (
+                                <option key={opt.value} value={opt.value}>
+                                    {opt.label}
+                                </option>
+                            ))}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1.5">
+                            {printable.length} of {orders?.length || 0} selected orders are confirmed or shipping.
+                            {skipped > 0 && ` ${skipped} other order${skipped !== 1 ? "s" : ""} will be skipped.`}
+                        </p>
+                    </div>
+
+                    {isGenerating && (
+                        <div className="mb-4">
+                            <div className="flex justify-between text-xs text-gray-600 mb-1">
+                                <span>Loading order items...</span>
+                                <span>{progress} / {printable.length}</span>
+                            </div>
+                            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div
+                                    className="h-full bg-gradient-to-r from-[#E9A319] to-[#A86523] transition-all duration-300"
+                                    style={{ width: `${printable.length ? (progress / printable.length) * 100 : 0}%` }}
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    {failures.length > 0 && (
+                        <div className="mb-4 rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+                            <p className="font-semibold mb-1">Not included:</p>
+                            {failures.map(({ order, message }) => (
+                                <p key={order._id} className="text-xs">{formatOrderId(order._id)}: {message}</p>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="border rounded-lg divide-y" style={{ borderColor: '#A86523' }}>
+                        {(orders || []).map((order) => {
+                            const isPrintable = PRINTABLE_STATUSES.includes(order.order_status);
+                            return (
+                                <div key={order._id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                                    <div className="min-w-0">
+                                        <span className="font-medium text-gray-900" title={order._id}>{formatOrderId(order._id)}</span>
+                                        <span className="ml-2 text-gray-500 truncate">
+                                            {order.name || order.acc_id?.name || order.acc_id?.username || "Guest"}
+                                        </span>
+                                        <p className="text-xs text-gray-500 truncate">{order.addressReceive || "No delivery address"}</p>
+                                    </div>
+                                    <span className={`shrink-0 px-2.5 py-1 rounded-full text-xs font-semibold ${isPrintable ? "bg-blue-100 text-blue-800" : "bg-gray-100 text-gray-600"}`}>
+                                        {isPrintable ? getStatusLabel(order.order_status) : "Skipped"}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {/* Modal Footer */}
+                <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-end gap-3 sm:gap-4 p-3 sm:p-4 lg:p-5 border-t shrink-0" style={{ borderColor: '#A86523' }}>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-5 py-2.5 text-gray-700 hover:text-gray-900 hover:bg-gray-50 rounded-lg transition-all duration-200 font-medium text-sm lg:text-base focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        disabled={isGenerating}
+                    >
+                        Close
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleGenerate}
+                        disabled={isGenerating || printable.length === 0}
+                        className="px-6 py-2.5 text-white rounded-lg transition-all duration-200 shadow-md hover:shadow-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed text-sm lg:text-base focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:hover:shadow-md bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:hover:from-[#E9A319] disabled:hover:to-[#A86523]"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                    >
+                        {isGenerating ? (
+                            <div className="flex items-center justify-center space-x-2">
+                                <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
+                                <span>Generating...</span>
+                            </div>
+                        ) : (
+                            `Generate PDF for ${printable.length} order${printable.length !== 1 ? "s" : ""}`
+                        )}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShippingDocumentsModal;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Notifications as NotificationsIcon } from "@mui/icons-material";
+import { useStockAlerts } from "../hooks/useStockAlerts";
+import { getAlertVariantLink } from "../utils/stockUtils";
+
+const MAX_VISIBLE = 8;
+
+// dd/MM HH:mm
+const formatShortDateTime = (dateStr) => {
+    if (!dateStr) return "";
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return "";
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getDate())}/${pad(d.getMonth() + 1)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Header bell with the unread low-stock alerts; each alert opens its variant
+const StockAlertBell = () => {
+    const { alerts, unreadCount, markRead, markAllRead } = useStockAlerts();
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleClickOutside = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) setIsOpen(false);
+        };
+        const handleKeyDown = (event) => {
+            if (event.key === "Escape") setIsOpen(false);
+        };
+        document.addEventListener("mousedown", handleClickOutside);
+        document.addEventListener("keydown", handleKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", handleClickOutside);
+            document.removeEventListener("keydown", handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const handleOpenAlert = (alert) => {
+        markRead(alert._id);
+        setIsOpen(false);
+        navigate(getAlertVariantLink(alert));
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setIsOpen((open) => !open)}
+                className="relative p-2 bg-white rounded-full shadow-md border hover:bg-[#FCEFCB] transition-colors duration-200"
+                style={{ borderColor: '#A86523' }}
+                aria-label={`Stock alerts${unreadCount > 0 ? ` (${unreadCount} unread)` : ""}`}
+                aria-expanded={isOpen}
+            >
+                <NotificationsIcon sx={{ fontSize: 22, color: '#A86523' }} />
+                {unreadCount > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+                        {unreadCount > 99 ? "99+" : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 z-50 bg-white rounded-xl shadow-2xl border-2 overflow-hidden" style={{ borderColor: '#A86523' }}>
+                    <div className="flex items-center justify-between px-4 py-3 border-b" style={{ borderColor: '#A86523' }}>
+                        <p className="text-sm font-semibold text-gray-900">Stock Alerts</p>
+                        <button
+                            type="button"
+                            onClick={markAllRead}
+                            disabled={unreadCount === 0}
+                            className="text-xs font-medium hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline"
+                            style={{ color: '#A86523' }}
+                        >
+                            Mark all read
+                        </button>
+                    </div>
+                    {alerts.length === 0 ? (
+                        <p className="px-4 py-6 text-center text-sm text-gray-500">No stock alerts</p>
+                    ) : (
+                        <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                            {alerts.slice(0, MAX_VISIBLE).map((alert) => (
+                                <li key={alert._id}>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleOpenAlert(alert)}
+                                        className={`w-full text-left px-4 py-2.5 hover:bg-amber-50 transition-colors ${alert.isRead ? "" : "bg-amber-50/60"}`}
+                                    >
+                                        <div className="flex items-start gap-2">
+                                            {!alert.isRead && <span className="mt-1.5 w-2 h-2 rounded-full bg-red-600 shrink-0" aria-hidden="true" />}
+                                            <div className="min-w-0">
+                                                <p className="text-sm font-medium text-gray-900 truncate">{alert.title}</p>
+                                                <p className="text-xs text-gray-600 line-clamp-2">{alert.message}</p>
+                                                <p className="text-[11px] text-gray-400 mt-0.5">{formatShortDateTime(alert.createdAt)}</p>
+                                            </div>
+                                        </div>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <Link
+                        to="/notifications?tab=alerts"
+                        onClick={() => setIsOpen(false)}
+                        className="block px-4 py-2.5 text-center text-sm font-medium border-t hover:bg-[#FCEFCB] transition-colors"
+                        style={{ borderColor: '#A86523', color: '#A86523' }}
+                    >
+                        View all alerts
+                    </Link>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StockAlertBell;
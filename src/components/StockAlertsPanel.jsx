@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import Loading from "./Loading";
+import { useStockAlerts } from "../hooks/useStockAlerts";
+import { getAlertVariantLink } from "../utils/stockUtils";
+
+// dd/MM/yyyy HH:mm
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return "";
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return "";
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Full list of low-stock alerts for the Notifications page
+const StockAlertsPanel = () => {
+    const { alerts, unreadCount, loading, refresh, markRead, markAllRead } = useStockAlerts();
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const navigate = useNavigate();
+
+    const visibleAlerts = unreadOnly ? alerts.filter((a) => !a.isRead) : alerts;
+
+    const handleViewVariant = (alert) => {
+        markRead(alert._id);
+        navigate(getAlertVariantLink(alert));
+    };
+
+    return (
+        <div className="backdrop-blur-xl rounded-xl border overflow-hidden" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(251, 191, 36, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}>
+            <div className="backdrop-blur-sm border-b px-4 lg:px-6 py-3 lg:py-4 flex flex-wrap items-center justify-between gap-2" style={{ borderColor: '#A86523' }}>
+                <h2 className="text-lg lg:text-xl font-semibold text-gray-800">
+                    Stock Alerts
+                    {unreadCount > 0 && <span className="ml-2 text-sm font-medium text-red-600">{unreadCount} unread</span>}
+                </h2>
+                <div className="flex items-center gap-3">
+                    <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={unreadOnly}
+                            onChange={(e) => setUnreadOnly(e.target.checked)}
+                            className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+                        />
+                        Unread only
+                    </label>
+                    <button
+                        type="button"
+                        onClick={refresh}
+                        disabled={loading}
+                        className="text-sm font-medium text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                    >
+                        Refresh
+                    </button>
+                    <button
+                        type="button"
+                        onClick={markAllRead}
+                        disabled={unreadCount === 0}
+                        className="text-sm font-medium hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline"
+                        style={{ color: '#A86523' }}
+                    >
+                        Mark all read
+                    </button>
+                </div>
+            </div>
+
+            {loading && alerts.length === 0 ? (
+                <div className="p-6">
+                    <Loading type="page" size="medium" message="Loading stock alerts..." />
+                </div>
+            ) : visibleAlerts.length === 0 ? (
+                <p className="p-6 text-center text-sm text-gray-500">
+                    {unreadOnly ? "No unread stock alerts" : "No stock alerts. Variants that drop to their low-stock threshold show up here."}
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {visibleAlerts.map((alert) => (
+                        <li
+                            key={alert._id}
+                            className={`flex flex-wrap items-start justify-between gap-3 px-4 lg:px-6 py-3 lg:py-4 ${alert.isRead ? "" : "bg-amber-50/60"}`}
+                        >
+                            <div className="flex items-start gap-2 min-w-0 flex-1">
+                                {!alert.isRead && <span className="mt-2 w-2 h-2 rounded-full bg-red-600 shrink-0" aria-hidden="true" />}
+                                <div className="min-w-0">
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <h3 className="font-semibold text-gray-900">{alert.title}</h3>
+                                        <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${alert.available > 0 ? "bg-amber-100 text-amber-800" : "bg-red-100 text-red-800"}`}>
+                                            {alert.available > 0 ? "Low stock" : "Out of stock"}
+                                        </span>
+                                    </div>
+                                    <p className="text-sm text-gray-600 mt-1">{alert.message}</p>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {alert.available != null && `${alert.available} available`}
+                                        {alert.threshold != null && ` · threshold ${alert.threshold}`}
+                                        {" · "}{formatDateTime(alert.createdAt)}
+                                    </p>
+                                </div>
+                            </div>
+                            <div className="flex items-center gap-3 shrink-0">
+                                {!alert.isRead && (
+                                    <button
+                                        type="button"
+                                        onClick={() => markRead(alert._id)}
+                                        className="text-sm font-medium text-gray-600 hover:text-gray-800"
+                                    >
+                                        Mark read
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    onClick={() => handleViewVariant(alert)}
+                                    className="px-3 py-1.5 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-300 bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+                                >
+                                    View variant
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default StockAlertsPanel;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback, useContext } from "react";
+import Api from "../common/SummaryAPI";
+import Loading from "./Loading";
+import { ToastContext } from "../context/ToastContext";
+import {
+    STOCK_MOVEMENT_REASONS,
+    formatStockDelta,
+    getAvailableStock,
+    getMovementActorName,
+    getMovementReasonLabel,
+} from "../utils/stockUtils";
+
+const PAGE_SIZE = 20;
+
+// dd/MM/yyyy HH:mm
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return "N/A";
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return "N/A";
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const getVariantTitle = (variant) => {
+    const options = [variant?.productColorId?.color_name, variant?.productSizeId?.size_name].filter(Boolean).join(' - ');
+    return `${variant?.productId?.productName || 'Unknown product'}${options ? ` (${options})` : ''}`;
+};
+
+const EMPTY_ADJUSTMENT = { delta: '', note: '' };
+
+// Stock ledger for one variant, newest first, with a form for manual adjustments.
+// onStockAdjusted(variantId, stockQuantity) lets the parent update its list without a refetch.
+const StockHistoryModal = ({ isOpen, onClose, variant, reserved = 0, onStockAdjusted }) => {
+    const { showToast } = useContext(ToastContext);
+    const [movements, setMovements] = useState([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const [reasonFilter, setReasonFilter] = useState("all");
+    const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+    const [adjusting, setAdjusting] = useState(false);
+    const [stockQuantity, setStockQuantity] = useState(variant?.stockQuantity || 0);
+
+    const variantId = variant?._id;
+
+    const fetchMovements = useCallback(async (pageToLoad) => {
+        if (!variantId) return;
+        setLoading(true);
+        setError("");
+        try {
+            const params = { variantId, page: pageToLoad, limit: PAGE_SIZE };
+            if (reasonFilter !== "all") params.reason = reasonFilter;
+            const response = await Api.inventory.getMovements(params);
+            const pageData = Array.isArray(response?.data) ? response.data : [];
+            const pagination = response?.pagination || {};
+            const total = pagination.totalItems ?? pagination.total;
+            setMovements((prev) => (pageToLoad === 1 ? pageData : [...prev, ...pageData]));
+            setHasMore(total !== undefined ? pageToLoad * PAGE_SIZE < total : pageData.length === PAGE_SIZE);
+            setPage(pageToLoad);
+        } catch (err) {
+            setError(err?.response?.data?.message || err.message || "Failed to load stock history");
+        } finally {
+            setLoading(false);
+        }
+    }, [variantId, reasonFilter]);
+
+    useEffect(() => {
+        if (isOpen) fetchMovements(1);
+    }, [isOpen, fetchMovements]);
+
+    useEffect(() => {
+        if (isOpen) {
+            setStockQuantity(variant?.stockQuantity || 0);
+            setAdjustment(EMPTY_ADJUSTMENT);
+        }
+    }, [isOpen, variant]);
+
+    const handleClose = () => {
+        setReasonFilter("all");
+        setMovements([]);
+        setError("");
+        onClose();
+    };
+
+    const delta = Math.trunc(Number(adjustment.delta) || 0);
+
+    const handleAdjust = async () => {
+        if (delta === 0) {
+            showToast("Enter a non-zero quantity to add or remove", "error");
+            return;
+        }
+        if (!adjustment.note.trim()) {
+            showToast("A reason is required for manual adjustments", "error");
+            return;
+        }
+        if (stockQuantity + delta < 0) {
+            showToast(`Cannot remove more than the ${stockQuantity} unit${stockQuantity !== 1 ? 's' : ''} on hand`, "error");
+            return;
+        }
+
+        setAdjusting(true);
+        try {
+            const response = await Api.newVariants.adjustStock(variantId, {
+                delta,
+                reason: "manual_adjustment",
+                note: adjustment.note.trim(),
+            });
+            const nextQuantity = response?.data?.stockQuantity ?? stockQuantity + delta;
+            setStockQuantity(nextQuantity);
+            setAdjustment(EMPTY_ADJUSTMENT);
+            onStockAdjusted?.(variantId, nextQuantity);
+            showToast(`Stock adjusted by ${formatStockDelta(delta)}`, "success");
+            fetchMovements(1);
+        } catch (err) {
+            showToast(err?.response?.data?.message || err.message || "Failed to adjust stock", "error");
+        } finally {
+            setAdjusting(false);
+        }
+    };
+
+    if (!isOpen || !variant) return null;
+
+    const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-offset-1 transition-all duration-200";
+    const available = getAvailableStock({ stockQuantity }, reserved);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-3xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <div className="min-w-0">
+                        <h3 className="text-base sm:text-lg font-bold text-gray-900">Stock History</h3>
+                        <p className="text-xs sm:text-sm text-gray-600 truncate">{getVariantTitle(variant)}</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleClose}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Modal Content */}
+                <div className="p-4 sm:p-5 flex-1 overflow-y-auto space-y-4">
+                    <div className="grid grid-cols-3 gap-3 text-center">
+                        <div className="rounded-lg border border-gray-200 p-2">
+                            <p className="text-xs text-gray-500">On hand</p>
+                            <p className="text-lg font-bold text-gray-900">{stockQuantity}</p>
+                        </div>
+                        <div className="rounded-lg border border-gray-200 p-2">
+                            <p className="text-xs text-gray-500">Reserved</p>
+                            <p className="text-lg font-bold text-gray-900">{reserved}</p>
+                        </div>
+                        <div className="rounded-lg border border-gray-200 p-2">
+                            <p className="text-xs text-gray-500">Available</p>
+                            <p className="text-lg font-bold" style={{ color: '#A86523' }}>{available}</p>
+                        </div>
+                    </div>
+
+                    {/* Manual adjustment */}
+                    <div className={`rounded-lg border p-3 ${adjusting ? 'opacity-50 pointer-events-none' : ''}`} style={{ borderColor: '#A86523' }}>
+                        <p className="text-sm font-semibold text-gray-900 mb-2">Manual adjustment</p>
+                        <div className="flex flex-col sm:flex-row gap-2">
+                            <input
+                                type="number"
+                                step={1}
+                                value={adjustment.delta}
+                                onChange={(e) => setAdjustment((prev) => ({ ...prev, delta: e.target.value }))}
+                                placeholder="+10 or -3"
+                                className={`${inputClass} sm:w-32`}
+                                style={{ '--tw-ring-color': '#A86523' }}
+                                aria-label="Quantity to add or remove"
+                            />
+                            <input
+                                type="text"
+                                value={adjustment.note}
+                                onChange={(e) => setAdjustment((prev) => ({ ...prev, note: e.target.value }))}
+                                placeholder="Reason, e.g. stock count correction"
+                                maxLength={200}
+                                className={`${inputClass} flex-1`}
+                                style={{ '--tw-ring-color': '#A86523' }}
+                                aria-label="Adjustment reason"
+                            />
+                            <button
+                                type="button"
+                                onClick={handleAdjust}
+                                disabled={adjusting || delta === 0}
+                                className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+                                style={{ backgroundColor: '#E9A319' }}
+                                onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
+                                onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                            >
+                                {adjusting ? 'Saving...' : 'Apply'}
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Ledger */}
+                    <div>
+                        <div className="flex items-center justify-between gap-2 mb-2">
+                            <p className="text-sm font-semibold text-gray-900">Movements</p>
+                            <select
+                                value={reasonFilter}
+                                onChange={(e) => setReasonFilter(e.target.value)}
+                                className="px-2 py-1.5 border border-gray-300 rounded-lg text-xs sm:text-sm"
+                                aria-label="Filter by reason"
+                            >
+                                <option value="all">All reasons</option>
+                                {Object.entries(STOCK_MOVEMENT_REASONS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {error ? (
+                            <div className="text-center py-6">
+                                <p className="text-sm text-red-600 mb-2">{error}</p>
+                                <button
+                                    type="button"
+                                    onClick={() => fetchMovements(1)}
+                                    className="text-sm font-medium hover:underline"
+                                    style={{ color: '#A86523' }}
+                                >
+                                    Retry
+                                </button>
+                            </div>
+                        ) : movements.length === 0 && loading ? (
+                            <Loading type="inline" size="medium" message="Loading stock history..." className="py-6" />
+                        ) : movements.length === 0 ? (
+                            <p className="text-center text-sm text-gray-500 py-6">No stock movements recorded</p>
+                        ) : (
+                            <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                                <table className="w-full min-w-[600px] text-sm">
+                                    <thead className="bg-gray-50 text-xs text-gray-600 uppercase">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left">Date</th>
+                                            <th className="px-3 py-2 text-right">Change</th>
+                                            <th className="px-3 py-2 text-right">After</th>
+                                            <th className="px-3 py-2 text-left">Reason</th>
+                                            <th className="px-3 py-2 text-left">By</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {movements.map((movement, index) => (
+                                            <tr key={movement._id || index}>
+                                                <td className="px-3 py-2 text-gray-700 whitespace-nowrap">{formatDateTime(movement.createdAt)}</td>
+                                                <td className={`px-3 py-2 text-right font-semibold ${movement.delta < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                                                    {formatStockDelta(movement.delta)}
+                                                </td>
+                                                <td className="px-3 py-2 text-right text-gray-900">{movement.stockAfter ?? '—'}</td>
+                                                <td className="px-3 py-2 text-gray-900">
+                                                    {getMovementReasonLabel(movement.reason)}
+                                                    {movement.orderId && (
+                                                        <span className="ml-1 text-xs font-mono text-gray-500">#{String(movement.orderId?._id || movement.orderId).slice(-8).toUpperCase()}</span>
+                                                    )}
+                                                    {movement.note && <p className="text-xs text-gray-500">{movement.note}</p>}
+                                                </td>
+                                                <td className="px-3 py-2 text-gray-700 whitespace-nowrap">{getMovementActorName(movement)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        {hasMore && !error && (
+                            <div className="text-center mt-3">
+                                <button
+                                    type="button"
+                                    onClick={() => fetchMovements(page + 1)}
+                                    disabled={loading}
+                                    className="px-4 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-amber-50 hover:border-amber-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                                >
+                                    {loading ? 'Loading...' : 'Load more'}
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StockHistoryModal;
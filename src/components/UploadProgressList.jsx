@@ -0,0 +1,64 @@
+import React from "react";
+import { formatFileSize } from "../utils/imagePipeline";
+
+const STATUS_LABELS = {
+    processing: "Optimizing...",
+    uploading: "Uploading",
+    retrying: "Retrying...",
+    done: "Uploaded",
+    failed: "Failed",
+    cancelled: "Cancelled",
+};
+
+const ACTIVE_STATUSES = ["processing", "uploading", "retrying"];
+
+// Per-file rows for useImageUpload items, with cancel while running and retry after a failure
+const UploadProgressList = ({ items, onCancel, onRetry, className = "" }) => {
+    if (!items || items.length === 0) return null;
+
+    return (
+        <ul className={`space-y-2 ${className}`}>
+            {items.map((item) => {
+                const active = ACTIVE_STATUSES.includes(item.status);
+                return (
+                    <li key={item.id} className="rounded-lg border border-gray-200 bg-white px-3 py-2 text-xs">
+                        <div className="flex items-center justify-between gap-2">
+                            <span className="font-medium text-gray-800 truncate" title={item.name}>{item.name}</span>
+                            <div className="flex items-center gap-2 shrink-0">
+                                <span className="text-gray-500">
+                                    {formatFileSize(item.originalSize)}
+                                    {item.size ? ` → ${formatFileSize(item.size)}` : ""}
+                                </span>
+                                <span className={item.status === "failed" ? "text-red-600 font-medium" : item.status === "done" ? "text-green-700 font-medium" : "text-gray-600"}>
+                                    {STATUS_LABELS[item.status]}{item.status === "uploading" ? ` ${item.progress}%` : ""}
+                                </span>
+                                {active && onCancel && (
+                                    <button type="button" onClick={() => onCancel(item.id)} className="font-medium text-gray-500 hover:text-red-600 hover:underline">
+                                        Cancel
+                                    </button>
+                                )}
+                                {(item.status === "failed" || item.status === "cancelled") && onRetry && (
+                                    <button type="button" onClick={() => onRetry(item.id)} className="font-medium hover:underline" style={{ color: "#A86523" }}>
+                                        Retry
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                        <div className="mt-1.5 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                            <div
+                                className={`h-full transition-all duration-300 ${item.status === "failed" ? "bg-red-500" : item.status === "done" ? "bg-green-500" : ""}`}
+                                style={{
+                                    width: `${item.status === "failed" || item.status === "done" ? 100 : item.progress}%`,
+                                    backgroundColor: active ? "#E9A319" : undefined,
+                                }}
+                            />
+                        </div>
+                        {item.error && <p className="mt-1 text-red-600">{item.error}</p>}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default UploadProgressList;
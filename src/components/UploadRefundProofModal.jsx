@@ -1,21 +1,67 @@
-import React, { useState, useCallback } from "react";
-import Api from "../common/SummaryAPI";
+import React, { useState, useCallback, useMemo } from "react";
 import Loading from "./Loading";
+import UploadProgressList from "./UploadProgressList";
+import { useImageUpload } from "../hooks/useImageUpload";
+import { checkImageFiles } from "../utils/imagePipeline";
+import {
+    REFUND_REASONS,
+    buildRefundItems,
+    getOrderTotal,
+    getRefundableAmount,
+    getRefundedAmount,
+    getRefundedQuantities,
+} from "../utils/refundUtils";
+
+const MAX_PROOFS = 5;
+
+const formatPrice = (price) => {
+    if (typeof price !== 'number' || isNaN(price)) return 'N/A';
+    return new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND' }).format(price);
+};
+
+const getVariantLabel = (detail) => {
+    const parts = [detail.variant?.color?.name, detail.variant?.size?.name].filter(Boolean);
+    return parts.length > 0 ? parts.join(' - ') : 'Standard';
+};
+
+// Turn an upload failure into a message the user can act on
+const getUploadErrorMessage = (uploadErr) => {
+    if (uploadErr.code === 'ERR_NETWORK' || uploadErr.message?.includes('Network Error') || !uploadErr.response) {
+        return "Failed to upload refund proof. Please try again later.";
+    } else if (uploadErr.response?.status === 500) {
+        return "Failed to upload refund proof. Server error - please try again later";
+    } else if (uploadErr.response?.status === 413) {
+        return "File too large - please choose a smaller image";
+    } else if (uploadErr.response?.status === 400) {
+        return uploadErr.response?.data?.message || "Invalid file format";
+    } else if (uploadErr.response?.data?.message) {
+        return uploadErr.response.data.message;
+    }
+    return uploadErr.message || "Failed to upload refund proof";
+};
 
+// Records one refund against an order: either selected line items or a free amount,
+// with a reason code and one or more proof images.
 const UploadRefundProofModal = ({
     isOpen,
     onClose,
-    currentProof,
-    onUpload,
+    order,
+    orderDetails = [],
+    onSubmit,
     isUploading,
     error: externalError,
     onImageClick
 }) => {
-    const [refundProofPreview, setRefundProofPreview] = useState(null);
-    const [selectedFile, setSelectedFile] = useState(null);
+    const [mode, setMode] = useState('items');
+    const [quantities, setQuantities] = useState({});
+    const [amountInput, setAmountInput] = useState('');
+    const [reason, setReason] = useState('');
+    const [note, setNote] = useState('');
+    const [proofs, setProofs] = useState([]);
     const [internalError, setInternalError] = useState(null);
     const [showConfirmModal, setShowConfirmModal] = useState(false);
     const [isUploadingLocal, setIsUploadingLocal] = useState(false);
+    const [uploadMessage, setUploadMessage] = useState('');
 
     // Use external error if provided, otherwise use internal error
     const error = externalError || internalError;
@@ -23,135 +69,137 @@ const UploadRefundProofModal = ({
     // Combined uploading state - show loading if either local or external is uploading
     const isUploadingCombined = isUploading || isUploadingLocal;
 
-    // Upload helper (single image)
-    const uploadSingleImage = useCallback(async (file) => {
-        if (!file) return '';
-        try {
-            const response = await Api.upload.image(file);
-
-            // Try different possible response structures
-            const imageUrl = response.data?.url ||
-                response.data?.data?.url ||
-                response.data?.imageUrl ||
-                response.data?.data?.imageUrl ||
-                response.data;
+    const hasItems = orderDetails.length > 0;
+    const activeMode = hasItems ? mode : 'amount';
+    const refundable = getRefundableAmount(order);
+    const refundedQuantities = useMemo(() => getRefundedQuantities(order), [order]);
+    const refundItems = useMemo(
+        () => buildRefundItems(order, orderDetails, quantities),
+        [order, orderDetails, quantities]
+    );
+    const amount = activeMode === 'items'
+        ? refundItems.reduce((sum, item) => sum + item.amount, 0)
+        : Math.round(Number(amountInput) || 0);
+
+    // First problem that blocks submitting, or null
+    const validationError = (() => {
+        if (amount <= 0) return activeMode === 'items' ? "Select at least one item to refund" : "Enter a refund amount";
+        if (amount > refundable) return `Refund cannot exceed the remaining ${formatPrice(refundable)}`;
+        if (!reason) return "Select a refund reason";
+        if (reason === 'other' && !note.trim()) return "Add a note explaining the refund";
+        if (proofs.length === 0) return "At least one refund proof is required";
+        return null;
+    })();
+
+    // Proofs are optimized and uploaded with progress; resubmitting only re-sends failed ones
+    const {
+        items: uploadItems,
+        uploadFiles,
+        retry: retryUpload,
+        cancel: cancelUpload,
+        forget: forgetUpload,
+        reset: resetUploads,
+    } = useImageUpload({ preset: "document" });
+
+    const handleQuantityChange = (detail, value) => {
+        const max = (detail.quantity || 0) - (refundedQuantities[detail._id] || 0);
+        const quantity = Math.min(max, Math.max(0, parseInt(value, 10) || 0));
+        setQuantities(prev => ({ ...prev, [detail._id]: quantity }));
+    };
 
-            if (!imageUrl) {
-                return '';
-            }
+    // Handle refund proof selection (several files at once)
+    const handleProofChange = async (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (picked.length === 0) return;
 
-            return imageUrl;
-        } catch (err) {
-            // Re-throw with more context
-            throw err;
+        const { accepted: files, rejected } = await checkImageFiles(picked, "document");
+        if (rejected.length > 0) {
+            setInternalError(rejected[0].message);
         }
-    }, []);
-
-    // Handle refund proof upload
-    const handleRefundProofChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            setSelectedFile(file);
-
-            // Create preview
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                setRefundProofPreview(e.target.result);
-            };
-            reader.readAsDataURL(file);
+        if (files.length === 0) return;
+
+        const room = MAX_PROOFS - proofs.length;
+        if (files.length > room) {
+            setInternalError(`You can attach up to ${MAX_PROOFS} proofs per refund`);
         }
+        const added = files.slice(0, Math.max(0, room)).map((file) => ({
+            id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2, 8)}`,
+            file,
+            preview: URL.createObjectURL(file),
+        }));
+        setProofs(prev => [...prev, ...added]);
     };
 
-    // Handle remove preview
-    const handleRemovePreview = () => {
-        setRefundProofPreview(null);
-        setSelectedFile(null);
-        // Reset file input
-        const fileInput = document.getElementById('refund-proof-upload');
-        if (fileInput) fileInput.value = '';
+    const handleRemoveProof = (id) => {
+        setProofs(prev => {
+            const removed = prev.find(p => p.id === id);
+            if (removed) {
+                URL.revokeObjectURL(removed.preview);
+                forgetUpload(removed.file);
+            }
+            return prev.filter(p => p.id !== id);
+        });
     };
 
-    // Handle upload button click - show confirmation first
-    const handleUploadClick = () => {
-        if (!selectedFile && !currentProof) {
+    const resetForm = () => {
+        proofs.forEach(p => URL.revokeObjectURL(p.preview));
+        resetUploads();
+        setMode('items');
+        setQuantities({});
+        setAmountInput('');
+        setReason('');
+        setNote('');
+        setProofs([]);
+        setInternalError(null);
+        setUploadMessage('');
+    };
+
+    // Handle submit button click - show confirmation first
+    const handleSubmitClick = () => {
+        if (validationError) {
+            setInternalError(validationError);
             return;
         }
-        // Show confirmation modal
+        setInternalError(null);
         setShowConfirmModal(true);
     };
 
-    // Handle confirmed upload
-    const handleConfirmUpload = async () => {
+    // Handle confirmed refund: upload every proof, then record the refund
+    const handleConfirmRefund = async () => {
         setShowConfirmModal(false);
-
-        // Set local loading state immediately
         setIsUploadingLocal(true);
         setInternalError(null);
 
-        if (!selectedFile && !currentProof) {
-            setIsUploadingLocal(false);
-            return;
-        }
-
         try {
-            let refundProofUrl = currentProof;
-
-            // Upload refund proof if provided
-            if (selectedFile) {
-                try {
-                    refundProofUrl = await uploadSingleImage(selectedFile);
-
-                    // Validate that upload was successful
-                    if (!refundProofUrl || refundProofUrl === '') {
-                        throw new Error("Failed to upload refund proof. Please try again.");
-                    }
-                } catch (uploadErr) {
-                    // Handle upload-specific errors
-                    console.error("Refund Proof Upload Error:", uploadErr);
-
-                    let uploadErrorMessage = "Failed to upload refund proof";
-
-                    // Check for network errors
-                    if (uploadErr.code === 'ERR_NETWORK' || uploadErr.message?.includes('Network Error') || !uploadErr.response) {
-                        uploadErrorMessage = "Failed to upload refund proof. Please try again later.";
-                    } else if (uploadErr.response?.status === 500) {
-                        uploadErrorMessage = "Failed to upload refund proof. Server error - please try again later";
-                    } else if (uploadErr.response?.status === 413) {
-                        uploadErrorMessage = "File too large - please choose a smaller image";
-                    } else if (uploadErr.response?.status === 400) {
-                        uploadErrorMessage = uploadErr.response?.data?.message || "Invalid file format";
-                    } else if (uploadErr.response?.data?.message) {
-                        uploadErrorMessage = uploadErr.response.data.message;
-                    } else if (uploadErr.message) {
-                        uploadErrorMessage = uploadErr.message;
-                    }
-
-                    // Re-throw with formatted message
-                    const error = new Error(uploadErrorMessage);
-                    error.code = uploadErr.code;
-                    error.response = uploadErr.response;
-                    throw error;
-                }
+            setUploadMessage(`Uploading ${proofs.length} proof${proofs.length !== 1 ? 's' : ''}...`);
+            const results = await uploadFiles(proofs.map(proof => proof.file));
+            const failed = results.find(result => !result.url);
+            if (failed) {
+                console.error("Refund Proof Upload Error:", failed.error);
+                // Request failures get the status-specific wording; cancels and unreadable files keep their own.
+                // axiosClient rejects with a plain copy of the axios error, so look for the response or
+                // network error code rather than isAxiosError.
+                const isRequestError = Boolean(failed.error?.response || ['ERR_NETWORK', 'ECONNABORTED'].includes(failed.error?.code));
+                throw new Error(isRequestError
+                    ? getUploadErrorMessage(failed.error)
+                    : failed.error?.message || "Failed to upload refund proof. Please try again.");
             }
-
-            // Validate that we have a refund proof URL
-            if (!refundProofUrl) {
-                throw new Error("Refund proof is required");
-            }
-
-            // Call parent's onUpload callback
-            await onUpload(refundProofUrl);
-
-            // Reset state on success
-            setRefundProofPreview(null);
-            setSelectedFile(null);
-            setInternalError(null);
-            setIsUploadingLocal(false);
-            const fileInput = document.getElementById('refund-proof-upload');
-            if (fileInput) fileInput.value = '';
+            const proofUrls = results.map(result => result.url);
+
+            setUploadMessage('Recording refund...');
+            await onSubmit({
+                amount,
+                reason,
+                note: note.trim(),
+                items: activeMode === 'items' ? refundItems : [],
+                proofs: proofUrls,
+            });
+
+            resetForm();
         } catch (err) {
             // Set internal error to display in modal
-            let errorMessage = "Failed to upload refund proof";
+            let errorMessage = "Failed to record refund";
 
             if (err?.response?.data?.message) {
                 errorMessage = err.response.data.message;
@@ -162,20 +210,18 @@ const UploadRefundProofModal = ({
             }
 
             setInternalError(errorMessage);
-            setIsUploadingLocal(false);
             // Don't re-throw, let user see the error and try again
+        } finally {
+            setIsUploadingLocal(false);
+            setUploadMessage('');
         }
     };
 
     // Reset state when modal closes
     const handleClose = () => {
-        setRefundProofPreview(null);
-        setSelectedFile(null);
-        setInternalError(null);
+        resetForm();
         setShowConfirmModal(false);
         setIsUploadingLocal(false);
-        const fileInput = document.getElementById('refund-proof-upload');
-        if (fileInput) fileInput.value = '';
         onClose();
     };
 
@@ -186,16 +232,18 @@ const UploadRefundProofModal = ({
 
     if (!isOpen) return null;
 
+    const inputClass = "w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:border-transparent";
+
     return (
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
-            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-md flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-2xl max-h-[90vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
                 {/* Modal Header */}
                 <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: '#A86523' }}>
                     <h3 className="text-base sm:text-lg font-bold text-gray-900 flex items-center">
                         <svg className="w-5 h-5 mr-2 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1" />
                         </svg>
-                        Upload Refund Proof
+                        Process Refund
                     </h3>
                     <button
                         type="button"
@@ -211,16 +259,17 @@ const UploadRefundProofModal = ({
                 </div>
 
                 {/* Modal Content */}
-                <div className="p-4 sm:p-5 relative">
+                <div className="p-4 sm:p-5 relative flex-1 overflow-y-auto">
                     {/* Loading Overlay */}
                     {isUploadingCombined && (
-                        <div className="absolute inset-0 bg-white/90 backdrop-blur-sm rounded-lg flex items-center justify-center z-10">
+                        <div className="absolute inset-0 bg-white/90 backdrop-blur-sm rounded-lg flex flex-col items-center justify-center z-10 p-4">
                             <Loading
                                 type="inline"
                                 size="medium"
-                                message="Uploading refund proof..."
-                                subMessage="Please wait while we process your file"
+                                message={uploadMessage || "Processing refund..."}
+                                subMessage="Please wait while we process your files"
                             />
+                            <UploadProgressList items={uploadItems} onCancel={cancelUpload} className="mt-4 w-full max-w-md" />
                         </div>
                     )}
 
@@ -236,110 +285,230 @@ const UploadRefundProofModal = ({
                         </div>
                     )}
 
-                    <div className={isUploadingCombined ? 'opacity-50 pointer-events-none' : ''}>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Refund Proof
-                            {currentProof && (
-                                <span className="text-xs text-green-600 ml-2">
-                                    (Current proof available)
-                                </span>
-                            )}
-                        </label>
-
-                        {/* Hidden file input */}
-                        <input
-                            type="file"
-                            accept="image/*"
-                            onChange={handleRefundProofChange}
-                            required
-                            className="hidden"
-                            id="refund-proof-upload"
-                        />
-
-                        {/* Upload Button */}
-                        {!refundProofPreview && (
-                            <label
-                                htmlFor="refund-proof-upload"
-                                className="flex flex-col items-center justify-center w-full h-40 border-2 border-dashed rounded-lg cursor-pointer transition-all duration-200 bg-white hover:bg-gray-50 border-gray-300"
-                            >
-                                <svg
-                                    className="w-8 h-8 mb-2 text-gray-400"
-                                    fill="none"
-                                    stroke="currentColor"
-                                    viewBox="0 0 24 24"
-                                >
-                                    <path
-                                        strokeLinecap="round"
-                                        strokeLinejoin="round"
-                                        strokeWidth={2}
-                                        d="M12 4v16m8-8H4"
-                                    />
-                                </svg>
-                                <p className="text-sm font-medium text-gray-600">
-                                    Upload
-                                </p>
-                            </label>
-                        )}
+                    <div className={`space-y-4 ${isUploadingCombined ? 'opacity-50 pointer-events-none' : ''}`}>
+                        {/* Amounts */}
+                        <div className="grid grid-cols-3 gap-2 text-center">
+                            <div className="p-2 rounded-lg bg-gray-50 border border-gray-200">
+                                <p className="text-xs text-gray-500">Paid</p>
+                                <p className="text-sm font-semibold text-gray-900">{formatPrice(getOrderTotal(order))}</p>
+                            </div>
+                            <div className="p-2 rounded-lg bg-gray-50 border border-gray-200">
+                                <p className="text-xs text-gray-500">Already refunded</p>
+                                <p className="text-sm font-semibold text-gray-900">{formatPrice(getRefundedAmount(order))}</p>
+                            </div>
+                            <div className="p-2 rounded-lg border" style={{ backgroundColor: '#FFF7E6', borderColor: '#E9A319' }}>
+                                <p className="text-xs text-gray-500">Remaining</p>
+                                <p className="text-sm font-semibold" style={{ color: '#A86523' }}>{formatPrice(refundable)}</p>
+                            </div>
+                        </div>
 
-                        {/* Preview of new upload */}
-                        {refundProofPreview && (
-                            <div className="mt-2">
-                                <p className="text-sm text-gray-600 mb-2">Preview:</p>
-                                <div className="relative inline-block">
-                                    <img
-                                        src={refundProofPreview}
-                                        alt="Refund proof preview"
-                                        className="w-40 h-40 object-cover rounded-lg border border-gray-300 cursor-pointer hover:opacity-80 transition-opacity"
-                                        onClick={() => onImageClick && onImageClick(refundProofPreview, 'Refund proof preview')}
-                                    />
+                        {/* Mode */}
+                        {hasItems && (
+                            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm font-medium">
+                                {[
+                                    { value: 'items', label: 'By items' },
+                                    { value: 'amount', label: 'By amount' },
+                                ].map((option) => (
                                     <button
+                                        key={option.value}
                                         type="button"
-                                        onClick={handleRemovePreview}
-                                        className="absolute top-2 right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center text-xs hover:bg-red-600 transition-colors"
-                                        title="Remove preview"
+                                        onClick={() => setMode(option.value)}
+                                        className={`flex-1 px-3 py-2 transition-colors duration-200 ${activeMode === option.value ? 'text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                                        style={activeMode === option.value ? { backgroundColor: '#E9A319' } : undefined}
                                     >
-                                        ×
+                                        {option.label}
                                     </button>
-                                </div>
+                                ))}
                             </div>
                         )}
 
-                        {/* Current proof (if exists and no new preview) */}
-                        {currentProof && !refundProofPreview && (
-                            <div className="mt-2">
-                                <p className="text-sm text-gray-600 mb-2">Current proof:</p>
-                                <img
-                                    src={currentProof}
-                                    alt="Current refund proof"
-                                    className="w-40 h-40 object-cover rounded-lg border border-gray-300 cursor-pointer hover:opacity-80 transition-opacity"
-                                    onClick={() => onImageClick && onImageClick(currentProof, 'Current refund proof')}
+                        {activeMode === 'items' ? (
+                            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Item</th>
+                                            <th className="px-3 py-2 text-center text-xs font-semibold text-gray-700 uppercase tracking-wider">Refundable</th>
+                                            <th className="px-3 py-2 text-center text-xs font-semibold text-gray-700 uppercase tracking-wider">Refund Qty</th>
+                                            <th className="px-3 py-2 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Amount</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {orderDetails.map((detail) => {
+                                            const remainingQty = (detail.quantity || 0) - (refundedQuantities[detail._id] || 0);
+                                            const item = refundItems.find(i => i.detailId === detail._id);
+                                            return (
+                                                <tr key={detail._id} className={remainingQty <= 0 ? 'opacity-50' : ''}>
+                                                    <td className="px-3 py-2">
+                                                        <p className="font-medium text-gray-900">{detail.variant?.product?.name || 'Unknown product'}</p>
+                                                        <p className="text-xs text-gray-500">{getVariantLabel(detail)}</p>
+                                                    </td>
+                                                    <td className="px-3 py-2 text-center text-gray-700">{remainingQty} / {detail.quantity || 0}</td>
+                                                    <td className="px-3 py-2 text-center">
+                                                        <input
+                                                            type="number"
+                                                            min={0}
+                                                            max={remainingQty}
+                                                            value={quantities[detail._id] || 0}
+                                                            onChange={(e) => handleQuantityChange(detail, e.target.value)}
+                                                            disabled={remainingQty <= 0}
+                                                            className="w-16 px-2 py-1 text-center border border-gray-300 rounded-lg focus:outline-none focus:ring-2 disabled:bg-gray-100"
+                                                            style={{ '--tw-ring-color': '#A86523' }}
+                                                            aria-label={`Refund quantity for ${detail.variant?.product?.name || 'item'}`}
+                                                        />
+                                                    </td>
+                                                    <td className="px-3 py-2 text-right font-medium text-gray-900">{item ? formatPrice(item.amount) : '—'}</td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                                <p className="px-3 py-2 text-xs text-gray-500 bg-gray-50">
+                                    Item amounts include their share of the order's voucher discount.
+                                </p>
+                            </div>
+                        ) : (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="refund-amount">Refund Amount (VND)</label>
+                                <input
+                                    id="refund-amount"
+                                    type="number"
+                                    min={0}
+                                    max={refundable}
+                                    value={amountInput}
+                                    onChange={(e) => setAmountInput(e.target.value)}
+                                    placeholder={`Up to ${refundable}`}
+                                    className={inputClass}
+                                    style={{ '--tw-ring-color': '#A86523' }}
                                 />
+                                <button
+                                    type="button"
+                                    onClick={() => setAmountInput(String(refundable))}
+                                    className="mt-1 text-xs font-medium hover:underline"
+                                    style={{ color: '#A86523' }}
+                                >
+                                    Refund the full remaining amount
+                                </button>
                             </div>
                         )}
+
+                        {/* Reason */}
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="refund-reason">Reason</label>
+                                <select
+                                    id="refund-reason"
+                                    value={reason}
+                                    onChange={(e) => setReason(e.target.value)}
+                                    className={inputClass}
+                                    style={{ '--tw-ring-color': '#A86523' }}
+                                >
+                                    <option value="">Select a reason</option>
+                                    {REFUND_REASONS.map((r) => (
+                                        <option key={r.value} value={r.value}>{r.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="refund-note">
+                                    Note {reason !== 'other' && <span className="text-gray-400 font-normal">(optional)</span>}
+                                </label>
+                                <input
+                                    id="refund-note"
+                                    type="text"
+                                    value={note}
+                                    onChange={(e) => setNote(e.target.value)}
+                                    maxLength={300}
+                                    placeholder="e.g. VNPAY transaction reference"
+                                    className={inputClass}
+                                    style={{ '--tw-ring-color': '#A86523' }}
+                                />
+                            </div>
+                        </div>
+
+                        {/* Proofs */}
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Refund Proofs
+                                <span className="text-xs text-gray-500 ml-2">({proofs.length}/{MAX_PROOFS})</span>
+                            </label>
+
+                            {/* Hidden file input */}
+                            <input
+                                type="file"
+                                accept="image/*"
+                                multiple
+                                onChange={handleProofChange}
+                                className="hidden"
+                                id="refund-proof-upload"
+                            />
+
+                            <div className="flex flex-wrap gap-3">
+                                {proofs.map((proof) => (
+                                    <div key={proof.id} className="relative">
+                                        <img
+                                            src={proof.preview}
+                                            alt="Refund proof preview"
+                                            className="w-24 h-24 object-cover rounded-lg border border-gray-300 cursor-pointer hover:opacity-80 transition-opacity"
+                                            onClick={() => onImageClick && onImageClick(proof.preview, 'Refund proof preview')}
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRemoveProof(proof.id)}
+                                            className="absolute top-1 right-1 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center text-xs hover:bg-red-600 transition-colors"
+                                            title="Remove proof"
+                                        >
+                                            ×
+                                        </button>
+                                    </div>
+                                ))}
+
+                                {/* Upload Button */}
+                                {proofs.length < MAX_PROOFS && (
+                                    <label
+                                        htmlFor="refund-proof-upload"
+                                        className="flex flex-col items-center justify-center w-24 h-24 border-2 border-dashed rounded-lg cursor-pointer transition-all duration-200 bg-white hover:bg-gray-50 border-gray-300"
+                                    >
+                                        <svg className="w-6 h-6 mb-1 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                                        </svg>
+                                        <p className="text-xs font-medium text-gray-600">Add</p>
+                                    </label>
+                                )}
+                            </div>
+                            {!isUploadingCombined && (
+                                <UploadProgressList items={uploadItems} onRetry={retryUpload} className="mt-3" />
+                            )}
+                        </div>
                     </div>
                 </div>
 
                 {/* Modal Footer */}
-                <div className={`flex items-center justify-end p-3 sm:p-4 border-t shrink-0 space-x-3 ${isUploadingCombined ? 'opacity-50 pointer-events-none' : ''}`} style={{ borderColor: '#A86523' }}>
-                    <button
-                        onClick={handleClose}
-                        disabled={isUploadingCombined}
-                        className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
-                    >
-                        Cancel
-                    </button>
-                    <button
-                        onClick={handleUploadClick}
-                        disabled={isUploadingCombined || (!selectedFile && !currentProof)}
-                        className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 shadow-sm hover:shadow-md"
-                        style={{ backgroundColor: '#E9A319' }}
-                        onMouseEnter={(e) => !isUploadingCombined && !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
-                        onMouseLeave={(e) => !isUploadingCombined && !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
-                    >
-                        <span>
-                            Upload
-                        </span>
-                    </button>
+                <div className={`flex items-center justify-between p-3 sm:p-4 border-t shrink-0 gap-3 ${isUploadingCombined ? 'opacity-50 pointer-events-none' : ''}`} style={{ borderColor: '#A86523' }}>
+                    <p className="text-sm text-gray-700">
+                        Refund: <span className="font-bold" style={{ color: '#A86523' }}>{formatPrice(amount)}</span>
+                    </p>
+                    <div className="flex items-center space-x-3">
+                        <button
+                            onClick={handleClose}
+                            disabled={isUploadingCombined}
+                            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleSubmitClick}
+                            disabled={isUploadingCombined || amount <= 0}
+                            className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 shadow-sm hover:shadow-md"
+                            style={{ backgroundColor: '#E9A319' }}
+                            onMouseEnter={(e) => !isUploadingCombined && !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
+                            onMouseLeave={(e) => !isUploadingCombined && !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                        >
+                            <span>
+                                Record Refund
+                            </span>
+                        </button>
+                    </div>
                 </div>
             </div>
 
@@ -372,10 +541,13 @@ const UploadRefundProofModal = ({
                         <div className="p-4 sm:p-5">
                             <div className="mb-4">
                                 <p className="text-sm sm:text-base text-gray-700 mb-3">
-                                    You are about to upload the refund proof. This action can only be performed <strong className="text-orange-600">once</strong> and cannot be undone.
+                                    You are about to record a refund of <strong className="text-orange-600">{formatPrice(amount)}</strong> with {proofs.length} proof{proofs.length !== 1 ? 's' : ''}.
+                                    Recorded refunds <strong className="text-orange-600">cannot be edited</strong> afterwards.
                                 </p>
                                 <p className="text-sm text-gray-600">
-                                    Are you sure you want to proceed with uploading the refund proof?
+                                    {amount >= refundable
+                                        ? "This covers the remaining amount, so the order will be marked as refunded."
+                                        : `${formatPrice(refundable - amount)} will remain to be refunded.`}
                                 </p>
                             </div>
                         </div>
@@ -389,7 +561,7 @@ const UploadRefundProofModal = ({
                                 Cancel
                             </button>
                             <button
-                                onClick={handleConfirmUpload}
+                                onClick={handleConfirmRefund}
                                 disabled={isUploadingCombined}
                                 className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 shadow-sm hover:shadow-md"
                                 style={{ backgroundColor: '#E9A319' }}
@@ -400,7 +572,7 @@ const UploadRefundProofModal = ({
                                     <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
                                 )}
                                 <span>
-                                    {isUploadingCombined ? 'Uploading...' : 'Confirm'}
+                                    {isUploadingCombined ? 'Processing...' : 'Confirm'}
                                 </span>
                             </button>
                         </div>
@@ -412,4 +584,3 @@ const UploadRefundProofModal = ({
 };
 
 export default UploadRefundProofModal;
-
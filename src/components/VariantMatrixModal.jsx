@@ -0,0 +1,527 @@
+// VariantMatrixModal.jsx - Colour × size grid editor for a product's variants
+import React, { useState, useCallback, useContext, useEffect, useMemo, useRef } from 'react';
+import { ToastContext } from '../context/ToastContext';
+import Api from '../common/SummaryAPI';
+import UploadProgressList from './UploadProgressList';
+import { useImageUpload } from '../hooks/useImageUpload';
+import { toVariantUpdatePayload } from '../utils/bulkEditUtils';
+import { checkImageFiles } from '../utils/imagePipeline';
+import {
+    MATRIX_MAX_STOCK,
+    buildMatrixCells,
+    createEmptyCell,
+    getCellErrors,
+    getCellKey,
+    isCellLocked,
+    planMatrixChanges,
+    summarizeMatrixChanges,
+} from '../utils/variantMatrix';
+import { toIdString } from '../utils/idUtils';
+
+const VariantMatrixModal = ({
+    isOpen,
+    onClose,
+    product,
+    variants = [],
+    colors = [],
+    sizes = [],
+    onSaved,
+}) => {
+    const { showToast } = useContext(ToastContext);
+
+    const [cells, setCells] = useState({});
+    const [colorIds, setColorIds] = useState([]);
+    const [sizeIds, setSizeIds] = useState([]);
+    const [rowImages, setRowImages] = useState({}); // colorId -> { file, preview } used by new cells without their own image
+    const [fill, setFill] = useState({ price: '', stock: '' });
+    const [showErrors, setShowErrors] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [progress, setProgress] = useState({ done: 0, total: 0 });
+    const previewUrlsRef = useRef([]);
+
+    // Pictures go through the shared pipeline; a second save only re-sends the ones that failed
+    const { items: uploadItems, uploadFiles, retry: retryUpload, cancel: cancelUpload, reset: resetUploads } = useImageUpload({ preset: 'product' });
+
+    // Rows and columns start with the colours and sizes the product already uses
+    useEffect(() => {
+        if (!isOpen) return;
+        const initialCells = buildMatrixCells(variants);
+        const usedColorIds = [...new Set(Object.values(initialCells).map((cell) => cell.colorId))];
+        const usedSizeIds = [...new Set(Object.values(initialCells).map((cell) => cell.sizeId))];
+        setCells(initialCells);
+        setColorIds(colors.filter((c) => usedColorIds.includes(toIdString(c._id))).map((c) => toIdString(c._id)));
+        setSizeIds(sizes.filter((s) => usedSizeIds.includes(toIdString(s._id))).map((s) => toIdString(s._id)));
+        setRowImages({});
+        setFill({ price: '', stock: '' });
+        setShowErrors(false);
+        setProgress({ done: 0, total: 0 });
+        resetUploads();
+        // Snapshot of the variants when the grid opens; a refresh behind it must not wipe edits
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isOpen]);
+
+    // Picture previews are released when the modal closes
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        return () => {
+            previewUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+            previewUrlsRef.current = [];
+        };
+    }, [isOpen]);
+
+    const getCell = useCallback(
+        (colorId, sizeId) => cells[getCellKey(colorId, sizeId)] || createEmptyCell(colorId, sizeId),
+        [cells]
+    );
+
+    const visibleCells = useMemo(() => {
+        const visible = {};
+        colorIds.forEach((colorId) => sizeIds.forEach((sizeId) => {
+            visible[getCellKey(colorId, sizeId)] = getCell(colorId, sizeId);
+        }));
+        // Existing variants outside the visible rows/columns are never touched
+        return visible;
+    }, [colorIds, sizeIds, getCell]);
+
+    const cellErrors = useMemo(() => {
+        const errors = {};
+        Object.entries(visibleCells).forEach(([key, cell]) => {
+            const cellError = getCellErrors(cell, rowImages[cell.colorId]?.file);
+            if (Object.keys(cellError).length > 0) errors[key] = cellError;
+        });
+        return errors;
+    }, [visibleCells, rowImages]);
+
+    const summary = useMemo(() => summarizeMatrixChanges(visibleCells), [visibleCells]);
+    const hasChanges = summary.created + summary.updated + summary.disabled > 0;
+
+    if (!isOpen) return null;
+
+    const updateCell = (colorId, sizeId, patch) => {
+        setCells((prev) => {
+            const key = getCellKey(colorId, sizeId);
+            const current = prev[key] || createEmptyCell(colorId, sizeId);
+            if (isCellLocked(current)) return prev;
+            return { ...prev, [key]: { ...current, ...patch } };
+        });
+    };
+
+    // Ticking a new combination pre-fills it from the fill bar so a whole row can be switched on quickly
+    const toggleCell = (colorId, sizeId, enabled) => {
+        const cell = getCell(colorId, sizeId);
+        const patch = { enabled };
+        if (enabled && !cell.variant) {
+            if (cell.price === '') patch.price = fill.price;
+            if (cell.stock === '') patch.stock = fill.stock;
+        }
+        updateCell(colorId, sizeId, patch);
+    };
+
+    const toggleRow = (colorId) => {
+        const rowCells = sizeIds.map((sizeId) => getCell(colorId, sizeId)).filter((cell) => !isCellLocked(cell));
+        const enable = !rowCells.every((cell) => cell.enabled);
+        rowCells.forEach((cell) => toggleCell(colorId, cell.sizeId, enable));
+    };
+
+    const toggleColumn = (sizeId) => {
+        const columnCells = colorIds.map((colorId) => getCell(colorId, sizeId)).filter((cell) => !isCellLocked(cell));
+        const enable = !columnCells.every((cell) => cell.enabled);
+        columnCells.forEach((cell) => toggleCell(cell.colorId, sizeId, enable));
+    };
+
+    const handleFillEnabled = () => {
+        if (fill.price === '' && fill.stock === '') return;
+        Object.values(visibleCells).forEach((cell) => {
+            if (!cell.enabled || isCellLocked(cell)) return;
+            updateCell(cell.colorId, cell.sizeId, {
+                ...(fill.price !== '' && { price: fill.price }),
+                ...(fill.stock !== '' && { stock: fill.stock }),
+            });
+        });
+    };
+
+    const createPreview = (file) => {
+        const url = URL.createObjectURL(file);
+        previewUrlsRef.current.push(url);
+        return url;
+    };
+
+    const readImageFile = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return null;
+        const { rejected } = await checkImageFiles([file], 'product');
+        if (rejected.length > 0) {
+            showToast(rejected[0].message, 'error');
+            return null;
+        }
+        return file;
+    };
+
+    const handleCellImageChange = async (colorId, sizeId, e) => {
+        const file = await readImageFile(e);
+        if (file) updateCell(colorId, sizeId, { imageFile: file, imagePreview: createPreview(file) });
+    };
+
+    const handleRowImageChange = async (colorId, e) => {
+        const file = await readImageFile(e);
+        if (file) setRowImages((prev) => ({ ...prev, [colorId]: { file, preview: createPreview(file) } }));
+    };
+
+    const getCellPreview = (cell) => {
+        if (cell.imagePreview) return cell.imagePreview;
+        if (cell.imageUrl) return cell.imageUrl;
+        if (!cell.variant && cell.enabled) return rowImages[cell.colorId]?.preview || '';
+        return '';
+    };
+
+    const handleSave = async () => {
+        if (!product?._id) return;
+        if (Object.keys(cellErrors).length > 0) {
+            setShowErrors(true);
+            showToast('Please check the highlighted cells', 'error');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            // Upload every new picture once, even when a row image is shared by several cells
+            const uploads = new Map();
+            const filesToUpload = new Set();
+            Object.values(visibleCells).forEach((cell) => {
+                if (!cell.enabled || isCellLocked(cell)) return;
+                if (cell.imageFile) filesToUpload.add(cell.imageFile);
+                else if (!cell.variant && !cell.imageUrl && rowImages[cell.colorId]) filesToUpload.add(rowImages[cell.colorId].file);
+            });
+            const files = [...filesToUpload];
+            const results = await uploadFiles(files);
+            if (results.some((result) => !result.url)) throw new Error('Image upload failed');
+            results.forEach((result, index) => uploads.set(files[index], result.url));
+            const getImageUrl = (cell) =>
+                (cell.imageFile && uploads.get(cell.imageFile))
+                || cell.imageUrl
+                || (!cell.variant && rowImages[cell.colorId] ? uploads.get(rowImages[cell.colorId].file) : '');
+
+            const { creates, updates, disables } = planMatrixChanges(visibleCells, getImageUrl);
+            const total = creates.length + updates.length + disables.length;
+            const failures = [];
+            let done = 0;
+            setProgress({ done, total });
+
+            const colorName = (id) => colors.find((c) => toIdString(c._id) === id)?.color_name || 'N/A';
+            const variantName = (variant) => `${variant.productColorId?.color_name || 'N/A'} / ${variant.productSizeId?.size_name || 'N/A'}`;
+            const errorMessage = (err) => err.response?.data?.message || err.message || 'Request failed';
+
+            // Sequential so the stock ledger and the failure list stay in order
+            for (const group of creates) {
+                try {
+                    await Api.newVariants.bulkCreate({ productId: product._id, ...group });
+                } catch (err) {
+                    failures.push(`${colorName(group.productColorId)}: ${errorMessage(err)}`);
+                }
+                setProgress({ done: ++done, total });
+            }
+            for (const { variant, changes, stockTarget } of updates) {
+                try {
+                    if (Object.keys(changes).length > 0) {
+                        await Api.newVariants.update(variant._id, toVariantUpdatePayload(variant, changes));
+                    }
+                    if (stockTarget !== null) {
+                        // Re-read the stock so sales made since the matrix was opened are not undone
+                        const fresh = await Api.newVariants.getById(variant._id);
+                        const currentStock = (fresh?.data || fresh)?.stockQuantity ?? variant.stockQuantity ?? 0;
+                        if (stockTarget !== currentStock) {
+                            await Api.newVariants.adjustStock(variant._id, {
+                                delta: stockTarget - currentStock,
+                                reason: 'manual_adjustment',
+                                note: 'Variant matrix',
+                            });
+                        }
+                    }
+                } catch (err) {
+                    failures.push(`${variantName(variant)}: ${errorMessage(err)}`);
+                }
+                setProgress({ done: ++done, total });
+            }
+            for (const variant of disables) {
+                try {
+                    await Api.newVariants.update(variant._id, toVariantUpdatePayload(variant, { variantStatus: 'inactive' }));
+                } catch (err) {
+                    failures.push(`${variantName(variant)}: ${errorMessage(err)}`);
+                }
+                setProgress({ done: ++done, total });
+            }
+
+            if (onSaved) onSaved();
+            if (failures.length === 0) {
+                showToast('Variants saved successfully', 'success');
+                onClose();
+            } else {
+                showToast(`${failures.length} change${failures.length !== 1 ? 's' : ''} failed. ${failures.slice(0, 3).join('; ')}`, 'error');
+            }
+        } catch (err) {
+            showToast(err.message || 'Failed to save variants', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const availableColors = colors.filter((c) => !c.isDeleted && !colorIds.includes(toIdString(c._id)));
+    const availableSizes = sizes.filter((s) => !s.isDeleted && !sizeIds.includes(toIdString(s._id)));
+    const colorById = (id) => colors.find((c) => toIdString(c._id) === id);
+    const sizeById = (id) => sizes.find((s) => toIdString(s._id) === id);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl border-2 w-full max-w-6xl max-h-[92vh] flex flex-col transform transition-all duration-300" style={{ borderColor: '#A86523' }}>
+                {/* Modal Header */}
+                <div className="flex items-center justify-between p-3 sm:p-4 border-b shrink-0" style={{ borderColor: '#A86523' }}>
+                    <div>
+                        <h3 className="text-base sm:text-lg font-bold text-gray-900">Variant Matrix</h3>
+                        <p className="text-xs text-gray-500">{product?.productName}</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={saving}
+                        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50"
+                        style={{ '--tw-ring-color': '#A86523' }}
+                        aria-label="Close modal"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Toolbar */}
+                <div className="flex flex-wrap items-end gap-3 p-3 sm:p-4 border-b shrink-0 bg-gray-50" style={{ borderColor: '#A86523' }}>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Add color</label>
+                        <select
+                            value=""
+                            onChange={(e) => e.target.value && setColorIds((prev) => [...prev, e.target.value])}
+                            disabled={saving || availableColors.length === 0}
+                            className="px-2 py-1.5 border rounded-lg text-sm border-gray-300 focus:outline-none focus:ring-2"
+                            style={{ '--tw-ring-color': '#A86523' }}
+                        >
+                            <option value="">Select color</option>
+                            {availableColors.map((c) => (
+                                <option key={c._id} value={toIdString(c._id)}>{c.color_name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Add size</label>
+                        <select
+                            value=""
+                            onChange={(e) => e.target.value && setSizeIds((prev) => [...prev, e.target.value])}
+                            disabled={saving || availableSizes.length === 0}
+                            className="px-2 py-1.5 border rounded-lg text-sm border-gray-300 focus:outline-none focus:ring-2"
+                            style={{ '--tw-ring-color': '#A86523' }}
+                        >
+                            <option value="">Select size</option>
+                            {availableSizes.map((s) => (
+                                <option key={s._id} value={toIdString(s._id)}>{s.size_name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex items-end gap-2 sm:ml-auto">
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Price (VND)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={fill.price}
+                                onChange={(e) => setFill((prev) => ({ ...prev, price: e.target.value }))}
+                                className="w-32 px-2 py-1.5 border rounded-lg text-sm border-gray-300 focus:outline-none focus:ring-2"
+                                style={{ '--tw-ring-color': '#A86523' }}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Stock</label>
+                            <input
+                                type="number"
+                                min="0"
+                                max={MATRIX_MAX_STOCK}
+                                value={fill.stock}
+                                onChange={(e) => setFill((prev) => ({ ...prev, stock: e.target.value }))}
+                                className="w-24 px-2 py-1.5 border rounded-lg text-sm border-gray-300 focus:outline-none focus:ring-2"
+                                style={{ '--tw-ring-color': '#A86523' }}
+                            />
+                        </div>
+                        <button
+                            type="button"
+                            onClick={handleFillEnabled}
+                            disabled={saving || (fill.price === '' && fill.stock === '')}
+                            className="px-3 py-1.5 text-sm font-medium rounded-lg border-2 bg-white hover:bg-amber-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            style={{ borderColor: '#A86523', color: '#A86523' }}
+                            title="Set price and/or stock on every ticked cell"
+                        >
+                            Fill ticked cells
+                        </button>
+                    </div>
+                </div>
+
+                {/* Grid */}
+                <div className="flex-1 overflow-auto p-3 sm:p-4">
+                    {colorIds.length === 0 || sizeIds.length === 0 ? (
+                        <p className="text-center text-sm text-gray-500 py-10">Add at least one color and one size to start the grid.</p>
+                    ) : (
+                        <table className="border-separate border-spacing-1 text-sm">
+                            <thead>
+                                <tr>
+                                    <th className="sticky left-0 bg-white z-10 min-w-[150px]" />
+                                    {sizeIds.map((sizeId) => (
+                                        <th key={sizeId} className="px-2 py-1 text-center font-semibold text-gray-800 min-w-[150px]">
+                                            <button
+                                                type="button"
+                                                onClick={() => toggleColumn(sizeId)}
+                                                disabled={saving}
+                                                className="hover:underline"
+                                                title="Tick or untick the whole column"
+                                            >
+                                                {sizeById(sizeId)?.size_name || 'N/A'}
+                                            </button>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {colorIds.map((colorId) => (
+                                    <tr key={colorId}>
+                                        <th className="sticky left-0 bg-white z-10 px-2 py-1 text-left align-top">
+                                            <button
+                                                type="button"
+                                                onClick={() => toggleRow(colorId)}
+                                                disabled={saving}
+                                                className="font-semibold text-gray-800 hover:underline"
+                                                title="Tick or untick the whole row"
+                                            >
+                                                {colorById(colorId)?.color_name || 'N/A'}
+                                            </button>
+                                            <label className="mt-1 flex items-center gap-1.5 text-xs font-normal cursor-pointer" style={{ color: '#A86523' }}>
+                                                {rowImages[colorId] ? (
+                                                    <img src={rowImages[colorId].preview} alt="" className="w-6 h-6 rounded object-cover border border-gray-200" />
+                                                ) : null}
+                                                <span className="hover:underline">{rowImages[colorId] ? 'Change row image' : 'Row image'}</span>
+                                                <input type="file" accept="image/*" className="hidden" disabled={saving} onChange={(e) => handleRowImageChange(colorId, e)} />
+                                            </label>
+                                        </th>
+                                        {sizeIds.map((sizeId) => {
+                                            const key = getCellKey(colorId, sizeId);
+                                            const cell = getCell(colorId, sizeId);
+                                            const locked = isCellLocked(cell);
+                                            const errors = showErrors ? cellErrors[key] || {} : {};
+                                            const preview = getCellPreview(cell);
+                                            const tone = locked
+                                                ? 'bg-gray-100 border-gray-200'
+                                                : !cell.enabled
+                                                    ? 'bg-white border-dashed border-gray-300'
+                                                    : !cell.variant
+                                                        ? 'bg-green-50 border-green-300'
+                                                        : 'bg-amber-50/60 border-amber-300';
+                                            return (
+                                                <td key={key} className={`align-top rounded-lg border p-2 ${tone}`}>
+                                                    <label className="flex items-center gap-1.5 text-xs font-medium text-gray-700">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={cell.enabled}
+                                                            disabled={saving || locked}
+                                                            onChange={(e) => toggleCell(colorId, sizeId, e.target.checked)}
+                                                            className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                                                        />
+                                                        {locked ? 'Discontinued' : cell.variant ? (cell.enabled ? 'Active' : 'Disabled') : cell.enabled ? 'New' : 'Not created'}
+                                                    </label>
+                                                    {cell.enabled && !locked && (
+                                                        <div className="mt-1.5 space-y-1">
+                                                            <input
+                                                                type="number"
+                                                                min="0"
+                                                                placeholder="Price"
+                                                                value={cell.price}
+                                                                onChange={(e) => updateCell(colorId, sizeId, { price: e.target.value })}
+                                                                disabled={saving}
+                                                                className={`w-full px-2 py-1 border rounded text-xs focus:outline-none focus:ring-1 ${errors.price ? 'border-red-500' : 'border-gray-300'}`}
+                                                                style={{ '--tw-ring-color': '#A86523' }}
+                                                                title={errors.price}
+                                                                aria-label="Price"
+                                                            />
+                                                            <input
+                                                                type="number"
+                                                                min="0"
+                                                                max={MATRIX_MAX_STOCK}
+                                                                placeholder="Stock"
+                                                                value={cell.stock}
+                                                                onChange={(e) => updateCell(colorId, sizeId, { stock: e.target.value })}
+                                                                disabled={saving}
+                                                                className={`w-full px-2 py-1 border rounded text-xs focus:outline-none focus:ring-1 ${errors.stock ? 'border-red-500' : 'border-gray-300'}`}
+                                                                style={{ '--tw-ring-color': '#A86523' }}
+                                                                title={errors.stock}
+                                                                aria-label="Stock"
+                                                            />
+                                                            <label className={`flex items-center gap-1.5 text-xs cursor-pointer ${errors.image ? 'text-red-600' : ''}`} style={errors.image ? undefined : { color: '#A86523' }}>
+                                                                {preview ? (
+                                                                    <img src={preview} alt="" className="w-8 h-8 rounded object-cover border border-gray-200" />
+                                                                ) : (
+                                                                    <span className="w-8 h-8 rounded border border-dashed border-gray-300 flex items-center justify-center text-gray-400">+</span>
+                                                                )}
+                                                                <span className="hover:underline">{errors.image || 'Image'}</span>
+                                                                <input type="file" accept="image/*" className="hidden" disabled={saving} onChange={(e) => handleCellImageChange(colorId, sizeId, e)} />
+                                                            </label>
+                                                        </div>
+                                                    )}
+                                                    {locked && (
+                                                        <p className="mt-1 text-xs text-gray-500">{cell.price} VND · {cell.stock} in stock</p>
+                                                    )}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                {uploadItems.length > 0 && (
+                    <div className="px-3 sm:px-4 pb-3 max-h-40 overflow-y-auto shrink-0">
+                        <UploadProgressList items={uploadItems} onCancel={cancelUpload} onRetry={retryUpload} />
+                    </div>
+                )}
+
+                {/* Modal Footer */}
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 sm:p-4 border-t shrink-0" style={{ borderColor: '#A86523' }}>
+                    <p className="text-xs sm:text-sm text-gray-600">
+                        {saving
+                            ? `Saving ${progress.done}/${progress.total}...`
+                            : hasChanges
+                                ? `${summary.created} to create, ${summary.updated} to update, ${summary.disabled} to disable`
+                                : 'No changes'}
+                    </p>
+                    <div className="flex items-center justify-end space-x-3">
+                        <button
+                            onClick={onClose}
+                            disabled={saving}
+                            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 font-medium disabled:cursor-not-allowed"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            disabled={saving || !hasChanges}
+                            className="px-4 py-2 text-sm text-white rounded-lg transition-all duration-200 font-medium shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                            style={{ backgroundColor: '#E9A319' }}
+                            onMouseEnter={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#A86523')}
+                            onMouseLeave={(e) => !e.currentTarget.disabled && (e.currentTarget.style.backgroundColor = '#E9A319')}
+                        >
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VariantMatrixModal;
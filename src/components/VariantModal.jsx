@@ -1,7 +1,12 @@
 // VariantModal.jsx - Combined Create and Edit Variant Modal
-import React, { useState, useCallback, useEffect, useContext } from 'react';
+import React, { useState, useCallback, useEffect, useContext, useMemo } from 'react';
 import { ToastContext } from '../context/ToastContext';
 import Api from '../common/SummaryAPI';
+import UploadProgressList from './UploadProgressList';
+import StockHistoryModal from './StockHistoryModal';
+import { useImageUpload } from '../hooks/useImageUpload';
+import { checkImageFiles } from '../utils/imagePipeline';
+import { VARIANT_PRICE_ERROR, isValidVariantPrice } from '../config/variantLimits';
 
 const VariantModal = ({
     isOpen,
@@ -11,13 +16,15 @@ const VariantModal = ({
     colors,
     sizes,
     onVariantCreated, // For create mode
-    onVariantUpdated // For edit mode
+    onVariantUpdated, // For edit mode
+    onStockAdjusted // Edit mode: (variantId, stockQuantity) after an adjustment from the stock ledger
 }) => {
     const { showToast } = useContext(ToastContext);
     const isEditMode = !!variant;
 
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [showStockHistory, setShowStockHistory] = useState(false);
 
     // Form states
     const [variantForm, setVariantForm] = useState({
@@ -31,41 +38,14 @@ const VariantModal = ({
     const [variantImagePreview, setVariantImagePreview] = useState('');
     const [validationErrors, setValidationErrors] = useState({});
 
-    // Upload helper
+    // Upload helper: optimized to WebP and sent with progress, retry and cancel
+    const { items: uploadItems, uploadFiles, retry: retryUpload, cancel: cancelUpload, reset: resetUploads } = useImageUpload({ preset: 'product' });
+
     const uploadSingleImage = useCallback(async (file) => {
         if (!file) return '';
-        try {
-            const response = await Api.upload.image(file);
-
-            // Try different possible response structures
-            const imageUrl = response.data?.url ||
-                response.data?.data?.url ||
-                response.data?.imageUrl ||
-                response.data?.data?.imageUrl ||
-                response.data;
-
-            if (!imageUrl) {
-                return '';
-            }
-
-            return imageUrl;
-        } catch (err) {
-            // For create mode, use fallback; for edit mode, return empty
-            if (!isEditMode && file) {
-                try {
-                    // Create a data URL as fallback
-                    return new Promise((resolve) => {
-                        const reader = new FileReader();
-                        reader.onload = (e) => resolve(e.target.result);
-                        reader.readAsDataURL(file);
-                    });
-                } catch {
-                    return '';
-                }
-            }
-            return '';
-        }
-    }, [isEditMode]);
+        const [result] = await uploadFiles([file]);
+        return result.url;
+    }, [uploadFiles]);
 
     // Initialize form when variant changes (edit mode)
     useEffect(() => {
@@ -101,6 +81,12 @@ const VariantModal = ({
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [variant, isOpen, isEditMode]);
 
+    // The ledger shows the stock as last adjusted from here, not as first loaded
+    const stockHistoryVariant = useMemo(
+        () => (variant ? { ...variant, stockQuantity: Number(variantForm.stockQuantity) || 0 } : null),
+        [variant, variantForm.stockQuantity]
+    );
+
     // Validation functions
     const validateForm = useCallback(() => {
         const errors = {};
@@ -117,19 +103,22 @@ const VariantModal = ({
             errors.variantPrice = 'Please fill in all required fields';
         } else {
             const price = parseFloat(variantForm.variantPrice);
-            if (isNaN(price) || price < 1000 || price > 1000000000) {
-                errors.variantPrice = 'Price must be between 1.000 and 1.000.000.000';
+            if (!isValidVariantPrice(price)) {
+                errors.variantPrice = VARIANT_PRICE_ERROR;
             }
         }
 
-        if (variantForm.stockQuantity === '' || variantForm.stockQuantity === null || variantForm.stockQuantity === undefined) {
-            errors.stockQuantity = 'Please fill in all required fields';
-        } else {
-            const stock = parseInt(variantForm.stockQuantity);
-            if (isNaN(stock) || stock < 0) {
-                errors.stockQuantity = 'Stock quantity must be 0 or greater';
-            } else if (stock > 1000) {
-                errors.stockQuantity = 'The stock quantity must not exceed 1000';
+        // Edit mode stock is read-only here; it changes through the stock ledger
+        if (!isEditMode) {
+            if (variantForm.stockQuantity === '' || variantForm.stockQuantity === null || variantForm.stockQuantity === undefined) {
+                errors.stockQuantity = 'Please fill in all required fields';
+            } else {
+                const stock = parseInt(variantForm.stockQuantity);
+                if (isNaN(stock) || stock < 0) {
+                    errors.stockQuantity = 'Stock quantity must be 0 or greater';
+                } else if (stock > 1000) {
+                    errors.stockQuantity = 'The stock quantity must not exceed 1000';
+                }
             }
         }
 
@@ -197,14 +186,16 @@ const VariantModal = ({
     }, []);
 
     // Handle variant image change
-    const handleVariantImageChange = useCallback((e) => {
+    const handleVariantImageChange = useCallback(async (e) => {
         const file = e.target.files && e.target.files[0];
         if (file) {
-            if (!file.type.startsWith('image/')) {
-                showToast('File must be an image', 'error');
+            const { rejected } = await checkImageFiles([file], 'product');
+            if (rejected.length > 0) {
+                showToast(rejected[0].message, 'error');
                 e.target.value = '';
                 return;
             }
+            resetUploads();
             setVariantImageFile(file);
             setVariantImagePreview(URL.createObjectURL(file));
         } else {
@@ -214,7 +205,7 @@ const VariantModal = ({
                 setVariantImagePreview('');
             }
         }
-    }, [showToast, isEditMode, variant]);
+    }, [showToast, isEditMode, variant, resetUploads]);
 
     // Handle submit (create or update)
     const handleSubmit = useCallback(async () => {
@@ -239,20 +230,20 @@ const VariantModal = ({
         const price = parseFloat(variantForm.variantPrice);
         const stock = parseInt(variantForm.stockQuantity);
 
-        if (isNaN(price) || price < 1000 || price > 1000000000) {
-            setValidationErrors(prev => ({ ...prev, variantPrice: 'Price must be between 1.000 and 1.000.000.000' }));
+        if (!isValidVariantPrice(price)) {
+            setValidationErrors(prev => ({ ...prev, variantPrice: VARIANT_PRICE_ERROR }));
             showToast('Please check the input fields again', 'error');
             setLoading(false);
             return;
         }
 
-        if (isNaN(stock) || stock < 0) {
+        if (!isEditMode && (isNaN(stock) || stock < 0)) {
             setValidationErrors(prev => ({ ...prev, stockQuantity: 'Stock quantity must be 0 or greater' }));
             showToast('Please check the input fields again', 'error');
             setLoading(false);
             return;
         }
-        if (stock > 1000) {
+        if (!isEditMode && stock > 1000) {
             setValidationErrors(prev => ({ ...prev, stockQuantity: 'The stock quantity must not exceed 1000' }));
             showToast('Please check the input fields again', 'error');
             setLoading(false);
@@ -278,14 +269,14 @@ const VariantModal = ({
                     }
                 }
 
-                // Backend expects this exact data structure
+                // Backend expects this exact data structure; stock is left out so it only
+                // changes through adjustStock, with a reason in the stock ledger
                 const updateData = {
                     productId: product?._id,
                     productColorId: variantForm.productColorId,
                     productSizeId: variantForm.productSizeId,
                     variantImage: variantImageUrl,
                     variantPrice: parseFloat(variantForm.variantPrice),
-                    stockQuantity: parseInt(variantForm.stockQuantity),
                     variantStatus: variantForm.variantStatus,
                 };
 
@@ -339,6 +330,7 @@ const VariantModal = ({
                 setVariantImagePreview('');
                 setError('');
                 setValidationErrors({});
+                resetUploads();
 
                 // Notify parent
                 if (onVariantCreated) {
@@ -389,7 +381,7 @@ const VariantModal = ({
         } finally {
             setLoading(false);
         }
-    }, [variantForm, variantImageFile, product, variant, uploadSingleImage, validateForm, showToast, isEditMode, onVariantCreated, onVariantUpdated, onClose, colors, sizes]);
+    }, [variantForm, variantImageFile, product, variant, uploadSingleImage, resetUploads, validateForm, showToast, isEditMode, onVariantCreated, onVariantUpdated, onClose, colors, sizes]);
 
     // Reset variant form
     const resetVariantForm = useCallback(() => {
@@ -404,7 +396,8 @@ const VariantModal = ({
         setVariantImagePreview('');
         setError('');
         setValidationErrors({});
-    }, []);
+        resetUploads();
+    }, [resetUploads]);
 
     // Handle close modal
     const handleClose = useCallback(() => {
@@ -543,19 +536,43 @@ const VariantModal = ({
                                 <label htmlFor="stockQuantity" className="block text-sm font-semibold text-gray-700 mb-2">
                                     Stock Quantity <span className="text-red-500">*</span>
                                 </label>
-                                <input
-                                    id="stockQuantity"
-                                    type="number"
-                                    min="0"
-                                    value={variantForm.stockQuantity}
-                                    onChange={(e) => handleFieldChange("stockQuantity", e.target.value)}
-                                    className={`w-full px-4 py-2.5 border rounded-lg focus:ring-2 transition-all duration-200 bg-white text-sm lg:text-base ${validationErrors.stockQuantity
-                                        ? 'border-red-400 bg-white focus:ring-red-500 focus:border-red-500'
-                                        : 'border-gray-300 bg-white hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]'
-                                        }`}
-                                    placeholder="Enter stock quantity"
-                                    required
-                                />
+                                {isEditMode ? (
+                                    <div className="flex items-center gap-2">
+                                        <input
+                                            id="stockQuantity"
+                                            type="number"
+                                            value={variantForm.stockQuantity}
+                                            readOnly
+                                            className="w-full px-4 py-2.5 border rounded-lg bg-gray-100 text-gray-600 cursor-not-allowed border-gray-300 text-sm lg:text-base"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => setShowStockHistory(true)}
+                                            disabled={loading}
+                                            className="shrink-0 px-3 py-2.5 text-sm font-medium rounded-lg border-2 transition-colors hover:bg-amber-50 disabled:opacity-50"
+                                            style={{ borderColor: '#E9A319', color: '#A86523' }}
+                                        >
+                                            Adjust
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <input
+                                        id="stockQuantity"
+                                        type="number"
+                                        min="0"
+                                        value={variantForm.stockQuantity}
+                                        onChange={(e) => handleFieldChange("stockQuantity", e.target.value)}
+                                        className={`w-full px-4 py-2.5 border rounded-lg focus:ring-2 transition-all duration-200 bg-white text-sm lg:text-base ${validationErrors.stockQuantity
+                                            ? 'border-red-400 bg-white focus:ring-red-500 focus:border-red-500'
+                                            : 'border-gray-300 bg-white hover:border-gray-400 focus:border-[#A86523] focus:ring-[#A86523]'
+                                            }`}
+                                        placeholder="Enter stock quantity"
+                                        required
+                                    />
+                                )}
+                                {isEditMode && (
+                                    <p className="mt-1.5 text-xs text-gray-500">Stock changes are recorded with a reason in the stock history</p>
+                                )}
                                 {validationErrors.stockQuantity && (
                                     <p className="mt-1.5 text-sm text-red-600">{validationErrors.stockQuantity}</p>
                                 )}
@@ -611,6 +628,7 @@ const VariantModal = ({
                             {validationErrors.variantImage && (
                                 <p className="mt-1.5 text-sm text-red-600">{validationErrors.variantImage}</p>
                             )}
+                            <UploadProgressList items={uploadItems} onCancel={cancelUpload} onRetry={retryUpload} className="mt-3" />
                         </div>
                     </div>
 
@@ -656,6 +674,18 @@ const VariantModal = ({
                     </button>
                 </div>
             </div>
+
+            {isEditMode && (
+                <StockHistoryModal
+                    isOpen={showStockHistory}
+                    onClose={() => setShowStockHistory(false)}
+                    variant={stockHistoryVariant}
+                    onStockAdjusted={(variantId, stockQuantity) => {
+                        setVariantForm(prev => ({ ...prev, stockQuantity }));
+                        onStockAdjusted?.(variantId, stockQuantity);
+                    }}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,35 @@
+// Company header/footer used by generated invoices. Pass a partial override to
+// createInvoicePdf to change any of it without touching the renderer.
+export const INVOICE_TEMPLATE = {
+    company: {
+        name: 'GASH Company',
+        tagline: 'Modern fashion for everyone',
+        email: 'support@gash.com',
+        addressLines: ['600 Nguyễn Văn Cừ Nối Dài', 'An Bình, Bình Thủy, Cần Thơ'],
+    },
+    title: 'INVOICE',
+    colors: {
+        primary: [123, 84, 47],   // #7B542F
+        accent: [182, 119, 29],   // #B6771D
+        highlight: [255, 207, 113], // #FFCF71
+    },
+    // Used when the issued invoice does not record its own rate. Shop prices include VAT.
+    tax: {
+        label: 'VAT',
+        vatRate: 0.1,
+        pricesIncludeVat: true,
+    },
+    footerLines: [
+        'Thank you for your purchase!',
+        'For support, contact: support@gash.com',
+    ],
+};
+
+// Shallow-merge each section so an override can replace just one field
+export const resolveInvoiceTemplate = (overrides = {}) => ({
+    ...INVOICE_TEMPLATE,
+    ...overrides,
+    company: { ...INVOICE_TEMPLATE.company, ...overrides.company },
+    colors: { ...INVOICE_TEMPLATE.colors, ...overrides.colors },
+    tax: { ...INVOICE_TEMPLATE.tax, ...overrides.tax },
+});
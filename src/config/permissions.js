@@ -0,0 +1,29 @@
+// Central permission map. Routes, sidebar items and action buttons check a
+// permission here instead of comparing roles directly.
+export const PERMISSIONS = {
+    ORDERS_UPDATE: 'orders.update',
+    REFUNDS_MANAGE: 'refunds.manage',
+    REVENUE_VIEW: 'revenue.view',
+    ACCOUNTS_MANAGE: 'accounts.manage',
+    LIVESTREAM_HOST: 'livestream.host',
+    AUDIT_VIEW: 'audit.view',
+};
+
+// Roles allowed into the dashboard at all
+export const DASHBOARD_ROLES = ['admin', 'manager'];
+
+export const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    manager: [
+        PERMISSIONS.ORDERS_UPDATE,
+        PERMISSIONS.REFUNDS_MANAGE,
+        PERMISSIONS.LIVESTREAM_HOST,
+    ],
+};
+
+export const canAccessDashboard = (user) => DASHBOARD_ROLES.includes(user?.role);
+
+export const hasPermission = (user, permission) => {
+    if (!permission) return canAccessDashboard(user);
+    return (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+};
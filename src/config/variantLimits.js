@@ -0,0 +1,9 @@
+// Variant price bounds (whole VND) shared by VariantModal and the catalogue import,
+// so an imported variant can always be saved again from the editor.
+export const VARIANT_PRICE_LIMITS = { min: 1000, max: 1000000000 };
+
+export const isValidVariantPrice = (price) =>
+    Number.isFinite(price) && price >= VARIANT_PRICE_LIMITS.min && price <= VARIANT_PRICE_LIMITS.max;
+
+export const VARIANT_PRICE_ERROR =
+    `Price must be between ${VARIANT_PRICE_LIMITS.min.toLocaleString('vi-VN')} and ${VARIANT_PRICE_LIMITS.max.toLocaleString('vi-VN')}`;
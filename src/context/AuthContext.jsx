@@ -1,7 +1,17 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import axiosClient from '../common/axiosClient';
 import { useNavigate } from 'react-router-dom';
 import { ToastContext } from './ToastContext';
+import { clearTokens, getAccessToken, getSessionExpiry, setTokens } from '../utils/authToken';
+import { canAccessDashboard } from '../config/permissions';
+import { clearQueuedMutations } from '../utils/offlineQueue';
+
+// setTimeout overflows above ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+// Queued offline order updates belong to the session that made them
+const clearOfflineQueue = () =>
+  clearQueuedMutations().catch((err) => console.error('Offline queue clear failed:', err));
 
 export const AuthContext = createContext();
 
@@ -13,43 +23,63 @@ export const AuthProvider = ({ children }) => {
 
   const handleForcedLogout = (message) => {
     showToast(message, 'error');
-    localStorage.removeItem('token');
+    clearTokens();
+    clearOfflineQueue();
     localStorage.removeItem('user');
-    localStorage.removeItem('loginTime');
     setUser(null);
     navigate('/login');
   };
 
+  // The expiry timer calls the latest handleForcedLogout without rescheduling on every render
+  const forcedLogoutRef = useRef(handleForcedLogout);
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    const storedUser = localStorage.getItem('user');
-    const loginTime = localStorage.getItem('loginTime');
-
-    if (token && storedUser && loginTime) {
-      const now = Date.now();
-      const sessionDuration = 24 * 60 * 60 * 1000; // 1 day
-      const elapsed = now - parseInt(loginTime, 10);
+    forcedLogoutRef.current = handleForcedLogout;
+  });
 
-      if (elapsed >= sessionDuration) {
-        handleForcedLogout('Your session has expired. You will be logged out.');
-        setIsAuthLoading(false);
-        return;
-      }
+  const startSession = (data, account) => {
+    setTokens(data.token || data.accessToken, data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(account));
+    setUser(account);
+  };
 
-      setUser(JSON.parse(storedUser));
+  useEffect(() => {
+    const token = getAccessToken();
+    const storedUser = localStorage.getItem('user');
+    // Sessions from older builds were tracked by a fixed 24h loginTime
+    localStorage.removeItem('loginTime');
 
-      const remaining = sessionDuration - elapsed;
-      const timer = setTimeout(() => {
+    if (token && storedUser) {
+      const expiry = getSessionExpiry();
+      if (expiry !== null && expiry <= Date.now()) {
         handleForcedLogout('Your session has expired. You will be logged out.');
-      }, remaining);
-
-      setIsAuthLoading(false);
-      return () => clearTimeout(timer);
-    } else {
-      setIsAuthLoading(false);
+      } else {
+        setUser(JSON.parse(storedUser));
+      }
     }
+    setIsAuthLoading(false);
   }, [showToast]);
 
+  // Log out when the session expires, as read from the tokens themselves.
+  // A refresh may extend the session, so re-read the expiry when the timer fires.
+  useEffect(() => {
+    if (!user) return;
+    let timer;
+
+    const schedule = () => {
+      const expiry = getSessionExpiry();
+      if (expiry === null) return;
+      const remaining = expiry - Date.now();
+      if (remaining <= 0) {
+        forcedLogoutRef.current('Your session has expired. You will be logged out.');
+        return;
+      }
+      timer = setTimeout(schedule, Math.min(remaining, MAX_TIMER_DELAY));
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [user]);
+
   useEffect(() => {
     const interceptor = axiosClient.interceptors.response.use(
       (res) => res,
@@ -58,11 +88,12 @@ export const AuthProvider = ({ children }) => {
           const { status } = err.response;
           const msg = err.response.data?.message ?? '';
 
+          // axiosClient has already tried to refresh the token by the time a 401 gets here
           if (
             status === 401 ||
             (status === 403 && /inactive|suspended/i.test(msg))
           ) {
-            if (localStorage.getItem('token')) {
+            if (getAccessToken()) {
               const reason =
                 status === 401
                   ? 'Your session has expired or the token is invalid. You will be logged out.'
@@ -78,20 +109,6 @@ export const AuthProvider = ({ children }) => {
     return () => axiosClient.interceptors.response.eject(interceptor);
   }, [showToast]);
 
-  useEffect(() => {
-    let interval;
-    if (user) {
-      interval = setInterval(async () => {
-        try {
-          await axiosClient.get('/auth/check-status');
-        } catch {
-          // Interceptor will handle logout if 403 due to inactive
-        }
-      }, 5000); // Every 5 seconds for more immediate response
-    }
-    return () => clearInterval(interval);
-  }, [user]);
-
   const login = async (username, password) => {
     try {
       const { data } = await axiosClient.post('/auth/login', {
@@ -99,31 +116,14 @@ export const AuthProvider = ({ children }) => {
         password,
       });
 
-      const { token, account } = data;
+      const { account } = data;
 
-      if (!['admin', 'manager'].includes(account.role)) {
+      if (!canAccessDashboard(account)) {
         showToast('Only admin or manager roles are allowed', 'error');
         return;
       }
 
-      if (
-        account.role !== 'admin' &&
-        /^\/(accounts|statistics)/.test(window.location.pathname)
-      ) {
-        showToast('You do not have permission to access this page.', 'error');
-        navigate('/');
-        return;
-      }
-
-      const loginTime = Date.now().toString();
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(account));
-      localStorage.setItem('loginTime', loginTime);
-      setUser(account);
-
-      setTimeout(() => {
-        handleForcedLogout('Your session has expired. You will be logged out.');
-      }, 24 * 60 * 60 * 1000);
+      startSession(data, account);
 
 
       navigate('/');
@@ -135,7 +135,7 @@ export const AuthProvider = ({ children }) => {
 
   const signup = async (userData) => {
     try {
-      if (!['admin', 'manager'].includes(userData.role)) {
+      if (!canAccessDashboard(userData)) {
         showToast('Only admin or manager roles are allowed', 'error');
         return;
       }
@@ -144,31 +144,14 @@ export const AuthProvider = ({ children }) => {
         '/auth/register',
         userData
       );
-      const { token, account } = data;
+      const { account } = data;
 
-      if (!['admin', 'manager'].includes(account.role)) {
+      if (!canAccessDashboard(account)) {
         showToast('Invalid role assigned by server', 'error');
         return;
       }
 
-      if (
-        account.role !== 'admin' &&
-        /^\/(accounts|statistics)/.test(window.location.pathname)
-      ) {
-        showToast('You do not have permission to access this page.', 'error');
-        navigate('/');
-        return;
-      }
-
-      const loginTime = Date.now().toString();
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(account));
-      localStorage.setItem('loginTime', loginTime);
-      setUser(account);
-
-      setTimeout(() => {
-        handleForcedLogout('Your session has expired. You will be logged out.');
-      }, 24 * 60 * 60 * 1000);
+      startSession(data, account);
 
       showToast('Account created successfully', 'success');
       navigate('/');
@@ -196,34 +179,17 @@ export const AuthProvider = ({ children }) => {
         challenge: options.challenge,
       });
 
-      const { token, account } = verifyResponse.data;
+      const { account } = verifyResponse.data;
 
-      if (!['admin', 'manager'].includes(account.role)) {
+      if (!canAccessDashboard(account)) {
         showToast('Only admin or manager roles are allowed', 'error');
         return;
       }
 
-      if (
-        account.role !== 'admin' &&
-        /^\/(accounts|statistics)/.test(window.location.pathname)
-      ) {
-        showToast('You do not have permission to access this page.', 'error');
-        navigate('/');
-        return;
-      }
-
-      const loginTime = Date.now().toString();
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(account));
-      localStorage.setItem('loginTime', loginTime);
-      setUser(account);
+      startSession(verifyResponse.data, account);
 
       showToast('Passkey logged in successfully', 'success');
 
-      setTimeout(() => {
-        handleForcedLogout('Your session has expired. You will be logged out.');
-      }, 24 * 60 * 60 * 1000);
-
       navigate('/');
     } catch (error) {
       const msg = error.response?.data?.message || 'Passkey login failed. Please try again.';
@@ -232,17 +198,36 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Apply account changes pushed by the server (e.g. a role change)
+  const updateUser = (changes) => {
+    setUser((prev) => {
+      if (!prev) return prev;
+      const next = { ...prev, ...changes };
+      localStorage.setItem('user', JSON.stringify(next));
+      return next;
+    });
+  };
+
   const logout = () => {
-    localStorage.removeItem('token');
+    clearTokens();
+    clearOfflineQueue();
     localStorage.removeItem('user');
-    localStorage.removeItem('loginTime');
     setUser(null);
     navigate('/login');
   };
 
   return (
     <AuthContext.Provider
-      value={{ user, login, signup, passkeyLogin, logout, isAuthLoading }}
+      value={{
+        user,
+        login,
+        signup,
+        passkeyLogin,
+        logout,
+        updateUser,
+        forceLogout: handleForcedLogout,
+        isAuthLoading,
+      }}
     >
       {children}
     </AuthContext.Provider>
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useContext, useCallback, useRef, useMemo } from 'react';
+import Api from '../common/SummaryAPI';
+import { AuthContext } from './AuthContext';
+import { ToastContext } from './ToastContext';
+import { OfflineQueueContext } from './OfflineQueueContext';
+import { useSocket, useSocketEvent } from '../hooks/useSocket';
+import { getStatusLabel } from '../utils/orderStateMachine';
+import {
+  createMutationId,
+  getQueuedMutations,
+  isNetworkError,
+  putQueuedMutation,
+  removeQueuedMutation,
+} from '../utils/offlineQueue';
+
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+
+const sendMutation = (entry) => Api.orders.update(entry.orderId, entry.data);
+
+const formatOrderId = (orderId) => '#' + String(orderId).slice(-6).toUpperCase();
+
+// Server state observed after the mutation was queued no longer matches what it was based on
+const getConflictReason = (entry, serverOrder) => {
+  if (!serverOrder) return null;
+  const statusChanged =
+    serverOrder.order_status && entry.baseStatus && serverOrder.order_status !== entry.baseStatus;
+  const newer =
+    serverOrder.updatedAt && entry.baseUpdatedAt &&
+    new Date(serverOrder.updatedAt) > new Date(entry.baseUpdatedAt);
+  if (!statusChanged && !newer) return null;
+  return `Order changed to ${getStatusLabel(serverOrder.order_status)} by someone else while this update was waiting`;
+};
+
+// Order mutations made while offline are kept in IndexedDB and replayed with backoff
+export const OfflineQueueProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const userId = user?._id || null;
+  const { showToast } = useContext(ToastContext);
+  const { isConnected } = useSocket();
+  const [entries, setEntries] = useState([]);
+
+  const entriesRef = useRef([]);
+  const flushingRef = useRef(false);
+  const timerRef = useRef(null);
+  // Latest order state pushed by the server, for conflict checks
+  const serverOrdersRef = useRef(new Map());
+  const listenersRef = useRef(new Set());
+
+  const commit = useCallback((next) => {
+    entriesRef.current = next;
+    setEntries(next);
+  }, []);
+
+  const saveEntry = useCallback(async (entry) => {
+    commit([...entriesRef.current.filter((e) => e.id !== entry.id), entry].sort((a, b) => a.createdAt - b.createdAt));
+    try {
+      await putQueuedMutation(entry);
+    } catch (err) {
+      console.error('Offline queue write failed:', err);
+    }
+  }, [commit]);
+
+  const dropEntry = useCallback(async (id) => {
+    commit(entriesRef.current.filter((e) => e.id !== id));
+    try {
+      await removeQueuedMutation(id);
+    } catch (err) {
+      console.error('Offline queue delete failed:', err);
+    }
+  }, [commit]);
+
+  // Pages subscribe to patch their own state once a queued update lands
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const flush = useCallback(async () => {
+    if (flushingRef.current || !userId) return;
+    flushingRef.current = true;
+    clearTimeout(timerRef.current);
+
+    try {
+      for (const entry of [...entriesRef.current]) {
+        if (entry.userId !== userId || entry.state !== 'pending' || entry.nextAttemptAt > Date.now()) continue;
+
+        const conflictReason = getConflictReason(entry, serverOrdersRef.current.get(entry.orderId));
+        if (conflictReason) {
+          await saveEntry({ ...entry, state: 'conflict', conflictReason });
+          continue;
+        }
+
+        try {
+          const response = await sendMutation(entry);
+          await dropEntry(entry.id);
+          const data = response?.data || response;
+          listenersRef.current.forEach((listener) => listener({ orderId: entry.orderId, data }));
+          showToast(`Queued update for order ${formatOrderId(entry.orderId)} synced`, 'success');
+        } catch (err) {
+          if (isNetworkError(err)) {
+            const attempts = entry.attempts + 1;
+            await saveEntry({
+              ...entry,
+              attempts,
+              nextAttemptAt: Date.now() + Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** (attempts - 1)),
+            });
+            // Still offline: stop here and keep the remaining entries in order
+            break;
+          }
+          await dropEntry(entry.id);
+          showToast(
+            `Queued update for order ${formatOrderId(entry.orderId)} was rejected: ${err?.response?.data?.message || err.message}`,
+            'error'
+          );
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+
+    // Schedule the next backoff attempt
+    const waiting = entriesRef.current.filter((e) => e.state === 'pending');
+    if (waiting.length > 0) {
+      const nextAt = Math.min(...waiting.map((e) => e.nextAttemptAt));
+      timerRef.current = setTimeout(() => flushRef.current(), Math.max(0, nextAt - Date.now()));
+    }
+  }, [userId, saveEntry, dropEntry, showToast]);
+
+  // Timers call the latest flush
+  const flushRef = useRef(flush);
+  useEffect(() => {
+    flushRef.current = flush;
+  }, [flush]);
+
+  // Load what this user left queued before a reload, then try to send it
+  useEffect(() => {
+    if (!userId) {
+      commit([]);
+      return;
+    }
+    let cancelled = false;
+    getQueuedMutations(userId)
+      .then((stored) => {
+        if (cancelled) return;
+        commit(stored);
+        flush();
+      })
+      .catch((err) => console.error('Offline queue read failed:', err));
+    return () => {
+      cancelled = true;
+      clearTimeout(timerRef.current);
+    };
+  }, [userId, commit, flush]);
+
+  // Connection is back: retry right away instead of waiting for the backoff
+  const retryNow = useCallback(() => {
+    const now = Date.now();
+    commit(entriesRef.current.map((e) => (e.state === 'pending' ? { ...e, nextAttemptAt: now } : e)));
+    flush();
+  }, [commit, flush]);
+
+  useEffect(() => {
+    window.addEventListener('online', retryNow);
+    return () => window.removeEventListener('online', retryNow);
+  }, [retryNow]);
+
+  useEffect(() => {
+    if (isConnected && entriesRef.current.length > 0) retryNow();
+  }, [isConnected, retryNow]);
+
+  // Track server-side changes; a queued update based on an older state is a conflict
+  useSocketEvent('orderUpdated', (payload) => {
+    const order = payload?.order || payload;
+    if (!order?._id) return;
+    serverOrdersRef.current.set(order._id, order);
+
+    entriesRef.current
+      .filter((e) => e.orderId === order._id && e.state === 'pending')
+      .forEach((entry) => {
+        // Someone already made the same change
+        if (entry.data.order_status && entry.data.order_status === order.order_status) {
+          dropEntry(entry.id);
+          return;
+        }
+        const conflictReason = getConflictReason(entry, order);
+        if (conflictReason) {
+          saveEntry({ ...entry, state: 'conflict', conflictReason });
+          showToast(`Queued update for order ${formatOrderId(entry.orderId)} conflicts with a newer change`, 'error');
+        }
+      });
+  });
+
+  // Send now, or queue when the network is unavailable.
+  // Resolves { queued: false, data } when sent, { queued: true } when queued; rethrows server errors.
+  const submitOrderUpdate = useCallback(async (order, data) => {
+    // A follow-up to an update that is still waiting builds on that update, not on the server copy
+    const previous = entriesRef.current.filter((e) => e.orderId === order._id).pop();
+    const entry = {
+      id: createMutationId(),
+      userId,
+      orderId: order._id,
+      data,
+      baseStatus: previous ? previous.data.order_status || previous.baseStatus : order.order_status,
+      baseUpdatedAt: previous ? null : order.updatedAt || order.updated_at || null,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: Date.now() + BASE_RETRY_DELAY,
+      state: 'pending',
+      conflictReason: null,
+    };
+
+    // Keep per-order ordering: never overtake an update that is already waiting
+    if (!previous && navigator.onLine !== false) {
+      try {
+        const response = await sendMutation(entry);
+        return { queued: false, data: response?.data || response };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+      }
+    }
+
+    await saveEntry(entry);
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => flushRef.current(), BASE_RETRY_DELAY);
+    return { queued: true };
+  }, [userId, saveEntry]);
+
+  const discardMutation = useCallback((id) => dropEntry(id), [dropEntry]);
+
+  // Apply a conflicting update anyway, based on the latest known server state
+  const forceMutation = useCallback(async (id) => {
+    const entry = entriesRef.current.find((e) => e.id === id);
+    if (!entry) return;
+    const serverOrder = serverOrdersRef.current.get(entry.orderId);
+    await saveEntry({
+      ...entry,
+      state: 'pending',
+      conflictReason: null,
+      baseStatus: serverOrder?.order_status || entry.baseStatus,
+      baseUpdatedAt: serverOrder?.updatedAt || entry.baseUpdatedAt,
+      nextAttemptAt: Date.now(),
+    });
+    flush();
+  }, [saveEntry, flush]);
+
+  const getOrderEntry = useCallback(
+    (orderId) => entries.find((e) => e.orderId === orderId) || null,
+    [entries]
+  );
+
+  const value = useMemo(
+    () => ({ entries, getOrderEntry, submitOrderUpdate, retryNow, discardMutation, forceMutation, subscribe }),
+    [entries, getOrderEntry, submitOrderUpdate, retryNow, discardMutation, forceMutation, subscribe]
+  );
+
+  return <OfflineQueueContext.Provider value={value}>{children}</OfflineQueueContext.Provider>;
+};
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useContext, useCallback, useRef, useMemo } from 'react';
+import { io } from 'socket.io-client';
+import axiosClient from '../common/axiosClient';
+import { AuthContext } from './AuthContext';
+import { SocketContext } from './SocketContext';
+import { getAccessToken } from '../utils/authToken';
+
+// Same backend as the REST client, without trailing slash
+const SOCKET_URL = (axiosClient.defaults.baseURL || '').replace(/\/$/, '');
+
+// One realtime connection per tab, shared by every page through SocketContext
+export const SocketProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const [socket, setSocket] = useState(null);
+  const [status, setStatus] = useState('disconnected'); // disconnected | connecting | connected | reconnecting
+
+  // Room joins keyed by "joinEvent:roomId" -> { joinEvent, leaveEvent, roomId, count }
+  const roomsRef = useRef(new Map());
+  const socketRef = useRef(null);
+
+  const userId = user?._id;
+
+  useEffect(() => {
+    if (!userId || !getAccessToken()) return;
+
+    const s = io(SOCKET_URL, {
+      transports: ['websocket', 'polling'],
+      // Read on every (re)connect so a refreshed access token is used, not the one from login
+      auth: (cb) => cb({ token: getAccessToken() }),
+      withCredentials: true,
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 20000,
+    });
+    socketRef.current = s;
+    setSocket(s);
+    setStatus('connecting');
+
+    s.on('connect', () => {
+      setStatus('connected');
+      // Authenticate once per connection
+      s.emit('userConnected', userId);
+      s.emit('authenticate', getAccessToken());
+      // Replay room joins (server forgets them on reconnect)
+      roomsRef.current.forEach(({ joinEvent, roomId }) => {
+        s.emit(joinEvent, roomId);
+      });
+    });
+
+    s.on('disconnect', (reason) => {
+      // Server-side disconnects are not retried automatically
+      if (reason === 'io server disconnect') {
+        setStatus('disconnected');
+      } else {
+        setStatus('reconnecting');
+      }
+    });
+
+    s.on('connect_error', (err) => {
+      console.error('Socket connection error:', err.message);
+      setStatus(s.active ? 'reconnecting' : 'disconnected');
+    });
+
+    s.io.on('reconnect_failed', () => {
+      setStatus('disconnected');
+    });
+
+    return () => {
+      s.removeAllListeners();
+      s.io.off('reconnect_failed');
+      s.disconnect();
+      socketRef.current = null;
+      setSocket(null);
+      setStatus('disconnected');
+    };
+  }, [userId]);
+
+  const emit = useCallback((event, ...args) => {
+    const s = socketRef.current;
+    if (!s) return false;
+    // socket.io buffers emits while reconnecting
+    s.emit(event, ...args);
+    return true;
+  }, []);
+
+  // Reference-counted room join; returns a release function
+  const joinRoom = useCallback((joinEvent, leaveEvent, roomId) => {
+    if (!roomId) return () => { };
+
+    const key = `${joinEvent}:${roomId}`;
+    const rooms = roomsRef.current;
+    const entry = rooms.get(key);
+
+    if (entry) {
+      entry.count += 1;
+    } else {
+      rooms.set(key, { joinEvent, leaveEvent, roomId, count: 1 });
+      if (socketRef.current?.connected) {
+        socketRef.current.emit(joinEvent, roomId);
+      }
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const current = rooms.get(key);
+      if (!current) return;
+      current.count -= 1;
+      if (current.count > 0) return;
+
+      rooms.delete(key);
+      if (leaveEvent && socketRef.current?.connected) {
+        socketRef.current.emit(leaveEvent, roomId);
+      }
+    };
+  }, []);
+
+  const value = useMemo(
+    () => ({ socket, status, isConnected: status === 'connected', emit, joinRoom }),
+    [socket, status, emit, joinRoom]
+  );
+
+  return (
+    <SocketContext.Provider value={value}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
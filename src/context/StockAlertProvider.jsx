@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useContext, useCallback, useMemo } from 'react';
+import Api from '../common/SummaryAPI';
+import { AuthContext } from './AuthContext';
+import { ToastContext } from './ToastContext';
+import { StockAlertContext } from './StockAlertContext';
+import { useSocketEvent } from '../hooks/useSocket';
+import { canAccessDashboard } from '../config/permissions';
+
+const ALERT_LIMIT = 50;
+
+// Low-stock alerts raised by the server, shared by the header bell and the Notifications page
+export const StockAlertProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const { showToast } = useContext(ToastContext);
+  const [alerts, setAlerts] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const enabled = canAccessDashboard(user);
+
+  const refresh = useCallback(async () => {
+    if (!enabled) return;
+    setLoading(true);
+    try {
+      const response = await Api.notifications.getAdminAlerts({ type: 'low_stock', limit: ALERT_LIMIT });
+      const alertData = response.data?.data || [];
+      const list = Array.isArray(alertData) ? alertData : [];
+      setAlerts(list);
+      setUnreadCount(response.data?.unreadCount ?? list.filter((a) => !a.isRead).length);
+    } catch (err) {
+      console.error('Failed to load stock alerts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    if (enabled) {
+      refresh();
+    } else {
+      setAlerts([]);
+      setUnreadCount(0);
+    }
+  }, [enabled, refresh]);
+
+  useSocketEvent('admin_alert', (alert) => {
+    if (!enabled || alert?.type !== 'low_stock') return;
+    setAlerts((prev) => [alert, ...prev.filter((a) => a._id !== alert._id)].slice(0, ALERT_LIMIT));
+    if (!alert.isRead) setUnreadCount((count) => count + 1);
+    showToast(alert.title || 'A variant is running low on stock', 'info');
+  });
+
+  const markRead = useCallback(async (alertId) => {
+    const alert = alerts.find((a) => a._id === alertId);
+    if (!alert || alert.isRead) return;
+    setAlerts((prev) => prev.map((a) => (a._id === alertId ? { ...a, isRead: true } : a)));
+    setUnreadCount((count) => Math.max(0, count - 1));
+    try {
+      await Api.notifications.markAlertRead(alertId);
+    } catch (err) {
+      console.error('Failed to mark alert as read:', err);
+      refresh();
+    }
+  }, [alerts, refresh]);
+
+  const markAllRead = useCallback(async () => {
+    setAlerts((prev) => prev.map((a) => ({ ...a, isRead: true })));
+    setUnreadCount(0);
+    try {
+      await Api.notifications.markAllAlertsRead();
+    } catch (err) {
+      console.error('Failed to mark alerts as read:', err);
+      refresh();
+    }
+  }, [refresh]);
+
+  const value = useMemo(
+    () => ({ alerts, unreadCount, loading, refresh, markRead, markAllRead }),
+    [alerts, unreadCount, loading, refresh, markRead, markAllRead]
+  );
+
+  return <StockAlertContext.Provider value={value}>{children}</StockAlertContext.Provider>;
+};
@@ -0,0 +1,76 @@
+import { useContext, useEffect, useRef } from "react";
+import axiosClient from "../common/axiosClient";
+import { AuthContext } from "../context/AuthContext";
+import { ToastContext } from "../context/ToastContext";
+import { canAccessDashboard } from "../config/permissions";
+import { useSocket, useSocketEvent } from "./useSocket";
+
+// The socket pushes revocations; polling only covers missed events
+const FALLBACK_POLL_CONNECTED = 10 * 60 * 1000;
+const FALLBACK_POLL_DISCONNECTED = 60 * 1000;
+
+// Events may be broadcast; only act on the ones explicitly addressed to this account
+const isForUser = (payload, user) => {
+  const targetId = payload?.accountId || payload?.userId;
+  return Boolean(targetId && user?._id) && String(targetId) === String(user._id);
+};
+
+const checkStatus = async () => {
+  try {
+    await axiosClient.get('/auth/check-status');
+  } catch {
+    // AuthContext's interceptor handles logout if 403 due to inactive
+  }
+};
+
+// Apply account suspension, role changes and forced logout pushed over the
+// shared socket to this user's sessions.
+export const useAccountRevocation = () => {
+  const { user, updateUser, forceLogout } = useContext(AuthContext);
+  const { showToast } = useContext(ToastContext);
+  const { status } = useSocket();
+  const previousStatusRef = useRef(status);
+
+  useSocketEvent("account_suspended", (payload) => {
+    if (!user || !isForUser(payload, user)) return;
+    forceLogout(payload?.message || 'Your account has been suspended or deactivated. You will be logged out.');
+  });
+
+  useSocketEvent("force_logout", (payload) => {
+    if (!user || !isForUser(payload, user)) return;
+    forceLogout(payload?.message || 'You have been signed out by an administrator.');
+  });
+
+  useSocketEvent("account_role_changed", (payload) => {
+    if (!user || !isForUser(payload, user) || !payload?.role) return;
+    if (payload.role === user.role) return;
+
+    if (!canAccessDashboard({ role: payload.role })) {
+      forceLogout('Your role no longer has access to the dashboard. You will be logged out.');
+      return;
+    }
+
+    updateUser({ role: payload.role });
+    // Routes re-check permissions on render, so a page the role lost shows the 403 page
+    showToast(`Your role has been changed to ${payload.role}`, 'info');
+  });
+
+  // Re-check right after a reconnect: events sent while offline are lost
+  useEffect(() => {
+    const previous = previousStatusRef.current;
+    previousStatusRef.current = status;
+    if (user && status === 'connected' && ['reconnecting', 'disconnected'].includes(previous)) {
+      checkStatus();
+    }
+  }, [status, user]);
+
+  // Slow fallback poll, a little faster while the socket is down
+  useEffect(() => {
+    if (!user) return;
+    const interval = setInterval(
+      checkStatus,
+      status === 'connected' ? FALLBACK_POLL_CONNECTED : FALLBACK_POLL_DISCONNECTED
+    );
+    return () => clearInterval(interval);
+  }, [user, status]);
+};
@@ -0,0 +1,158 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import Api from "../common/SummaryAPI";
+import { processImage } from "../utils/imagePipeline";
+
+const UPLOAD_CONCURRENCY = 3;
+
+// Network errors, timeouts and 5xx are worth another attempt; 4xx are not
+const isRetryable = (err) =>
+  err.code === "ECONNABORTED" || err.code === "ERR_NETWORK" || !err.response || err.response.status >= 500;
+
+const getUploadErrorMessage = (err) => {
+  if (err.response?.data?.message) return err.response.data.message;
+  if (err.code === "ERR_NETWORK" || !err.response) return "Network error, check your connection";
+  if (err.response.status >= 500) return "Server error, try again later";
+  return err.message || "Upload failed";
+};
+
+const getImageUrl = (response) =>
+  response.data?.url || response.data?.data?.url || response.data?.imageUrl || response.data?.data?.imageUrl || "";
+
+const findFile = (entries, id) => [...entries.entries()].find(([, entry]) => entry.id === id)?.[0];
+
+// Resolves after ms, or straight away when the upload is cancelled
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+// Shared image upload: each file is prepared by processImage, then sent with per-file progress,
+// automatic retries and cancel. Uploaded files are remembered, so calling uploadFiles again
+// (e.g. resubmitting a form) only sends the ones that failed or were cancelled.
+// items: [{ id, name, status: 'processing' | 'uploading' | 'retrying' | 'done' | 'failed' | 'cancelled',
+//           progress, originalSize, size, error }]
+// uploadFiles(files) -> [{ id, url, error, cancelled }] in input order; url is '' when that file did not upload
+export const useImageUpload = ({ preset = "product", retries = 2 } = {}) => {
+  const [items, setItems] = useState([]);
+  const entriesRef = useRef(new Map()); // File -> { id, processed, controller, url }
+
+  const updateItem = useCallback((id, patch) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const uploadOne = useCallback(async (file) => {
+    let entry = entriesRef.current.get(file);
+    if (entry?.url) return { id: entry.id, url: entry.url, error: null };
+    if (!entry) {
+      entry = { id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2, 8)}` };
+      entriesRef.current.set(file, entry);
+      setItems((prev) => [...prev, { id: entry.id, name: file.name, status: "processing", progress: 0, originalSize: file.size, size: null, error: "" }]);
+    } else {
+      updateItem(entry.id, { status: "processing", progress: 0, error: "" });
+    }
+
+    const controller = new AbortController();
+    entry.controller = controller;
+    const cancelled = () => {
+      updateItem(entry.id, { status: "cancelled", error: "" });
+      return { id: entry.id, url: "", error: new Error("Upload cancelled"), cancelled: true };
+    };
+
+    try {
+      entry.processed = entry.processed || (await processImage(file, preset));
+    } catch (err) {
+      // Not retryable: the file itself is unusable
+      updateItem(entry.id, { status: "failed", error: err.message });
+      return { id: entry.id, url: "", error: err };
+    }
+    if (controller.signal.aborted) return cancelled();
+    updateItem(entry.id, { status: "uploading", size: entry.processed.file.size });
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        updateItem(entry.id, { status: "retrying", progress: 0 });
+        await wait(Math.min(1000 * Math.pow(2, attempt - 1), 5000), controller.signal);
+        if (controller.signal.aborted) return cancelled();
+      }
+      try {
+        const response = await Api.upload.image(entry.processed.file, {
+          signal: controller.signal,
+          onProgress: (progress) => updateItem(entry.id, { progress }),
+        });
+        const url = getImageUrl(response);
+        if (url) {
+          entry.url = url;
+          updateItem(entry.id, { status: "done", progress: 100 });
+          return { id: entry.id, url, error: null };
+        }
+        lastError = new Error("Server did not return an image URL");
+      } catch (err) {
+        if (controller.signal.aborted) return cancelled();
+        lastError = err;
+        if (!isRetryable(err)) break;
+      }
+    }
+
+    updateItem(entry.id, { status: "failed", error: getUploadErrorMessage(lastError) });
+    return { id: entry.id, url: "", error: lastError };
+  }, [preset, retries, updateItem]);
+
+  const uploadFiles = useCallback(async (files) => {
+    const list = Array.from(files || []).filter(Boolean);
+    const results = new Array(list.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < list.length) {
+        const index = next++;
+        results[index] = await uploadOne(list[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, list.length) }, worker));
+    return results;
+  }, [uploadOne]);
+
+  // Re-run one failed or cancelled file; resolves like a single uploadFiles entry
+  const retry = useCallback((id) => {
+    const file = findFile(entriesRef.current, id);
+    return file ? uploadOne(file) : Promise.resolve({ url: "", error: new Error("Upload not found") });
+  }, [uploadOne]);
+
+  const cancel = useCallback((id) => {
+    const file = findFile(entriesRef.current, id);
+    entriesRef.current.get(file)?.controller?.abort();
+  }, []);
+
+  const cancelAll = useCallback(() => {
+    entriesRef.current.forEach((entry) => entry.controller?.abort());
+  }, []);
+
+  // Drop a file (or item id) the user removed or no longer needs listed
+  const forget = useCallback((fileOrId) => {
+    const file = typeof fileOrId === "string" ? findFile(entriesRef.current, fileOrId) : fileOrId;
+    const entry = entriesRef.current.get(file);
+    if (!entry) return;
+    entry.controller?.abort();
+    entriesRef.current.delete(file);
+    setItems((prev) => prev.filter((item) => item.id !== entry.id));
+  }, []);
+
+  const reset = useCallback(() => {
+    entriesRef.current.forEach((entry) => entry.controller?.abort());
+    entriesRef.current = new Map();
+    setItems([]);
+  }, []);
+
+  useEffect(() => {
+    const entries = entriesRef;
+    return () => entries.current.forEach((entry) => entry.controller?.abort());
+  }, []);
+
+  const isUploading = items.some((item) => ["processing", "uploading", "retrying"].includes(item.status));
+
+  return { items, isUploading, uploadFiles, retry, cancel, cancelAll, forget, reset };
+};
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from "react";
+import { useSocket, useSocketRoom } from "./useSocket";
+
+// Join a livestream room on the shared socket and listen to its events.
+// handlers: { 'comment:added': fn, 'viewer:count': fn, ... }
+export const useLivestreamSocket = (liveId, handlers = {}) => {
+  const { socket } = useSocket();
+  const handlersRef = useRef(handlers);
+
+  // Ensure liveId is a string (handle ObjectId objects)
+  const liveIdStr = liveId ? String(liveId) : null;
+  useSocketRoom(liveIdStr);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  const eventNames = Object.keys(handlers).sort().join("|");
+
+  useEffect(() => {
+    if (!socket || !liveIdStr || !eventNames) return;
+
+    const listeners = eventNames.split("|").map((event) => [
+      event,
+      (...args) => handlersRef.current[event]?.(...args),
+    ]);
+    listeners.forEach(([event, listener]) => socket.on(event, listener));
+
+    return () => {
+      listeners.forEach(([event, listener]) => socket.off(event, listener));
+    };
+  }, [socket, liveIdStr, eventNames]);
+};
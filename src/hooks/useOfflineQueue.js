@@ -0,0 +1,11 @@
+import { useContext } from "react";
+import { OfflineQueueContext } from "../context/OfflineQueueContext";
+
+// Queued order mutations: { entries, getOrderEntry, submitOrderUpdate, retryNow, discardMutation, forceMutation, subscribe }
+export const useOfflineQueue = () => {
+  const context = useContext(OfflineQueueContext);
+  if (!context) {
+    throw new Error('useOfflineQueue must be used within an OfflineQueueProvider');
+  }
+  return context;
+};
@@ -0,0 +1,9 @@
+import { useCallback, useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { hasPermission } from "../config/permissions";
+
+// Returns can(permission) for the logged-in user
+export const usePermission = () => {
+  const { user } = useContext(AuthContext);
+  return useCallback((permission) => hasPermission(user, permission), [user]);
+};
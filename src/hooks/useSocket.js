@@ -0,0 +1,45 @@
+import { useContext, useEffect, useRef } from "react";
+import { SocketContext } from "../context/SocketContext";
+
+// Shared realtime connection: { socket, status, isConnected, emit, joinRoom }
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
+
+// Subscribe to a socket event for the lifetime of the component.
+// The handler may change between renders without re-subscribing.
+export const useSocketEvent = (event, handler) => {
+  const { socket } = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!socket || !event) return;
+    const listener = (...args) => handlerRef.current?.(...args);
+    socket.on(event, listener);
+    return () => {
+      socket.off(event, listener);
+    };
+  }, [socket, event]);
+};
+
+// Join a server-side room while mounted. Joins are reference-counted across
+// components and replayed by the provider after a reconnect.
+export const useSocketRoom = (
+  roomId,
+  { joinEvent = 'joinLivestreamRoom', leaveEvent = 'leaveLivestreamRoom' } = {}
+) => {
+  const { joinRoom } = useSocket();
+
+  useEffect(() => {
+    if (!roomId) return;
+    return joinRoom(joinEvent, leaveEvent, String(roomId));
+  }, [roomId, joinEvent, leaveEvent, joinRoom]);
+};
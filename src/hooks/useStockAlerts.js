@@ -0,0 +1,11 @@
+import { useContext } from "react";
+import { StockAlertContext } from "../context/StockAlertContext";
+
+// Internal low-stock alerts: { alerts, unreadCount, loading, refresh, markRead, markAllRead }
+export const useStockAlerts = () => {
+  const context = useContext(StockAlertContext);
+  if (!context) {
+    throw new Error('useStockAlerts must be used within a StockAlertProvider');
+  }
+  return context;
+};
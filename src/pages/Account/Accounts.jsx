@@ -5,6 +5,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import SummaryAPI from "../../common/SummaryAPI";
 import AccountModal from "./AccountModal";
 import Loading from "../../components/Loading";
+import { PERMISSIONS, hasPermission } from "../../config/permissions";
 
 export default function Accounts() {
     const { showToast } = useContext(ToastContext);
@@ -83,7 +84,7 @@ export default function Accounts() {
         if (isAuthLoading) return;
         if (!user && !localStorage.getItem('token')) {
             navigate('/login', { replace: true });
-        } else if (user && user.role === 'admin') {
+        } else if (hasPermission(user, PERMISSIONS.ACCOUNTS_MANAGE)) {
             fetchAccounts();
         } else {
             showToast("Access denied. Only admin can view accounts", "error");
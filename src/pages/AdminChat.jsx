@@ -1,6 +1,5 @@
 // AdminChat.jsx
 import React, { useEffect, useState, useRef, useContext } from "react";
-import io from "socket.io-client";
 import axios from "axios";
 import {
   FaUsers,
@@ -17,8 +16,10 @@ import { AuthContext } from "../context/AuthContext";
 import SummaryAPI from "../common/SummaryAPI";
 import Loading from "../components/Loading";
 import { useToast } from "../hooks/useToast";
+import { useSocket, useSocketEvent } from "../hooks/useSocket";
+import { useImageUpload } from "../hooks/useImageUpload";
+import UploadProgressList from "../components/UploadProgressList";
 
-const SOCKET_URL = "http://localhost:5000";
 const API_URL = "http://localhost:5000";
 
 export default function AdminChat() {
@@ -33,10 +34,19 @@ export default function AdminChat() {
   const [loadingConvos, setLoadingConvos] = useState(false);
   const [loadingMessages, setLoadingMessages] = useState(false);
   const [showEmoji, setShowEmoji] = useState(false);
-  const socketRef = useRef(null);
+  const { emit, joinRoom } = useSocket();
+  const roomReleasesRef = useRef(new Map()); // conversationId -> release()
   const endRef = useRef(null);
   const selectedRef = useRef(null);
   const fileInputRef = useRef(null);
+  const imageTargetsRef = useRef(new Map()); // upload item id -> conversationId, for retries
+  const {
+    items: uploadItems,
+    uploadFiles,
+    retry: retryUpload,
+    cancel: cancelUpload,
+    forget: forgetUpload,
+  } = useImageUpload({ preset: "chat" });
   const userRef = useRef(null);
   const userCacheRef = useRef(new Map()); // Cache for user details
   const [viewerImage, setViewerImage] = useState(null); // null = hidden, string = image URL
@@ -57,223 +67,213 @@ export default function AdminChat() {
   };
 
   // =============== SOCKET ===================
-  useEffect(() => {
-    socketRef.current = io(SOCKET_URL, { transports: ["websocket"] });
-
-    socketRef.current.on("connect", () => {
-    });
-
-socketRef.current.on("new_message", (msg) => {
-  try {
-    const convoId = String(
-      typeof msg.conversationId === "object"
-        ? msg.conversationId._id || msg.conversationId
-        : msg.conversationId
-    );
+  // Listeners on the shared connection; rooms are synced with the conversation list below
+  useSocketEvent("new_message", (msg) => {
+    try {
+      const convoId = String(
+        typeof msg.conversationId === "object"
+          ? msg.conversationId._id || msg.conversationId
+          : msg.conversationId
+      );
 
-    // 1. Push message into the open chat
-    if (selectedRef.current && convoId === getId(selectedRef.current)) {
-      setMessages((prev) => [...prev, msg]);
-    }
+      // 1. Push message into the open chat
+      if (selectedRef.current && convoId === getId(selectedRef.current)) {
+        setMessages((prev) => [...prev, msg]);
+      }
 
-    // 2. UPDATE SIDEBAR LIVE: lastMessage + unread count
-    setConversations((prev) => {
-      const updated = prev.map((c) => {
-        if (getId(c) === convoId) {
-          return {
-            ...c,
-            lastMessage:
-              msg.messageText ||
-              (msg.type === "image" ? "Image" :
-               msg.type === "sticker" ? "Sticker" :
-               msg.type === "emoji" ? "Emoji" : "Media"),
-            unreadCount:
-              selectedRef.current && getId(selectedRef.current) === convoId
-                ? 0
-                : (c.unreadCount || 0) + 1,
-            updatedAt: new Date().toISOString(), // Update timestamp for sorting
-          };
-        }
-        return c;
-      });
-      // Sort by updatedAt descending to bring updated conversations to top
-      return updated.sort((a, b) => {
-        const aTime = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
-        const bTime = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
-        return bTime - aTime;
-      });
-    });
-  } catch (err) {
-    console.error("Error handling new_message:", err);
-  }
-});
-
-socketRef.current.on("conversation_updated", (updatedConvo) => {
-  try {
-    const convoId = getId(updatedConvo);
-    const updatedStaffId = updatedConvo.staffId ? getId(updatedConvo.staffId) : null;
-    const updatedStatus = updatedConvo.status;
-    const isAdmin = userRef.current?.role === 'admin';
-    
-    // Filter: Remove if closed
-    if (updatedStatus === "closed") {
+      // 2. UPDATE SIDEBAR LIVE: lastMessage + unread count
       setConversations((prev) => {
-        const filtered = prev.filter((c) => getId(c) !== convoId);
-        if (selectedRef.current && getId(selectedRef.current) === convoId) {
-          setSelected(null);
-        }
-        return filtered;
-      });
-      return;
-    }
-    
-    setConversations((prev) => {
-      const exists = prev.some((c) => getId(c) === convoId);
-      let updated;
-      if (exists) {
-        // Update existing conversation
-        updated = prev.map((c) => {
+        const updated = prev.map((c) => {
           if (getId(c) === convoId) {
-            // Ensure accountId is properly cached
-            let accountId = updatedConvo.accountId || c.accountId;
-            if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
-              userCacheRef.current.set(String(accountId._id), accountId);
-            }
-            
             return {
               ...c,
-              ...updatedConvo,
-              lastMessage: updatedConvo.lastMessage || c.lastMessage,
-              accountId: accountId,
-              staffId: updatedStaffId || c.staffId,
-              updatedAt: updatedConvo.updatedAt || c.updatedAt,
+              lastMessage:
+                msg.messageText ||
+                (msg.type === "image" ? "Image" :
+                 msg.type === "sticker" ? "Sticker" :
+                 msg.type === "emoji" ? "Emoji" : "Media"),
+              unreadCount:
+                selectedRef.current && getId(selectedRef.current) === convoId
+                  ? 0
+                  : (c.unreadCount || 0) + 1,
+              updatedAt: new Date().toISOString(), // Update timestamp for sorting
             };
           }
           return c;
         });
-      } else {
-        // Ensure accountId is properly cached
-        let accountId = updatedConvo.accountId;
-        if (typeof accountId === "string") {
-          const cached = userCacheRef.current.get(accountId);
-          accountId = cached || { _id: accountId };
-        } else if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
-          userCacheRef.current.set(String(accountId._id), accountId);
-        }
-        
-        updated = [
-          {
-            ...updatedConvo,
-            lastMessage: updatedConvo.lastMessage || "New conversation",
-            unreadCount: 1,
-            status: updatedStatus || "open",
-            staffId: updatedStaffId,
-            accountId: accountId,
-          },
-          ...prev,
-        ];
-      }
-      // Sort by updatedAt descending
-      return updated.sort((a, b) => {
-        const aTime = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
-        const bTime = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
-        return bTime - aTime;
+        // Sort by updatedAt descending to bring updated conversations to top
+        return updated.sort((a, b) => {
+          const aTime = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
+          const bTime = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
+          return bTime - aTime;
+        });
       });
-    });
-  } catch (err) {
-    console.error("Error handling conversation_updated:", err);
-  }
-});
-
-    socketRef.current.on("conversation_created", (convo) => {
-      // Ensure accountId is properly cached
-      let accountId = convo.accountId;
-      if (typeof accountId === "string") {
-        const cached = userCacheRef.current.get(accountId);
-        accountId = cached || { _id: accountId };
-      } else if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
-        userCacheRef.current.set(String(accountId._id), accountId);
-      }
-      
-      const newConvo = {
-        ...convo,
-        lastMessage: convo.lastMessage || "New conversation",
-        unreadCount: 1,
-        status: convo.status || "open",
-        staffId: convo.staffId ? getId(convo.staffId) : null,
-        accountId: accountId,
-      };
-      
-      if (newConvo.status === "closed") {
-        return; // Don't add closed conversations
+    } catch (err) {
+      console.error("Error handling new_message:", err);
+    }
+  });
+
+  useSocketEvent("conversation_updated", (updatedConvo) => {
+    try {
+      const convoId = getId(updatedConvo);
+      const updatedStaffId = updatedConvo.staffId ? getId(updatedConvo.staffId) : null;
+      const updatedStatus = updatedConvo.status;
+      const isAdmin = userRef.current?.role === 'admin';
+    
+      // Filter: Remove if closed
+      if (updatedStatus === "closed") {
+        setConversations((prev) => {
+          const filtered = prev.filter((c) => getId(c) !== convoId);
+          if (selectedRef.current && getId(selectedRef.current) === convoId) {
+            setSelected(null);
+          }
+          return filtered;
+        });
+        return;
       }
-      
+    
       setConversations((prev) => {
-        // Check if conversation already exists
-        const exists = prev.some((c) => getId(c) === getId(newConvo));
+        const exists = prev.some((c) => getId(c) === convoId);
+        let updated;
         if (exists) {
-          return prev.map((c) =>
-            getId(c) === getId(newConvo) ? newConvo : c
-          );
+          // Update existing conversation
+          updated = prev.map((c) => {
+            if (getId(c) === convoId) {
+              // Ensure accountId is properly cached
+              let accountId = updatedConvo.accountId || c.accountId;
+              if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
+                userCacheRef.current.set(String(accountId._id), accountId);
+              }
+            
+              return {
+                ...c,
+                ...updatedConvo,
+                lastMessage: updatedConvo.lastMessage || c.lastMessage,
+                accountId: accountId,
+                staffId: updatedStaffId || c.staffId,
+                updatedAt: updatedConvo.updatedAt || c.updatedAt,
+              };
+            }
+            return c;
+          });
+        } else {
+          // Ensure accountId is properly cached
+          let accountId = updatedConvo.accountId;
+          if (typeof accountId === "string") {
+            const cached = userCacheRef.current.get(accountId);
+            accountId = cached || { _id: accountId };
+          } else if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
+            userCacheRef.current.set(String(accountId._id), accountId);
+          }
+        
+          updated = [
+            {
+              ...updatedConvo,
+              lastMessage: updatedConvo.lastMessage || "New conversation",
+              unreadCount: 1,
+              status: updatedStatus || "open",
+              staffId: updatedStaffId,
+              accountId: accountId,
+            },
+            ...prev,
+          ];
         }
-        // Add to beginning and sort by updatedAt
-        return [newConvo, ...prev].sort((a, b) => {
+        // Sort by updatedAt descending
+        return updated.sort((a, b) => {
           const aTime = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
           const bTime = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
           return bTime - aTime;
         });
       });
-      socketRef.current.emit("join_room", getId(newConvo));
-    });
-
-    socketRef.current.on("conversation_taken", (updatedConvo) => {
-      setConversations((prev) =>
-        prev.map((c) =>
-          getId(c) === getId(updatedConvo)
-            ? {
-                ...c,
-                ...updatedConvo,
-                staffId: updatedConvo.staffId ? getId(updatedConvo.staffId) : c.staffId,
-                accountId: (() => {
-                  // Ensure accountId is properly cached
-                  let accountId = updatedConvo.accountId || c.accountId;
-                  if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
-                    userCacheRef.current.set(String(accountId._id), accountId);
-                  }
-                  return accountId;
-                })(),
-              }
-            : c
-        )
-      );
-      if (
-        selectedRef.current &&
-        getId(selectedRef.current) === getId(updatedConvo)
-      ) {
-        setSelected((prev) => ({
-          ...prev,
-          ...updatedConvo,
-          staffId: updatedConvo.staffId ? getId(updatedConvo.staffId) : prev.staffId,
-          accountId: updatedConvo.accountId || prev.accountId, // Preserve populated accountId
-        }));
+    } catch (err) {
+      console.error("Error handling conversation_updated:", err);
+    }
+  });
+
+  useSocketEvent("conversation_created", (convo) => {
+    // Ensure accountId is properly cached
+    let accountId = convo.accountId;
+    if (typeof accountId === "string") {
+      const cached = userCacheRef.current.get(accountId);
+      accountId = cached || { _id: accountId };
+    } else if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
+      userCacheRef.current.set(String(accountId._id), accountId);
+    }
+      
+    const newConvo = {
+      ...convo,
+      lastMessage: convo.lastMessage || "New conversation",
+      unreadCount: 1,
+      status: convo.status || "open",
+      staffId: convo.staffId ? getId(convo.staffId) : null,
+      accountId: accountId,
+    };
+      
+    if (newConvo.status === "closed") {
+      return; // Don't add closed conversations
+    }
+      
+    setConversations((prev) => {
+      // Check if conversation already exists
+      const exists = prev.some((c) => getId(c) === getId(newConvo));
+      if (exists) {
+        return prev.map((c) =>
+          getId(c) === getId(newConvo) ? newConvo : c
+        );
       }
+      // Add to beginning and sort by updatedAt
+      return [newConvo, ...prev].sort((a, b) => {
+        const aTime = a.updatedAt ? new Date(a.updatedAt).getTime() : 0;
+        const bTime = b.updatedAt ? new Date(b.updatedAt).getTime() : 0;
+        return bTime - aTime;
+      });
     });
+  });
 
-    socketRef.current.on("conversation_closed", ({ conversationId }) => {
-      const id = String(conversationId);
-      setConversations((prev) => prev.filter((c) => getId(c) !== id));
-      if (selectedRef.current && getId(selectedRef.current) === id) {
-        setSelected(null);
-      }
-      socketRef.current.emit("leave_room", id);
-    });
+  useSocketEvent("conversation_taken", (updatedConvo) => {
+    setConversations((prev) =>
+      prev.map((c) =>
+        getId(c) === getId(updatedConvo)
+          ? {
+              ...c,
+              ...updatedConvo,
+              staffId: updatedConvo.staffId ? getId(updatedConvo.staffId) : c.staffId,
+              accountId: (() => {
+                // Ensure accountId is properly cached
+                let accountId = updatedConvo.accountId || c.accountId;
+                if (accountId && typeof accountId === "object" && accountId._id && (accountId.username || accountId.email)) {
+                  userCacheRef.current.set(String(accountId._id), accountId);
+                }
+                return accountId;
+              })(),
+            }
+          : c
+      )
+    );
+    if (
+      selectedRef.current &&
+      getId(selectedRef.current) === getId(updatedConvo)
+    ) {
+      setSelected((prev) => ({
+        ...prev,
+        ...updatedConvo,
+        staffId: updatedConvo.staffId ? getId(updatedConvo.staffId) : prev.staffId,
+        accountId: updatedConvo.accountId || prev.accountId, // Preserve populated accountId
+      }));
+    }
+  });
 
-    socketRef.current.on("messages_read", ({ conversationId, readerId }) => {
-      // Optionally handle if needed, but frontend manages unread for now
-    });
+  useSocketEvent("conversation_closed", ({ conversationId }) => {
+    const id = String(conversationId);
+    setConversations((prev) => prev.filter((c) => getId(c) !== id));
+    if (selectedRef.current && getId(selectedRef.current) === id) {
+      setSelected(null);
+    }
+  });
 
-    return () => socketRef.current.disconnect();
-  }, []);
+  useSocketEvent("messages_read", ({ conversationId, readerId }) => {
+    // Optionally handle if needed, but frontend manages unread for now
+  });
 
   // =============== LOAD DATA ===================
   useEffect(() => {
@@ -372,19 +372,34 @@ socketRef.current.on("conversation_updated", (updatedConvo) => {
     }
   };
 
+  // Join a room per listed conversation, leave it once the conversation drops out
   useEffect(() => {
-    if (conversations.length > 0) {
-      conversations.forEach((c) =>
-        socketRef.current.emit("join_room", getId(c))
-      );
-    }
-  }, [conversations]);
+    const rooms = roomReleasesRef.current;
+    const ids = new Set(conversations.map((c) => getId(c)));
+
+    ids.forEach((id) => {
+      if (!rooms.has(id)) rooms.set(id, joinRoom("join_room", "leave_room", id));
+    });
+    rooms.forEach((release, id) => {
+      if (!ids.has(id)) {
+        release();
+        rooms.delete(id);
+      }
+    });
+  }, [conversations, joinRoom]);
+
+  useEffect(() => {
+    const rooms = roomReleasesRef.current;
+    return () => {
+      rooms.forEach((release) => release());
+      rooms.clear();
+    };
+  }, []);
 
   const loadMessages = async (conv) => {
     try {
       setSelected(conv);
       setLoadingMessages(true);
-      socketRef.current.emit("join_room", getId(conv));
 
       const token = localStorage.getItem("token");
       const res = await axios.get(
@@ -396,7 +411,7 @@ socketRef.current.on("conversation_updated", (updatedConvo) => {
       setMessages(res.data?.data || []);
 
       // Mark as read
-      socketRef.current.emit("mark_read", {
+      emit("mark_read", {
         conversationId: getId(conv),
         readerId: adminId,
       });
@@ -413,7 +428,7 @@ socketRef.current.on("conversation_updated", (updatedConvo) => {
   };
 
   const handleTakeConversation = (conv) => {
-    socketRef.current.emit("take_conversation", {
+    emit("take_conversation", {
       staffId: adminId,
       conversationId: getId(conv),
     });
@@ -429,7 +444,7 @@ socketRef.current.on("conversation_updated", (updatedConvo) => {
 
   const handleCloseConversation = () => {
     if (!selected) return;
-    socketRef.current.emit("close_conversation", {
+    emit("close_conversation", {
       conversationId: getId(selected),
     });
   };
@@ -446,33 +461,43 @@ socketRef.current.on("conversation_updated", (updatedConvo) => {
     };
 
     setInput("");
-    socketRef.current.emit("send_message", msg);
+    emit("send_message", msg);
     // No optimistic update → no duplicates
   };
 
-  const handleImageUpload = async (e) => {
+  // Sends the image once its upload settles; failed uploads stay listed with Retry
+  const sendUploadedImage = async (upload, conversationId) => {
+    const result = await upload;
+    if (result.url) {
+      imageTargetsRef.current.delete(result.id);
+      forgetUpload(result.id);
+      emit("send_message", {
+        conversationId,
+        senderId: adminId,
+        type: "image",
+        imageUrl: result.url,
+        createdAt: new Date().toISOString(),
+      });
+    } else {
+      imageTargetsRef.current.set(result.id, conversationId);
+      if (!result.cancelled) showToast("Upload thất bại!", "error");
+    }
+  };
+
+  const handleImageUpload = (e) => {
     const file = e.target.files[0];
+    e.target.value = "";
     if (!file || !selected) return;
-    const formData = new FormData();
-    formData.append("image", file);
-    try {
-      const res = await fetch(`${API_URL}/upload`, {
-        method: "POST",
-        body: formData,
-      });
-      const data = await res.json();
-      if (data.success && data.url) {
-        socketRef.current.emit("send_message", {
-          conversationId: getId(selected),
-          senderId: adminId,
-          type: "image",
-          imageUrl: data.url,
-          createdAt: new Date().toISOString(),
-        });
-      } else showToast("Upload thất bại!", "error");
-    } catch (err) {
+    if (!file.type.startsWith("image/")) {
       showToast("Lỗi upload ảnh!", "error");
+      return;
     }
+    sendUploadedImage(uploadFiles([file]).then(([result]) => result), getId(selected));
+  };
+
+  const handleRetryImage = (id) => {
+    const conversationId = imageTargetsRef.current.get(id);
+    if (conversationId) sendUploadedImage(retryUpload(id), conversationId);
   };
 
   useEffect(() => {
@@ -908,6 +933,7 @@ socketRef.current.on("conversation_updated", (updatedConvo) => {
                     </div>
                   ) : (
                     <div className="flex flex-col gap-2">
+                      <UploadProgressList items={uploadItems} onCancel={cancelUpload} onRetry={handleRetryImage} />
                       <div className="flex items-center gap-3">
                         <button 
                           onClick={() => fileInputRef.current.click()}
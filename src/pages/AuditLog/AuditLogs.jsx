@@ -0,0 +1,433 @@
+import React, { useState, useEffect, useContext, useCallback, useMemo } from "react";
+import { AuthContext } from "../../context/AuthContext";
+import { ToastContext } from "../../context/ToastContext";
+import Api from "../../common/SummaryAPI";
+import Loading from "../../components/Loading";
+import { downloadCSV } from "../../utils/csvUtils";
+
+const PAGE_SIZE = 20;
+// Page size used while collecting every matching entry for export
+const EXPORT_PAGE_SIZE = 200;
+const EXPORT_MAX_PAGES = 50;
+
+const ENTITY_TYPES = [
+  { value: "account", label: "Account" },
+  { value: "product", label: "Product" },
+  { value: "variant", label: "Variant" },
+  { value: "category", label: "Category" },
+  { value: "color", label: "Color" },
+  { value: "size", label: "Size" },
+  { value: "specification", label: "Specification" },
+  { value: "order", label: "Order" },
+  { value: "feedback", label: "Feedback" },
+  { value: "voucher", label: "Voucher" },
+  { value: "livestream", label: "Livestream" },
+];
+
+const EMPTY_FILTERS = {
+  actor: "",
+  entityType: "",
+  action: "",
+  startDate: "",
+  endDate: "",
+};
+
+// dd/MM/yyyy HH:mm:ss
+function formatTimestamp(dateStr) {
+  if (!dateStr) return "N/A";
+  const d = new Date(dateStr);
+  if (isNaN(d.getTime())) return "N/A";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+const getActorName = (log) => {
+  const actor = log.actor || log.actorId;
+  if (actor && typeof actor === "object") {
+    return actor.username || actor.name || actor.email || "Unknown";
+  }
+  return log.actorName || actor || "System";
+};
+
+const getActorRole = (log) => (typeof log.actor === "object" && log.actor?.role) || log.actorRole || "";
+
+const getEntityType = (log) => log.entityType || String(log.action || "").split(".")[0] || "N/A";
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Shallow diff of before/after snapshots: [{ field, before, after }]
+const getChanges = (log) => {
+  const before = log.before && typeof log.before === "object" ? log.before : {};
+  const after = log.after && typeof log.after === "object" ? log.after : {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((field) => !["_id", "__v", "updatedAt", "updated_at"].includes(field))
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+};
+
+const parseLogsResponse = (response) => {
+  const logs = response?.data?.logs || response?.logs || response?.data || [];
+  const pagination = response?.pagination || response?.data?.pagination || {};
+  return { logs: Array.isArray(logs) ? logs : [], pagination };
+};
+
+const AuditLogs = () => {
+  const { user } = useContext(AuthContext);
+  const { showToast } = useContext(ToastContext);
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalItems, setTotalItems] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const totalPages = Math.max(1, Math.ceil(totalItems / PAGE_SIZE));
+
+  // Only send filters that have a value
+  const queryParams = useMemo(() => {
+    const params = {};
+    Object.entries(appliedFilters).forEach(([key, value]) => {
+      if (value) params[key] = value.trim();
+    });
+    return params;
+  }, [appliedFilters]);
+
+  const fetchLogs = useCallback(async () => {
+    if (!user?._id) return;
+    setLoading(true);
+    setError("");
+    try {
+      const response = await Api.auditLogs.getAll({ ...queryParams, page: currentPage, limit: PAGE_SIZE });
+      const { logs: logsData, pagination } = parseLogsResponse(response);
+      setLogs(logsData);
+      setTotalItems(pagination.totalItems ?? pagination.total ?? logsData.length);
+    } catch (err) {
+      setError(err?.response?.data?.message || err.message || "Failed to load audit log");
+    } finally {
+      setLoading(false);
+    }
+  }, [user, queryParams, currentPage]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const applyFilters = (e) => {
+    e?.preventDefault();
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+      showToast("Start date cannot be after end date", "error");
+      return;
+    }
+    setCurrentPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const hasActiveFilters = Object.values(appliedFilters).some(Boolean);
+
+  // Export every entry matching the current filters, not just the visible page
+  const handleExportCSV = async () => {
+    setExporting(true);
+    try {
+      const allLogs = [];
+      // Set when the page cap is hit with entries still left on the server
+      let truncated = false;
+      for (let page = 1; page <= EXPORT_MAX_PAGES; page++) {
+        const response = await Api.auditLogs.getAll({ ...queryParams, page, limit: EXPORT_PAGE_SIZE });
+        const { logs: pageLogs, pagination } = parseLogsResponse(response);
+        allLogs.push(...pageLogs);
+        const total = pagination.totalItems ?? pagination.total;
+        if (pageLogs.length < EXPORT_PAGE_SIZE || (total !== undefined && allLogs.length >= total)) break;
+        truncated = page === EXPORT_MAX_PAGES;
+      }
+
+      if (allLogs.length === 0) {
+        showToast("No data to export", "info");
+        return;
+      }
+
+      const header = ["Timestamp", "Actor", "Role", "Action", "Entity", "Entity ID", "Field", "Before", "After"];
+      const rows = allLogs.flatMap((log) => {
+        const base = [
+          formatTimestamp(log.createdAt || log.timestamp),
+          getActorName(log),
+          getActorRole(log),
+          log.action,
+          getEntityType(log),
+          log.entityId || "",
+        ];
+        const changes = getChanges(log);
+        if (changes.length === 0) return [[...base, "", "", ""]];
+        return changes.map((c) => [...base, c.field, formatValue(c.before), formatValue(c.after)]);
+      });
+
+      downloadCSV(header, rows, `audit_log_${new Date().toISOString().slice(0, 10)}.csv`);
+      if (truncated) {
+        showToast(`Export stopped at the first ${allLogs.length} entries; narrow the filters to export the rest`, "warning");
+      } else {
+        showToast(`Exported ${allLogs.length} entries`, "success");
+      }
+    } catch (err) {
+      showToast(err?.response?.data?.message || err.message || "Failed to export audit log", "error");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const inputClass = "w-full px-3 py-2 lg:px-4 lg:py-3 border-2 border-gray-300/60 rounded-xl focus:ring-2 focus:ring-offset-2 transition-all duration-300 backdrop-blur-sm text-sm lg:text-base focus:border-amber-500 focus:ring-amber-500/30 shadow-md hover:shadow-lg hover:border-yellow-400/60";
+  const pageButtonClass = "px-3 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-amber-50 hover:text-gray-800 hover:border-amber-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-white disabled:hover:text-gray-600 disabled:hover:border-gray-300 transition-all duration-200";
+  const cardStyle = { borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' };
+
+  return (
+    <div className="min-h-screen p-2 sm:p-3 lg:p-4 xl:p-6">
+      {/* Header Section */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 lg:gap-4 mb-4 lg:mb-6 pt-2 lg:pt-3 pb-2 lg:pb-3">
+        <div className="flex-1 min-w-0">
+          <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900 mb-1 lg:mb-2 leading-tight">
+            Audit Log
+          </h1>
+        </div>
+        <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 lg:gap-4 shrink-0">
+          <div className="bg-gradient-to-r from-yellow-400/20 via-amber-400/20 to-orange-400/20 backdrop-blur-md px-2 lg:px-4 py-1 lg:py-2 rounded-xl border-2 border-yellow-400/50 shadow-md">
+            <span className="text-xs lg:text-sm font-semibold text-gray-700">
+              {totalItems} entr{totalItems !== 1 ? "ies" : "y"}
+            </span>
+          </div>
+          <button
+            onClick={handleExportCSV}
+            disabled={exporting || loading}
+            className="px-3 lg:px-4 py-2 lg:py-3 text-white rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl text-xs lg:text-sm font-semibold bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {exporting ? "Exporting..." : "Export CSV"}
+          </button>
+        </div>
+      </div>
+
+      {/* Filter Section */}
+      <form onSubmit={applyFilters} className="backdrop-blur-xl rounded-xl border p-3 sm:p-4 lg:p-6 mb-4 lg:mb-6" style={cardStyle}>
+        <div className="flex items-center justify-between mb-3 lg:mb-4">
+          <h2 className="text-base lg:text-lg font-semibold bg-gradient-to-r from-gray-800 to-gray-600 bg-clip-text text-transparent">Search & Filter</h2>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={clearFilters}
+              disabled={!hasActiveFilters && !Object.values(filters).some(Boolean)}
+              className="px-2 py-1.5 lg:px-3 lg:py-2 text-gray-600 hover:text-white hover:bg-gradient-to-r hover:from-red-500 hover:via-pink-500 hover:to-rose-500 rounded-xl transition-all duration-300 border-2 border-gray-300/60 hover:border-transparent font-medium text-xs lg:text-sm disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:text-gray-600 shadow-md hover:shadow-lg"
+            >
+              Clear
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-1.5 lg:px-4 lg:py-2 text-white rounded-xl transition-all duration-300 shadow-md hover:shadow-lg font-medium text-xs lg:text-sm bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3 lg:gap-4">
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Actor</label>
+            <input
+              type="text"
+              value={filters.actor}
+              onChange={(e) => handleFilterChange("actor", e.target.value)}
+              placeholder="Username"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Entity</label>
+            <select
+              value={filters.entityType}
+              onChange={(e) => handleFilterChange("entityType", e.target.value)}
+              className={inputClass}
+            >
+              <option value="">All Entities</option>
+              {ENTITY_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Action</label>
+            <input
+              type="text"
+              value={filters.action}
+              onChange={(e) => handleFilterChange("action", e.target.value)}
+              placeholder="e.g. account.disable"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Start Date</label>
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => handleFilterChange("startDate", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">End Date</label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => handleFilterChange("endDate", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      </form>
+
+      {/* Table / States */}
+      <div className="backdrop-blur-xl rounded-xl border overflow-hidden" style={cardStyle}>
+        {loading ? (
+          <Loading type="page" size="medium" message="Loading audit log..." className="py-10" />
+        ) : error ? (
+          <div className="flex flex-col items-center space-y-3 p-6">
+            <p className="text-sm text-red-600">{error}</p>
+            <button
+              onClick={fetchLogs}
+              className="px-4 py-2 text-white text-sm font-semibold rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+            >
+              Retry
+            </button>
+          </div>
+        ) : logs.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No audit entries found</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[900px]">
+              <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
+                <tr>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Timestamp</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Actor</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Action</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Entity</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Changes</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {logs.map((log) => {
+                  const changes = getChanges(log);
+                  const isExpanded = expandedId === log._id;
+                  return (
+                    <React.Fragment key={log._id}>
+                      <tr className="hover:bg-amber-50/50 transition-colors">
+                        <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900 whitespace-nowrap">
+                          {formatTimestamp(log.createdAt || log.timestamp)}
+                        </td>
+                        <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">
+                          {getActorName(log)}
+                          {getActorRole(log) && (
+                            <span className="ml-1 text-gray-500">({getActorRole(log)})</span>
+                          )}
+                        </td>
+                        <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm font-mono text-gray-900">{log.action || "N/A"}</td>
+                        <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">
+                          <span className="capitalize">{getEntityType(log)}</span>
+                          {log.entityId && (
+                            <span className="ml-1 font-mono text-gray-500" title={log.entityId}>
+                              #{String(log.entityId).slice(-6).toUpperCase()}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-700">
+                          {changes.length === 0 ? (
+                            <span className="text-gray-400">—</span>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => setExpandedId(isExpanded ? null : log._id)}
+                              className="font-medium hover:underline"
+                              style={{ color: '#A86523' }}
+                            >
+                              {changes.length} field{changes.length !== 1 ? "s" : ""} {isExpanded ? "▲" : "▼"}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={5} className="px-2 lg:px-4 py-3">
+                            <table className="w-full text-xs lg:text-sm">
+                              <thead>
+                                <tr className="text-left text-gray-500">
+                                  <th className="py-1 pr-4 font-semibold">Field</th>
+                                  <th className="py-1 pr-4 font-semibold">Before</th>
+                                  <th className="py-1 font-semibold">After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {changes.map((c) => (
+                                  <tr key={c.field} className="align-top">
+                                    <td className="py-1 pr-4 font-mono text-gray-700">{c.field}</td>
+                                    <td className="py-1 pr-4 text-red-700 break-all">{formatValue(c.before)}</td>
+                                    <td className="py-1 text-green-700 break-all">{formatValue(c.after)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalItems > PAGE_SIZE && (
+        <div className="backdrop-blur-xl rounded-xl border p-4 lg:p-6 mt-4 lg:mt-6" style={cardStyle}>
+          <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+            <div className="text-sm text-gray-700">
+              Page <span className="font-medium">{currentPage}</span> of{" "}
+              <span className="font-medium">{totalPages}</span>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+                disabled={currentPage === 1 || loading}
+                className={pageButtonClass}
+                aria-label="Previous page"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+                disabled={currentPage === totalPages || loading}
+                className={pageButtonClass}
+                aria-label="Next page"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogs;
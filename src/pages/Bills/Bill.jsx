@@ -3,6 +3,10 @@ import { ToastContext } from "../../context/ToastContext";
 import SummaryAPI from "../../common/SummaryAPI";
 import BillModal from "../../components/BillModal";
 import Loading from "../../components/Loading";
+import { createCombinedInvoicePdf, createInvoicePdf, getInvoiceFilename } from "../../utils/invoicePdf";
+import { createZip } from "../../utils/zipUtils";
+import { downloadBlob, downloadCSV } from "../../utils/csvUtils";
+import { canIssueInvoice, formatInvoiceNumber, getBillVatBreakdown } from "../../utils/invoiceUtils";
 
 export default function Bills() {
   const { showToast } = useContext(ToastContext);
@@ -20,6 +24,9 @@ export default function Bills() {
   const [selectedBillData, setSelectedBillData] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [loading, setLoading] = useState(false);
+  const [selectedOrders, setSelectedOrders] = useState({}); // { [orderId]: order }
+  const [exportProgress, setExportProgress] = useState(null); // { label, done, total }
+  const [issuingOrderId, setIssuingOrderId] = useState(null);
   const itemsPerPage = 10;
 
   // Helper function to extract error message
@@ -130,12 +137,34 @@ export default function Bills() {
     }
   }, [totalPages]);
 
+  // Load a bill as it stands; viewing and exporting never issue invoice numbers
+  const fetchBill = async (order) => {
+    const response = await SummaryAPI.bills.export(order._id);
+    return response.data.data;
+  };
+
+  // Issue the order's invoice number. The server allocates the next number in the year's
+  // gap-free sequence, so this only runs when an admin asks for it.
+  const handleIssueInvoice = async (order) => {
+    if (!canIssueInvoice(order) || issuingOrderId) return;
+    setIssuingOrderId(order._id);
+    try {
+      const issued = await SummaryAPI.bills.issueInvoice(order._id);
+      const invoice = issued.data.data?.invoice || issued.data.data;
+      setOrders((prev) => prev.map((o) => (o._id === order._id ? { ...o, invoice } : o)));
+      setSelectedOrders((prev) => (prev[order._id] ? { ...prev, [order._id]: { ...prev[order._id], invoice } } : prev));
+      showToast(`Invoice ${formatInvoiceNumber(invoice) || "number"} issued`, "success");
+    } catch (err) {
+      showToast(getErrorMessage(err, "Failed to issue invoice"), "error");
+    } finally {
+      setIssuingOrderId(null);
+    }
+  };
+
   // Handle view bill
   const handleViewBill = async (order) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await SummaryAPI.bills.export(order._id, token);
-      setSelectedBillData(response.data.data);
+      setSelectedBillData(await fetchBill(order));
       setShowModal(true);
     } catch (err) {
       const errorMessage = getErrorMessage(err, "Failed to load bill");
@@ -143,6 +172,127 @@ export default function Bills() {
     }
   };
 
+  // Bulk exports use the selected bills, or every bill matching the filters when none are selected
+  const selectedCount = Object.keys(selectedOrders).length;
+  const exportTargets = selectedCount > 0 ? Object.values(selectedOrders) : filteredOrders;
+  const isExporting = exportProgress !== null;
+
+  const toggleOrderSelection = (order) => {
+    setSelectedOrders((prev) => {
+      const next = { ...prev };
+      if (next[order._id]) {
+        delete next[order._id];
+      } else {
+        next[order._id] = order;
+      }
+      return next;
+    });
+  };
+
+  const allPageSelected = paginatedOrders.length > 0 && paginatedOrders.every((order) => selectedOrders[order._id]);
+
+  const togglePageSelection = () => {
+    setSelectedOrders((prev) => {
+      const next = { ...prev };
+      paginatedOrders.forEach((order) => {
+        if (allPageSelected) {
+          delete next[order._id];
+        } else {
+          next[order._id] = order;
+        }
+      });
+      return next;
+    });
+  };
+
+  // Load bill data one order at a time as [{ order, bill }]; failed bills are reported and left out
+  const fetchBillsData = async (targets, label) => {
+    const bills = [];
+    const failed = [];
+    setExportProgress({ label, done: 0, total: targets.length });
+    for (const order of targets) {
+      try {
+        bills.push({ order, bill: await fetchBill(order) });
+      } catch (err) {
+        failed.push(order);
+        console.error(`Bill export failed for ${order._id}:`, err);
+      }
+      setExportProgress({ label, done: bills.length + failed.length, total: targets.length });
+    }
+    if (failed.length > 0) {
+      showToast(`${failed.length} bill${failed.length !== 1 ? 's' : ''} could not be loaded and were skipped`, "error");
+    }
+    return bills;
+  };
+
+  const exportStamp = () => new Date().toISOString().slice(0, 10);
+
+  const handleExportZip = async () => {
+    try {
+      const bills = (await fetchBillsData(exportTargets, "Rendering invoices")).map((entry) => entry.bill);
+      if (bills.length === 0) return;
+      const files = [];
+      for (const bill of bills) {
+        const pdf = await createInvoicePdf(bill);
+        files.push({ name: getInvoiceFilename(bill), data: pdf.output('arraybuffer') });
+      }
+      downloadBlob(createZip(files), `invoices_${exportStamp()}.zip`);
+      showToast(`Exported ${files.length} invoice${files.length !== 1 ? 's' : ''} as ZIP`, "success");
+    } catch (err) {
+      showToast(getErrorMessage(err, "Failed to export invoices"), "error");
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  const handleExportCombinedPdf = async () => {
+    try {
+      const bills = (await fetchBillsData(exportTargets, "Rendering invoices")).map((entry) => entry.bill);
+      if (bills.length === 0) return;
+      const pdf = await createCombinedInvoicePdf(bills);
+      pdf.save(`invoices_${exportStamp()}.pdf`);
+      showToast(`Exported ${bills.length} invoice${bills.length !== 1 ? 's' : ''} as one PDF`, "success");
+    } catch (err) {
+      showToast(getErrorMessage(err, "Failed to export invoices"), "error");
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  // Accountant ledger with the same per-line VAT breakdown the invoices print, so both agree to the đồng.
+  // Orders without an issued invoice get an empty Invoice Number.
+  const handleExportLedger = async () => {
+    try {
+      const entries = await fetchBillsData(exportTargets, "Building ledger");
+      if (entries.length === 0) return;
+      const rows = entries.map(({ order, bill }) => {
+        const { totals, total } = getBillVatBreakdown(bill);
+        return [
+          formatInvoiceNumber(bill.invoice || order.invoice) || order.invoiceNumber || '',
+          order._id,
+          order.orderDate ? new Date(order.orderDate).toISOString().slice(0, 10) : '',
+          order.name || '',
+          order.payment_method || '',
+          totals.subtotal,
+          order.voucher?.code || '',
+          totals.discount,
+          totals.net,
+          totals.tax,
+          total,
+        ];
+      });
+      downloadCSV(
+        ['Invoice Number', 'Order ID', 'Date', 'Customer', 'Payment Method', 'Subtotal', 'Voucher', 'Voucher Discount', 'Net', 'VAT', 'Total'],
+        rows,
+        `invoice_ledger_${exportStamp()}.csv`
+      );
+    } catch (err) {
+      showToast(getErrorMessage(err, "Failed to export ledger"), "error");
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
   // Close modal
   const closeModal = () => {
     setShowModal(false);
@@ -370,6 +520,56 @@ export default function Bills() {
         </div>
       )}
 
+      {/* Bulk Export Bar */}
+      {filteredOrders.length > 0 && (
+        <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-3 rounded-xl border-2 border-yellow-400/50 bg-gradient-to-r from-yellow-50 via-amber-50 to-orange-50 px-3 py-2 lg:px-4 lg:py-3 mb-4 lg:mb-6 shadow-md">
+          <div className="flex items-center gap-3">
+            <span className="text-xs lg:text-sm font-semibold text-gray-700">
+              {selectedCount > 0
+                ? `${selectedCount} bill${selectedCount !== 1 ? 's' : ''} selected`
+                : `Export all ${filteredOrders.length} filtered bill${filteredOrders.length !== 1 ? 's' : ''}`}
+            </span>
+            {selectedCount > 0 && (
+              <button
+                onClick={() => setSelectedOrders({})}
+                disabled={isExporting}
+                className="text-xs lg:text-sm text-gray-600 hover:text-gray-800 underline disabled:opacity-50"
+              >
+                Clear selection
+              </button>
+            )}
+          </div>
+          {isExporting ? (
+            <div className="flex items-center gap-3 min-w-[220px]">
+              <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-[#E9A319] to-[#A86523] transition-all duration-300"
+                  style={{ width: `${exportProgress.total ? (exportProgress.done / exportProgress.total) * 100 : 0}%` }}
+                />
+              </div>
+              <span className="text-xs text-gray-600 whitespace-nowrap">
+                {exportProgress.label} {exportProgress.done}/{exportProgress.total}
+              </span>
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <button onClick={handleExportZip} className="px-3 py-2 text-white text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 shadow-md hover:shadow-lg bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:opacity-50 disabled:cursor-not-allowed">
+                ZIP of PDFs
+              </button>
+              <button onClick={handleExportCombinedPdf} className="px-3 py-2 text-white text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 shadow-md hover:shadow-lg bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:opacity-50 disabled:cursor-not-allowed">
+                Combined PDF
+              </button>
+              <button
+                onClick={handleExportLedger}
+                className="px-3 py-2 text-[#A86523] text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 border-2 border-[#A86523]/60 bg-white hover:bg-amber-50 shadow-md hover:shadow-lg"
+              >
+                CSV Ledger
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Orders Table */}
       <div className="backdrop-blur-xl rounded-xl border overflow-hidden" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}>
         {loading || filteredOrders.length === 0 ? (
@@ -412,11 +612,21 @@ export default function Bills() {
             <table className="w-full table-fixed min-w-[1000px]">
               <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
                 <tr>
+                  <th className="w-[4%] px-2 lg:px-4 py-3 text-left">
+                    <input
+                      type="checkbox"
+                      checked={allPageSelected}
+                      onChange={togglePageSelection}
+                      disabled={isExporting}
+                      className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                      aria-label="Select all bills on this page"
+                    />
+                  </th>
                   <th className="w-[5%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                     #
                   </th>
                   <th className="w-[12%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Order ID</th>
-                  <th className="w-[18%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Customer</th>
+                  <th className="w-[14%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Customer</th>
                   <th className="w-[11%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Date</th>
                   <th className="w-[6%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Payment Method</th>
                   <th className="w-[16%] px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Total</th>
@@ -428,6 +638,16 @@ export default function Bills() {
               <tbody>
                 {paginatedOrders.map((order, index) => (
                   <tr key={order._id} className="hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40">
+                    <td className="px-2 lg:px-4 py-3 whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(selectedOrders[order._id])}
+                        onChange={() => toggleOrderSelection(order)}
+                        disabled={isExporting}
+                        className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                        aria-label={`Select bill for order ${order._id}`}
+                      />
+                    </td>
                     <td className="px-2 lg:px-4 py-3 whitespace-nowrap text-xs lg:text-sm text-gray-900">
                       {startIndex + index + 1}
                     </td>
@@ -483,6 +703,19 @@ export default function Bills() {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                           </svg>
                         </button>
+                        {canIssueInvoice(order) && (
+                          <button
+                            onClick={() => handleIssueInvoice(order)}
+                            disabled={Boolean(issuingOrderId) || isExporting}
+                            className="p-1.5 rounded-xl transition-all duration-300 border-2 shadow-md hover:shadow-lg transform hover:scale-110 border-yellow-400/60 bg-gradient-to-br from-yellow-100/80 via-amber-100/80 to-orange-100/80 hover:from-yellow-200 hover:via-amber-200 hover:to-orange-200 text-amber-700 hover:text-amber-800 backdrop-blur-sm disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+                            aria-label={`Issue invoice for order ${order._id}`}
+                            title={issuingOrderId === order._id ? "Issuing invoice..." : "Issue Invoice"}
+                          >
+                            <svg className="w-3 h-3 lg:w-4 lg:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-3-3v6m-7 4h14a2 2 0 002-2V7.414a1 1 0 00-.293-.707l-3.414-3.414A1 1 0 0015.586 3H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                            </svg>
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
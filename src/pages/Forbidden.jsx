@@ -0,0 +1,40 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+
+// Shown by ProtectedRoute when the user is logged in but lacks the permission
+const Forbidden = () => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border-2 p-6 sm:p-8 max-w-md w-full text-center" style={{ borderColor: '#A86523' }}>
+        <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <svg className="w-8 h-8 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+          </svg>
+        </div>
+        <p className="text-sm font-semibold" style={{ color: '#A86523' }}>403</p>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">Access denied</h1>
+        <p className="text-gray-600 mb-6">You do not have permission to access this page.</p>
+        <div className="flex flex-col sm:flex-row gap-3 justify-center">
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="px-5 py-2.5 text-gray-700 hover:text-gray-900 hover:bg-gray-50 rounded-lg border border-gray-300 transition-all duration-200 font-medium text-sm"
+          >
+            Go Back
+          </button>
+          <button
+            type="button"
+            onClick={() => navigate("/orders")}
+            className="px-5 py-2.5 text-white rounded-lg transition-all duration-200 shadow-md hover:shadow-lg font-medium text-sm bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+          >
+            Go to Orders
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Forbidden;
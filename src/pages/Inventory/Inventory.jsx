@@ -0,0 +1,406 @@
+import React, { useState, useEffect, useContext, useCallback, useMemo } from "react";
+import { ToastContext } from "../../context/ToastContext";
+import Api from "../../common/SummaryAPI";
+import Loading from "../../components/Loading";
+import StockHistoryModal from "../../components/StockHistoryModal";
+import LowStockThresholdModal from "../../components/LowStockThresholdModal";
+import { downloadCSV } from "../../utils/csvUtils";
+import {
+  LOW_STOCK_THRESHOLD,
+  STOCK_LEVELS,
+  getAvailableStock,
+  getLowStockThreshold,
+  getStockLevel,
+  toReservationMap,
+} from "../../utils/stockUtils";
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  search: "",
+  level: "attention",
+  product: "",
+  includeDiscontinued: false,
+};
+
+const toIdString = (value) => (value && typeof value === "object" ? String(value._id || value.id || "") : String(value || ""));
+
+const getProductName = (variant) => variant.productId?.productName || "Unknown Product";
+const getColorName = (variant) => variant.productColorId?.color_name || "N/A";
+const getSizeName = (variant) => variant.productSizeId?.size_name || "N/A";
+
+const isInactive = (variant) => variant.isDeleted || variant.variantStatus === "discontinued";
+
+// Stock overview across every product: what is low, what is out, and each variant's ledger
+const Inventory = () => {
+  const { showToast } = useContext(ToastContext);
+  const [variants, setVariants] = useState([]);
+  const [reservations, setReservations] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [historyVariant, setHistoryVariant] = useState(null);
+  const [thresholds, setThresholds] = useState(null);
+  const [showThresholds, setShowThresholds] = useState(false);
+
+  const fetchInventory = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const [variantData, reservationData, thresholdData] = await Promise.all([
+        Api.newVariants.getAll(),
+        Api.inventory.getReservations().catch((err) => {
+          console.error("Failed to fetch stock reservations:", err);
+          return null;
+        }),
+        // Falls back to LOW_STOCK_THRESHOLD when none are configured
+        Api.inventory.getThresholds().catch((err) => {
+          console.error("Failed to fetch low-stock thresholds:", err);
+          return null;
+        }),
+      ]);
+      setVariants(Array.isArray(variantData?.data) ? variantData.data : []);
+      setReservations(toReservationMap(reservationData?.data));
+      setThresholds(thresholdData?.data || null);
+    } catch (err) {
+      setError(err?.response?.data?.message || err.message || "Failed to load inventory");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [fetchInventory]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setCurrentPage(1);
+  };
+
+  // Each variant with its reservation, availability and stock level worked out once
+  const rows = useMemo(
+    () =>
+      variants.map((variant) => {
+        const reserved = reservations[variant._id] || 0;
+        const available = getAvailableStock(variant, reserved);
+        const threshold = getLowStockThreshold(thresholds, toIdString(variant.productId));
+        return { variant, reserved, available, threshold, level: getStockLevel(available, threshold) };
+      }),
+    [variants, reservations, thresholds]
+  );
+
+  const productOptions = useMemo(() => {
+    const products = new Map();
+    variants.forEach((variant) => {
+      const id = toIdString(variant.productId);
+      if (id && !products.has(id)) products.set(id, getProductName(variant));
+    });
+    return [...products.entries()]
+      .map(([id, name]) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [variants]);
+
+  // Emptiest first so the variants that need restocking lead the list
+  const filteredRows = useMemo(() => {
+    const search = filters.search.trim().toLowerCase();
+    return rows
+      .filter(({ variant }) => filters.includeDiscontinued || !isInactive(variant))
+      .filter(({ level }) => {
+        if (filters.level === "all") return true;
+        if (filters.level === "attention") return level !== "ok";
+        return level === filters.level;
+      })
+      .filter(({ variant }) => !filters.product || toIdString(variant.productId) === filters.product)
+      .filter(({ variant }) =>
+        !search ||
+        getProductName(variant).toLowerCase().includes(search) ||
+        getColorName(variant).toLowerCase().includes(search) ||
+        getSizeName(variant).toLowerCase().includes(search)
+      )
+      .sort((a, b) => a.available - b.available || getProductName(a.variant).localeCompare(getProductName(b.variant)));
+  }, [rows, filters]);
+
+  const totals = useMemo(() => {
+    const active = rows.filter(({ variant }) => !isInactive(variant));
+    return {
+      variants: active.length,
+      onHand: active.reduce((sum, { variant }) => sum + (variant.stockQuantity || 0), 0),
+      reserved: active.reduce((sum, { reserved }) => sum + reserved, 0),
+      low: active.filter(({ level }) => level === "low").length,
+      out: active.filter(({ level }) => level === "out").length,
+    };
+  }, [rows]);
+
+  const totalPages = Math.max(1, Math.ceil(filteredRows.length / PAGE_SIZE));
+  const paginatedRows = filteredRows.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const handleStockAdjusted = useCallback((variantId, stockQuantity) => {
+    setVariants((prev) => prev.map((v) => (v._id === variantId ? { ...v, stockQuantity } : v)));
+  }, []);
+
+  const handleExport = () => {
+    if (filteredRows.length === 0) {
+      showToast("No variants to export", "info");
+      return;
+    }
+    downloadCSV(
+      ["Product", "Color", "Size", "On Hand", "Reserved", "Available", "Threshold", "Stock Level", "Variant Status"],
+      filteredRows.map(({ variant, reserved, available, threshold, level }) => [
+        getProductName(variant),
+        getColorName(variant),
+        getSizeName(variant),
+        variant.stockQuantity || 0,
+        reserved,
+        available,
+        threshold,
+        STOCK_LEVELS[level].label,
+        variant.variantStatus || "",
+      ]),
+      `inventory_${new Date().toISOString().slice(0, 10)}.csv`
+    );
+    showToast(`Exported ${filteredRows.length} variant${filteredRows.length !== 1 ? "s" : ""}`, "success");
+  };
+
+  const inputClass = "w-full px-3 py-2 lg:px-4 lg:py-3 border-2 border-gray-300/60 rounded-xl focus:ring-2 focus:ring-offset-2 transition-all duration-300 backdrop-blur-sm text-sm lg:text-base focus:border-amber-500 focus:ring-amber-500/30 shadow-md hover:shadow-lg hover:border-yellow-400/60";
+  const pageButtonClass = "px-3 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-amber-50 hover:text-gray-800 hover:border-amber-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-white disabled:hover:text-gray-600 disabled:hover:border-gray-300 transition-all duration-200";
+  const cardStyle = { borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' };
+  const summaryCards = [
+    { label: "Active variants", value: totals.variants, level: "all" },
+    { label: "Units on hand", value: totals.onHand, hint: totals.reserved > 0 ? `${totals.reserved} reserved` : null, level: "all" },
+    {
+      label: "Low stock",
+      value: totals.low,
+      hint: thresholds?.products?.length > 0
+        ? "At or below each product's threshold"
+        : `${thresholds?.global ?? LOW_STOCK_THRESHOLD} or fewer available`,
+      level: "low",
+    },
+    { label: "Out of stock", value: totals.out, level: "out" },
+  ];
+
+  return (
+    <div className="min-h-screen p-2 sm:p-3 lg:p-4 xl:p-6">
+      {/* Header Section */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 lg:gap-4 mb-4 lg:mb-6 pt-2 lg:pt-3 pb-2 lg:pb-3">
+        <div className="flex-1 min-w-0">
+          <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900 mb-1 lg:mb-2 leading-tight">
+            Inventory
+          </h1>
+        </div>
+        <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 lg:gap-4 shrink-0">
+          <div className="bg-gradient-to-r from-yellow-400/20 via-amber-400/20 to-orange-400/20 backdrop-blur-md px-2 lg:px-4 py-1 lg:py-2 rounded-xl border-2 border-yellow-400/50 shadow-md">
+            <span className="text-xs lg:text-sm font-semibold text-gray-700">
+              {filteredRows.length} variant{filteredRows.length !== 1 ? "s" : ""}
+            </span>
+          </div>
+          <button
+            onClick={() => setShowThresholds(true)}
+            disabled={loading}
+            className="px-3 lg:px-4 py-2 lg:py-3 rounded-xl transition-all duration-300 shadow-md hover:shadow-lg text-xs lg:text-sm font-semibold border-2 border-yellow-400/60 bg-white text-amber-700 hover:bg-amber-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Thresholds
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={loading}
+            className="px-3 lg:px-4 py-2 lg:py-3 text-white rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl text-xs lg:text-sm font-semibold bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 lg:gap-4 mb-4 lg:mb-6">
+        {summaryCards.map((card) => (
+          <button
+            key={card.label}
+            type="button"
+            onClick={() => handleFilterChange("level", card.level)}
+            className="text-left backdrop-blur-xl rounded-xl border p-3 lg:p-4 hover:bg-amber-50/50 transition-colors"
+            style={cardStyle}
+          >
+            <p className="text-xs lg:text-sm text-gray-600">{card.label}</p>
+            <p className={`text-lg lg:text-2xl font-bold ${card.level === "out" && card.value > 0 ? "text-red-600" : "text-gray-900"}`}>{card.value}</p>
+            {card.hint && <p className="text-xs text-gray-500 mt-1">{card.hint}</p>}
+          </button>
+        ))}
+      </div>
+
+      {/* Filter Section */}
+      <div className="backdrop-blur-xl rounded-xl border p-3 sm:p-4 lg:p-6 mb-4 lg:mb-6" style={cardStyle}>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 lg:gap-4">
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Search</label>
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => handleFilterChange("search", e.target.value)}
+              placeholder="Product, color or size"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Stock Level</label>
+            <select
+              value={filters.level}
+              onChange={(e) => handleFilterChange("level", e.target.value)}
+              className={inputClass}
+            >
+              <option value="attention">Low or out of stock</option>
+              <option value="all">All Levels</option>
+              {Object.entries(STOCK_LEVELS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Product</label>
+            <select
+              value={filters.product}
+              onChange={(e) => handleFilterChange("product", e.target.value)}
+              className={inputClass}
+            >
+              <option value="">All Products</option>
+              {productOptions.map((product) => (
+                <option key={product.id} value={product.id}>{product.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <label className="inline-flex items-center gap-2 mt-3 text-xs lg:text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.includeDiscontinued}
+            onChange={(e) => handleFilterChange("includeDiscontinued", e.target.checked)}
+            className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+          />
+          Include discontinued variants
+        </label>
+      </div>
+
+      {/* Table / States */}
+      <div className="backdrop-blur-xl rounded-xl border overflow-hidden" style={cardStyle}>
+        {loading ? (
+          <Loading type="page" size="medium" message="Loading inventory..." className="py-10" />
+        ) : error ? (
+          <div className="flex flex-col items-center space-y-3 p-6">
+            <p className="text-sm text-red-600">{error}</p>
+            <button
+              onClick={fetchInventory}
+              className="px-4 py-2 text-white text-sm font-semibold rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+            >
+              Retry
+            </button>
+          </div>
+        ) : filteredRows.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            {filters.level === "attention" ? "Every variant is well stocked" : "No variants found"}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[900px]">
+              <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
+                <tr>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Product</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Color</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Size</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">On Hand</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Reserved</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Available</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Threshold</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Level</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {paginatedRows.map(({ variant, reserved, available, threshold, level }) => (
+                  <tr key={variant._id} className={`hover:bg-amber-50/50 transition-colors ${isInactive(variant) ? "opacity-60" : ""}`}>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">
+                      <div className="flex items-center gap-2">
+                        {variant.variantImage && (
+                          <img src={variant.variantImage} alt="" className="w-8 h-8 rounded-lg object-cover border border-gray-200" />
+                        )}
+                        <span>{getProductName(variant)}</span>
+                      </div>
+                    </td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">{getColorName(variant)}</td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">{getSizeName(variant)}</td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right text-gray-900">{variant.stockQuantity || 0}</td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right text-gray-700">{reserved}</td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right font-semibold" style={{ color: '#A86523' }}>{available}</td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right text-gray-700">{threshold}</td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${STOCK_LEVELS[level].className}`}>
+                        {STOCK_LEVELS[level].label}
+                      </span>
+                    </td>
+                    <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => setHistoryVariant(variant)}
+                        className="px-3 py-1.5 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-300 bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+                      >
+                        History
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {filteredRows.length > PAGE_SIZE && (
+        <div className="backdrop-blur-xl rounded-xl border p-4 lg:p-6 mt-4 lg:mt-6" style={cardStyle}>
+          <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+            <div className="text-sm text-gray-700">
+              Page <span className="font-medium">{currentPage}</span> of{" "}
+              <span className="font-medium">{totalPages}</span>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+                disabled={currentPage === 1}
+                className={pageButtonClass}
+                aria-label="Previous page"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+                disabled={currentPage === totalPages}
+                className={pageButtonClass}
+                aria-label="Next page"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <StockHistoryModal
+        isOpen={!!historyVariant}
+        onClose={() => setHistoryVariant(null)}
+        variant={historyVariant}
+        reserved={reservations[historyVariant?._id] || 0}
+        onStockAdjusted={handleStockAdjusted}
+      />
+
+      <LowStockThresholdModal
+        isOpen={showThresholds}
+        onClose={() => setShowThresholds(false)}
+        thresholds={thresholds}
+        products={productOptions}
+        onSaved={setThresholds}
+      />
+    </div>
+  );
+};
+
+export default Inventory;
@@ -8,6 +8,9 @@ import React, {
 } from "react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
+import { useAccountRevocation } from "../hooks/useAccountRevocation";
+import { usePermission } from "../hooks/usePermission";
+import { PERMISSIONS, canAccessDashboard } from "../config/permissions";
 import {
   ShoppingCart,
   List,
@@ -17,6 +20,7 @@ import {
   Settings as SettingsIcon,
   Layers,
   Receipt,
+  CurrencyExchange,
   ConfirmationNumber,
   Notifications,
   Message,
@@ -42,7 +46,10 @@ import {
   Widgets,
   AttachMoney,
   Group,
+  History,
+  Warehouse,
 } from "@mui/icons-material";
+import StockAlertBell from "../components/StockAlertBell";
 import "../styles/Layout.css";
 import gashLogo from "../assets/image/gash-logo.svg";
 
@@ -51,9 +58,13 @@ const ERROR_TIMEOUT = 5000;
 
 const Layout = ({ children }) => {
   const { user, logout } = useContext(AuthContext);
+  const can = usePermission();
   const navigate = useNavigate();
   const location = useLocation();
 
+  // Suspension, role changes and forced logout pushed by the server
+  useAccountRevocation();
+
   // State
   const [error, setError] = useState(null);
   const [logoLoaded, setLogoLoaded] = useState(false);
@@ -106,29 +117,33 @@ const Layout = ({ children }) => {
       { label: "Product Specification", to: "/specifications", icon: Category },
       { label: "Product", to: "/products", icon: Inventory },
       { label: "Product Variant", to: "/variants", icon: Widgets },
+      { label: "Inventory", to: "/inventory", icon: Warehouse },
       { label: "Bills", to: "/bills", icon: Receipt },
+      {
+        label: "Refunds",
+        to: "/refunds",
+        icon: CurrencyExchange,
+        permission: PERMISSIONS.REFUNDS_MANAGE,
+      },
       { label: "Voucher", to: "/vouchers", icon: ConfirmationNumber },
       { label: "Feedback", to: "/feedbacks", icon: RateReview },
       { label: "Chat", to: "/chat", icon: Message },
       { label: "Notifications", to: "/notifications", icon: Notifications },
       { label: "Livestream", to: "/livestream", icon: LiveTv },
-    ];
+    ].filter((item) => !item.permission || can(item.permission));
 
     // Statistics submenu (có ở admin & manager)
     const statisticsSubmenu = [
       // { label: "Customer", to: "/statistics/customer", icon: Group },
       // { label: "Product", to: "/statistics/product", icon: Inventory },
       { label: "Order", to: "/statistics/order", icon: Assignment },
-    ];
-
-    // Chỉ admin mới có Revenue
-    if (user?.role === "admin") {
-      statisticsSubmenu.push({
+      {
         label: "Revenue",
         to: "/statistics/revenue",
         icon: AttachMoney,
-      });
-    }
+        permission: PERMISSIONS.REVENUE_VIEW,
+      },
+    ].filter((item) => !item.permission || can(item.permission));
 
     // Add Statistics vào menu
     items.unshift({
@@ -139,13 +154,16 @@ const Layout = ({ children }) => {
       submenuItems: statisticsSubmenu,
     });
 
-    // Chỉ admin mới có Account
-    if (user?.role === "admin") {
+    if (can(PERMISSIONS.AUDIT_VIEW)) {
+      items.push({ label: "Audit Log", to: "/audit-logs", icon: History });
+    }
+
+    if (can(PERMISSIONS.ACCOUNTS_MANAGE)) {
       items.unshift({ label: "Account", to: "/accounts", icon: People });
     }
 
     return items;
-  }, [user]);
+  }, [can]);
 
   // Account sublist items
   const accountItems = useMemo(
@@ -236,7 +254,7 @@ const Layout = ({ children }) => {
       )}
 
       {/* Sidebar */}
-      {user && ["admin", "manager"].includes(user.role) && (
+      {canAccessDashboard(user) && (
         <aside
           className={`fixed top-0 left-0 h-full bg-white text-gray-800 shadow-xl z-50 flex flex-col transition-all duration-300 border-r ${isSidebarExpanded ? "w-72" : "w-20"
             }`}
@@ -451,7 +469,7 @@ const Layout = ({ children }) => {
 
       {/* Main Content */}
       <main
-        className={`flex-grow bg-gray-50 min-h-screen transition-all duration-300 ${user && ["admin", "manager"].includes(user.role)
+        className={`flex-grow bg-gray-50 min-h-screen transition-all duration-300 ${canAccessDashboard(user)
           ? isSidebarExpanded
             ? "ml-72 w-[calc(100%-18rem)]"
             : "ml-20 w-[calc(100%-5rem)]"
@@ -459,6 +477,11 @@ const Layout = ({ children }) => {
           }`}
         role="main"
       >
+        {canAccessDashboard(user) && (
+          <div className="flex justify-end px-2 sm:px-3 lg:px-4 xl:px-6 pt-3">
+            <StockAlertBell />
+          </div>
+        )}
         {children}
       </main>
     </div>
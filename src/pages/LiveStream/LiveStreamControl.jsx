@@ -7,14 +7,8 @@ import { LiveTv, Comment, Inventory2, ThumbUp, Refresh, Schedule, Flag, PushPin,
 import Loading from '../../components/Loading';
 import LiveStreamProducts from './components/LiveStreamProducts';
 import { format } from 'date-fns';
-import io from 'socket.io-client';
-
-// Normalize socket URL
-const getSocketURL = () => {
-    const url = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-    return url.replace(/\/$/, '');
-};
-const SOCKET_URL = getSocketURL();
+import { useLivestreamSocket } from '../../hooks/useLivestreamSocket';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 
 const LiveStreamControl = () => {
     const { user } = useContext(AuthContext);
@@ -29,7 +23,6 @@ const LiveStreamControl = () => {
     const [comments, setComments] = useState([]);
     const [isRefreshing, setIsRefreshing] = useState(false);
     const [currentDuration, setCurrentDuration] = useState('00:00:00');
-    const socketRef = useRef(null);
 
     // Track ongoing API calls to prevent duplicate requests
     const ongoingCallsRef = useRef({
@@ -145,131 +138,29 @@ const LiveStreamControl = () => {
         });
     }, []);
 
-    // Setup Socket.IO for realtime updates
-    useEffect(() => {
-        if (!livestreamId || !livestream || livestream.status !== 'live') {
-            return;
+    // Realtime updates on the shared socket (only while live)
+    const reloadIfCurrent = (data) => {
+        if (data?.liveId === livestreamId) {
+            loadLivestreamDetails();
         }
+    };
 
-        // Create socket with proper configuration
-        const socket = io(SOCKET_URL, {
-            transports: ['polling', 'websocket'], // Try polling first, then upgrade to websocket
-            reconnection: true,
-            reconnectionAttempts: 5,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            timeout: 20000,
-            forceNew: false,
-            autoConnect: true,
-            // Additional options for better compatibility
-            upgrade: true,
-            rememberUpgrade: true,
-        });
-
-        socketRef.current = socket;
-
-        let isConnected = false;
-        let joinRoomAttempted = false;
-
-        const joinRoom = () => {
-            if (socket.connected && !joinRoomAttempted && livestreamId) {
-                joinRoomAttempted = true;
-                socket.emit('joinLivestreamRoom', livestreamId);
-            }
-        };
-
-        socket.on('connect', () => {
-            isConnected = true;
-            joinRoomAttempted = false;
-            // Join livestream room to receive viewer count updates
-            joinRoom();
-        });
-
-        socket.on('disconnect', (reason) => {
-            isConnected = false;
-            joinRoomAttempted = false;
-            // Allow automatic reconnection
-        });
-
-        socket.on('connect_error', (error) => {
-            // Socket.IO will automatically retry
-            // Only log after multiple failures
-            if (socket.io.reconnecting) {
-                // Reconnecting, don't log
-            }
-        });
-
-        socket.on('reconnect', (attemptNumber) => {
-            isConnected = true;
-            // Re-join room after reconnection
-            joinRoom();
-        });
-
-        // Listen for comment events
-        socket.on('comment:added', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('comment:deleted', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('comment:pinned', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('comment:unpinned', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        // Listen for product events
-        socket.on('product:added', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('product:removed', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('product:pinned', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('product:unpinned', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        // Listen for reaction events
-        socket.on('reaction:added', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        socket.on('reaction:updated', (data) => {
-            if (data?.liveId === livestreamId) {
-                loadLivestreamDetails();
-            }
-        });
-
-        // Listen for viewer count updates from backend
-        socket.on('viewer:count', (data) => {
+    useLivestreamSocket(livestream?.status === 'live' ? livestreamId : null, {
+        // Comment events
+        'comment:added': reloadIfCurrent,
+        'comment:deleted': reloadIfCurrent,
+        'comment:pinned': reloadIfCurrent,
+        'comment:unpinned': reloadIfCurrent,
+        // Product events
+        'product:added': reloadIfCurrent,
+        'product:removed': reloadIfCurrent,
+        'product:pinned': reloadIfCurrent,
+        'product:unpinned': reloadIfCurrent,
+        // Reaction events
+        'reaction:added': reloadIfCurrent,
+        'reaction:updated': reloadIfCurrent,
+        // Viewer count updates from backend
+        'viewer:count': (data) => {
             try {
                 if (data?.liveId === livestreamId && typeof data?.count === 'number') {
                     handleViewerCountUpdate(data.count);
@@ -277,50 +168,8 @@ const LiveStreamControl = () => {
             } catch (e) {
                 console.error('Error handling viewer count update:', e);
             }
-        });
-
-        // Cleanup
-        return () => {
-            // Cleanup function
-            try {
-                // Remove all listeners first
-                socket.off('connect');
-                socket.off('disconnect');
-                socket.off('comment:added');
-                socket.off('comment:deleted');
-                socket.off('comment:pinned');
-                socket.off('comment:unpinned');
-                socket.off('product:added');
-                socket.off('product:removed');
-                socket.off('product:pinned');
-                socket.off('product:unpinned');
-                socket.off('reaction:added');
-                socket.off('reaction:updated');
-                socket.off('viewer:count');
-                socket.off('connect_error');
-                socket.off('reconnect');
-
-                // Leave room before disconnecting (only if connected)
-                if (socket.connected && joinRoomAttempted) {
-                    socket.emit('leaveLivestreamRoom', livestreamId);
-                    // Wait a bit for the emit to complete
-                    setTimeout(() => {
-                        socket.disconnect();
-                    }, 100);
-                } else {
-                    socket.disconnect();
-                }
-            } catch (error) {
-                // Force disconnect if cleanup fails
-                try {
-                    socket.disconnect();
-                } catch (e) {
-                    // Ignore
-                }
-            }
-        };
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [livestreamId, livestream?._id, livestream?.status, handleViewerCountUpdate]);
+        },
+    });
 
     // Periodic sync for viewer count (fallback and peak/min tracking) - more frequent for faster updates
     useEffect(() => {
@@ -432,7 +281,7 @@ const LiveStreamControl = () => {
     const handlePinComment = async (commentId) => {
         if (!user || !livestreamId) return;
 
-        const isAdmin = user?.role === 'admin' || user?.role === 'manager';
+        const isAdmin = hasPermission(user, PERMISSIONS.LIVESTREAM_HOST);
         if (!isAdmin) {
             showToast('Only admins and managers can pin comments', 'error');
             return;
@@ -458,7 +307,7 @@ const LiveStreamControl = () => {
     const handleUnpinComment = async (commentId) => {
         if (!user || !livestreamId) return;
 
-        const isAdmin = user?.role === 'admin' || user?.role === 'manager';
+        const isAdmin = hasPermission(user, PERMISSIONS.LIVESTREAM_HOST);
         if (!isAdmin) {
             showToast('Only admins and managers can unpin comments', 'error');
             return;
@@ -786,7 +635,7 @@ const CommentsTab = ({ comments, livestreamId, user, onPinComment, onUnpinCommen
     const [newComment, setNewComment] = useState('');
     const [isSubmittingComment, setIsSubmittingComment] = useState(false);
 
-    const isAdmin = user?.role === 'admin' || user?.role === 'manager';
+    const isAdmin = hasPermission(user, PERMISSIONS.LIVESTREAM_HOST);
 
     const toggleMenu = (commentId) => {
         setShowMenu(prev => ({
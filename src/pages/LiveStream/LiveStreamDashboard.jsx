@@ -12,16 +12,7 @@ import { LIVEKIT_CONFIG } from '../../config/livekit';
 import Loading from '../../components/Loading';
 import { Chat } from '@mui/icons-material';
 import LiveStreamProducts from './components/LiveStreamProducts';
-import io from 'socket.io-client';
-
-// Normalize socket URL - remove trailing slash and ensure proper format
-const getSocketURL = () => {
-    const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-    // Remove trailing slash if present
-    return apiUrl.replace(/\/$/, '');
-};
-
-const SOCKET_URL = getSocketURL();
+import { useLivestreamSocket } from '../../hooks/useLivestreamSocket';
 
 const LiveStreamDashboard = () => {
     const { user } = useContext(AuthContext);
@@ -199,70 +190,10 @@ const LiveStreamDashboard = () => {
         });
     }, []);
 
-    // Setup Socket.IO for viewer count updates (real-time via socket, with periodic sync)
-    useEffect(() => {
-        if (!isLive || !currentLivestream?._id) return;
-
-        const livestreamIdForSocket = currentLivestream?._id;
-
-        if (!livestreamIdForSocket) {
-            return;
-        }
-
-        // Create socket with proper configuration
-        const socket = io(SOCKET_URL, {
-            transports: ['polling', 'websocket'], // Try polling first, then upgrade to websocket
-            reconnection: true,
-            reconnectionAttempts: 5,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            timeout: 20000,
-            forceNew: false,
-            autoConnect: true,
-            // Additional options for better compatibility
-            upgrade: true,
-            rememberUpgrade: true,
-        });
-
-        let isConnected = false;
-        let joinRoomAttempted = false;
-
-        const joinRoom = () => {
-            if (socket.connected && !joinRoomAttempted) {
-                joinRoomAttempted = true;
-                socket.emit('joinLivestreamRoom', livestreamIdForSocket);
-            }
-        };
-
-        socket.on('connect', () => {
-            isConnected = true;
-            joinRoomAttempted = false;
-            // Join livestream room to receive viewer count updates
-            joinRoom();
-        });
-
-        socket.on('disconnect', (reason) => {
-            isConnected = false;
-            joinRoomAttempted = false;
-            // Allow automatic reconnection
-        });
-
-        socket.on('connect_error', (error) => {
-            // Socket.IO will automatically retry
-            // Only log after multiple failures
-            if (socket.io.reconnecting) {
-                // Reconnecting, don't log
-            }
-        });
-
-        socket.on('reconnect', (attemptNumber) => {
-            isConnected = true;
-            // Re-join room after reconnection
-            joinRoom();
-        });
-
-        // Listen for viewer count updates from backend
-        socket.on('viewer:count', (data) => {
+    // Viewer count updates on the shared socket (real-time, with periodic sync)
+    const livestreamIdForSocket = isLive ? currentLivestream?._id : null;
+    useLivestreamSocket(livestreamIdForSocket, {
+        'viewer:count': (data) => {
             try {
                 if (data?.liveId === livestreamIdForSocket && typeof data?.count === 'number') {
                     handleViewerCountUpdate(data.count);
@@ -270,40 +201,8 @@ const LiveStreamDashboard = () => {
             } catch (e) {
                 console.error('Error handling viewer count update:', e);
             }
-        });
-
-        return () => {
-            // Cleanup function
-            try {
-                // Remove all listeners first
-                socket.off('connect');
-                socket.off('disconnect');
-                socket.off('connect_error');
-                socket.off('reconnect');
-                socket.off('viewer:count');
-
-                // Leave room before disconnecting (only if connected)
-                if (socket.connected && joinRoomAttempted) {
-                    socket.emit('leaveLivestreamRoom', livestreamIdForSocket);
-                    // Wait a bit for the emit to complete
-                    setTimeout(() => {
-                        socket.disconnect();
-                    }, 100);
-                } else {
-                    socket.disconnect();
-                }
-            } catch (error) {
-                // Force disconnect if cleanup fails
-                try {
-                    socket.disconnect();
-                } catch (e) {
-                    // Ignore
-                }
-            }
-        };
-    }, [isLive, currentLivestream?._id, handleViewerCountUpdate]);
-
-
+        },
+    });
 
     // Periodic sync for viewer count (fallback and peak/min tracking) - more frequent for faster updates
     useEffect(() => {
@@ -9,6 +9,7 @@ import VideoPreview from './components/VideoPreview';
 import MediaSetup from './components/MediaSetup';
 import StreamsList from './components/StreamsList';
 import { LIVEKIT_CONFIG } from '../../config/livekit';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 import Loading from '../../components/Loading';
 
 const LiveStreamManagement = () => {
@@ -725,8 +726,8 @@ const LiveStreamManagement = () => {
             return;
         }
 
-        // Check if user has required role
-        if (user.role !== 'admin' && user.role !== 'manager') {
+        // Check if user has required permission
+        if (!hasPermission(user, PERMISSIONS.LIVESTREAM_HOST)) {
             showToast('Only admin/manager can start livestream', 'error');
             return;
         }
@@ -992,7 +993,7 @@ const LiveStreamManagement = () => {
         }
     };
 
-    const isAdminOrManager = user?.role === 'admin' || user?.role === 'manager';
+    const isAdminOrManager = hasPermission(user, PERMISSIONS.LIVESTREAM_HOST);
 
     return (
         <div className="min-h-screen p-2 sm:p-3 lg:p-4 xl:p-6">
@@ -1,12 +1,12 @@
 import React, { useState, useEffect, useRef, useCallback, useContext } from 'react';
 import { Chat, Close, PushPin, Send, MoreVert } from '@mui/icons-material';
 import { AuthContext } from '../../../context/AuthContext';
-import io from 'socket.io-client';
+import { useLivestreamSocket } from '../../../hooks/useLivestreamSocket';
+import { useSocketRoom } from '../../../hooks/useSocket';
 import Api from '../../../common/SummaryAPI';
 import { useToast } from '../../../hooks/useToast';
 import Loading from '../../../components/Loading';
-
-const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { PERMISSIONS, hasPermission } from '../../../config/permissions';
 
 // DeleteConfirmModal Component
 const DeleteConfirmModal = ({ isOpen, onClose, onConfirm, commentText }) => {
@@ -282,7 +282,7 @@ const LiveStreamComments = ({ liveId, hostId, isVisible, onToggle }) => {
     const previousCommentsLengthRef = useRef(0);
 
     // Only for admin and manager
-    const isAdmin = user?.role === 'admin' || user?.role === 'manager';
+    const isAdmin = hasPermission(user, PERMISSIONS.LIVESTREAM_HOST);
     const isHost = isAdmin; // Same check
 
     const fetchComments = useCallback(async () => {
@@ -544,89 +544,15 @@ const LiveStreamComments = ({ liveId, hostId, isVisible, onToggle }) => {
         }
     }, [liveId]);
 
-    useEffect(() => {
-        if (!liveId) return;
-
-        // Ensure liveId is a string (handle ObjectId objects)
-        const liveIdStr = typeof liveId === 'string' ? liveId : (liveId?.toString?.() || String(liveId));
-
-        const socket = io(SOCKET_URL, {
-            transports: ['websocket', 'polling'], // Add polling as fallback
-            reconnection: true,
-            reconnectionAttempts: 5,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            timeout: 20000,
-            forceNew: false,
-            autoConnect: true,
-        });
-
-        let isJoined = false;
-        const DEBUG = import.meta.env.DEV || import.meta.env.VITE_DEBUG === 'true';
-
-        const joinRoom = () => {
-            if (socket.connected && !isJoined) {
-                isJoined = true;
-                // Join both rooms for compatibility (backend may emit to either)
-                socket.emit('joinLivestreamRoom', liveIdStr);
-                socket.emit('joinLiveProductRoom', liveIdStr);
-            }
-        };
-
-        socket.on('connect', () => {
-            joinRoom();
-        });
-
-        socket.on('disconnect', (reason) => {
-            isJoined = false;
-        });
-
-        socket.on('connect_error', (error) => {
-            console.error('❌ Socket connection error (comments):', error);
-            isJoined = false;
-        });
-
-        socket.on('reconnect', (attemptNumber) => {
-            isJoined = false;
-            joinRoom();
-        });
-
-        socket.on('comment:added', (data) => {
-            handleCommentAdded(data);
-        });
-
-        socket.on('comment:deleted', (data) => {
-            handleCommentDeleted(data);
-        });
-
-        socket.on('comment:pinned', (data) => {
-            handleCommentPinned(data);
-        });
-
-        socket.on('comment:unpinned', (data) => {
-            handleCommentUnpinned(data);
-        });
-
-        // Join room immediately if already connected
-        if (socket.connected) {
-            joinRoom();
-        }
-
-        return () => {
-            if (socket.connected && isJoined) {
-                socket.emit('leaveLivestreamRoom', liveIdStr);
-            }
-            socket.off('connect');
-            socket.off('disconnect');
-            socket.off('connect_error');
-            socket.off('reconnect');
-            socket.off('comment:added');
-            socket.off('comment:deleted');
-            socket.off('comment:pinned');
-            socket.off('comment:unpinned');
-            socket.close();
-        };
-    }, [liveId, handleCommentAdded, handleCommentDeleted, handleCommentPinned, handleCommentUnpinned]);
+    // Realtime comment events on the shared socket
+    useLivestreamSocket(liveId, {
+        'comment:added': handleCommentAdded,
+        'comment:deleted': handleCommentDeleted,
+        'comment:pinned': handleCommentPinned,
+        'comment:unpinned': handleCommentUnpinned,
+    });
+    // Backend may emit comment events to the product room as well
+    useSocketRoom(liveId ? String(liveId) : null, { joinEvent: 'joinLiveProductRoom', leaveEvent: null });
 
     useEffect(() => {
         if (isVisible && liveId) {
@@ -2,9 +2,7 @@ import React, { useCallback, useEffect, useMemo, useState, useRef } from 'react'
 import Api from '../../../common/SummaryAPI';
 import Loading from '../../../components/Loading';
 import { useToast } from '../../../hooks/useToast';
-import io from 'socket.io-client';
-
-const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useLivestreamSocket } from '../../../hooks/useLivestreamSocket';
 
 const LiveStreamProducts = ({ liveId }) => {
     const { showToast } = useToast();
@@ -371,87 +369,13 @@ const LiveStreamProducts = ({ liveId }) => {
         }
     }, [liveId]);
 
-    // Setup Socket.IO for realtime updates
-    useEffect(() => {
-        if (!liveId) return;
-
-        // Ensure liveId is a string (handle ObjectId objects)
-        const liveIdStr = typeof liveId === 'string' ? liveId : (liveId?.toString?.() || String(liveId));
-
-        const socket = io(SOCKET_URL, {
-            transports: ['websocket', 'polling'],
-            reconnection: true,
-            reconnectionAttempts: 5,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            timeout: 20000,
-            forceNew: false,
-            autoConnect: true,
-        });
-
-        let isJoined = false;
-
-        const joinRoom = () => {
-            if (socket.connected && !isJoined) {
-                isJoined = true;
-                socket.emit('joinLivestreamRoom', liveIdStr);
-            }
-        };
-
-        socket.on('connect', () => {
-            joinRoom();
-        });
-
-        socket.on('disconnect', () => {
-            isJoined = false;
-        });
-
-        socket.on('connect_error', () => {
-            isJoined = false;
-        });
-
-        socket.on('reconnect', () => {
-            isJoined = false;
-            joinRoom();
-        });
-
-        // Setup event listeners
-        socket.on('product:added', (data) => {
-            handleProductAdded(data);
-        });
-
-        socket.on('product:removed', (data) => {
-            handleProductRemoved(data);
-        });
-
-        socket.on('product:pinned', (data) => {
-            handleProductPinned(data);
-        });
-
-        socket.on('product:unpinned', (data) => {
-            handleProductUnpinned(data);
-        });
-
-        // Join room immediately if already connected
-        if (socket.connected) {
-            joinRoom();
-        }
-
-        return () => {
-            if (socket.connected && isJoined) {
-                socket.emit('leaveLivestreamRoom', liveIdStr);
-            }
-            socket.off('connect');
-            socket.off('disconnect');
-            socket.off('connect_error');
-            socket.off('reconnect');
-            socket.off('product:added');
-            socket.off('product:removed');
-            socket.off('product:pinned');
-            socket.off('product:unpinned');
-            socket.close();
-        };
-    }, [liveId, handleProductAdded, handleProductRemoved, handleProductPinned, handleProductUnpinned]);
+    // Realtime product events on the shared socket
+    useLivestreamSocket(liveId, {
+        'product:added': handleProductAdded,
+        'product:removed': handleProductRemoved,
+        'product:pinned': handleProductPinned,
+        'product:unpinned': handleProductUnpinned,
+    });
 
     // Load all products for dropdown
     const loadAllProducts = useCallback(async () => {
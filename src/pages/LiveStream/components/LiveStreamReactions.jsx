@@ -1,9 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import Api from '../../../common/SummaryAPI';
 import Loading from '../../../components/Loading';
-import io from 'socket.io-client';
-
-const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useLivestreamSocket } from '../../../hooks/useLivestreamSocket';
 
 const REACTIONS = [
     { type: 'like', emoji: '👍', color: '#3B82F6', label: 'Like' },
@@ -112,73 +110,10 @@ const LiveStreamReactions = ({ liveId }) => {
         };
     }, [liveId, fetchReactions]);
 
-    useEffect(() => {
-        if (!liveId) return;
-
-        // Ensure liveId is a string (handle ObjectId objects)
-        const liveIdStr = typeof liveId === 'string' ? liveId : (liveId?.toString?.() || String(liveId));
-
-        const socket = io(SOCKET_URL, {
-            transports: ['websocket', 'polling'], // Add polling as fallback
-            reconnection: true,
-            reconnectionAttempts: 5,
-            reconnectionDelay: 1000,
-            reconnectionDelayMax: 5000,
-            timeout: 20000,
-            forceNew: false,
-            autoConnect: true,
-        });
-
-        let isJoined = false;
-        const DEBUG = import.meta.env.DEV || import.meta.env.VITE_DEBUG === 'true';
-
-        const joinRoom = () => {
-            if (socket.connected && !isJoined) {
-                isJoined = true;
-                // Join livestream room (same as comments) to receive reaction events
-                socket.emit('joinLivestreamRoom', liveIdStr);
-            }
-        };
-
-        socket.on('connect', () => {
-            joinRoom();
-        });
-
-        socket.on('disconnect', (reason) => {
-            isJoined = false;
-        });
-
-        socket.on('connect_error', (error) => {
-            console.error('❌ Socket connection error (reactions):', error);
-            isJoined = false;
-        });
-
-        socket.on('reconnect', (attemptNumber) => {
-            isJoined = false;
-            joinRoom();
-        });
-
-        socket.on('reaction:added', (data) => {
-            handleReactionAdded(data);
-        });
-
-        // Join room immediately if already connected
-        if (socket.connected) {
-            joinRoom();
-        }
-
-        return () => {
-            if (socket.connected && isJoined) {
-                socket.emit('leaveLivestreamRoom', liveIdStr);
-            }
-            socket.off('connect');
-            socket.off('disconnect');
-            socket.off('connect_error');
-            socket.off('reconnect');
-            socket.off('reaction:added');
-            socket.close();
-        };
-    }, [liveId, handleReactionAdded]);
+    // Realtime reaction events on the shared socket
+    useLivestreamSocket(liveId, {
+        'reaction:added': handleReactionAdded,
+    });
 
     if (isLoading) {
         return (
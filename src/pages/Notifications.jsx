@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import axios from "axios";
+import { useSearchParams } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   FiPlus,
@@ -9,10 +10,12 @@ import {
   FiX,
   FiFileText,
 } from "react-icons/fi";
-import { io } from "socket.io-client"; // 🧩 SOCKET ADDED
 import Loading from "../components/Loading";
 import DeleteConfirmModal from "../components/DeleteConfirmModal";
+import StockAlertsPanel from "../components/StockAlertsPanel";
 import { useToast } from "../hooks/useToast";
+import { useSocket } from "../hooks/useSocket";
+import { useStockAlerts } from "../hooks/useStockAlerts";
 
 const MAX_TITLE_LENGTH = 100;
 const MAX_MESSAGE_LENGTH = 500;
@@ -21,7 +24,11 @@ const MAX_SEARCH_LENGTH = 50;
 
 export default function Notifications() {
   const { showToast } = useToast();
-  const [tab, setTab] = useState("notifications");
+  // ?tab=alerts opens the stock alerts (the header bell links there)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = searchParams.get("tab") === "alerts" ? "alerts" : "notifications";
+  const setTab = (next) => setSearchParams(next === "alerts" ? { tab: "alerts" } : {}, { replace: true });
+  const { unreadCount: unreadAlertCount } = useStockAlerts();
   const [notifications, setNotifications] = useState([]);
   const [templates, setTemplates] = useState([]);
   const [loadingList, setLoadingList] = useState(false);
@@ -73,31 +80,8 @@ export default function Notifications() {
   const [showTemplateConfirm, setShowTemplateConfirm] = useState(false);
   const [templateDeleteLoading, setTemplateDeleteLoading] = useState(false);
 
-  // 🧩 SOCKET ADDED — kết nối realtime admin (1 lần)
-  const [socket, setSocket] = useState(null);
-  useEffect(() => {
-    try {
-      const baseURL = (import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
-      const s = io(baseURL, {
-        transports: ["websocket", "polling"],
-        reconnection: true,
-        reconnectionAttempts: 5,
-        reconnectionDelay: 1000,
-        withCredentials: true,
-      });
-      setSocket(s);
-
-      s.on("connect", () => {});
-      s.on("connect_error", () => {});
-      s.on("disconnect", (reason) => console.warn("⚠️ Admin socket disconnected:", reason));
-
-      return () => {
-        if (s && s.disconnect) s.disconnect();
-      };
-    } catch (err) {
-      console.error("Failed to init admin socket:", err);
-    }
-  }, []);
+  // 🧩 SOCKET — shared realtime connection from SocketProvider
+  const { socket } = useSocket();
 
   // ===== FETCH =====
   useEffect(() => {
@@ -626,8 +610,35 @@ export default function Notifications() {
         </div>
       </div>
 
+      {/* Tabs */}
+      <div className="flex gap-2 mb-4 lg:mb-6" role="tablist">
+        {[
+          { key: "notifications", label: "Sent Notifications" },
+          { key: "alerts", label: "Stock Alerts", count: unreadAlertCount },
+        ].map(({ key, label, count }) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={tab === key}
+            onClick={() => setTab(key)}
+            className={`px-4 py-2 rounded-xl text-sm font-semibold border-2 transition-all duration-300 ${tab === key
+              ? "text-white border-transparent bg-gradient-to-r from-[#E9A319] to-[#A86523] shadow-md"
+              : "text-gray-700 bg-white border-gray-300/60 hover:border-yellow-400/60"
+              }`}
+          >
+            {label}
+            {count > 0 && (
+              <span className={`ml-2 px-1.5 py-0.5 rounded-full text-xs ${tab === key ? "bg-white/30" : "bg-red-600 text-white"}`}>{count}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {tab === "alerts" && <StockAlertsPanel />}
+
       {/* Filter Section */}
-      {showFilters && (
+      {tab === "notifications" && showFilters && (
         <div className="backdrop-blur-xl rounded-xl border p-3 sm:p-4 lg:p-6 mb-4 lg:mb-6" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(251, 191, 36, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}>
             <div className="flex items-center justify-between mb-3 lg:mb-4">
               <h2 className="text-base lg:text-lg font-semibold bg-gradient-to-r from-gray-800 to-gray-600 bg-clip-text text-transparent">Search & Filter</h2>
@@ -678,6 +689,7 @@ export default function Notifications() {
           </div>
         )}
 
+      {tab === "notifications" && (
       <div className="flex flex-col lg:flex-row gap-4 lg:gap-6">
         {/* LEFT: Notification List */}
         <div className="lg:w-1/3 backdrop-blur-xl rounded-xl border overflow-hidden flex flex-col" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(251, 191, 36, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}>
@@ -948,6 +960,7 @@ export default function Notifications() {
           </div>
         </div>
       </div>
+      )}
 
       {/* === Modals === */}
       <AnimatePresence>
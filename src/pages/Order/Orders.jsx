@@ -2,8 +2,9 @@ import RefundProofModal from "../RefundProofModal";
 import CancelOrderModal from "./CancelOrderModal"; // Adjust path as needed
 import OrderDetails from "./OrderDetails";
 import UpdateOrderStatusModal from "../../components/UpdateOrderStatusModal";
-import UploadRefundProofModal from "../../components/UploadRefundProofModal";
 import DebugOrderModal from "../../components/DebugOrderModal";
+import BulkOrderStatusModal from "../../components/BulkOrderStatusModal";
+import ShippingDocumentsModal from "../../components/ShippingDocumentsModal";
 import Loading from "../../components/Loading";
 import React, {
   useState,
@@ -11,12 +12,25 @@ import React, {
   useContext,
   useCallback,
   useRef,
+  useMemo,
 } from "react";
 import { useNavigate, useLocation, useSearchParams } from "react-router-dom";
 import { AuthContext } from "../../context/AuthContext";
 import { ToastContext } from "../../context/ToastContext";
-import { io } from "socket.io-client";
+import { useSocketEvent } from "../../hooks/useSocket";
+import { usePermission } from "../../hooks/usePermission";
+import { useOfflineQueue } from "../../hooks/useOfflineQueue";
+import { PERMISSIONS } from "../../config/permissions";
 import Api from "../../common/SummaryAPI";
+import {
+  canCancelOrder,
+  canUpdateOrderStatus,
+  canUpdateRefund,
+  getOrderTransitionError,
+  getStatusLabel,
+  getUpdateBlockReason,
+} from "../../utils/orderStateMachine";
+import { splitStockMovements, summarizeStockMovements } from "../../utils/stockUtils";
 
 // Định dạng ngày dd/MM/yyyy
 function formatDateVN(dateStr) {
@@ -57,6 +71,19 @@ function formatUpdatedAt(dateStr) {
   return `${day}/${month}/${year} ${hours}:${minutes}`;
 }
 
+// Filter keys, also used as URL query keys
+const FILTER_KEYS = [
+  "orderStatus",
+  "payStatus",
+  "paymentMethod",
+  "startDate",
+  "endDate",
+  "nameReceive",
+  "hasVoucher",
+];
+
+// "-field" = descending, "field" = ascending
+const DEFAULT_SORT = "-orderDate";
 
 const Orders = () => {
   const [showRefundProofModal, setShowRefundProofModal] = useState(false);
@@ -80,9 +107,19 @@ const Orders = () => {
   };
 
   const { user, isAuthLoading } = useContext(AuthContext);
+  const can = usePermission();
   const { showToast } = useContext(ToastContext);
+  const {
+    entries: queuedUpdates,
+    getOrderEntry,
+    submitOrderUpdate,
+    retryNow,
+    discardMutation,
+    forceMutation,
+    subscribe,
+  } = useOfflineQueue();
   const [orders, setOrders] = useState([]);
-  const [filteredOrders, setFilteredOrders] = useState([]);
+  const [totalItems, setTotalItems] = useState(0);
   const [showUpdateModal, setShowUpdateModal] = useState(false);
   const [selectedOrderForUpdate, setSelectedOrderForUpdate] = useState(null);
   const [updateFormData, setUpdateFormData] = useState({
@@ -96,33 +133,82 @@ const Orders = () => {
     cancelReason: "",
     customReason: "",
   });
-  const [showRefundProofUploadModal, setShowRefundProofUploadModal] = useState(false);
-  const [selectedOrderForRefund, setSelectedOrderForRefund] = useState(null);
-  const [uploadingRefundProof, setUploadingRefundProof] = useState(false);
-  const [refundError, setRefundError] = useState("");
   const [showDebugOrderModal, setShowDebugOrderModal] = useState(false);
+  const [selectedOrders, setSelectedOrders] = useState({}); // orderId -> order, kept across pages
+  const [showBulkStatusModal, setShowBulkStatusModal] = useState(false);
+  const [bulkOrders, setBulkOrders] = useState([]); // Snapshot taken when the bulk modal opens
+  const [showShippingDocsModal, setShowShippingDocsModal] = useState(false);
 
 
-  const [filters, setFilters] = useState({
-    orderStatus: "",
-    payStatus: "",
-    paymentMethod: "",
-    startDate: "",
-    endDate: "",
-    nameReceive: "",
-    hasVoucher: "",
-  });
-  const [searchText, setSearchText] = useState("");
   const [showFilters, setShowFilters] = useState(true);
-  const [currentPage, setCurrentPage] = useState(1);
   const [rowsPerPage] = useState(10);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
-  const [dateFilterError, setDateFilterError] = useState("");
   const navigate = useNavigate();
   const location = useLocation();
   const [searchParams, setSearchParams] = useSearchParams();
-  const socketRef = useRef(null);
+  const fetchRequestRef = useRef(0); // Ignore out-of-order responses
+
+  // Filters, search, sort and page live in the URL
+  const filters = useMemo(
+    () =>
+      Object.fromEntries(
+        FILTER_KEYS.map((key) => [key, searchParams.get(key) || ""])
+      ),
+    [searchParams]
+  );
+  const searchText = searchParams.get("search") || "";
+  const sort = searchParams.get("sort") || DEFAULT_SORT;
+  const currentPage = Math.max(1, parseInt(searchParams.get("page"), 10) || 1);
+
+  // Text inputs are debounced before they reach the URL
+  const [nameInput, setNameInput] = useState(filters.nameReceive);
+  const [searchInput, setSearchInput] = useState(searchText);
+
+  const dateFilterError =
+    filters.startDate && filters.endDate && filters.endDate < filters.startDate
+      ? "End date cannot be earlier than start date"
+      : "";
+
+  const updateSearchParams = useCallback(
+    (changes, { resetPage = true } = {}) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          Object.entries(changes).forEach(([key, value]) => {
+            if (value === "" || value === null || value === undefined) {
+              next.delete(key);
+            } else {
+              next.set(key, String(value));
+            }
+          });
+          if (resetPage) next.delete("page");
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  // Query sent to /orders/search
+  const queryParams = useMemo(() => {
+    const desc = sort.startsWith("-");
+    return {
+      page: currentPage,
+      limit: rowsPerPage,
+      sortBy: desc ? sort.slice(1) : sort,
+      sortOrder: desc ? "desc" : "asc",
+      order_status: filters.orderStatus || undefined,
+      pay_status: filters.payStatus || undefined,
+      payment_method: filters.paymentMethod || undefined,
+      startDate: filters.startDate || undefined,
+      endDate: filters.endDate || undefined,
+      name: filters.nameReceive.trim() || undefined,
+      hasVoucher: filters.hasVoucher || undefined,
+      search: searchText.trim() || undefined,
+    };
+  }, [filters, searchText, sort, currentPage, rowsPerPage]);
   const hasAutoOpenedRef = useRef(false); // Track if we've already auto-opened from URL
 
   const orderStatusOptions = [
@@ -139,65 +225,6 @@ const Orders = () => {
     { value: "paid", label: "Paid" },
   ];
 
-  const displayStatus = (str) => {
-    if (!str || typeof str !== "string") return str || "N/A";
-    if (str === "not_applicable") return "Not Applicable";
-    if (str === "pending_refund") return "Pending Refund";
-    if (str === "refunded") return "Refunded";
-    return str.charAt(0).toUpperCase() + str.slice(1);
-  };
-
-  // Check if order status update is allowed
-  const isOrderStatusUpdateAllowed = (status, paymentMethod, payStatus) => {
-    // VNPAY orders that are unpaid cannot be updated (only cancellation is allowed)
-    if (paymentMethod === "VNPAY" && payStatus === "unpaid") {
-      return false;
-    }
-
-    return (
-      status === "pending" || status === "confirmed" || status === "shipping"
-    );
-  };
-
-  // Check if refund status update is allowed (only for cancelled VNPAY paid orders that are not yet refunded)
-  const isRefundStatusUpdateAllowed = (method, status, pay, refundStatus) => {
-    return status === "cancelled" &&
-      method === "VNPAY" &&
-      pay === "paid" &&
-      refundStatus !== "refunded";
-  };
-
-  const shouldDisableUpdate = (method, status, pay) => {
-    // Check if order status update is not allowed
-    if (!isOrderStatusUpdateAllowed(status, method, pay)) {
-      return true;
-    }
-
-    // Check if order is finalized (cannot be updated)
-    return (
-      (method === "COD" && status === "delivered" && pay === "paid") ||
-      (method === "COD" && status === "cancelled" && pay === "unpaid") ||
-      (method === "VNPAY" && status === "delivered" && pay === "paid") ||
-      (method === "VNPAY" && status === "cancelled" && pay === "unpaid")
-    );
-  };
-
-  // Check if update button should be disabled
-  const shouldDisableUpdateButton = (method, status, pay, refundStatus) => {
-    // Allow refund management for cancelled VNPAY paid orders (not yet refunded)
-    if (isRefundStatusUpdateAllowed(method, status, pay, refundStatus)) {
-      return false;
-    }
-
-    // Disable for cancelled and delivered orders (except cancelled VNPAY paid not refunded)
-    if (status === "cancelled" || status === "delivered") {
-      return true;
-    }
-
-    // For other cases, use existing logic
-    return shouldDisableUpdate(method, status, pay);
-  };
-
   const hasActiveFilters = useCallback(() => {
     return (
       filters.orderStatus ||
@@ -216,315 +243,74 @@ const Orders = () => {
       setError("User not authenticated");
       return;
     }
+    if (dateFilterError) return;
+
+    const requestId = ++fetchRequestRef.current;
     setLoading(true);
     setError("");
     try {
-      const response = await Api.orders.getAll();
-
-      // Extract data from response structure
-      const ordersData = response?.data || response || [];
-
-      setOrders(
-        Array.isArray(ordersData)
-          ? ordersData.sort(
-            (a, b) => new Date(b.orderDate) - new Date(a.orderDate)
-          )
-          : []
+      // Backend returns: { success, data: [...], pagination: { totalItems, totalPages, ... } }
+      const response = await Api.orders.search(queryParams);
+      if (requestId !== fetchRequestRef.current) return;
+
+      const ordersData = response?.data?.orders || response?.data || [];
+      const pagination = response?.pagination || response?.data?.pagination || {};
+
+      setOrders(Array.isArray(ordersData) ? ordersData : []);
+      setTotalItems(
+        pagination.totalItems ??
+        pagination.total ??
+        (Array.isArray(ordersData) ? ordersData.length : 0)
       );
     } catch (err) {
+      if (requestId !== fetchRequestRef.current) return;
       setError(err.message || "Failed to load orders");
     } finally {
-      setLoading(false);
-    }
-  }, [user]);
-
-  useEffect(() => {
-    let filtered = orders;
-
-    // Filter by order status
-    if (filters.orderStatus) {
-      filtered = filtered.filter(
-        (order) => order.order_status === filters.orderStatus
-      );
-    }
-
-    // Filter by payment status
-    if (filters.payStatus) {
-      filtered = filtered.filter(
-        (order) => order.pay_status === filters.payStatus
-      );
-    }
-
-    // Filter by payment method
-    if (filters.paymentMethod) {
-      filtered = filtered.filter(
-        (order) => order.payment_method === filters.paymentMethod
-      );
-    }
-
-    // Filter by date range
-    if (filters.startDate) {
-      const start = new Date(filters.startDate);
-      filtered = filtered.filter((order) => new Date(order.orderDate) >= start);
-    }
-    if (filters.endDate) {
-      const end = new Date(filters.endDate);
-      end.setHours(23, 59, 59, 999);
-      filtered = filtered.filter((order) => new Date(order.orderDate) <= end);
-    }
-
-    // Filter by Name Receive
-    if (filters.nameReceive) {
-      const nameLower = filters.nameReceive.toLowerCase();
-      filtered = filtered.filter(
-        (order) =>
-          (order.name && order.name.toLowerCase().includes(nameLower)) ||
-          (order.acc_id?.name &&
-            order.acc_id.name.toLowerCase().includes(nameLower)) ||
-          (order.acc_id?.username &&
-            order.acc_id.username.toLowerCase().includes(nameLower))
-      );
-    }
-
-    // Filter by Voucher
-    if (filters.hasVoucher) {
-      if (filters.hasVoucher === "yes") {
-        filtered = filtered.filter((order) => {
-          // Check if order has voucher - check both voucher object and voucher_id
-          return !!(order.voucher || order.voucher_id);
-        });
-      } else if (filters.hasVoucher === "no") {
-        filtered = filtered.filter((order) => {
-          // Check if order has no voucher
-          return !order.voucher && !order.voucher_id;
-        });
-      }
-    }
-
-    // Filter by search text (Phone, Address)
-    if (searchText) {
-      const searchLower = searchText.toLowerCase();
-      filtered = filtered.filter(
-        (order) =>
-          (order.phone && order.phone.toLowerCase().includes(searchLower)) ||
-          (order.acc_id?.phone &&
-            order.acc_id.phone.toLowerCase().includes(searchLower)) ||
-          (order.addressReceive &&
-            order.addressReceive.toLowerCase().includes(searchLower))
-      );
-    }
-
-    setFilteredOrders(filtered);
-  }, [orders, filters, searchText]);
-
-  const updateOrder = useCallback(
-    async (orderId, updatedData) => {
-      setLoading(true);
-      setError("");
-      try {
-        const originalOrder = orders.find((o) => o._id === orderId);
-        if (!originalOrder) {
-          showToast(
-            "Order not found in current list. Please refresh the page.",
-            "error"
-          );
-          fetchOrders();
-          return;
-        }
-
-        const changedFields = {};
-        // Admin API chỉ hỗ trợ các trường cơ bản, không bao gồm feedback_order
-        ["order_status", "pay_status"].forEach((key) => {
-          const oldVal = originalOrder[key] ?? "";
-          const newVal = updatedData[key] ?? "";
-          if (oldVal !== newVal) changedFields[key] = newVal;
-        });
-
-        if (Object.keys(changedFields).length === 0) {
-          showToast("No changes detected", "info");
-          setEditingOrderId(null);
-          setEditFormData({
-            order_status: "",
-            pay_status: "",
-          });
-          return;
-        }
-
-        // Validate order status transitions
-        const allowedTransitions = {
-          pending: ["confirmed", "shipping", "delivered", "cancelled"],
-          confirmed: ["shipping", "delivered"],
-          shipping: ["delivered"],
-          delivered: [],
-          cancelled: [],
-        };
-
-        const currentStatus = originalOrder.order_status;
-        const newStatus = changedFields.order_status;
-
-        if (
-          newStatus &&
-          !allowedTransitions[currentStatus].includes(newStatus)
-        ) {
-          showToast(
-            `Invalid status transition: ${currentStatus} → ${newStatus}. Allowed: ${allowedTransitions[currentStatus].join(", ") || "none"
-            }`,
-            "error"
-          );
-          return;
-        }
-
-        // Check if order status update is allowed
-        if (!isOrderStatusUpdateAllowed(originalOrder.order_status, originalOrder.payment_method, originalOrder.pay_status)) {
-          showToast(
-            "Order status cannot be updated for cancelled or delivered orders, or VNPAY unpaid orders, or refunded orders",
-            "error"
-          );
-          return;
-        }
-
-        // Check if order is finalized (cannot be updated)
-        const isFinalized =
-          (originalOrder.payment_method === "COD" &&
-            originalOrder.order_status === "delivered" &&
-            originalOrder.pay_status === "paid") ||
-          (originalOrder.payment_method === "COD" &&
-            originalOrder.order_status === "cancelled" &&
-            originalOrder.pay_status === "unpaid") ||
-          (originalOrder.payment_method === "VNPAY" &&
-            originalOrder.order_status === "delivered" &&
-            originalOrder.pay_status === "paid") ||
-          (originalOrder.payment_method === "VNPAY" &&
-            originalOrder.order_status === "cancelled" &&
-            originalOrder.refund_status === "refunded");
-
-        if (isFinalized) {
-          showToast("This order is finalized and cannot be updated", "error");
-          return;
-        }
-
-        // Business rules validation
-        const newPayStatus =
-          changedFields.pay_status || originalOrder.pay_status;
-
-        // COD rules
-        if (originalOrder.payment_method === "COD") {
-          if (
-            ["pending", "confirmed", "shipping"].includes(
-              newStatus || currentStatus
-            ) &&
-            newPayStatus === "paid"
-          ) {
-            showToast("COD orders cannot be paid before delivery", "error");
-            return;
-          }
-        }
-
-        // VNPAY rules
-        if (originalOrder.payment_method === "VNPAY") {
-          if (
-            (newStatus || currentStatus) !== "cancelled" &&
-            newPayStatus !== "paid"
-          ) {
-            showToast(
-              "VNPAY orders must remain paid unless cancelled",
-              "error"
-            );
-            return;
-          }
-        }
-
-        let response;
-        try {
-          response = await Api.orders.update(orderId, changedFields);
-        } catch (error) {
-
-          // Handle specific error cases
-          if (
-            error.response?.data?.message === "Order not found" ||
-            error.response?.status === 404
-          ) {
-            showToast(
-              "Order not found. This might be a backend issue. Please refresh the page and try again.",
-              "error"
-            );
-            // Refresh orders list
-            fetchOrders();
-            return;
-          }
-
-          throw error;
-        }
-
-        // Extract updated data from response structure
-        const responseData = response?.data || response;
-
-        setOrders((prev) =>
-          prev.map((order) =>
-            order._id === orderId ? { ...order, ...responseData } : order
-          )
-        );
-        setEditingOrderId(null);
-        setEditFormData({
-          order_status: "",
-          pay_status: "",
-        });
-        showToast("Order edited successfully", "success");
-      } catch (err) {
-        showToast(err.message || "Failed to update order", "error");
-      } finally {
+      if (requestId === fetchRequestRef.current) {
         setLoading(false);
       }
-    },
-    [orders, fetchOrders, showToast]
-  );
+    }
+  }, [user, queryParams, dateFilterError]);
 
   const handleFilterChange = useCallback((field, value) => {
-    if (field === 'startDate') {
-      setFilters((prev) => {
-        const next = { ...prev, startDate: value };
-        if (next.endDate && value && next.endDate < value) {
-          setDateFilterError('Start date cannot be later than end date');
-        } else {
-          setDateFilterError('');
-        }
-        return next;
-      });
-      setCurrentPage(1);
+    if (field === "nameReceive") {
+      setNameInput(value);
       return;
     }
+    updateSearchParams({ [field]: value });
+  }, [updateSearchParams]);
 
-    if (field === 'endDate') {
-      setFilters((prev) => {
-        const next = { ...prev, endDate: value };
-        if (next.startDate && value && value < next.startDate) {
-          setDateFilterError('End date cannot be earlier than start date');
-        } else {
-          setDateFilterError('');
-        }
-        return next;
-      });
-      setCurrentPage(1);
-      return;
-    }
-
-    setFilters((prev) => ({ ...prev, [field]: value }));
-    setCurrentPage(1);
-  }, []);
+  const handleSortChange = useCallback((field) => {
+    const next = sort === `-${field}` ? field : `-${field}`;
+    updateSearchParams({ sort: next === DEFAULT_SORT ? "" : next });
+  }, [sort, updateSearchParams]);
 
   const clearFilters = useCallback(() => {
-    setFilters({
-      orderStatus: "",
-      payStatus: "",
-      paymentMethod: "",
-      startDate: "",
-      endDate: "",
-      nameReceive: "",
-      hasVoucher: "",
+    setNameInput("");
+    setSearchInput("");
+    updateSearchParams({
+      ...Object.fromEntries(FILTER_KEYS.map((key) => [key, ""])),
+      search: "",
     });
-    setSearchText("");
-    setCurrentPage(1);
-  }, []);
+  }, [updateSearchParams]);
+
+  // Keep text inputs in sync when the URL changes (back/forward, clear)
+  useEffect(() => {
+    setNameInput(filters.nameReceive);
+  }, [filters.nameReceive]);
+
+  useEffect(() => {
+    setSearchInput(searchText);
+  }, [searchText]);
+
+  // Debounce text inputs into the URL (500ms)
+  useEffect(() => {
+    if (nameInput === filters.nameReceive && searchInput === searchText) return;
+    const timer = setTimeout(() => {
+      updateSearchParams({ nameReceive: nameInput, search: searchInput });
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [nameInput, searchInput, filters.nameReceive, searchText, updateSearchParams]);
 
   const toggleFilters = useCallback(() => {
     setShowFilters((prev) => !prev);
@@ -594,111 +380,132 @@ const Orders = () => {
     }
   }, [orders, searchParams, setSearchParams, showOrderDetails, showToast, handleViewOrderDetails]);
 
-  useEffect(() => {
-    if (!user?._id) return;
-
-    if (!socketRef.current) {
-      const token = localStorage.getItem("token");
-      socketRef.current = io(
-        import.meta.env.VITE_API_URL || "http://localhost:5000",
-        {
-          transports: ["websocket", "polling"],
-          auth: { token },
-          withCredentials: true,
-        }
+  // Realtime order updates: backend sends the full order object as { userId, order }
+  // Only the current page is patched; new orders are shown when they would land on it
+  const handleOrderUpdated = useCallback((payload) => {
+    const updatedOrder = payload.order || payload;
+    const showsNewestFirst =
+      currentPage === 1 && sort === DEFAULT_SORT && !hasActiveFilters();
+
+    setOrders((prevOrders) => {
+      const existingIndex = prevOrders.findIndex((o) => o._id === updatedOrder._id);
+
+      if (existingIndex !== -1) {
+        // Update existing order in place
+        const updated = [...prevOrders];
+        updated[existingIndex] = {
+          ...updated[existingIndex],
+          ...updatedOrder,
+        };
+        return updated;
+      }
+
+      if (!showsNewestFirst) return prevOrders;
+
+      // New order - add to beginning of the first page
+      return [updatedOrder, ...prevOrders].slice(0, rowsPerPage);
+    });
+
+    if (showsNewestFirst) {
+      setTotalItems((prev) =>
+        orders.some((o) => o._id === updatedOrder._id) ? prev : prev + 1
       );
     }
 
-    const socket = socketRef.current;
+    // Show toast notification for order updates
+    showToast(`Order ${updatedOrder._id.slice(-8)} status updated`, "success");
+  }, [orders, currentPage, sort, rowsPerPage, hasActiveFilters, showToast]);
+
+  useSocketEvent("orderUpdated", handleOrderUpdated);
 
-    // Connect and authenticate
-    socket.on("connect", () => {
-      // Emit user connection
-      socket.emit("userConnected", user._id);
-      // Also authenticate with token
-      const token = localStorage.getItem("token");
-      if (token) {
-        socket.emit("authenticate", token);
+  // ==== Multi-select for bulk actions ====
+  const selectedCount = Object.keys(selectedOrders).length;
+  const isAllPageSelected =
+    orders.length > 0 && orders.every((order) => selectedOrders[order._id]);
+
+  const toggleOrderSelection = useCallback((order) => {
+    setSelectedOrders((prev) => {
+      const next = { ...prev };
+      if (next[order._id]) {
+        delete next[order._id];
+      } else {
+        next[order._id] = order;
       }
+      return next;
     });
+  }, []);
 
-    // Updated handler: receive full order object from backend
-    socket.on("orderUpdated", (payload) => {
-      const updatedOrder = payload.order || payload; // backend sends { userId, order }
-
-
-      setOrders((prevOrders) => {
-        const existingIndex = prevOrders.findIndex((o) => o._id === updatedOrder._id);
-
-        if (existingIndex !== -1) {
-          // Update existing order
-          const updated = [...prevOrders];
-          updated[existingIndex] = {
-            ...updated[existingIndex],
-            ...updatedOrder,
-          };
-          // Re-sort by orderDate
-          return updated.sort(
-            (a, b) => new Date(b.orderDate) - new Date(a.orderDate)
-          );
-        } else {
-          // New order - add to beginning
-          return [
-            updatedOrder,
-            ...prevOrders,
-          ].sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
-        }
-      });
+  const togglePageSelection = useCallback(() => {
+    setSelectedOrders((prev) => {
+      const next = { ...prev };
+      if (orders.every((order) => next[order._id])) {
+        orders.forEach((order) => delete next[order._id]);
+      } else {
+        orders.forEach((order) => {
+          next[order._id] = order;
+        });
+      }
+      return next;
+    });
+  }, [orders]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedOrders({});
+  }, []);
 
-      // Also update filteredOrders immediately so UI reflects change without re-filter
-      setFilteredOrders((prevFiltered) => {
-        const existingIndex = prevFiltered.findIndex((o) => o._id === updatedOrder._id);
-
-        if (existingIndex !== -1) {
-          const updated = [...prevFiltered];
-          updated[existingIndex] = {
-            ...updated[existingIndex],
-            ...updatedOrder,
-          };
-          return updated.sort(
-            (a, b) => new Date(b.orderDate) - new Date(a.orderDate)
-          );
-        } else {
-          return [
-            updatedOrder,
-            ...prevFiltered,
-          ].sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+  // Keep selected snapshots fresh with the latest page data
+  useEffect(() => {
+    setSelectedOrders((prev) => {
+      let changed = false;
+      const next = { ...prev };
+      orders.forEach((order) => {
+        if (next[order._id] && next[order._id] !== order) {
+          next[order._id] = order;
+          changed = true;
         }
       });
-
-      // Show toast notification for order updates
-      showToast(`Order ${updatedOrder._id.slice(-8)} status updated`, "success");
+      return changed ? next : prev;
     });
+  }, [orders]);
 
-    socket.on("connect_error", (err) => {
-      console.error("Dashboard Orders Socket connection error:", err.message);
-    });
+  const handleBulkOrderUpdated = useCallback((orderId, updatedData) => {
+    setOrders((prev) =>
+      prev.map((order) =>
+        order._id === orderId ? { ...order, ...updatedData } : order
+      )
+    );
+  }, []);
 
-    socket.on("disconnect", (reason) => {
-      console.warn("⚠️ Dashboard Orders Socket disconnected:", reason);
-    });
+  // Patch rows when an update queued while offline reaches the server
+  useEffect(
+    () =>
+      subscribe(({ orderId, data }) => {
+        setOrders((prev) =>
+          prev.map((order) => (order._id === orderId ? { ...order, ...data } : order))
+        );
+      }),
+    [subscribe]
+  );
 
-    return () => {
-      socket.off("connect");
-      socket.off("orderUpdated");
-      socket.off("connect_error");
-      socket.off("disconnect");
-      if (socket.connected) {
-        socket.disconnect();
-      }
-      socketRef.current = null;
-    };
-  }, [user, showToast]);
+  const handleBulkComplete = useCallback((report) => {
+    // Drop successfully updated orders from the selection, keep the rest for retry
+    setSelectedOrders((prev) => {
+      const next = { ...prev };
+      report
+        .filter((r) => r.status === "success")
+        .forEach((r) => delete next[r.order._id]);
+      return next;
+    });
+    const successCount = report.filter((r) => r.status === "success").length;
+    showToast(
+      `${successCount} of ${report.length} orders updated`,
+      successCount === report.length ? "success" : "info"
+    );
+  }, [showToast]);
 
-  const totalPages = Math.ceil(filteredOrders.length / rowsPerPage);
+  const totalPages = Math.max(1, Math.ceil(totalItems / rowsPerPage));
   const startIndex = (currentPage - 1) * rowsPerPage;
   const endIndex = startIndex + rowsPerPage;
-  const currentOrders = filteredOrders.slice(startIndex, endIndex);
 
   // Calculate which pages to show (max 5 pages)
   const getVisiblePages = () => {
@@ -721,9 +528,9 @@ const Orders = () => {
 
   const handlePageChange = useCallback((page) => {
     if (page >= 1 && page <= totalPages) {
-      setCurrentPage(page);
+      updateSearchParams({ page: page === 1 ? "" : page }, { resetPage: false });
     }
-  }, [totalPages]);
+  }, [totalPages, updateSearchParams]);
 
   const handlePreviousPage = useCallback(() => {
     handlePageChange(currentPage - 1);
@@ -742,38 +549,39 @@ const Orders = () => {
     handlePageChange(totalPages);
   }, [totalPages, handlePageChange]);
 
-  const handleEditChange = useCallback((field, value) => {
-    setEditFormData((prev) => ({ ...prev, [field]: value }));
-  }, []);
+  // Page in the URL can point past the end after filters or data change
+  useEffect(() => {
+    if (!loading && totalItems > 0 && currentPage > totalPages) {
+      handlePageChange(totalPages);
+    }
+  }, [loading, totalItems, currentPage, totalPages, handlePageChange]);
+
+  // Why the row's edit/refund action is unavailable, or null when it can be used
+  const getActionBlockReason = (order) => {
+    if (getOrderEntry(order._id)) {
+      return "An update for this order is waiting to sync";
+    }
+    if (canUpdateRefund(order)) {
+      return can(PERMISSIONS.REFUNDS_MANAGE) ? null : "You do not have permission to manage refunds";
+    }
+    if (!can(PERMISSIONS.ORDERS_UPDATE)) {
+      return "You do not have permission to update orders";
+    }
+    return getUpdateBlockReason(order);
+  };
 
   // Handle opening update modal
   const handleOpenUpdateModal = (order) => {
-    // Check if refund management is allowed
-    if (
-      isRefundStatusUpdateAllowed(
-        order.payment_method,
-        order.order_status,
-        order.pay_status,
-        order.refund_status
-      )
-    ) {
-      // Open OrderDetails modal and auto-open refund modal
-      handleViewOrderDetails(order, true);
+    const blockReason = getActionBlockReason(order);
+    if (blockReason) {
+      showToast(blockReason, "error");
       return;
     }
 
-    // Check if order status update is allowed
-    if (
-      !isOrderStatusUpdateAllowed(
-        order.order_status,
-        order.payment_method,
-        order.pay_status
-      )
-    ) {
-      showToast(
-        "Order status cannot be updated for cancelled or delivered orders, or VNPAY unpaid orders, or refunded orders",
-        "error"
-      );
+    // Check if refund management is allowed
+    if (canUpdateRefund(order)) {
+      // Open OrderDetails modal and auto-open refund modal
+      handleViewOrderDetails(order, true);
       return;
     }
 
@@ -793,118 +601,13 @@ const Orders = () => {
     setUpdateError("");
   };
 
-  // Handle closing refund proof upload modal
-  const handleCloseRefundProofUploadModal = () => {
-    setShowRefundProofUploadModal(false);
-    setSelectedOrderForRefund(null);
-    setRefundError("");
-  };
-
-  // Handle refund proof upload
-  const handleRefundProofUpload = async (refundProofUrl) => {
-    if (!selectedOrderForRefund?._id) return;
-
-    // Check if refund status update is allowed (only for VNPAY + paid + cancelled orders)
-    if (
-      !isRefundStatusUpdateAllowed(
-        selectedOrderForRefund.payment_method,
-        selectedOrderForRefund.order_status,
-        selectedOrderForRefund.pay_status,
-        selectedOrderForRefund.refund_status
-      )
-    ) {
-      showToast("Refund can only be updated for cancelled VNPAY paid orders", "error");
-      throw new Error("Refund can only be updated for cancelled VNPAY paid orders");
-    }
-
-    // Validate refund proof is required
-    if (!refundProofUrl) {
-      showToast("Refund proof is required", "error");
-      throw new Error("Refund proof is required");
-    }
-
-    setUploadingRefundProof(true);
-    setRefundError("");
-
-    try {
-      // Update refund data - only refund_proof
-      // Don't send order_status, pay_status, or cancelReason to avoid validation errors
-      const updateData = {};
-
-      // Always update proof if we have a URL
-      if (refundProofUrl) {
-        updateData.refund_proof = refundProofUrl;
-
-        // When proof is uploaded successfully, automatically set refund_status to "refunded"
-        // Only if not already refunded and a new proof was uploaded
-        const isRefunded = selectedOrderForRefund.refund_status === 'refunded';
-        if (!isRefunded && refundProofUrl !== selectedOrderForRefund?.refund_proof) {
-          updateData.refund_status = "refunded";
-        }
-      }
-
-      const response = await Api.orders.update(selectedOrderForRefund._id, updateData);
-
-      // Update local orders state
-      const updatedData = response?.data || response;
-      setOrders((prevOrders) =>
-        prevOrders.map((order) =>
-          order._id === selectedOrderForRefund._id
-            ? { ...order, ...updatedData }
-            : order
-        )
-      );
-
-      // Close modal
-      handleCloseRefundProofUploadModal();
-
-      // Show success message
-      showToast("Refund proof uploaded successfully", "success");
-    } catch (err) {
-      // Handle order update errors
-      console.error("Refund Update Error:", err);
-
-      let errorMessage = "Failed to update refund status";
-
-      // Extract error message from response
-      if (err?.response?.data?.message) {
-        errorMessage = err.response.data.message;
-      } else if (err?.response?.data?.error) {
-        errorMessage = err.response.data.error;
-      } else if (err?.message) {
-        errorMessage = err.message;
-      }
-
-      // Check for network errors
-      if (err.code === 'ERR_NETWORK' || err.message?.includes('Network Error') || !err.response) {
-        errorMessage = "Failed to upload refund proof. Please try again later.";
-      } else if (err?.response?.status === 500) {
-        errorMessage = "Failed to upload refund proof. Server error - please try again later";
-      }
-
-      setRefundError(errorMessage);
-      throw err; // Re-throw to be handled by modal
-    } finally {
-      setUploadingRefundProof(false);
-    }
-  };
-
   // Handle update from modal
   const handleUpdateFromModal = async () => {
     if (!selectedOrderForUpdate?._id) return;
 
     // Check if order status update is allowed
-    if (
-      !isOrderStatusUpdateAllowed(
-        selectedOrderForUpdate.order_status,
-        selectedOrderForUpdate.payment_method,
-        selectedOrderForUpdate.pay_status
-      )
-    ) {
-      showToast(
-        "Order status cannot be updated for cancelled or delivered orders, or VNPAY unpaid orders, or refunded orders",
-        "error"
-      );
+    if (!canUpdateOrderStatus(selectedOrderForUpdate)) {
+      showToast(getUpdateBlockReason(selectedOrderForUpdate), "error");
       return;
     }
 
@@ -925,24 +628,11 @@ const Orders = () => {
       return;
     }
 
-    // Validate order status transition
-    const allowedTransitions = {
-      pending: ["confirmed", "cancelled"],
-      confirmed: ["shipping", "cancelled"],
-      shipping: ["delivered", "cancelled"],
-      delivered: [],
-      cancelled: [],
-    };
-
-    if (
-      !allowedTransitions[currentStatus] ||
-      !allowedTransitions[currentStatus].includes(newStatus)
-    ) {
-      showToast(
-        `Invalid status transition: ${currentStatus} → ${newStatus}. Please follow the workflow: Pending → Confirmed → Shipping → Delivered`,
-        "error"
-      );
-      setUpdateError(`Invalid status transition: ${currentStatus} → ${newStatus}`);
+    // Validate order status transition against the state machine
+    const transitionError = getOrderTransitionError(selectedOrderForUpdate, newStatus);
+    if (transitionError) {
+      showToast(transitionError, "error");
+      setUpdateError(transitionError);
       return;
     }
 
@@ -963,10 +653,15 @@ const Orders = () => {
         }
       }
 
-      const response = await Api.orders.update(selectedOrderForUpdate._id, updateData);
+      const result = await submitOrderUpdate(selectedOrderForUpdate, updateData);
+      if (result.queued) {
+        handleCloseUpdateModal();
+        showToast("You are offline. The update was queued and will sync automatically", "info");
+        return;
+      }
 
       // Update local state
-      const updatedData = response?.data || response;
+      const { order: updatedData, stockMovements } = splitStockMovements(result.data);
       setOrders((prev) =>
         prev.map((order) =>
           order._id === selectedOrderForUpdate._id
@@ -979,7 +674,8 @@ const Orders = () => {
       handleCloseUpdateModal();
 
       // Show success message
-      showToast("Order edited successfully", "success");
+      const stockSummary = summarizeStockMovements(stockMovements);
+      showToast(stockSummary ? `Order edited successfully. ${stockSummary}` : "Order edited successfully", "success");
     } catch (err) {
       // Extract error message from response
       let errorMessage = "Failed to update order";
@@ -1029,8 +725,8 @@ const Orders = () => {
         <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 lg:gap-4 shrink-0">
           <div className="bg-gradient-to-r from-yellow-400/20 via-amber-400/20 to-orange-400/20 backdrop-blur-md px-2 lg:px-4 py-1 lg:py-2 rounded-xl border-2 border-yellow-400/50 shadow-md">
             <span className="text-xs lg:text-sm font-semibold text-gray-700">
-              {filteredOrders.length} order
-              {filteredOrders.length !== 1 ? "s" : ""}
+              {totalItems} order
+              {totalItems !== 1 ? "s" : ""}
             </span>
           </div>
           {/* {(user?.role === "admin" || user?.role === "manager") && (
@@ -1106,13 +802,25 @@ const Orders = () => {
             <input
               type="text"
               placeholder="Search by recipient name...."
-              value={filters.nameReceive}
+              value={nameInput}
               onChange={(e) =>
                 handleFilterChange("nameReceive", e.target.value)
               }
               className="w-full px-3 py-2 lg:px-4 lg:py-3 border-2 border-gray-300/60 rounded-xl focus:ring-2 focus:ring-offset-2 transition-all duration-300 backdrop-blur-sm text-sm lg:text-base focus:border-amber-500 focus:ring-amber-500/30 shadow-md hover:shadow-lg hover:border-yellow-400/60"
             />
           </div>
+          <div className="mb-3 lg:mb-4">
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">
+              Phone / Address
+            </label>
+            <input
+              type="text"
+              placeholder="Search by phone or address...."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="w-full px-3 py-2 lg:px-4 lg:py-3 border-2 border-gray-300/60 rounded-xl focus:ring-2 focus:ring-offset-2 transition-all duration-300 backdrop-blur-sm text-sm lg:text-base focus:border-amber-500 focus:ring-amber-500/30 shadow-md hover:shadow-lg hover:border-yellow-400/60"
+            />
+          </div>
           <div className="flex flex-wrap items-end gap-3 lg:gap-4">
             {/* Order Status */}
             <div className="flex-1 min-w-[150px]">
@@ -1227,9 +935,90 @@ const Orders = () => {
           </div>
         </div>
       )}
+      {/* Offline Queue Bar */}
+      {queuedUpdates.length > 0 && (
+        <div className="rounded-xl border-2 border-blue-200 bg-blue-50 px-3 py-2 lg:px-4 lg:py-3 mb-4 lg:mb-6 shadow-md">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+            <span className="text-xs lg:text-sm font-semibold text-blue-800">
+              {queuedUpdates.length} order update{queuedUpdates.length !== 1 ? "s" : ""} waiting to sync
+            </span>
+            <button
+              onClick={retryNow}
+              className="px-3 py-1.5 text-xs lg:text-sm font-semibold text-blue-700 bg-white border-2 border-blue-200 rounded-xl hover:bg-blue-100 transition-all duration-300"
+            >
+              Retry now
+            </button>
+          </div>
+          {queuedUpdates
+            .filter((entry) => entry.state === "conflict")
+            .map((entry) => (
+              <div
+                key={entry.id}
+                className="mt-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2 rounded-lg bg-white border border-red-200 px-3 py-2"
+              >
+                <span className="text-xs text-red-700">
+                  Order #{entry.orderId.slice(-6).toUpperCase()}: {entry.conflictReason}
+                </span>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => discardMutation(entry.id)}
+                    className="px-2.5 py-1 text-xs font-medium text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-100"
+                  >
+                    Discard
+                  </button>
+                  <button
+                    onClick={() => forceMutation(entry.id)}
+                    className="px-2.5 py-1 text-xs font-semibold text-white rounded-lg bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+                  >
+                    Apply anyway
+                  </button>
+                </div>
+              </div>
+            ))}
+        </div>
+      )}
+
+      {/* Bulk Action Bar */}
+      {selectedCount > 0 && (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-xl border-2 border-yellow-400/50 bg-gradient-to-r from-yellow-50 via-amber-50 to-orange-50 px-3 py-2 lg:px-4 lg:py-3 mb-4 lg:mb-6 shadow-md">
+          <span className="text-xs lg:text-sm font-semibold text-gray-700">
+            {selectedCount} order{selectedCount !== 1 ? "s" : ""} selected
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => {
+                setBulkOrders(Object.values(selectedOrders));
+                setShowBulkStatusModal(true);
+              }}
+              disabled={!can(PERMISSIONS.ORDERS_UPDATE)}
+              title={can(PERMISSIONS.ORDERS_UPDATE) ? "Update status of selected orders" : "You do not have permission to update orders"}
+              className="px-3 py-2 text-white text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 shadow-md hover:shadow-lg bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Update Status
+            </button>
+            <button
+              onClick={() => {
+                setBulkOrders(Object.values(selectedOrders));
+                setShowShippingDocsModal(true);
+              }}
+              title="Print packing slips and shipping labels for selected orders"
+              className="px-3 py-2 text-[#A86523] text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 border-2 border-[#A86523]/60 bg-white hover:bg-amber-50 shadow-md hover:shadow-lg"
+            >
+              Print Slips & Labels
+            </button>
+            <button
+              onClick={clearSelection}
+              className="px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-white rounded-xl transition-all duration-300 border-2 border-gray-300/60 font-medium text-xs lg:text-sm"
+            >
+              Clear Selection
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Unified State: Loading / Empty / Error */}
       {
-        loading || filteredOrders.length === 0 || error ? (
+        loading || orders.length === 0 || error ? (
           <div
             className="backdrop-blur-xl rounded-xl border p-6"
             style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}
@@ -1311,6 +1100,15 @@ const Orders = () => {
                 {/* ---------- HEADER ---------- */}
                 <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
                   <tr>
+                    <th className="w-[4%] px-2 lg:px-4 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        checked={isAllPageSelected}
+                        onChange={togglePageSelection}
+                        className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                        aria-label="Select all orders on this page"
+                      />
+                    </th>
                     <th className="w-[4%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                       #
                     </th>
@@ -1318,13 +1116,33 @@ const Orders = () => {
                       Order ID
                     </th>
                     <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
-                      Create Date
+                      <button
+                        type="button"
+                        onClick={() => handleSortChange("orderDate")}
+                        className="inline-flex items-center gap-1 uppercase hover:text-amber-700 transition-colors"
+                        aria-label="Sort by Create Date"
+                      >
+                        Create Date
+                        <span className="text-[10px]">
+                          {sort === "-orderDate" ? "▼" : sort === "orderDate" ? "▲" : "↕"}
+                        </span>
+                      </button>
                     </th>
                     <th className="w-[16%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                       Recipient Name
                     </th>
                     <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
-                      Final
+                      <button
+                        type="button"
+                        onClick={() => handleSortChange("finalPrice")}
+                        className="inline-flex items-center gap-1 uppercase hover:text-amber-700 transition-colors"
+                        aria-label="Sort by Final"
+                      >
+                        Final
+                        <span className="text-[10px]">
+                          {sort === "-finalPrice" ? "▼" : sort === "finalPrice" ? "▲" : "↕"}
+                        </span>
+                      </button>
                     </th>
                     <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                       Status
@@ -1341,11 +1159,20 @@ const Orders = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {currentOrders.map((order, index) => (
+                  {orders.map((order, index) => (
                     <React.Fragment key={order._id}>
                       <tr
-                        className={`hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40`}
+                        className={`hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40 ${selectedOrders[order._id] ? "bg-amber-50/60" : ""}`}
                       >
+                        <td className="px-2 lg:px-4 py-3 whitespace-nowrap">
+                          <input
+                            type="checkbox"
+                            checked={!!selectedOrders[order._id]}
+                            onChange={() => toggleOrderSelection(order)}
+                            className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                            aria-label={`Select order ${order._id}`}
+                          />
+                        </td>
                         <td className="px-2 lg:px-4 py-3 whitespace-nowrap text-xs lg:text-sm text-gray-900">
                           {startIndex + index + 1}
                         </td>
@@ -1386,8 +1213,21 @@ const Orders = () => {
                                       : "bg-gray-100 text-gray-800"
                               }`}
                           >
-                            {displayStatus(order.order_status)}
+                            {getStatusLabel(order.order_status)}
                           </span>
+                          {getOrderEntry(order._id) && (
+                            <span
+                              className={`ml-1.5 inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold ${getOrderEntry(order._id).state === "conflict"
+                                ? "bg-red-100 text-red-700"
+                                : "bg-blue-100 text-blue-700"
+                                }`}
+                              title={getOrderEntry(order._id).conflictReason || "Queued while offline"}
+                            >
+                              {getOrderEntry(order._id).state === "conflict"
+                                ? "Conflict"
+                                : `Sync → ${getStatusLabel(getOrderEntry(order._id).data.order_status || order.order_status)}`}
+                            </span>
+                          )}
                         </td>
                         <td className="px-2 lg:px-4 py-3 whitespace-nowrap">
                           <span
@@ -1398,7 +1238,7 @@ const Orders = () => {
                                 : "bg-gray-100 text-gray-800"
                               }`}
                           >
-                            {displayStatus(order.payment_method)}
+                            {getStatusLabel(order.payment_method)}
                           </span>
                         </td>
                         <td className="px-2 lg:px-4 py-3 whitespace-nowrap">
@@ -1410,7 +1250,7 @@ const Orders = () => {
                                 : "bg-gray-100 text-gray-800"
                               }`}
                           >
-                            {displayStatus(order.pay_status)}
+                            {getStatusLabel(order.pay_status)}
                           </span>
                         </td>
                         <td className="px-2 lg:px-4 py-3">
@@ -1443,58 +1283,18 @@ const Orders = () => {
                             </button>
                             <button
                               onClick={() => handleOpenUpdateModal(order)}
-                              disabled={shouldDisableUpdateButton(
-                                order.payment_method,
-                                order.order_status,
-                                order.pay_status,
-                                order.refund_status
-                              )}
-                              className={`p-1.5 rounded-xl transition-all duration-300 border-2 shadow-md hover:shadow-lg transform hover:scale-110 ${shouldDisableUpdateButton(
-                                order.payment_method,
-                                order.order_status,
-                                order.pay_status,
-                                order.refund_status
-                              )
+                              disabled={Boolean(getActionBlockReason(order))}
+                              className={`p-1.5 rounded-xl transition-all duration-300 border-2 shadow-md hover:shadow-lg transform hover:scale-110 ${getActionBlockReason(order)
                                 ? 'text-gray-400 bg-gray-50 border-gray-200 cursor-not-allowed'
-                                : isRefundStatusUpdateAllowed(
-                                  order.payment_method,
-                                  order.order_status,
-                                  order.pay_status,
-                                  order.refund_status
-                                )
+                                : canUpdateRefund(order)
                                   ? 'border-orange-400/60 bg-gradient-to-br from-orange-100/80 via-amber-100/80 to-yellow-100/80 hover:from-orange-200 hover:via-amber-200 hover:to-yellow-200 text-orange-700 hover:text-orange-800 backdrop-blur-sm'
                                   : 'border-yellow-400/60 bg-gradient-to-br from-yellow-100/80 via-amber-100/80 to-orange-100/80 hover:from-yellow-200 hover:via-amber-200 hover:to-orange-200 text-amber-700 hover:text-amber-800 backdrop-blur-sm'
                                 }`}
-                              aria-label={`${isRefundStatusUpdateAllowed(
-                                order.payment_method,
-                                order.order_status,
-                                order.pay_status,
-                                order.refund_status
-                              )
-                                ? "Process refund"
-                                : "Edit order"
-                                } ${order._id}`}
+                              aria-label={`${canUpdateRefund(order) ? "Process refund" : "Edit order"} ${order._id}`}
                               title={
-                                isRefundStatusUpdateAllowed(
-                                  order.payment_method,
-                                  order.order_status,
-                                  order.pay_status,
-                                  order.refund_status
-                                )
+                                canUpdateRefund(order) && !getActionBlockReason(order)
                                   ? "Process Refund"
-                                  : !isOrderStatusUpdateAllowed(
-                                    order.order_status,
-                                    order.payment_method,
-                                    order.pay_status
-                                  )
-                                    ? "Order status cannot be updated for cancelled or delivered orders, or VNPAY unpaid orders, or refunded orders"
-                                    : shouldDisableUpdate(
-                                      order.payment_method,
-                                      order.order_status,
-                                      order.pay_status
-                                    )
-                                      ? "This order is finalized and cannot be updated"
-                                      : "Edit Order"
+                                  : getActionBlockReason(order) || "Edit Order"
                               }
                             >
                               <svg
@@ -1503,12 +1303,7 @@ const Orders = () => {
                                 stroke="currentColor"
                                 viewBox="0 0 24 24"
                               >
-                                {isRefundStatusUpdateAllowed(
-                                  order.payment_method,
-                                  order.order_status,
-                                  order.pay_status,
-                                  order.refund_status
-                                ) ? (
+                                {canUpdateRefund(order) ? (
                                   <path
                                     strokeLinecap="round"
                                     strokeLinejoin="round"
@@ -1527,7 +1322,7 @@ const Orders = () => {
                             </button>
                             <button
                               onClick={() => {
-                                if (order.order_status !== "pending") return;
+                                if (!canCancelOrder(order) || !can(PERMISSIONS.ORDERS_UPDATE)) return;
                                 setCancelOrderId(order._id);
                                 setCancelModalOpen(true);
                                 setCancelFormData({
@@ -1535,13 +1330,13 @@ const Orders = () => {
                                   customReason: "",
                                 });
                               }}
-                              disabled={order.order_status !== "pending"}
-                              className={`p-1.5 rounded-xl transition-all duration-300 border-2 shadow-md hover:shadow-lg transform hover:scale-110 ${order.order_status === "pending"
+                              disabled={!canCancelOrder(order) || !can(PERMISSIONS.ORDERS_UPDATE)}
+                              className={`p-1.5 rounded-xl transition-all duration-300 border-2 shadow-md hover:shadow-lg transform hover:scale-110 ${canCancelOrder(order) && can(PERMISSIONS.ORDERS_UPDATE)
                                 ? 'text-white bg-red-600 hover:bg-red-700 border-red-600 hover:border-red-700'
                                 : 'text-gray-400 bg-gray-50 border-gray-200 cursor-not-allowed'
                                 }`}
                               aria-label={`Cancel order ${order._id}`}
-                              title={order.order_status === "pending" ? "Cancel Order" : "Cancel only available for pending orders"}
+                              title={!can(PERMISSIONS.ORDERS_UPDATE) ? "You do not have permission to cancel orders" : canCancelOrder(order) ? "Cancel Order" : "Cancel only available for pending orders"}
                             >
                               <svg
                                 className="w-3 h-3 lg:w-4 lg:h-4"
@@ -1570,15 +1365,15 @@ const Orders = () => {
 
       {/* Pagination */}
       {
-        filteredOrders.length > 0 && (
+        totalItems > 0 && (
           <div className="backdrop-blur-xl rounded-xl border p-4 lg:p-6 mt-4 lg:mt-6" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(251, 191, 36, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}>
             <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
               <div className="text-sm text-gray-700">
                 Showing <span className="font-medium">{startIndex + 1}</span> to{" "}
                 <span className="font-medium">
-                  {Math.min(endIndex, filteredOrders.length)}
+                  {Math.min(endIndex, totalItems)}
                 </span>{" "}
-                of <span className="font-medium">{filteredOrders.length}</span>{" "}
+                of <span className="font-medium">{totalItems}</span>{" "}
                 orders
               </div>
               <div className="flex items-center space-x-2">
@@ -1691,21 +1486,33 @@ const Orders = () => {
               cancelReason: reason,
             };
 
-            const response = await Api.orders.update(cancelOrderId, updateData);
+            const order = orders.find((o) => o._id === cancelOrderId) || { _id: cancelOrderId };
+            const result = await submitOrderUpdate(order, updateData);
+            const { order: cancelledData, stockMovements } = splitStockMovements(result.data);
 
             // Update local orders state
-            setOrders((prevOrders) =>
-              prevOrders.map((order) =>
-                order._id === cancelOrderId
-                  ? { ...order, ...response.data }
-                  : order
-              )
-            );
+            if (!result.queued) {
+              setOrders((prevOrders) =>
+                prevOrders.map((o) =>
+                  o._id === cancelOrderId
+                    ? { ...o, ...cancelledData }
+                    : o
+                )
+              );
+            }
+            const stockSummary = summarizeStockMovements(stockMovements);
 
             setCancelModalOpen(false);
             setCancelOrderId(null);
             setCancelFormData({ cancelReason: "", customReason: "" });
-            showToast("Order cancelled successfully", "success");
+            showToast(
+              result.queued
+                ? "You are offline. The cancellation was queued and will sync automatically"
+                : stockSummary
+                  ? `Order cancelled successfully. ${stockSummary}`
+                  : "Order cancelled successfully",
+              result.queued ? "info" : "success"
+            );
           } catch (err) {
             setError(err.message || "Failed to cancel order");
             showToast(err.message || "Failed to cancel order", "error");
@@ -1742,17 +1549,26 @@ const Orders = () => {
         error={updateError}
       />
 
-      {/* Upload Refund Proof Modal */}
-      <UploadRefundProofModal
-        isOpen={showRefundProofUploadModal && !!selectedOrderForRefund}
-        onClose={handleCloseRefundProofUploadModal}
-        currentProof={selectedOrderForRefund?.refund_proof}
-        onUpload={handleRefundProofUpload}
-        isUploading={uploadingRefundProof}
-        error={refundError}
-        onImageClick={(imageUrl, alt) => {
-          setModalImageUrl(imageUrl);
-          setShowRefundProofModal(true);
+      {/* Bulk Status Modal */}
+      <BulkOrderStatusModal
+        isOpen={showBulkStatusModal}
+        onClose={() => setShowBulkStatusModal(false)}
+        orders={bulkOrders}
+        onOrderUpdated={handleBulkOrderUpdated}
+        onComplete={handleBulkComplete}
+      />
+
+      {/* Packing Slips & Shipping Labels Modal */}
+      <ShippingDocumentsModal
+        isOpen={showShippingDocsModal}
+        onClose={() => setShowShippingDocsModal(false)}
+        orders={bulkOrders}
+        onComplete={({ printed, failed }) => {
+          if (printed > 0) {
+            showToast(`Generated documents for ${printed} order${printed !== 1 ? "s" : ""}`, failed.length ? "info" : "success");
+          } else {
+            showToast("No documents generated", "error");
+          }
         }}
       />
 
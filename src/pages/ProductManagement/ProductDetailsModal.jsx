@@ -1,12 +1,15 @@
 // ProductDetailsModal.jsx
 import React, { useState, useCallback, useContext, useEffect, useMemo } from 'react';
-import { FaPlus, FaEdit } from 'react-icons/fa';
+import { FaPlus, FaEdit, FaHistory } from 'react-icons/fa';
 import { ToastContext } from '../../context/ToastContext';
 import VariantModal from '../../components/VariantModal';
 import BulkVariantModal from '../../components/BulkVariantModal';
+import VariantMatrixModal from '../../components/VariantMatrixModal';
+import ProductRevisionsModal from '../../components/ProductRevisionsModal';
 import ProductVariantList from '../ProductVariant/ProductVariantList';
 import ImageModal from '../../components/ImageModal';
 import Loading from '../../components/Loading';
+import { getScheduleSummary } from '../../utils/productPublishing';
 
 const ProductDetailsModal = ({
     isOpen,
@@ -19,12 +22,16 @@ const ProductDetailsModal = ({
     sizes,
     onVariantChange,
     onEditProduct,
+    categories = [],
+    onProductReverted,
     viewOnly = false
 }) => {
     const { showToast } = useContext(ToastContext);
     const [editingVariant, setEditingVariant] = useState(null);
     const [showCreateVariant, setShowCreateVariant] = useState(false);
     const [showBulkVariant, setShowBulkVariant] = useState(false);
+    const [showVariantMatrix, setShowVariantMatrix] = useState(false);
+    const [showRevisions, setShowRevisions] = useState(false);
     const [showImageModal, setShowImageModal] = useState(false);
     const [selectedImage, setSelectedImage] = useState('');
 
@@ -63,6 +70,13 @@ const ProductDetailsModal = ({
         }
     }, [onVariantChange]);
 
+    // The edit modal stays open; only the list needs the new stock
+    const handleStockAdjusted = useCallback(() => {
+        if (onVariantChange) {
+            onVariantChange();
+        }
+    }, [onVariantChange]);
+
     const handleEditVariant = useCallback((variant) => {
         if (variant.status === 'discontinued') {
             showToast('Cannot edit discontinued variant', 'error');
@@ -155,11 +169,11 @@ const ProductDetailsModal = ({
     //       If product has no variants:
     //         - If product was previously active or inactive (had variants before) → status = "inactive"
     //         - If product is pending (never had variants) → status = "pending"
-    //       If product is discontinued → status = "discontinued" (keep original)
+    //       If product is discontinued or a draft → keep original
     const realtimeProductStatus = useMemo(() => {
-        // If product is discontinued, keep it as discontinued
-        if (product?.productStatus === 'discontinued') {
-            return 'discontinued';
+        // Discontinued and draft products keep their status whatever their variants
+        if (product?.productStatus === 'discontinued' || product?.productStatus === 'draft') {
+            return product.productStatus;
         }
 
         // Count non-discontinued variants
@@ -217,6 +231,15 @@ const ProductDetailsModal = ({
                             Product Details
                         </h2>
                         <div className="flex items-center gap-2">
+                            <button
+                                onClick={() => setShowRevisions(true)}
+                                className="flex items-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 hover:bg-amber-50 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                                style={{ borderColor: '#E9A319', color: '#A86523', '--tw-ring-color': '#A86523' }}
+                                title="Revision History"
+                            >
+                                <FaHistory className="w-4 h-4" />
+                                <span>History</span>
+                            </button>
                             {!viewOnly && realtimeProductStatus !== 'discontinued' && (
                                 <button
                                     onClick={handleEditProduct}
@@ -283,11 +306,16 @@ const ProductDetailsModal = ({
                                                         ? 'bg-gradient-to-r from-green-400 to-emerald-500 text-white'
                                                         : realtimeProductStatus === 'inactive'
                                                             ? 'bg-gradient-to-r from-yellow-400 to-orange-500 text-white'
-                                                            : 'bg-gradient-to-r from-blue-400 to-cyan-500 text-white'
+                                                            : realtimeProductStatus === 'draft'
+                                                                ? 'bg-gray-200 text-gray-700 border border-dashed border-gray-400'
+                                                                : 'bg-gradient-to-r from-blue-400 to-cyan-500 text-white'
                                                     }`}
                                             >
                                                 {realtimeProductStatus || 'N/A'}
                                             </span>
+                                            {realtimeProductStatus !== 'discontinued' && getScheduleSummary(product) && (
+                                                <p className="mt-1 text-xs text-gray-500">{getScheduleSummary(product)}</p>
+                                            )}
                                         </dd>
                                     </div>
                                 </dl>
@@ -356,6 +384,17 @@ const ProductDetailsModal = ({
                                 </div>
                                 {!viewOnly && realtimeProductStatus !== 'discontinued' && (
                                     <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => setShowVariantMatrix(true)}
+                                            className="flex items-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg transition-all duration-200 shadow-md hover:shadow-lg border-2 bg-white hover:bg-amber-50 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                                            style={{ '--tw-ring-color': '#A86523', borderColor: '#A86523', color: '#A86523' }}
+                                            title="Edit all colors and sizes as a grid"
+                                        >
+                                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5h16M4 12h16M4 19h16M9 5v14M15 5v14" />
+                                            </svg>
+                                            <span>Matrix</span>
+                                        </button>
                                         <button
                                             onClick={() => setShowBulkVariant(true)}
                                             className="flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white rounded-lg transition-all duration-200 shadow-md hover:shadow-lg bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 focus:outline-none focus:ring-2 focus:ring-offset-2"
@@ -431,6 +470,7 @@ const ProductDetailsModal = ({
                 colors={colors}
                 sizes={sizes}
                 onVariantUpdated={handleVariantUpdated}
+                onStockAdjusted={handleStockAdjusted}
             />
 
             {/* Bulk Variant Modal */}
@@ -443,6 +483,27 @@ const ProductDetailsModal = ({
                 onVariantsCreated={handleBulkVariantsCreated}
             />
 
+            {/* Variant Matrix Modal */}
+            <VariantMatrixModal
+                isOpen={showVariantMatrix}
+                onClose={() => setShowVariantMatrix(false)}
+                product={product}
+                variants={productVariants[product?._id] || []}
+                colors={colors}
+                sizes={sizes}
+                onSaved={onVariantChange}
+            />
+
+            {/* Revisions Modal */}
+            <ProductRevisionsModal
+                isOpen={showRevisions}
+                onClose={() => setShowRevisions(false)}
+                product={product}
+                categories={categories}
+                onReverted={onProductReverted}
+                readOnly={viewOnly || realtimeProductStatus === 'discontinued' || !onProductReverted}
+            />
+
             {/* Image Modal */}
             <ImageModal
                 isOpen={showImageModal}
@@ -12,12 +12,25 @@ import ImageModal from '../../components/ImageModal';
 import axiosClient from '../../common/axiosClient';
 import Loading from '../../components/Loading';
 import DeleteConfirmModal from '../../components/DeleteConfirmModal';
+import ProductImportModal from '../../components/ProductImportModal';
+import CatalogExportModal from '../../components/CatalogExportModal';
+import BulkProductEditModal from '../../components/BulkProductEditModal';
+import BulkVariantEditModal from '../../components/BulkVariantEditModal';
+import { stripHtml } from '../../utils/htmlUtils';
+import { getScheduleSummary } from '../../utils/productPublishing';
 
 // Using SummaryAPI for all API calls
 
-const Products = () => {
-  const stripHtml = (html) => html.replace(/<[^>]*>/g, '');
+const getDiscontinueErrorMessage = (err) => {
+  const errorMessage = err.response?.data?.message || err.message || 'Failed to discontinue product';
+  // Improve error message for active orders
+  if (errorMessage.includes('active orders') || errorMessage.includes('pending, confirmed, or shipping')) {
+    return 'Cannot delete product because it still contains variants with active orders';
+  }
+  return errorMessage;
+};
 
+const Products = () => {
   const { user, isAuthLoading } = useContext(AuthContext);
   const { showToast } = useContext(ToastContext);
   const location = useLocation();
@@ -45,6 +58,12 @@ const Products = () => {
   const [rowsPerPage] = useState(10);
 
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [selectedProducts, setSelectedProducts] = useState({}); // productId -> product, kept across pages and filters
+  const [showBulkProductModal, setShowBulkProductModal] = useState(false);
+  const [bulkVariants, setBulkVariants] = useState(null); // variants of the selected products while bulk editing them
+  const [loadingBulkVariants, setLoadingBulkVariants] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [selectedProductForDetails, setSelectedProductForDetails] = useState(null);
@@ -86,8 +105,9 @@ const Products = () => {
     const priorityMap = {
       active: 1,
       inactive: 2,
-      pending: 3,
-      discontinued: 4,
+      draft: 3,
+      pending: 4,
+      discontinued: 5,
       available: 2, // Alias for inactive
     };
     return priorityMap[value] ?? 99;
@@ -384,17 +404,6 @@ const Products = () => {
     setShowFilters(prev => !prev);
   }, []);
 
-  // Upload helper (single image)
-  const uploadSingleImage = useCallback(async (file) => {
-    if (!file) return '';
-    try {
-      const response = await Api.upload.image(file);
-      return response.data?.url || response.data?.data?.url || '';
-    } catch (err) {
-      return '';
-    }
-  }, []);
-
   // Create product using NEW API
   const createProduct = useCallback(async (formData) => {
     setLoading(true);
@@ -403,7 +412,7 @@ const Products = () => {
     try {
       const response = await Api.newProducts.create({
         ...formData,
-        productStatus: 'active' // Set to active by default
+        productStatus: formData.productStatus || 'draft' // New products stay hidden until published
       });
 
       const newProduct = response.data?.data || response.data;
@@ -472,15 +481,8 @@ const Products = () => {
       if (selectedProductId === productId) setSelectedProductId(null);
       if (editingProductId === productId) setEditingProductId(null);
     } catch (err) {
-      let errorMessage = err.response?.data?.message || err.message || 'Failed to discontinue product';
-
-      // Improve error message for active orders
-      if (errorMessage.includes('active orders') || errorMessage.includes('pending, confirmed, or shipping')) {
-        errorMessage = 'Cannot delete product because it still contains variants with active orders';
-      }
-
       // Only show toast, don't set error state (error state is for fetch operations)
-      showToast(errorMessage, 'error');
+      showToast(getDiscontinueErrorMessage(err), 'error');
     } finally {
       setLoading(false);
       setError(''); // Clear any previous error state
@@ -489,6 +491,36 @@ const Products = () => {
     }
   }, [selectedProductId, editingProductId, showToast]);
 
+  // Bulk discontinue: same endpoint one product at a time, with one summary toast
+  const discontinueProducts = useCallback(async (productsToDiscontinue) => {
+    setLoading(true);
+    const discontinuedIds = new Set();
+    const failures = [];
+    for (const product of productsToDiscontinue) {
+      try {
+        await Api.newProducts.delete(product._id);
+        discontinuedIds.add(product._id);
+      } catch (err) {
+        failures.push(`${product.productName}: ${getDiscontinueErrorMessage(err)}`);
+      }
+    }
+
+    setProducts(prev =>
+      prev.map(product =>
+        discontinuedIds.has(product._id) ? { ...product, productStatus: 'discontinued' } : product
+      )
+    );
+    if (discontinuedIds.size > 0) {
+      showToast(`${discontinuedIds.size} product${discontinuedIds.size !== 1 ? 's' : ''} marked as discontinued`, 'success');
+    }
+    if (failures.length > 0) {
+      showToast(`${failures.length} could not be discontinued. ${failures.slice(0, 3).join('; ')}${failures.length > 3 ? '…' : ''}`, 'error');
+    }
+    setLoading(false);
+    setProductPendingDiscontinue(null);
+    setShowDiscontinueConfirm(false);
+  }, [showToast]);
+
   const handleRequestDiscontinue = useCallback((product) => {
     if (!product) return;
     setProductPendingDiscontinue(product);
@@ -501,10 +533,105 @@ const Products = () => {
     setProductPendingDiscontinue(null);
   }, [loading]);
 
+  // productPendingDiscontinue is a single product, or an array when coming from bulk edit
   const handleConfirmDiscontinue = useCallback(() => {
     if (!productPendingDiscontinue) return;
+    if (Array.isArray(productPendingDiscontinue)) {
+      discontinueProducts(productPendingDiscontinue);
+      return;
+    }
     deleteProduct(productPendingDiscontinue._id);
-  }, [productPendingDiscontinue, deleteProduct]);
+  }, [productPendingDiscontinue, deleteProduct, discontinueProducts]);
+
+  // ==== Multi-select for bulk edit ====
+  const selectedCount = Object.keys(selectedProducts).length;
+  const isAllPageSelected =
+    currentProducts.length > 0 && currentProducts.every((product) => selectedProducts[product._id]);
+
+  const toggleProductSelection = useCallback((product) => {
+    setSelectedProducts((prev) => {
+      const next = { ...prev };
+      if (next[product._id]) {
+        delete next[product._id];
+      } else {
+        next[product._id] = product;
+      }
+      return next;
+    });
+  }, []);
+
+  const togglePageSelection = useCallback(() => {
+    setSelectedProducts((prev) => {
+      const next = { ...prev };
+      if (currentProducts.every((product) => next[product._id])) {
+        currentProducts.forEach((product) => delete next[product._id]);
+      } else {
+        currentProducts.forEach((product) => {
+          next[product._id] = product;
+        });
+      }
+      return next;
+    });
+  }, [currentProducts]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedProducts({});
+  }, []);
+
+  // Keep selected snapshots fresh with the latest product data
+  useEffect(() => {
+    setSelectedProducts((prev) => {
+      let changed = false;
+      const next = { ...prev };
+      products.forEach((product) => {
+        if (next[product._id] && next[product._id] !== product) {
+          next[product._id] = product;
+          changed = true;
+        }
+      });
+      return changed ? next : prev;
+    });
+  }, [products]);
+
+  const handleBulkDiscontinue = useCallback((productsToDiscontinue) => {
+    setShowBulkProductModal(false);
+    setProductPendingDiscontinue(productsToDiscontinue);
+    setShowDiscontinueConfirm(true);
+  }, []);
+
+  const handleBulkProductsApplied = useCallback((report) => {
+    const updated = new Map(
+      report.filter((r) => r.status === 'success' && r.updated?._id).map((r) => [r.product._id, r.updated])
+    );
+    setProducts(prev => prev.map(product => updated.get(product._id) || product));
+  }, []);
+
+  // Variant prices and stock of the selected products, loaded fresh before editing
+  const handleOpenBulkVariants = useCallback(async () => {
+    setLoadingBulkVariants(true);
+    try {
+      const response = await Api.newVariants.getAll();
+      const selectedIds = new Set(Object.keys(selectedProducts));
+      const variants = (response.data || []).filter((variant) => selectedIds.has(toIdString(variant.productId)));
+      if (variants.length === 0) {
+        showToast('The selected products have no variants', 'info');
+        return;
+      }
+      setBulkVariants(variants);
+    } catch (err) {
+      showToast(err.response?.data?.message || err.message || 'Failed to load variants', 'error');
+    } finally {
+      setLoadingBulkVariants(false);
+    }
+  }, [selectedProducts, toIdString, showToast]);
+
+  const handleBulkVariantsApplied = useCallback((report) => {
+    // Cached variant lists of the edited products are stale now
+    const productIds = new Set(report.map((r) => toIdString(r.variant.productId)));
+    productIds.forEach((id) => {
+      if (productVariants[id]) fetchProductVariants(id);
+    });
+  }, [productVariants, toIdString, fetchProductVariants]);
 
   // Handle authentication state and fetch data
   useEffect(() => {
@@ -694,6 +821,25 @@ const Products = () => {
             </svg>
             <span className="font-medium">Add Product</span>
           </button>
+          <button
+            className="flex items-center space-x-1 lg:space-x-2 px-3 lg:px-4 py-2 lg:py-3 text-white rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl text-xs lg:text-sm font-semibold bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] transform hover:scale-105"
+            onClick={() => setShowImportModal(true)}
+          >
+            <svg className="w-3 h-3 lg:w-4 lg:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M16 8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+            <span className="font-medium">Import</span>
+          </button>
+          <button
+            className="flex items-center space-x-1 lg:space-x-2 px-3 lg:px-4 py-2 lg:py-3 text-white rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl text-xs lg:text-sm font-semibold bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+            onClick={() => setShowExportModal(true)}
+            disabled={filteredProducts.length === 0}
+          >
+            <svg className="w-3 h-3 lg:w-4 lg:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M8 12l4 4m0 0l4-4m-4 4V4" />
+            </svg>
+            <span className="font-medium">Export</span>
+          </button>
         </div>
       </div>
 
@@ -750,7 +896,7 @@ const Products = () => {
                 className="w-full px-3 py-2 lg:px-4 lg:py-3 border-2 border-gray-300/60 rounded-xl focus:ring-2 focus:ring-offset-2 transition-all duration-300 backdrop-blur-sm text-sm lg:text-base focus:border-amber-500 focus:ring-amber-500/30 shadow-md hover:shadow-lg hover:border-yellow-400/60"
               >
                 <option value="">All Statuses</option>
-                {['active', 'inactive', 'pending', 'discontinued'].map(status => (
+                {['active', 'inactive', 'draft', 'pending', 'discontinued'].map(status => (
                   <option key={status} value={status}>
                     {status.charAt(0).toUpperCase() + status.slice(1)}
                   </option>
@@ -761,6 +907,38 @@ const Products = () => {
         </div>
       )}
 
+      {/* Bulk Action Bar */}
+      {selectedCount > 0 && (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-xl border-2 border-yellow-400/50 bg-gradient-to-r from-yellow-50 via-amber-50 to-orange-50 px-3 py-2 lg:px-4 lg:py-3 mb-4 lg:mb-6 shadow-md">
+          <span className="text-xs lg:text-sm font-semibold text-gray-700">
+            {selectedCount} product{selectedCount !== 1 ? 's' : ''} selected
+          </span>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setShowBulkProductModal(true)}
+              title="Change category or status of selected products"
+              className="px-3 py-2 text-white text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 shadow-md hover:shadow-lg bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+            >
+              Edit Products
+            </button>
+            <button
+              onClick={handleOpenBulkVariants}
+              disabled={loadingBulkVariants}
+              title="Change price, stock or status of every variant of the selected products"
+              className="px-3 py-2 text-[#A86523] text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 border-2 border-[#A86523]/60 bg-white hover:bg-amber-50 shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loadingBulkVariants ? 'Loading variants...' : 'Edit Variants'}
+            </button>
+            <button
+              onClick={clearSelection}
+              className="px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-white rounded-xl transition-all duration-300 border-2 border-gray-300/60 font-medium text-xs lg:text-sm"
+            >
+              Clear Selection
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Unified State: Loading / Empty / Error */}
       {loading || filteredProducts.length === 0 || error ? (
         <div className="backdrop-blur-xl rounded-xl border p-6" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }} role="status">
@@ -835,6 +1013,15 @@ const Products = () => {
               {/* ---------- HEADER ---------- */}
               <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
                 <tr>
+                  <th className="w-[4%] px-2 lg:px-4 py-3 text-left">
+                    <input
+                      type="checkbox"
+                      checked={isAllPageSelected}
+                      onChange={togglePageSelection}
+                      className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                      aria-label="Select all products on this page"
+                    />
+                  </th>
                   <th className="w-[5%]  px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                     #
                   </th>
@@ -847,7 +1034,7 @@ const Products = () => {
                   <th className="w-[10%] px-2 lg:px-4 py-3 text-center text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                     Main Image
                   </th>
-                  <th className="w-[30%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
+                  <th className="w-[26%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
                     Description
                   </th>
                   <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">
@@ -870,8 +1057,18 @@ const Products = () => {
                   return (
                     <tr
                       key={product._id}
-                      className={`hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40 ${discontinued ? 'opacity-60' : ''}`}
+                      className={`hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40 ${discontinued ? 'opacity-60' : ''} ${selectedProducts[product._id] ? 'bg-amber-50/60' : ''}`}
                     >
+                      <td className="px-2 lg:px-4 py-3 whitespace-nowrap">
+                        <input
+                          type="checkbox"
+                          checked={!!selectedProducts[product._id]}
+                          onChange={() => toggleProductSelection(product)}
+                          className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                          aria-label={`Select product ${product.productName}`}
+                        />
+                      </td>
+
                       {/* # */}
                       <td className="px-2 lg:px-4 py-3 whitespace-nowrap text-xs lg:text-sm text-gray-900">
                         {startIndex + index + 1}
@@ -956,11 +1153,16 @@ const Products = () => {
                               ? 'bg-gradient-to-r from-green-400 to-emerald-500 text-white'
                               : product.productStatus === 'inactive'
                                 ? 'bg-gradient-to-r from-yellow-400 to-orange-500 text-white'
-                                : 'bg-gradient-to-r from-blue-400 to-cyan-500 text-white'
+                                : product.productStatus === 'draft'
+                                  ? 'bg-gray-200 text-gray-700 border border-dashed border-gray-400'
+                                  : 'bg-gradient-to-r from-blue-400 to-cyan-500 text-white'
                             }`}
                         >
                           {discontinued ? 'discontinued' : product.productStatus || 'unknown'}
                         </span>
+                        {!discontinued && getScheduleSummary(product) && (
+                          <div className="mt-1 text-[11px] text-gray-500">{getScheduleSummary(product)}</div>
+                        )}
                       </td>
 
                       {/* Actions */}
@@ -1165,6 +1367,11 @@ const Products = () => {
           setShowDetailsModal(false);
           setShowEditModal(true);
         }}
+        categories={categories}
+        onProductReverted={(updatedProduct) => {
+          setProducts(prev => prev.map(product => product._id === updatedProduct._id ? updatedProduct : product));
+          setSelectedProductForDetails(updatedProduct);
+        }}
         viewOnly={isViewMode}
       />
 
@@ -1178,6 +1385,41 @@ const Products = () => {
         error={error}
       />
 
+      {/* Import Products Modal */}
+      <ProductImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        categories={categories}
+        colors={colors}
+        sizes={sizes}
+        products={products}
+        onImported={fetchProducts}
+      />
+
+      {/* Export Catalogue Modal */}
+      <CatalogExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        products={filteredProducts}
+        categories={categories}
+      />
+
+      <BulkProductEditModal
+        isOpen={showBulkProductModal}
+        onClose={() => setShowBulkProductModal(false)}
+        products={Object.values(selectedProducts)}
+        categories={categories}
+        onApplied={handleBulkProductsApplied}
+        onDiscontinue={handleBulkDiscontinue}
+      />
+
+      <BulkVariantEditModal
+        isOpen={!!bulkVariants}
+        onClose={() => setBulkVariants(null)}
+        variants={bulkVariants || []}
+        onApplied={handleBulkVariantsApplied}
+      />
+
       {/* Edit Product Modal */}
       <ProductModal
         isOpen={showEditModal}
@@ -1191,16 +1433,22 @@ const Products = () => {
 
       <DeleteConfirmModal
         isOpen={showDiscontinueConfirm}
-        title="Discontinue Product"
+        title={Array.isArray(productPendingDiscontinue) ? 'Discontinue Products' : 'Discontinue Product'}
         message={
           <>
             Are you sure you want to discontinue{' '}
             <span className="font-semibold text-gray-900">
-              {productPendingDiscontinue?.productName || productPendingDiscontinue?.name || 'this product'}
+              {Array.isArray(productPendingDiscontinue)
+                ? `${productPendingDiscontinue.length} product${productPendingDiscontinue.length !== 1 ? 's' : ''}`
+                : productPendingDiscontinue?.productName || productPendingDiscontinue?.name || 'this product'}
             </span>
             ?
             <br />
-            <span className="text-sm text-gray-500">This action will mark the product as discontinued.</span>
+            <span className="text-sm text-gray-500">
+              {Array.isArray(productPendingDiscontinue)
+                ? 'This action will mark the selected products as discontinued.'
+                : 'This action will mark the product as discontinued.'}
+            </span>
           </>
         }
         onConfirm={handleConfirmDiscontinue}
@@ -9,6 +9,8 @@ import { useNavigate } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import Api from "../common/SummaryAPI";
 import { useToast } from "../hooks/useToast";
+import { useImageUpload } from "../hooks/useImageUpload";
+import { checkImageFiles } from "../utils/imagePipeline";
 import { startRegistration } from "@simplewebauthn/browser";
 import Loading from "../components/Loading";
 import DeleteConfirmModal from "../components/DeleteConfirmModal";
@@ -48,9 +50,17 @@ const Profile = () => {
   const navigate = useNavigate();
   const firstInputRef = useRef(null);
   const { showToast } = useToast();
+  // Avatar is resized to 512px WebP before upload
+  const {
+    items: uploadItems,
+    uploadFiles,
+    retry: retryUpload,
+    cancel: cancelUpload,
+    reset: resetUploads,
+  } = useImageUpload({ preset: "avatar" });
 
   // Handle file selection
-  const handleFileChange = (e) => {
+  const handleFileChange = async (e) => {
     const file = e.target.files[0];
     if (file) {
       const validTypes = [
@@ -65,6 +75,15 @@ const Profile = () => {
         setPreviewUrl("");
         return;
       }
+      const { rejected } = await checkImageFiles([file], "avatar");
+      if (rejected.length > 0) {
+        showToast(rejected[0].message, "error", 3000);
+        setInvalidFile(true);
+        setSelectedFile(null);
+        setPreviewUrl("");
+        return;
+      }
+      resetUploads();
       setInvalidFile(false);
       setSelectedFile(file);
       setPreviewUrl(URL.createObjectURL(file));
@@ -273,32 +292,22 @@ const Profile = () => {
       setLoading(true);
 
       if (selectedFile) {
-        Api.upload
-          .image(selectedFile)
-          .then((response) => {
-            const imageUrl = response.data?.url || response.data?.imageUrl;
-            if (imageUrl) {
-              showToast("Image uploaded successfully", "success", 2000);
-              updateProfileWithImage(imageUrl);
-            } else {
-              showToast(
-                "Upload completed but server did not return URL.",
-                "error",
-                3000
-              );
-              setLoading(false);
-            }
-          })
-          .catch((err) => {
+        // The pipeline retries on its own and never rejects; failures come back as result.error
+        uploadFiles([selectedFile]).then(([result]) => {
+          if (result.url) {
+            showToast("Image uploaded successfully", "success", 2000);
+            updateProfileWithImage(result.url);
+          } else {
+            const err = result.error || {};
             console.error("Upload failed details:", {
               message: err.message,
               status: err.response?.status,
               data: err.response?.data,
-              config: err.config
             });
             showToast(`Upload failed: ${err.response?.data?.message || err.message}`, "error", 5000);
             setLoading(false);
-          });
+          }
+        });
       } else {
         updateProfile();
       }
@@ -309,6 +318,7 @@ const Profile = () => {
       invalidFile,
       updateProfile,
       updateProfileWithImage,
+      uploadFiles,
       showToast,
     ]
   );
@@ -328,7 +338,8 @@ const Profile = () => {
     setSelectedFile(null);
     setPreviewUrl("");
     setInvalidFile(false);
-  }, [profile]);
+    resetUploads();
+  }, [profile, resetUploads]);
 
   const handleSetupPasskey = useCallback(async () => {
     setIsSettingUpPasskey(true);
@@ -737,6 +748,9 @@ const Profile = () => {
           selectedFile={selectedFile}
           profile={profile}
           loading={loading}
+          uploadItems={uploadItems}
+          onCancelUpload={cancelUpload}
+          onRetryUpload={retryUpload}
         />
       )}
 
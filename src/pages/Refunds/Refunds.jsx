@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useContext, useCallback, useMemo } from "react";
+import { AuthContext } from "../../context/AuthContext";
+import { ToastContext } from "../../context/ToastContext";
+import Api from "../../common/SummaryAPI";
+import Loading from "../../components/Loading";
+import OrderDetails from "../Order/OrderDetails";
+import { downloadCSV } from "../../utils/csvUtils";
+import { canUpdateRefund, getStatusLabel } from "../../utils/orderStateMachine";
+import {
+  REFUND_LEDGER_STATUSES,
+  getOrderRefunds,
+  getOrderTotal,
+  getRefundAgeDays,
+  getRefundAssigneeId,
+  getRefundAssigneeName,
+  getRefundReasonLabel,
+  getRefundableAmount,
+  getRefundedAmount,
+} from "../../utils/refundUtils";
+
+const PAGE_SIZE = 20;
+// Open refunds older than this are highlighted
+const REFUND_SLA_DAYS = 7;
+
+const STATUS_STYLES = {
+  pending_refund: "bg-amber-100 text-amber-800",
+  partially_refunded: "bg-blue-100 text-blue-800",
+  refunded: "bg-green-100 text-green-800",
+};
+
+const EMPTY_FILTERS = {
+  search: "",
+  status: "all",
+  assignee: "all",
+};
+
+const formatPrice = (price) => {
+  if (typeof price !== "number" || isNaN(price)) return "N/A";
+  return new Intl.NumberFormat("vi-VN", { style: "currency", currency: "VND" }).format(price);
+};
+
+// dd/MM/yyyy HH:mm
+const formatDateTime = (dateStr) => {
+  if (!dateStr) return "";
+  const d = new Date(dateStr);
+  if (isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const getCustomerName = (order) => order.name || order.acc_id?.username || "N/A";
+
+const Refunds = () => {
+  const { user } = useContext(AuthContext);
+  const { showToast } = useContext(ToastContext);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [assigningId, setAssigningId] = useState(null);
+  const [detailsOrder, setDetailsOrder] = useState(null);
+  const [autoOpenRefund, setAutoOpenRefund] = useState(false);
+
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await Api.orders.getAll();
+      const allOrders = response?.data || [];
+      setOrders(allOrders.filter((order) => REFUND_LEDGER_STATUSES.includes(order.refund_status)));
+    } catch (err) {
+      setError(err?.response?.data?.message || err.message || "Failed to load refunds");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setCurrentPage(1);
+  };
+
+  // Oldest open refunds first, refunded ones after
+  const filteredOrders = useMemo(() => {
+    const search = filters.search.trim().toLowerCase();
+    return orders
+      .filter((order) => filters.status === "all" || order.refund_status === filters.status)
+      .filter((order) => {
+        if (filters.assignee === "mine") return getRefundAssigneeId(order) === user?._id;
+        if (filters.assignee === "unassigned") return !getRefundAssigneeId(order);
+        return true;
+      })
+      .filter((order) =>
+        !search ||
+        order._id?.toLowerCase().includes(search) ||
+        getCustomerName(order).toLowerCase().includes(search)
+      )
+      .sort((a, b) => {
+        const aOpen = a.refund_status !== "refunded";
+        const bOpen = b.refund_status !== "refunded";
+        if (aOpen !== bOpen) return aOpen ? -1 : 1;
+        return (getRefundAgeDays(b) ?? 0) - (getRefundAgeDays(a) ?? 0);
+      });
+  }, [orders, filters, user?._id]);
+
+  const totals = useMemo(() => {
+    const open = orders.filter((order) => order.refund_status !== "refunded");
+    const ages = open.map((order) => getRefundAgeDays(order)).filter((age) => age !== null);
+    return {
+      openCount: open.length,
+      outstanding: open.reduce((sum, order) => sum + getRefundableAmount(order), 0),
+      refunded: orders.reduce((sum, order) => sum + getRefundedAmount(order), 0),
+      averageAge: ages.length > 0 ? Math.round(ages.reduce((sum, age) => sum + age, 0) / ages.length) : 0,
+      overdue: ages.filter((age) => age > REFUND_SLA_DAYS).length,
+    };
+  }, [orders]);
+
+  const totalPages = Math.max(1, Math.ceil(filteredOrders.length / PAGE_SIZE));
+  const paginatedOrders = filteredOrders.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const handleAssign = async (order, assignToMe) => {
+    setAssigningId(order._id);
+    try {
+      const response = await Api.refunds.assign(order._id, assignToMe ? user._id : null);
+      const updated = response?.data || {};
+      setOrders((prev) =>
+        prev.map((o) =>
+          o._id === order._id
+            ? {
+              ...o,
+              ...updated,
+              refund_assignee: assignToMe ? { _id: user._id, username: user.username } : null,
+            }
+            : o
+        )
+      );
+      showToast(assignToMe ? "Refund assigned to you" : "Refund unassigned", "success");
+    } catch (err) {
+      showToast(err?.response?.data?.message || err.message || "Failed to update assignee", "error");
+    } finally {
+      setAssigningId(null);
+    }
+  };
+
+  const openDetails = (order, processRefund = false) => {
+    setDetailsOrder(order);
+    setAutoOpenRefund(processRefund);
+  };
+
+  // Refunds may have been recorded in the details modal, so reload the list
+  const closeDetails = () => {
+    setDetailsOrder(null);
+    setAutoOpenRefund(false);
+    fetchOrders();
+  };
+
+  // One row per recorded refund, for the accountant's ledger
+  const handleExportLedger = () => {
+    const rows = filteredOrders.flatMap((order) =>
+      getOrderRefunds(order).map((refund) => [
+        order._id,
+        getCustomerName(order),
+        formatDateTime(refund.createdAt),
+        refund.amount ?? 0,
+        getRefundReasonLabel(refund.reason),
+        refund.note || "",
+        (refund.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+        (refund.proofs || []).length,
+        refund.createdBy?.username || "",
+        getStatusLabel(order.refund_status),
+      ])
+    );
+    if (rows.length === 0) {
+      showToast("No refunds to export", "info");
+      return;
+    }
+    downloadCSV(
+      ["Order ID", "Customer", "Refunded At", "Amount", "Reason", "Note", "Items", "Proofs", "Recorded By", "Order Refund Status"],
+      rows,
+      `refund_ledger_${new Date().toISOString().slice(0, 10)}.csv`
+    );
+    showToast(`Exported ${rows.length} refund${rows.length !== 1 ? "s" : ""}`, "success");
+  };
+
+  const inputClass = "w-full px-3 py-2 lg:px-4 lg:py-3 border-2 border-gray-300/60 rounded-xl focus:ring-2 focus:ring-offset-2 transition-all duration-300 backdrop-blur-sm text-sm lg:text-base focus:border-amber-500 focus:ring-amber-500/30 shadow-md hover:shadow-lg hover:border-yellow-400/60";
+  const pageButtonClass = "px-3 py-2 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-amber-50 hover:text-gray-800 hover:border-amber-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-white disabled:hover:text-gray-600 disabled:hover:border-gray-300 transition-all duration-200";
+  const cardStyle = { borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' };
+  const summaryCards = [
+    { label: "Open refunds", value: totals.openCount, hint: totals.overdue > 0 ? `${totals.overdue} older than ${REFUND_SLA_DAYS} days` : null },
+    { label: "Outstanding", value: formatPrice(totals.outstanding) },
+    { label: "Refunded", value: formatPrice(totals.refunded) },
+    { label: "Average open age", value: `${totals.averageAge} day${totals.averageAge !== 1 ? "s" : ""}` },
+  ];
+
+  return (
+    <div className="min-h-screen p-2 sm:p-3 lg:p-4 xl:p-6">
+      {/* Header Section */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 lg:gap-4 mb-4 lg:mb-6 pt-2 lg:pt-3 pb-2 lg:pb-3">
+        <div className="flex-1 min-w-0">
+          <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900 mb-1 lg:mb-2 leading-tight">
+            Refunds
+          </h1>
+        </div>
+        <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 lg:gap-4 shrink-0">
+          <div className="bg-gradient-to-r from-yellow-400/20 via-amber-400/20 to-orange-400/20 backdrop-blur-md px-2 lg:px-4 py-1 lg:py-2 rounded-xl border-2 border-yellow-400/50 shadow-md">
+            <span className="text-xs lg:text-sm font-semibold text-gray-700">
+              {filteredOrders.length} order{filteredOrders.length !== 1 ? "s" : ""}
+            </span>
+          </div>
+          <button
+            onClick={handleExportLedger}
+            disabled={loading}
+            className="px-3 lg:px-4 py-2 lg:py-3 text-white rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl text-xs lg:text-sm font-semibold bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export Ledger
+          </button>
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 lg:gap-4 mb-4 lg:mb-6">
+        {summaryCards.map((card) => (
+          <div key={card.label} className="backdrop-blur-xl rounded-xl border p-3 lg:p-4" style={cardStyle}>
+            <p className="text-xs lg:text-sm text-gray-600">{card.label}</p>
+            <p className="text-lg lg:text-2xl font-bold text-gray-900">{card.value}</p>
+            {card.hint && <p className="text-xs text-red-600 mt-1">{card.hint}</p>}
+          </div>
+        ))}
+      </div>
+
+      {/* Filter Section */}
+      <div className="backdrop-blur-xl rounded-xl border p-3 sm:p-4 lg:p-6 mb-4 lg:mb-6" style={cardStyle}>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 lg:gap-4">
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Search</label>
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => handleFilterChange("search", e.target.value)}
+              placeholder="Order ID or customer"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Status</label>
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange("status", e.target.value)}
+              className={inputClass}
+            >
+              <option value="all">All Statuses</option>
+              {REFUND_LEDGER_STATUSES.map((status) => (
+                <option key={status} value={status}>{getStatusLabel(status)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs lg:text-sm font-medium text-gray-700 mb-2">Assignee</label>
+            <select
+              value={filters.assignee}
+              onChange={(e) => handleFilterChange("assignee", e.target.value)}
+              className={inputClass}
+            >
+              <option value="all">Everyone</option>
+              <option value="mine">Assigned to me</option>
+              <option value="unassigned">Unassigned</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Table / States */}
+      <div className="backdrop-blur-xl rounded-xl border overflow-hidden" style={cardStyle}>
+        {loading ? (
+          <Loading type="page" size="medium" message="Loading refunds..." className="py-10" />
+        ) : error ? (
+          <div className="flex flex-col items-center space-y-3 p-6">
+            <p className="text-sm text-red-600">{error}</p>
+            <button
+              onClick={fetchOrders}
+              className="px-4 py-2 text-white text-sm font-semibold rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+            >
+              Retry
+            </button>
+          </div>
+        ) : filteredOrders.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No refunds found</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[1000px]">
+              <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
+                <tr>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Order</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Customer</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Status</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Paid</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Refunded</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Remaining</th>
+                  <th className="px-2 lg:px-4 py-3 text-center text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Age</th>
+                  <th className="px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Assignee</th>
+                  <th className="px-2 lg:px-4 py-3 text-right text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {paginatedOrders.map((order) => {
+                  const age = getRefundAgeDays(order);
+                  const isOpen = order.refund_status !== "refunded";
+                  const assigneeName = getRefundAssigneeName(order);
+                  const isMine = getRefundAssigneeId(order) === user?._id;
+                  return (
+                    <tr key={order._id} className="hover:bg-amber-50/50 transition-colors">
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm font-mono text-gray-900" title={order._id}>
+                        #{String(order._id).slice(-8).toUpperCase()}
+                      </td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">{getCustomerName(order)}</td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${STATUS_STYLES[order.refund_status] || "bg-gray-100 text-gray-700"}`}>
+                          {getStatusLabel(order.refund_status)}
+                        </span>
+                      </td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right text-gray-900 whitespace-nowrap">{formatPrice(getOrderTotal(order))}</td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right text-gray-900 whitespace-nowrap">{formatPrice(getRefundedAmount(order))}</td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right font-semibold whitespace-nowrap" style={{ color: '#A86523' }}>
+                        {formatPrice(getRefundableAmount(order))}
+                      </td>
+                      <td className={`px-2 lg:px-4 py-3 text-xs lg:text-sm text-center whitespace-nowrap ${isOpen && age > REFUND_SLA_DAYS ? "text-red-600 font-semibold" : "text-gray-700"}`}>
+                        {age === null ? "—" : `${age}d`}
+                      </td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">
+                        {assigneeName || <span className="text-gray-400">Unassigned</span>}
+                      </td>
+                      <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-right whitespace-nowrap">
+                        <div className="flex items-center justify-end gap-2">
+                          {isOpen && (
+                            <button
+                              type="button"
+                              onClick={() => handleAssign(order, !isMine)}
+                              disabled={assigningId === order._id}
+                              className="font-medium hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+                              style={{ color: '#A86523' }}
+                            >
+                              {isMine ? "Unassign" : "Assign to me"}
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => openDetails(order, canUpdateRefund(order))}
+                            className="px-3 py-1.5 text-white rounded-lg text-xs font-semibold shadow-md hover:shadow-lg transition-all duration-300 bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+                          >
+                            {canUpdateRefund(order) ? "Process" : "View"}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {filteredOrders.length > PAGE_SIZE && (
+        <div className="backdrop-blur-xl rounded-xl border p-4 lg:p-6 mt-4 lg:mt-6" style={cardStyle}>
+          <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+            <div className="text-sm text-gray-700">
+              Page <span className="font-medium">{currentPage}</span> of{" "}
+              <span className="font-medium">{totalPages}</span>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+                disabled={currentPage === 1}
+                className={pageButtonClass}
+                aria-label="Previous page"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+                disabled={currentPage === totalPages}
+                className={pageButtonClass}
+                aria-label="Next page"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <OrderDetails
+        order={detailsOrder}
+        isOpen={!!detailsOrder}
+        onClose={closeDetails}
+        autoOpenRefundModal={autoOpenRefund}
+      />
+    </div>
+  );
+};
+
+export default Refunds;
@@ -20,6 +20,7 @@ import RevenueByMonth from "./RevenueByMonth";
 import RevenueByYear from "./RevenueByYear";
 import RevenueByDay from "./RevenueByDay";
 import Loading from "../../components/Loading";
+import { PERMISSIONS, hasPermission } from "../../config/permissions";
 
 // Register Chart.js components
 ChartJS.register(
@@ -57,7 +58,7 @@ const Statistics = () => {
     if (isAuthLoading) return;
     if (!user || !localStorage.getItem("token")) {
       navigate("/login", { replace: true });
-    } else if (user && (user.role === 'admin' || user.role === 'manager')) {
+    } else if (hasPermission(user, PERMISSIONS.REVENUE_VIEW)) {
       // No need to fetch statistics - each tab handles its own data
     } else {
       setError("You do not have permission to view statistics");
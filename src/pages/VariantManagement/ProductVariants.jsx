@@ -1,9 +1,14 @@
-import React, { useEffect, useState, useContext, useCallback } from "react";
+import React, { useEffect, useState, useContext, useCallback, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
 import { ToastContext } from "../../context/ToastContext";
 import Api from "../../common/SummaryAPI";
 import { FaEdit, FaTrash } from 'react-icons/fa';
 import VariantModal from "../../components/VariantModal";
+import StockHistoryModal from "../../components/StockHistoryModal";
+import CatalogExportModal from "../../components/CatalogExportModal";
+import BulkVariantEditModal from "../../components/BulkVariantEditModal";
 import Loading from "../../components/Loading";
+import { getAvailableStock, toReservationMap } from "../../utils/stockUtils";
 
 const ProductVariants = () => {
   const { showToast } = useContext(ToastContext);
@@ -25,14 +30,31 @@ const ProductVariants = () => {
   const [colors, setColors] = useState([]);
   const [sizes, setSizes] = useState([]);
   const [variantsToShow, setVariantsToShow] = useState({}); // Track how many variants to show per product
+  const [reservations, setReservations] = useState({}); // variantId -> units held by pending orders
+  const [historyVariant, setHistoryVariant] = useState(null);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [selectedVariants, setSelectedVariants] = useState({}); // variantId -> variant, kept across pages and filters
+  const [showBulkEditModal, setShowBulkEditModal] = useState(false);
+  // ?variantId= (from a stock alert) narrows the list to that variant's product and highlights the row
+  const [searchParams] = useSearchParams();
+  const focusVariantId = searchParams.get("variantId");
+  const focusedVariantRef = useRef(null);
 
   // Fetch variants
   const fetchVariants = useCallback(async () => {
     setLoading(true);
     setError('');
     try {
-      const data = await Api.newVariants.getAll();
+      const [data, reservationData] = await Promise.all([
+        Api.newVariants.getAll(),
+        // Reservations are informational; the list still loads without them
+        Api.inventory.getReservations().catch((err) => {
+          console.error("Failed to fetch stock reservations:", err);
+          return null;
+        }),
+      ]);
       setVariants(data.data);
+      setReservations(toReservationMap(reservationData?.data));
     } catch (err) {
       console.error(err);
       let errorMessage = "Failed to fetch variants";
@@ -145,12 +167,77 @@ const ProductVariants = () => {
     fetchSizes();
   }, [fetchVariants, fetchColors, fetchSizes]);
 
+  useEffect(() => {
+    if (!focusVariantId || focusedVariantRef.current === focusVariantId) return;
+    const target = variants.find((v) => v._id === focusVariantId);
+    if (!target) return;
+    focusedVariantRef.current = focusVariantId;
+    setProductFilter(toIdString(target.productId?._id || target.productId?.id || target.productId));
+    setStatusFilter("all");
+    setSearchTerm("");
+    setCurrentPage(1);
+    setVariantsToShow((prev) => ({ ...prev, [target.productId?.productName || 'Unknown Product']: Infinity }));
+  }, [focusVariantId, variants, toIdString]);
+
+  // Scroll once the filtered list has rendered the focused row
+  useEffect(() => {
+    if (!focusVariantId || !productFilter) return;
+    document.getElementById(`variant-row-${focusVariantId}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [focusVariantId, productFilter]);
+
   // Edit variant
   const handleEdit = (variant) => {
     setEditingVariant(variant);
     setShowModal(true);
   };
 
+  // Manual adjustments only change stockQuantity, so patch the row in place
+  const handleStockAdjusted = useCallback((variantId, stockQuantity) => {
+    setVariants((prev) => prev.map((v) => (v._id === variantId ? { ...v, stockQuantity } : v)));
+  }, []);
+
+  // ==== Multi-select for bulk edit ====
+  const selectedCount = Object.keys(selectedVariants).length;
+
+  // Selects every variant in the list, or clears them all if they are already selected
+  const toggleVariantsSelection = useCallback((list) => {
+    setSelectedVariants((prev) => {
+      const next = { ...prev };
+      if (list.every((variant) => next[variant._id])) {
+        list.forEach((variant) => delete next[variant._id]);
+      } else {
+        list.forEach((variant) => {
+          next[variant._id] = variant;
+        });
+      }
+      return next;
+    });
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelectedVariants({});
+  }, []);
+
+  // Keep selected snapshots fresh with the latest variant data
+  useEffect(() => {
+    setSelectedVariants((prev) => {
+      let changed = false;
+      const next = { ...prev };
+      variants.forEach((variant) => {
+        if (next[variant._id] && next[variant._id] !== variant) {
+          next[variant._id] = variant;
+          changed = true;
+        }
+      });
+      return changed ? next : prev;
+    });
+  }, [variants]);
+
+  const handleBulkEditApplied = useCallback((report) => {
+    const patches = new Map(report.filter((r) => r.status === "success").map((r) => [r.variant._id, r.patch]));
+    setVariants((prev) => prev.map((v) => (patches.has(v._id) ? { ...v, ...patches.get(v._id) } : v)));
+  }, []);
+
   // Close modal
   const closeModal = () => {
     setShowModal(false);
@@ -251,6 +338,10 @@ const ProductVariants = () => {
         aValue = a.stockQuantity || 0;
         bValue = b.stockQuantity || 0;
         break;
+      case 'available':
+        aValue = getAvailableStock(a, reservations[a._id]);
+        bValue = getAvailableStock(b, reservations[b._id]);
+        break;
       case 'product':
         aValue = a.productId?.productName?.toLowerCase() || '';
         bValue = b.productId?.productName?.toLowerCase() || '';
@@ -343,6 +434,7 @@ const ProductVariants = () => {
   const startIndex = (currentPage - 1) * itemsPerPage;
   const endIndex = startIndex + itemsPerPage;
   const paginatedProductNames = sortedProductNames.slice(startIndex, endIndex);
+  const pageVariants = paginatedProductNames.flatMap((productName) => groupedVariants[productName]);
 
   // Calculate which pages to show (max 5 pages)
   const getVisiblePages = () => {
@@ -438,9 +530,32 @@ const ProductVariants = () => {
           colors={colors}
           sizes={sizes}
           onVariantUpdated={handleVariantUpdated}
+          onStockAdjusted={handleStockAdjusted}
         />
       )}
 
+      <StockHistoryModal
+        isOpen={!!historyVariant}
+        onClose={() => setHistoryVariant(null)}
+        variant={historyVariant}
+        reserved={reservations[historyVariant?._id] || 0}
+        onStockAdjusted={handleStockAdjusted}
+      />
+
+      <CatalogExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        variants={filteredVariants}
+        reservations={reservations}
+      />
+
+      <BulkVariantEditModal
+        isOpen={showBulkEditModal}
+        onClose={() => setShowBulkEditModal(false)}
+        variants={Object.values(selectedVariants)}
+        onApplied={handleBulkEditApplied}
+      />
+
       {/* Main Variant Management UI */}
       <div>
         {/* Header Section */}
@@ -466,6 +581,16 @@ const ProductVariants = () => {
               <span className="font-medium hidden sm:inline">{showFilters ? 'Hide Filters' : 'Show Filters'}</span>
               <span className="font-medium sm:hidden">Filters</span>
             </button>
+            <button
+              className="flex items-center space-x-1 lg:space-x-2 px-3 lg:px-4 py-2 lg:py-3 text-white rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl text-xs lg:text-sm font-semibold bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A] transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+              onClick={() => setShowExportModal(true)}
+              disabled={filteredVariants.length === 0}
+            >
+              <svg className="w-3 h-3 lg:w-4 lg:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M8 12l4 4m0 0l4-4m-4 4V4" />
+              </svg>
+              <span className="font-medium">Export</span>
+            </button>
           </div>
         </div>
 
@@ -535,6 +660,7 @@ const ProductVariants = () => {
                   <option value="product">Product</option>
                   <option value="price">Price</option>
                   <option value="stock">Stock Quantity</option>
+                  <option value="available">Available Stock</option>
                 </select>
               </div>
               <div className="flex-1 min-w-[150px]">
@@ -619,14 +745,47 @@ const ProductVariants = () => {
             </div>
           ) : (
             <>
+              {/* Bulk Action Bar */}
+              {selectedCount > 0 && (
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-xl border-2 border-yellow-400/50 bg-gradient-to-r from-yellow-50 via-amber-50 to-orange-50 px-3 py-2 lg:px-4 lg:py-3 mb-4 lg:mb-6 shadow-md">
+                  <span className="text-xs lg:text-sm font-semibold text-gray-700">
+                    {selectedCount} variant{selectedCount !== 1 ? "s" : ""} selected
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setShowBulkEditModal(true)}
+                      title="Change price, stock or status of selected variants"
+                      className="px-3 py-2 text-white text-xs lg:text-sm font-semibold rounded-xl transition-all duration-300 shadow-md hover:shadow-lg bg-gradient-to-r from-[#E9A319] to-[#A86523] hover:from-[#A86523] hover:to-[#8B4E1A]"
+                    >
+                      Bulk Edit
+                    </button>
+                    <button
+                      onClick={clearSelection}
+                      className="px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-white rounded-xl transition-all duration-300 border-2 border-gray-300/60 font-medium text-xs lg:text-sm"
+                    >
+                      Clear Selection
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Variants Table */}
               <div className="backdrop-blur-xl rounded-xl border overflow-hidden" style={{ borderColor: '#A86523', boxShadow: '0 25px 70px rgba(168, 101, 35, 0.3), 0 15px 40px rgba(233, 163, 25, 0.25), 0 5px 15px rgba(168, 101, 35, 0.2)' }}>
                 <div className="overflow-x-auto">
                   <table className="w-full table-fixed min-w-[900px]">
                     <thead className="backdrop-blur-sm border-b" style={{ borderColor: '#A86523' }}>
                       <tr>
+                        <th className="w-[4%] px-2 lg:px-4 py-3 text-left">
+                          <input
+                            type="checkbox"
+                            checked={pageVariants.length > 0 && pageVariants.every((variant) => selectedVariants[variant._id])}
+                            onChange={() => toggleVariantsSelection(pageVariants)}
+                            className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                            aria-label="Select all variants on this page"
+                          />
+                        </th>
                         <th className="w-[5%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">#</th>
-                        <th className="w-[20%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Product</th>
+                        <th className="w-[16%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Product</th>
                         <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Color</th>
                         <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Size</th>
                         <th className="w-[10%] px-2 lg:px-4 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider whitespace-nowrap">Price</th>
@@ -647,6 +806,15 @@ const ProductVariants = () => {
                         return (
                           <React.Fragment key={productName}>
                             <tr className="bg-gray-100">
+                              <td className="px-2 lg:px-4 py-3">
+                                <input
+                                  type="checkbox"
+                                  checked={variants.every((variant) => selectedVariants[variant._id])}
+                                  onChange={() => toggleVariantsSelection(variants)}
+                                  className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                                  aria-label={`Select all variants of ${productName}`}
+                                />
+                              </td>
                               <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm font-medium text-gray-900" colSpan="9">
                                 {productName} ({totalVariants} variant{totalVariants !== 1 ? 's' : ''})
                               </td>
@@ -656,8 +824,18 @@ const ProductVariants = () => {
                               return (
                                 <tr
                                   key={variant._id}
-                                  className={`hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40 ${inactive ? 'opacity-60' : ''}`}
+                                  id={`variant-row-${variant._id}`}
+                                  className={`hover:bg-gradient-to-r hover:from-yellow-50/50 hover:via-amber-50/50 hover:to-orange-50/50 transition-all duration-300 border-b-2 border-gray-200/40 ${variant._id === focusVariantId ? 'bg-amber-100 ring-2 ring-inset ring-amber-400' : ''} ${inactive ? 'opacity-60' : ''} ${selectedVariants[variant._id] ? 'bg-amber-50/60' : ''}`}
                                 >
+                                  <td className="px-2 lg:px-4 py-3 whitespace-nowrap">
+                                    <input
+                                      type="checkbox"
+                                      checked={!!selectedVariants[variant._id]}
+                                      onChange={() => toggleVariantsSelection([variant])}
+                                      className="w-4 h-4 accent-[#A86523] cursor-pointer"
+                                      aria-label={`Select variant ${variant.productColorId?.color_name || ''} ${variant.productSizeId?.size_name || ''}`}
+                                    />
+                                  </td>
                                   <td className="px-2 lg:px-4 py-3 whitespace-nowrap text-xs lg:text-sm text-gray-900">{startIndex + index + 1}.{vIdx + 1}</td>
                                   <td className="px-2 lg:px-4 py-3">
                                     <div className="text-xs lg:text-sm font-medium text-gray-900 truncate">
@@ -677,7 +855,14 @@ const ProductVariants = () => {
                                   <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900 font-medium">
                                     {new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND' }).format(variant.variantPrice || 0)}
                                   </td>
-                                  <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">{variant.stockQuantity || 0}</td>
+                                  <td className="px-2 lg:px-4 py-3 text-xs lg:text-sm text-gray-900">
+                                    <div>{variant.stockQuantity || 0}</div>
+                                    {reservations[variant._id] > 0 && (
+                                      <div className="text-[11px] text-gray-500 whitespace-nowrap" title="Units held by pending orders">
+                                        {reservations[variant._id]} reserved · <span className="font-semibold text-gray-700">{getAvailableStock(variant, reservations[variant._id])}</span> available
+                                      </div>
+                                    )}
+                                  </td>
                                   <td className="px-2 lg:px-4 py-3">
                                     {variant.variantImage ? (
                                       <img
@@ -728,6 +913,18 @@ const ProductVariants = () => {
                                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
                                         </svg>
                                       </button>
+                                      <button
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          setHistoryVariant(variant);
+                                        }}
+                                        className="p-1.5 rounded-xl transition-all duration-300 border-2 shadow-md hover:shadow-lg transform hover:scale-110 border-yellow-400/60 bg-white hover:bg-amber-50 text-amber-700 hover:text-amber-800"
+                                        title="Stock History"
+                                      >
+                                        <svg className="w-3 h-3 lg:w-4 lg:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                        </svg>
+                                      </button>
                                       <button
                                         onClick={(e) => {
                                           e.stopPropagation();
@@ -751,7 +948,7 @@ const ProductVariants = () => {
                             })}
                             {hasMore && (
                               <tr>
-                                <td colSpan="9" className="px-2 lg:px-4 py-2 text-center">
+                                <td colSpan="10" className="px-2 lg:px-4 py-2 text-center">
                                   <div className="flex items-center justify-center gap-1.5">
                                     <button
                                       onClick={() => showMoreVariants(productName, currentLimit, totalVariants)}
@@ -779,7 +976,7 @@ const ProductVariants = () => {
                             )}
                             {!hasMore && totalVariants > 5 && (
                               <tr>
-                                <td colSpan="9" className="px-2 lg:px-4 py-2 text-center">
+                                <td colSpan="10" className="px-2 lg:px-4 py-2 text-center">
                                   <div className="flex items-center justify-center gap-2">
                                     <span className="text-xs text-gray-500">
                                       Showing all {totalVariants} variants
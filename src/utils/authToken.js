@@ -0,0 +1,54 @@
+// Access/refresh token storage shared by axiosClient and AuthContext.
+// The access token stays under the 'token' key that pages already read.
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const getAccessToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const setTokens = (token, refreshToken) => {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    // Keep the existing refresh token when the server does not rotate it
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    // Written by older builds that tracked a fixed 24h session
+    localStorage.removeItem('loginTime');
+};
+
+// Decode the JWT payload without verifying it; returns null for opaque tokens
+export const decodeToken = (token) => {
+    if (!token || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+        return JSON.parse(atob(padded));
+    } catch {
+        return null;
+    }
+};
+
+// Expiry in ms since epoch, or null when the token carries no exp claim
+export const getTokenExpiry = (token) => {
+    const payload = decodeToken(token);
+    return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+};
+
+export const isTokenExpired = (token, skewMs = 0) => {
+    const expiry = getTokenExpiry(token);
+    return expiry !== null && expiry - skewMs <= Date.now();
+};
+
+// When the whole session ends: the refresh token's expiry if we can refresh,
+// otherwise the access token's own expiry
+export const getSessionExpiry = () => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) return getTokenExpiry(refreshToken);
+    return getTokenExpiry(getAccessToken());
+};
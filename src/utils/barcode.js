@@ -0,0 +1,55 @@
+// Code 128 (subset B) barcodes drawn as vector rectangles on a jsPDF page.
+// Each pattern lists alternating bar/space widths in modules, starting with a bar.
+const PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232',
+];
+const START_B = 104;
+const STOP = '2331112';
+const QUIET_ZONE = 10;
+
+// Widths for the full symbol: start, data, checksum and stop
+export const encodeCode128 = (text) => {
+    const values = Array.from(String(text)).map((char) => {
+        const value = char.charCodeAt(0) - 32;
+        if (value < 0 || value > 94) {
+            throw new Error(`Character "${char}" cannot be encoded in Code 128 B`);
+        }
+        return value;
+    });
+    const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), START_B) % 103;
+    return [START_B, ...values, checksum]
+        .map((value) => PATTERNS[value])
+        .concat(STOP)
+        .join('')
+        .split('')
+        .map(Number);
+};
+
+// Draw the barcode filling `width` (quiet zones included) with the text centred underneath
+export const drawCode128 = (pdf, text, x, y, width, height, { showText = true, fontSize = 9 } = {}) => {
+    const widths = encodeCode128(text);
+    const modules = widths.reduce((sum, w) => sum + w, 0) + QUIET_ZONE * 2;
+    const moduleWidth = width / modules;
+
+    let cursor = x + QUIET_ZONE * moduleWidth;
+    pdf.setFillColor(0, 0, 0);
+    widths.forEach((w, i) => {
+        if (i % 2 === 0) pdf.rect(cursor, y, w * moduleWidth, height, 'F');
+        cursor += w * moduleWidth;
+    });
+
+    if (showText) {
+        pdf.setFontSize(fontSize);
+        pdf.text(String(text), x + width / 2, y + height + fontSize + 2, { align: 'center' });
+    }
+};
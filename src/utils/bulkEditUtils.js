@@ -0,0 +1,111 @@
+// Bulk edit of products and variants: each action is turned into a per-item preview of
+// field changes ({ field, label, from, to }) before anything is sent to the server.
+import { toIdString } from './idUtils';
+
+// Same limits VariantModal enforces
+export const MAX_STOCK = 1000;
+
+export const PRICE_ADJUST_MODES = [
+    { value: 'set', label: 'Set price to' },
+    { value: 'increase_amount', label: 'Increase by amount' },
+    { value: 'decrease_amount', label: 'Decrease by amount' },
+    { value: 'increase_percent', label: 'Increase by %' },
+    { value: 'decrease_percent', label: 'Decrease by %' },
+];
+
+export const VARIANT_STATUS_OPTIONS = [
+    { value: 'active', label: 'Active' },
+    { value: 'inactive', label: 'Inactive' },
+];
+
+export const PRODUCT_STATUS_OPTIONS = [
+    { value: 'active', label: 'Active' },
+    { value: 'discontinued', label: 'Discontinued' },
+];
+
+// Prices are whole VND, so adjustments are rounded
+export const applyPriceAdjustment = (price, mode, value) => {
+    const current = Number(price) || 0;
+    switch (mode) {
+        case 'set': return Math.round(value);
+        case 'increase_amount': return Math.round(current + value);
+        case 'decrease_amount': return Math.round(current - value);
+        case 'increase_percent': return Math.round(current * (1 + value / 100));
+        case 'decrease_percent': return Math.round(current * (1 - value / 100));
+        default: return current;
+    }
+};
+
+// Error for the action's input itself, before looking at any item
+export const getBulkActionError = (action) => {
+    const value = Number(action.value);
+    if (action.type === 'price') {
+        if (action.value === '' || !Number.isFinite(value) || value < 0) return 'Enter a positive number';
+        if (action.mode === 'set' && value <= 0) return 'Price must be greater than 0';
+        if (action.mode === 'decrease_percent' && value >= 100) return 'A decrease must be less than 100%';
+    }
+    if (action.type === 'stock' && (action.value === '' || !Number.isInteger(value) || value < 0 || value > MAX_STOCK)) {
+        return `Stock must be a whole number from 0 to ${MAX_STOCK}`;
+    }
+    if ((action.type === 'status' || action.type === 'category') && !action.value) return 'Choose a value';
+    return null;
+};
+
+// action: { type: 'price', mode, value } | { type: 'stock', value } | { type: 'status', value }
+// -> [{ variant, changes, error }]; items with no changes are left out of the apply step
+export const previewVariantChanges = (variants, action) =>
+    variants.map((variant) => {
+        const changes = [];
+        let error = null;
+        if (action.type === 'price') {
+            const to = applyPriceAdjustment(variant.variantPrice, action.mode, Number(action.value));
+            if (!(to > 0)) error = 'New price must be greater than 0';
+            else if (to !== variant.variantPrice) changes.push({ field: 'variantPrice', label: 'Price', from: variant.variantPrice, to });
+        } else if (action.type === 'stock') {
+            const to = Number(action.value);
+            if (to !== variant.stockQuantity) changes.push({ field: 'stockQuantity', label: 'Stock', from: variant.stockQuantity, to });
+        } else if (action.type === 'status') {
+            if (action.value !== variant.variantStatus) changes.push({ field: 'variantStatus', label: 'Status', from: variant.variantStatus, to: action.value });
+        }
+        return { variant, changes, error };
+    });
+
+// action: { type: 'category', value: categoryId } | { type: 'status', value }
+export const previewProductChanges = (products, action, categories = []) =>
+    products.map((product) => {
+        const changes = [];
+        if (action.type === 'category') {
+            const fromId = toIdString(product.categoryId);
+            if (fromId !== action.value) {
+                const nameOf = (id) => categories.find((c) => toIdString(c._id || c.id) === id)?.cat_name || 'N/A';
+                changes.push({ field: 'categoryId', label: 'Category', from: nameOf(fromId), to: nameOf(action.value), value: action.value });
+            }
+        } else if (action.type === 'status' && action.value !== product.productStatus) {
+            changes.push({ field: 'productStatus', label: 'Status', from: product.productStatus, to: action.value, value: action.value });
+        }
+        return { product, changes, error: null };
+    });
+
+// The update endpoints expect the full record, as VariantModal and ProductModal send it.
+// Stock is left out: a stale copy would overwrite sales made since it was loaded, so stock
+// only ever changes through newVariants.adjustStock.
+export const toVariantUpdatePayload = (variant, overrides = {}) => ({
+    productId: toIdString(variant.productId),
+    productColorId: toIdString(variant.productColorId),
+    productSizeId: toIdString(variant.productSizeId),
+    variantImage: variant.variantImage,
+    variantPrice: variant.variantPrice,
+    variantStatus: variant.variantStatus,
+    ...overrides,
+});
+
+export const toProductUpdatePayload = (product, overrides = {}) => ({
+    productName: product.productName,
+    categoryId: toIdString(product.categoryId),
+    description: product.description,
+    productStatus: product.productStatus,
+    productImageIds: (product.productImageIds || []).map(({ imageUrl, isMain }) => ({ imageUrl, isMain: !!isMain })),
+    publishAt: product.publishAt || null,
+    unpublishAt: product.unpublishAt || null,
+    ...overrides,
+});
@@ -0,0 +1,139 @@
+// Catalogue export: a spreadsheet with one row per variant, using the import's column names,
+// and a marketplace product feed in the Google Merchant format, as RSS 2.0 XML or TSV.
+// The import only creates new products, so an export cannot be used to update existing ones.
+import { IMPORT_COLUMNS } from './catalogImport';
+import { escapeXml, htmlToPlainText } from './htmlUtils';
+import { toIdString } from './idUtils';
+
+const FEED_TITLE_MAX = 150;
+const FEED_DESCRIPTION_MAX = 5000;
+const FEED_CURRENCY = 'VND';
+
+const importLabel = (key) => IMPORT_COLUMNS.find((c) => c.key === key).label;
+
+const getImageUrls = (product) => {
+    const images = product?.productImageIds || [];
+    const main = images.find((img) => img.isMain) || images[0];
+    return [main, ...images.filter((img) => img !== main)].filter((img) => img?.imageUrl).map((img) => img.imageUrl);
+};
+
+const getCategoryName = (product, categories) => {
+    const id = toIdString(product?.categoryId);
+    const category = categories.find((cat) => toIdString(cat._id || cat.id) === id);
+    return (category?.cat_name || (typeof product?.categoryId === 'object' ? product.categoryId?.cat_name : '') || '').trim();
+};
+
+// Variants belong to a product through productId, which may be populated or a bare id
+const groupVariantsByProduct = (variants) => {
+    const map = new Map();
+    variants.forEach((variant) => {
+        const id = toIdString(variant.productId);
+        if (!map.has(id)) map.set(id, []);
+        map.get(id).push(variant);
+    });
+    return map;
+};
+
+export const CATALOG_EXPORT_HEADER = [
+    'Product ID',
+    importLabel('productName'),
+    importLabel('category'),
+    'Product Status',
+    importLabel('description'),
+    importLabel('productImages'),
+    'Variant ID',
+    importLabel('color'),
+    importLabel('size'),
+    importLabel('price'),
+    importLabel('stock'),
+    'Variant Status',
+    importLabel('variantImage'),
+];
+
+// One row per variant; a product without variants still gets one row with the variant cells empty
+export const toCatalogRows = (products, variants, categories = []) => {
+    const variantsByProduct = groupVariantsByProduct(variants);
+    return products.flatMap((product) => {
+        const productCells = [
+            toIdString(product),
+            product.productName || '',
+            getCategoryName(product, categories),
+            product.productStatus || '',
+            htmlToPlainText(product.description),
+            getImageUrls(product).join(' | '),
+        ];
+        const productVariants = variantsByProduct.get(toIdString(product)) || [];
+        if (productVariants.length === 0) return [[...productCells, '', '', '', '', '', '', '']];
+        return productVariants.map((variant) => [
+            ...productCells,
+            toIdString(variant),
+            variant.productColorId?.color_name || '',
+            variant.productSizeId?.size_name || '',
+            Number(variant.variantPrice) || 0,
+            Number(variant.stockQuantity) || 0,
+            variant.variantStatus || '',
+            variant.variantImage || '',
+        ]);
+    });
+};
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+export const FEED_FIELDS = ['id', 'item_group_id', 'title', 'description', 'price', 'availability', 'image_link', 'product_type', 'color', 'size'];
+
+// Only active variants of active products are listed; each variant is one feed item grouped
+// under its product. Availability uses on-hand stock minus reservations when they are given.
+export const toFeedItems = (products, variants, { categories = [], reservations = {} } = {}) => {
+    const variantsByProduct = groupVariantsByProduct(variants);
+    return products
+        .filter((product) => product.productStatus === 'active')
+        .flatMap((product) => {
+            const productId = toIdString(product);
+            const description = truncate(htmlToPlainText(product.description), FEED_DESCRIPTION_MAX);
+            const [mainImage] = getImageUrls(product);
+            return (variantsByProduct.get(productId) || [])
+                .filter((variant) => variant.variantStatus === 'active')
+                .map((variant) => {
+                    const color = variant.productColorId?.color_name || '';
+                    const size = variant.productSizeId?.size_name || '';
+                    const available = (Number(variant.stockQuantity) || 0) - (reservations[toIdString(variant)] || 0);
+                    return {
+                        id: toIdString(variant),
+                        item_group_id: productId,
+                        title: truncate([product.productName, [color, size].filter(Boolean).join(' / ')].filter(Boolean).join(' - '), FEED_TITLE_MAX),
+                        description,
+                        price: `${(Number(variant.variantPrice) || 0).toFixed(2)} ${FEED_CURRENCY}`,
+                        availability: available > 0 ? 'in_stock' : 'out_of_stock',
+                        image_link: variant.variantImage || mainImage || '',
+                        product_type: getCategoryName(product, categories),
+                        color,
+                        size,
+                    };
+                });
+        });
+};
+
+// Tab-separated with a header line; tabs and line breaks inside values become spaces
+export const toFeedTSV = (items) =>
+    [FEED_FIELDS, ...items.map((item) => FEED_FIELDS.map((field) => String(item[field] ?? '').replace(/[\t\r\n]+/g, ' ')))]
+        .map((row) => row.join('\t'))
+        .join('\n');
+
+export const toFeedXml = (items, { title = 'Product feed', description = '' } = {}) => {
+    const entries = items.map((item) => {
+        const fields = FEED_FIELDS.filter((field) => item[field] !== '' && item[field] !== undefined)
+            .map((field) => `      <g:${field}>${escapeXml(item[field])}</g:${field}>`)
+            .join('\n');
+        return `    <item>\n${fields}\n    </item>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+        '  <channel>',
+        `    <title>${escapeXml(title)}</title>`,
+        `    <description>${escapeXml(description)}</description>`,
+        ...entries,
+        '  </channel>',
+        '</rss>',
+    ].join('\n');
+};
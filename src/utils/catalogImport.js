@@ -0,0 +1,192 @@
+// Catalogue import: one spreadsheet row per variant. Rows sharing a product name become one
+// product; the product columns (category, description, images) only need filling on one of them.
+import { parseCSV } from './csvUtils';
+import { readXlsxRows } from './xlsxUtils';
+import { VARIANT_PRICE_ERROR, isValidVariantPrice } from '../config/variantLimits';
+
+export const IMPORT_MAX_ROWS = 2000;
+export const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_STOCK = 1000;
+
+export const IMPORT_COLUMNS = [
+    { key: 'productName', label: 'Product Name', required: true, aliases: ['product', 'name'] },
+    { key: 'category', label: 'Category', required: true, aliases: ['category name'] },
+    { key: 'description', label: 'Description', aliases: [] },
+    { key: 'productImages', label: 'Product Images', aliases: ['product image', 'product image urls', 'images'] },
+    { key: 'color', label: 'Color', required: true, aliases: ['colour'] },
+    { key: 'size', label: 'Size', required: true, aliases: [] },
+    { key: 'price', label: 'Price', required: true, aliases: ['variant price'] },
+    { key: 'stock', label: 'Stock', required: true, aliases: ['stock quantity', 'quantity'] },
+    { key: 'variantImage', label: 'Variant Image', aliases: ['variant image url', 'image'] },
+];
+
+export const IMPORT_TEMPLATE_ROWS = [
+    ['Linen Summer Shirt', 'Shirts', 'Breathable linen shirt for hot days.', 'https://example.com/shirt-front.jpg | https://example.com/shirt-back.jpg', 'White', 'M', '350000', '20', 'https://example.com/shirt-white.jpg'],
+    ['Linen Summer Shirt', '', '', '', 'White', 'L', '350000', '15', 'https://example.com/shirt-white.jpg'],
+];
+
+// Same rule ProductModal applies to product names
+const PRODUCT_NAME_PATTERN = /^[a-zA-ZÀ-ỹ0-9\s-]+$/;
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+// "350000", "350.000", "350,000" and "350000.5" are all accepted
+export const parseImportNumber = (value) => {
+    const text = String(value ?? '').replace(/\s|₫|đ|vnd/gi, '');
+    if (text === '') return NaN;
+    if (/^\d{1,3}([.,]\d{3})+$/.test(text)) return Number(text.replace(/[.,]/g, ''));
+    return Number(text.replace(',', '.'));
+};
+
+// Several image URLs may share one cell, separated by "|" or new lines
+const splitUrls = (value) => String(value ?? '').split(/[|\n]/).map((url) => url.trim()).filter(Boolean);
+
+// Plain-text description -> the HTML ProductModal's editor stores
+export const toDescriptionHtml = (text) =>
+    String(text ?? '')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.trim())
+        .filter(Boolean)
+        .map((paragraph) => `<p>${paragraph.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>')}</p>`)
+        .join('');
+
+export const readImportFile = async (file) => {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.csv')) return parseCSV(await file.text());
+    if (name.endsWith('.xlsx')) return readXlsxRows(await file.arrayBuffer());
+    throw new Error('Choose a .csv or .xlsx file');
+};
+
+// Header row -> { [columnKey]: index }; throws when a required column is missing
+export const mapImportColumns = (headerRow) => {
+    const headers = (headerRow || []).map(normalize);
+    const columns = {};
+    IMPORT_COLUMNS.forEach(({ key, label, aliases }) => {
+        const index = headers.findIndex((h) => h === normalize(label) || aliases.includes(h));
+        if (index >= 0) columns[key] = index;
+    });
+    const missing = IMPORT_COLUMNS.filter((c) => c.required && columns[c.key] === undefined).map((c) => c.label);
+    if (missing.length > 0) throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    return columns;
+};
+
+// Rows of cells -> [{ rowNumber, values }] with blank rows dropped; rowNumber matches the spreadsheet
+export const toImportRecords = (rows) => {
+    const columns = mapImportColumns(rows[0]);
+    const records = [];
+    rows.slice(1).forEach((cells, i) => {
+        const values = {};
+        IMPORT_COLUMNS.forEach(({ key }) => {
+            values[key] = columns[key] === undefined ? '' : String(cells[columns[key]] ?? '').trim();
+        });
+        if (Object.values(values).some(Boolean)) records.push({ rowNumber: i + 2, values });
+    });
+    if (records.length > IMPORT_MAX_ROWS) throw new Error(`Import at most ${IMPORT_MAX_ROWS} rows at a time`);
+    return records;
+};
+
+const findByName = (list, field, name) =>
+    list.find((item) => !item.isDeleted && normalize(item[field]) === normalize(name));
+
+// Checks every row against the existing specifications and groups valid ones into products.
+// Returns { rows: [{ rowNumber, values, productKey, errors }], products: [{ key, productName, categoryId,
+// description, images, rowNumbers, variantGroups: [{ productColorId, variantPrice, stockQuantity, variantImage, sizeIds }], errors }] }.
+// A product is only importable when it and all of its rows have no errors.
+export const validateImport = (records, { categories = [], colors = [], sizes = [], products = [] }) => {
+    const existingNames = new Set(products.map((p) => normalize(p.productName)));
+    const productMap = new Map();
+    const seenVariants = new Set();
+
+    const rows = records.map(({ rowNumber, values }) => {
+        const errors = [];
+        const productKey = normalize(values.productName);
+
+        if (!values.productName) {
+            errors.push('Product name is required');
+        } else if (values.productName.length < 5 || values.productName.length > 100 || !PRODUCT_NAME_PATTERN.test(values.productName)) {
+            errors.push('Product name must be 5 to 100 letters, numbers, spaces or hyphens');
+        } else if (existingNames.has(productKey)) {
+            errors.push('A product with this name already exists');
+        }
+
+        let product = productMap.get(productKey);
+        if (productKey && !product) {
+            product = { key: productKey, productName: values.productName, categoryId: '', categoryName: '', description: '', images: [], rowNumbers: [], variantGroups: [], errors: [] };
+            productMap.set(productKey, product);
+        }
+
+        if (values.category) {
+            const category = findByName(categories, 'cat_name', values.category);
+            if (!category) errors.push(`Unknown category "${values.category}"`);
+            else if (product?.categoryId && product.categoryId !== category._id) errors.push(`Category conflicts with "${product.categoryName}" on an earlier row`);
+            else if (product) {
+                product.categoryId = category._id;
+                product.categoryName = category.cat_name;
+            }
+        }
+        if (values.description && product && !product.description) product.description = values.description;
+        if (values.productImages && product) {
+            const urls = splitUrls(values.productImages);
+            if (urls.some((url) => !isUrl(url))) errors.push('Product images must be http(s) URLs');
+            else if (product.images.length === 0) product.images = urls;
+        }
+
+        const color = values.color ? findByName(colors, 'color_name', values.color) : null;
+        if (!values.color) errors.push('Color is required');
+        else if (!color) errors.push(`Unknown color "${values.color}"`);
+
+        const size = values.size ? findByName(sizes, 'size_name', values.size) : null;
+        if (!values.size) errors.push('Size is required');
+        else if (!size) errors.push(`Unknown size "${values.size}"`);
+
+        const price = parseImportNumber(values.price);
+        if (!isValidVariantPrice(price)) errors.push(`${VARIANT_PRICE_ERROR} VND`);
+
+        const stock = parseImportNumber(values.stock);
+        if (!Number.isInteger(stock) || stock < 0 || stock > MAX_STOCK) errors.push(`Stock must be a whole number from 0 to ${MAX_STOCK}`);
+
+        if (values.variantImage && !isUrl(values.variantImage)) errors.push('Variant image must be an http(s) URL');
+
+        if (color && size && productKey) {
+            const variantKey = `${productKey}|${color._id}|${size._id}`;
+            if (seenVariants.has(variantKey)) errors.push(`${color.color_name} / ${size.size_name} appears more than once for this product`);
+            seenVariants.add(variantKey);
+        }
+
+        if (product) product.rowNumbers.push(rowNumber);
+        return { rowNumber, values, productKey, errors, colorId: color?._id, sizeId: size?._id, price, stock };
+    });
+
+    // Product-level checks need every row seen first
+    productMap.forEach((product) => {
+        if (!product.categoryId) product.errors.push('No row gives a valid category');
+        const descriptionLength = product.description.trim().length;
+        if (descriptionLength < 10) product.errors.push('Description must be at least 10 characters');
+        else if (descriptionLength > 10000) product.errors.push('Description must be at most 10000 characters');
+        if (product.images.length === 0) product.errors.push('At least one product image URL is required');
+    });
+
+    // Variants sharing colour, price, stock and image go to bulkCreate together, one call per group
+    rows.forEach((row) => {
+        const product = productMap.get(row.productKey);
+        if (!product || row.errors.length > 0) return;
+        const variantImage = row.values.variantImage || product.images[0];
+        if (!variantImage) return;
+        const groupKey = `${row.colorId}|${row.price}|${row.stock}|${variantImage}`;
+        let group = product.variantGroups.find((g) => g.key === groupKey);
+        if (!group) {
+            group = { key: groupKey, productColorId: row.colorId, variantPrice: row.price, stockQuantity: row.stock, variantImage, sizeIds: [] };
+            product.variantGroups.push(group);
+        }
+        group.sizeIds.push(row.sizeId);
+    });
+
+    const importProducts = [...productMap.values()].map((product) => ({
+        ...product,
+        isValid: product.errors.length === 0 && rows.every((row) => row.productKey !== product.key || row.errors.length === 0),
+    }));
+
+    return { rows, products: importProducts };
+};
@@ -0,0 +1,79 @@
+// Quote a value for CSV: wrap in quotes when it contains a delimiter, quote or newline.
+// Text that a spreadsheet would run as a formula (= + - @, tab, CR) gets a leading apostrophe;
+// numbers, including negative ones, are left as they are.
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str) && !/^-?\d+(\.\d+)?$/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Build CSV text from a header row and data rows (arrays of cells)
+export const toCSV = (header, rows) =>
+    [header, ...rows].map((row) => row.map(escapeCell).join(',')).join('\r\n');
+
+// Trigger a browser download for a Blob
+export const downloadBlob = (blob, filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+};
+
+// BOM so Excel opens Vietnamese text as UTF-8
+export const downloadCSV = (header, rows, filename) => {
+    const blob = new Blob(['\uFEFF' + toCSV(header, rows)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, filename);
+};
+
+// Parse CSV text into rows of strings. Handles quoted cells, doubled quotes, CRLF and a
+// leading BOM; the delimiter (comma, semicolon or tab) is guessed from the header line
+// because Excel in some locales saves with semicolons.
+export const parseCSV = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const headerLine = input.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [';', '\t'].reduce(
+        (best, d) => (headerLine.split(d).length > headerLine.split(best).length ? d : best),
+        ','
+    );
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch !== '"') {
+                cell += ch;
+            } else if (input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                inQuotes = false;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
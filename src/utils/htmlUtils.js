@@ -0,0 +1,23 @@
+// Markup helpers: the HTML that ProductModal's rich-text editor stores in product descriptions,
+// and escaping for the XML files the exports write
+
+export const stripHtml = (html) => String(html ?? '').replace(/<[^>]*>/g, '');
+
+const ENTITIES = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Tags removed, block ends turned into spaces, common entities decoded and whitespace collapsed
+export const htmlToPlainText = (html) =>
+    stripHtml(String(html ?? '').replace(/<\/(p|div|li|h[1-6])>|<br\s*\/?>/gi, ' '))
+        .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+
+// Safe in XML text and attribute values; also drops control characters XML 1.0 does not allow
+export const escapeXml = (value) =>
+    String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
@@ -0,0 +1,6 @@
+// References arrive either populated ({ _id, ... }) or as bare ids; compare them as strings
+export const toIdString = (value) => {
+    if (!value) return '';
+    if (typeof value === 'object') return String(value._id || value.id || '');
+    return String(value);
+};
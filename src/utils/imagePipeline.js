@@ -0,0 +1,150 @@
+// Client-side image preparation before upload: decode, check dimensions, scale down and
+// re-encode as WebP (JPEG where the browser cannot encode WebP). Re-encoding through a canvas
+// drops EXIF and other metadata; orientation is applied to the pixels first.
+// Browser-only; the upload itself (progress, cancel, retry) lives in hooks/useImageUpload.
+
+export const MAX_SOURCE_FILE_SIZE = 25 * 1024 * 1024;
+
+// Per use: output bounds, minimum accepted size and encoder quality
+export const IMAGE_PRESETS = {
+    product: { maxWidth: 2000, maxHeight: 2000, minWidth: 300, minHeight: 300, quality: 0.85 },
+    avatar: { maxWidth: 512, maxHeight: 512, minWidth: 64, minHeight: 64, quality: 0.85 },
+    // Refund proofs are often screenshots of bank transfers; keep the text legible
+    document: { maxWidth: 2400, maxHeight: 2400, minWidth: 0, minHeight: 0, quality: 0.9 },
+    chat: { maxWidth: 1600, maxHeight: 1600, minWidth: 0, minHeight: 0, quality: 0.8 },
+};
+
+// Animated GIFs would lose their frames and SVGs are not raster; both are uploaded as picked
+const PASSTHROUGH_TYPES = ['image/gif', 'image/svg+xml'];
+
+const resolveOptions = (options) =>
+    (typeof options === 'string' ? IMAGE_PRESETS[options] : options) || IMAGE_PRESETS.product;
+
+export const formatFileSize = (bytes) => {
+    if (!bytes && bytes !== 0) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// { source, width, height, close } with EXIF orientation applied
+const decodeImage = async (file) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+            return { source: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+        } catch {
+            // Fall back to <img>, which also honours orientation in current browsers
+        }
+    }
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.src = url;
+    try {
+        await img.decode();
+    } catch {
+        URL.revokeObjectURL(url);
+        throw new Error(`${file.name} could not be read as an image`);
+    }
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, close: () => URL.revokeObjectURL(url) };
+};
+
+export const getImageDimensions = async (file) => {
+    const image = await decodeImage(file);
+    image.close();
+    return { width: image.width, height: image.height };
+};
+
+export const getDimensionError = ({ width, height }, options) => {
+    const { minWidth = 0, minHeight = 0 } = resolveOptions(options);
+    if (width < minWidth || height < minHeight) {
+        return `Image must be at least ${minWidth}×${minHeight}px (this one is ${width}×${height}px)`;
+    }
+    return null;
+};
+
+// Type, size and dimension checks for freshly picked files: { accepted, rejected: [{ file, message }] }
+export const checkImageFiles = async (files, options) => {
+    const accepted = [];
+    const rejected = [];
+    for (const file of files) {
+        if (!file.type.startsWith('image/')) {
+            rejected.push({ file, message: `${file.name} is not an image` });
+            continue;
+        }
+        if (file.size > MAX_SOURCE_FILE_SIZE) {
+            rejected.push({ file, message: `${file.name} is larger than ${formatFileSize(MAX_SOURCE_FILE_SIZE)}` });
+            continue;
+        }
+        if (PASSTHROUGH_TYPES.includes(file.type)) {
+            accepted.push(file);
+            continue;
+        }
+        try {
+            const message = getDimensionError(await getImageDimensions(file), options);
+            if (message) rejected.push({ file, message: `${file.name}: ${message}` });
+            else accepted.push(file);
+        } catch (err) {
+            rejected.push({ file, message: err.message });
+        }
+    }
+    return { accepted, rejected };
+};
+
+// Largest size that fits inside the bounds without upscaling
+export const fitWithin = (width, height, maxWidth, maxHeight) => {
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const canvasToBlob = (canvas, type, quality) =>
+    new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+const renameWithExtension = (name, extension) => `${name.replace(/\.[^./\\]+$/, '') || 'image'}.${extension}`;
+
+// Returns { file, width, height, originalWidth, originalHeight, originalSize }.
+// Throws with a user-facing message when the file is not a usable image.
+export const processImage = async (file, options) => {
+    const { maxWidth, maxHeight, quality } = resolveOptions(options);
+    if (!file?.type?.startsWith('image/')) throw new Error(`${file?.name || 'File'} is not an image`);
+    if (file.size > MAX_SOURCE_FILE_SIZE) throw new Error(`${file.name} is larger than ${formatFileSize(MAX_SOURCE_FILE_SIZE)}`);
+    if (PASSTHROUGH_TYPES.includes(file.type)) {
+        return { file, width: null, height: null, originalWidth: null, originalHeight: null, originalSize: file.size };
+    }
+
+    const image = await decodeImage(file);
+    try {
+        const dimensionError = getDimensionError(image, options);
+        if (dimensionError) throw new Error(dimensionError);
+
+        const { width, height } = fitWithin(image.width, image.height, maxWidth, maxHeight);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image.source, 0, 0, width, height);
+
+        let blob = await canvasToBlob(canvas, 'image/webp', quality);
+        // Browsers without a WebP encoder silently return PNG; use JPEG on a white background instead
+        if (!blob || blob.type !== 'image/webp') {
+            context.globalCompositeOperation = 'destination-over';
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+            blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+        }
+        if (!blob) throw new Error(`${file.name} could not be converted`);
+
+        const extension = blob.type === 'image/webp' ? 'webp' : 'jpg';
+        return {
+            file: new File([blob], renameWithExtension(file.name, extension), { type: blob.type, lastModified: Date.now() }),
+            width,
+            height,
+            originalWidth: image.width,
+            originalHeight: image.height,
+            originalSize: file.size,
+        };
+    } finally {
+        image.close();
+    }
+};
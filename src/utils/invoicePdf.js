@@ -0,0 +1,310 @@
+// Invoice renderer that lays the bill out with jsPDF text and shapes, so the PDF
+// stays small, searchable and sharp, and long orders continue onto new pages.
+import jsPDF from 'jspdf';
+import { applyPdfFont } from './pdfFonts';
+import { resolveInvoiceTemplate } from '../config/invoiceTemplate';
+import { getBillVatBreakdown, getInvoiceNumber } from './invoiceUtils';
+import { formatVatRate } from './vat';
+
+const PAGE = { width: 595.28, height: 841.89, margin: 40 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const FOOTER_HEIGHT = 50;
+const CONTENT_BOTTOM = PAGE.height - PAGE.margin - FOOTER_HEIGHT;
+const LINE_HEIGHT = 12;
+
+// Amounts per line after the voucher discount is allocated; colour/size go under the product name
+const ITEM_COLUMNS = [
+    { key: 'product', label: 'Product', width: 140 },
+    { key: 'quantity', label: 'Qty', width: 28, align: 'center' },
+    { key: 'unitPrice', label: 'Unit Price', width: 67, align: 'right', money: true },
+    { key: 'discount', label: 'Discount', width: 65, align: 'right', money: true },
+    { key: 'net', label: 'Net', width: 70, align: 'right', money: true },
+    { key: 'tax', label: 'VAT', width: 65, align: 'right', money: true },
+    { key: 'gross', label: 'Gross', width: 80, align: 'right', money: true, bold: true },
+];
+
+const formatDate = (dateString) =>
+    dateString ? new Date(dateString).toLocaleDateString('vi-VN') : 'N/A';
+
+const getOrderRef = (billData) => billData.order?.orderId || billData.order?._id || 'N/A';
+
+const getDocumentRef = (billData) => getInvoiceNumber(billData) || `#${getOrderRef(billData)}`;
+
+// x position for text inside a cell with the given alignment
+const cellX = (x, width, align) => {
+    if (align === 'right') return x + width - 6;
+    if (align === 'center') return x + width / 2;
+    return x + 6;
+};
+
+const money = (doc, value) => {
+    if (value === undefined || value === null) return 'N/A';
+    // The ₫ sign needs the embedded font; fall back to a plain suffix otherwise
+    return doc.font.unicode
+        ? new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND' }).format(value)
+        : `${new Intl.NumberFormat('vi-VN').format(value)} VND`;
+};
+
+const setFont = (doc, style = 'normal', size = 10, color = [31, 41, 55]) => {
+    doc.pdf.setFont(doc.font.family, style);
+    doc.pdf.setFontSize(size);
+    doc.pdf.setTextColor(...color);
+};
+
+// Accepts a string or the line array returned by wrap()
+const text = (doc, value, x, y, options) => {
+    const content = Array.isArray(value) ? value.map(doc.font.text) : doc.font.text(value);
+    doc.pdf.text(content, x, y, options);
+};
+
+const wrap = (doc, value, width) => doc.pdf.splitTextToSize(doc.font.text(value), width);
+
+// Start a new page when `height` more points do not fit above the footer
+const ensureSpace = (doc, height, onNewPage) => {
+    if (doc.y + height <= CONTENT_BOTTOM) return false;
+    doc.pdf.addPage('a4', 'portrait');
+    drawContinuationHeader(doc);
+    onNewPage?.();
+    return true;
+};
+
+const drawHeader = (doc) => {
+    const { pdf, template, billData } = doc;
+    const { margin, width } = PAGE;
+    pdf.setFillColor(...template.colors.primary);
+    pdf.rect(0, 0, width, 104, 'F');
+    pdf.setFillColor(...template.colors.accent);
+    pdf.rect(0, 104, width, 4, 'F');
+
+    setFont(doc, 'bold', 22, [255, 255, 255]);
+    text(doc, template.company.name, margin, 48);
+    setFont(doc, 'normal', 10, [255, 255, 255]);
+    text(doc, template.company.tagline, margin, 66);
+
+    setFont(doc, 'bold', 26, [255, 255, 255]);
+    text(doc, template.title, width - margin, 44, { align: 'right' });
+    setFont(doc, 'normal', 10, [255, 255, 255]);
+    text(doc, `Date: ${formatDate(billData.order?.orderDate)}`, width - margin, 62, { align: 'right' });
+    text(doc, `Invoice No: ${getInvoiceNumber(billData) || 'Not issued'}`, width - margin, 76, { align: 'right' });
+    text(doc, `Order ID: #${getOrderRef(billData)}`, width - margin, 90, { align: 'right' });
+    doc.y = 134;
+};
+
+const drawContinuationHeader = (doc) => {
+    const { pdf, template } = doc;
+    const { margin, width } = PAGE;
+    pdf.setFillColor(...template.colors.primary);
+    pdf.rect(0, 0, width, 36, 'F');
+    setFont(doc, 'bold', 12, [255, 255, 255]);
+    text(doc, template.company.name, margin, 23);
+    setFont(doc, 'normal', 9, [255, 255, 255]);
+    text(doc, `${template.title} ${getDocumentRef(doc.billData)} (continued)`, width - margin, 23, { align: 'right' });
+    doc.y = 60;
+};
+
+const drawParties = (doc) => {
+    const { pdf, template, billData } = doc;
+    const gap = 16;
+    const boxWidth = (CONTENT_WIDTH - gap) / 2;
+    const customer = billData.customer || {};
+    const billTo = [
+        `Name: ${customer.name || 'N/A'}`,
+        `Email: ${customer.email || 'N/A'}`,
+        `Phone: ${customer.phone || 'N/A'}`,
+        `Address: ${customer.address || 'N/A'}`,
+    ];
+    const payTo = [template.company.name, template.company.email, ...template.company.addressLines];
+
+    const boxes = [
+        { title: 'BILL TO:', lines: billTo.flatMap((line) => wrap(doc, line, boxWidth - 28)) },
+        { title: 'PAY TO:', lines: payTo.flatMap((line) => wrap(doc, line, boxWidth - 28)) },
+    ];
+    const boxHeight = 44 + Math.max(...boxes.map((box) => box.lines.length)) * LINE_HEIGHT;
+
+    boxes.forEach((box, i) => {
+        const x = PAGE.margin + i * (boxWidth + gap);
+        pdf.setFillColor(...template.colors.highlight);
+        pdf.roundedRect(x, doc.y, boxWidth, boxHeight, 6, 6, 'F');
+        pdf.setFillColor(...template.colors.accent);
+        pdf.rect(x, doc.y, 4, boxHeight, 'F');
+        setFont(doc, 'bold', 12, template.colors.primary);
+        text(doc, box.title, x + 16, doc.y + 22);
+        setFont(doc, 'normal', 10, [75, 85, 99]);
+        box.lines.forEach((line, j) => text(doc, line, x + 16, doc.y + 40 + j * LINE_HEIGHT));
+    });
+    doc.y += boxHeight + 24;
+};
+
+const drawItemsHeader = (doc) => {
+    const { pdf } = doc;
+    pdf.setFillColor(249, 250, 251);
+    pdf.setDrawColor(209, 213, 219);
+    pdf.rect(PAGE.margin, doc.y, CONTENT_WIDTH, 22, 'FD');
+    setFont(doc, 'bold', 9, [55, 65, 81]);
+    let x = PAGE.margin;
+    ITEM_COLUMNS.forEach((col) => {
+        text(doc, col.label, cellX(x, col.width, col.align), doc.y + 14, { align: col.align || 'left' });
+        x += col.width;
+    });
+    doc.y += 22;
+};
+
+const drawItems = (doc) => {
+    const { pdf } = doc;
+    const items = doc.breakdown.lines;
+
+    ensureSpace(doc, 60);
+    setFont(doc, 'bold', 13);
+    text(doc, 'ORDER ITEMS', PAGE.margin, doc.y + 4);
+    doc.y += 16;
+
+    if (items.length === 0) {
+        setFont(doc, 'normal', 10, [107, 114, 128]);
+        text(doc, 'No items found', PAGE.margin, doc.y + 10);
+        doc.y += 24;
+        return;
+    }
+
+    drawItemsHeader(doc);
+    items.forEach((item) => {
+        const variant = [item.color, item.size].filter(Boolean).join(' / ');
+        setFont(doc, 'bold', 8);
+        const cells = ITEM_COLUMNS.map((col) => {
+            if (col.key === 'product') {
+                const lines = wrap(doc, item.productName || 'N/A', col.width - 12);
+                return { col, lines: variant ? [...lines, ...wrap(doc, variant, col.width - 12)] : lines };
+            }
+            const raw = item[col.key];
+            const value = col.money ? money(doc, raw) : raw ?? 0;
+            return { col, lines: wrap(doc, String(value), col.width - 12) };
+        });
+        const rowHeight = Math.max(...cells.map((cell) => cell.lines.length)) * LINE_HEIGHT + 12;
+
+        // Repeat the column header on every page the table continues onto
+        ensureSpace(doc, rowHeight, () => drawItemsHeader(doc));
+
+        let x = PAGE.margin;
+        cells.forEach(({ col, lines }) => {
+            const isStrong = col.bold || col.key === 'product';
+            setFont(doc, isStrong ? 'bold' : 'normal', 8, isStrong ? [31, 41, 55] : [107, 114, 128]);
+            text(doc, lines, cellX(x, col.width, col.align), doc.y + 15, { align: col.align || 'left' });
+            x += col.width;
+        });
+        pdf.setDrawColor(209, 213, 219);
+        pdf.rect(PAGE.margin, doc.y, CONTENT_WIDTH, rowHeight);
+        doc.y += rowHeight;
+    });
+    doc.y += 24;
+};
+
+const drawSummary = (doc) => {
+    const { pdf, template, billData } = doc;
+    const gap = 16;
+    const boxWidth = (CONTENT_WIDTH - gap) / 2;
+    const order = billData.order || {};
+    const { totals, total, vatRate } = doc.breakdown;
+    const voucher = billData.discount?.voucher;
+
+    const payment = [
+        `Method: ${order.paymentMethod || 'N/A'}`,
+        `Status: ${order.paymentStatus?.toUpperCase() || 'N/A'}`,
+    ];
+    if (voucher) {
+        const off = voucher.discountType === 'percentage' ? `${voucher.discountValue}%` : money(doc, voucher.discountValue);
+        payment.push(`Voucher: ${voucher.code} (${off} off)`);
+    }
+    const prices = [['Subtotal:', money(doc, totals.subtotal)]];
+    if (totals.discount > 0) prices.push(['Discount:', `-${money(doc, totals.discount)}`]);
+    prices.push(
+        [`Net (excl. ${template.tax.label}):`, money(doc, totals.net)],
+        [`${template.tax.label} (${formatVatRate(vatRate)}):`, money(doc, totals.tax)]
+    );
+
+    const boxHeight = 70 + Math.max(payment.length, prices.length) * 16;
+    // Keep payment details and totals together on one page
+    ensureSpace(doc, boxHeight);
+
+    [0, 1].forEach((i) => {
+        const x = PAGE.margin + i * (boxWidth + gap);
+        pdf.setDrawColor(229, 231, 235);
+        pdf.roundedRect(x, doc.y, boxWidth, boxHeight, 6, 6, 'S');
+        setFont(doc, 'bold', 12, template.colors.primary);
+        text(doc, i === 0 ? 'PAYMENT INFORMATION' : 'PRICE SUMMARY', x + 16, doc.y + 22);
+    });
+
+    const leftX = PAGE.margin + 16;
+    setFont(doc, 'normal', 10, [55, 65, 81]);
+    payment.forEach((line, j) => text(doc, line, leftX, doc.y + 42 + j * 16));
+
+    const rightX = PAGE.margin + boxWidth + gap + 16;
+    const rightEdge = PAGE.margin + CONTENT_WIDTH - 16;
+    prices.forEach(([label, value], j) => {
+        const isDiscount = label === 'Discount:';
+        setFont(doc, 'normal', 10, isDiscount ? template.colors.accent : [55, 65, 81]);
+        text(doc, label, rightX, doc.y + 42 + j * 16);
+        text(doc, value, rightEdge, doc.y + 42 + j * 16, { align: 'right' });
+    });
+    const totalY = doc.y + boxHeight - 16;
+    pdf.setDrawColor(209, 213, 219);
+    pdf.line(rightX, totalY - 16, rightEdge, totalY - 16);
+    setFont(doc, 'bold', 13);
+    text(doc, 'Total:', rightX, totalY);
+    setFont(doc, 'bold', 13, template.colors.accent);
+    text(doc, money(doc, total), rightEdge, totalY, { align: 'right' });
+
+    doc.y += boxHeight + 16;
+};
+
+// Footer and page numbers go on last, once the invoice's page count is known
+const drawFooters = (doc, firstPage) => {
+    const { pdf, template } = doc;
+    const lastPage = pdf.getNumberOfPages();
+    const pageCount = lastPage - firstPage + 1;
+    for (let page = firstPage; page <= lastPage; page++) {
+        pdf.setPage(page);
+        const top = PAGE.height - PAGE.margin - FOOTER_HEIGHT + 14;
+        pdf.setDrawColor(...template.colors.accent);
+        pdf.line(PAGE.margin, top, PAGE.width - PAGE.margin, top);
+        setFont(doc, 'normal', 9, [75, 85, 99]);
+        template.footerLines.forEach((line, i) => {
+            text(doc, line, PAGE.width / 2, top + 16 + i * LINE_HEIGHT, { align: 'center' });
+        });
+        setFont(doc, 'normal', 8, [156, 163, 175]);
+        text(doc, `Page ${page - firstPage + 1} of ${pageCount}`, PAGE.width - PAGE.margin, PAGE.height - PAGE.margin + 10, { align: 'right' });
+    }
+};
+
+// Draw one invoice starting on the current (empty) page of `pdf`
+const renderInvoice = (pdf, font, template, billData) => {
+    // Shared drawing state; `y` is the cursor on the current page
+    const doc = { pdf, font, template, billData, breakdown: getBillVatBreakdown(billData, template.tax), y: PAGE.margin };
+    const firstPage = pdf.getNumberOfPages();
+
+    drawHeader(doc);
+    drawParties(doc);
+    drawItems(doc);
+    drawSummary(doc);
+    drawFooters(doc, firstPage);
+};
+
+// Build the invoice for BillModal's billData; `templateOverrides` replaces parts of INVOICE_TEMPLATE
+export const createInvoicePdf = async (billData, templateOverrides) => {
+    const pdf = new jsPDF({ unit: 'pt', format: 'a4', orientation: 'portrait' });
+    const font = await applyPdfFont(pdf);
+    renderInvoice(pdf, font, resolveInvoiceTemplate(templateOverrides), billData);
+    return pdf;
+};
+
+// Several invoices in one document, each starting on its own page with its own page numbers
+export const createCombinedInvoicePdf = async (billsData, templateOverrides) => {
+    const pdf = new jsPDF({ unit: 'pt', format: 'a4', orientation: 'portrait' });
+    const font = await applyPdfFont(pdf);
+    const template = resolveInvoiceTemplate(templateOverrides);
+    billsData.forEach((billData, i) => {
+        if (i > 0) pdf.addPage('a4', 'portrait');
+        renderInvoice(pdf, font, template, billData);
+    });
+    return pdf;
+};
+
+export const getInvoiceFilename = (billData) => `invoice_${getInvoiceNumber(billData) || getOrderRef(billData)}.pdf`;
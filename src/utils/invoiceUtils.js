@@ -0,0 +1,44 @@
+// Invoice numbering and VAT figures shared by BillModal, the PDF renderer and the Bills exports.
+import { INVOICE_TEMPLATE } from '../config/invoiceTemplate';
+import { computeVatBreakdown } from './vat';
+
+// The server hands out numbers from a gap-free sequence per year: { year, sequence, number?, issuedAt, vatRate? }
+export const formatInvoiceNumber = (invoice) => {
+    if (!invoice) return null;
+    if (invoice.number) return invoice.number;
+    if (!invoice.year || !invoice.sequence) return null;
+    return `INV-${invoice.year}-${String(invoice.sequence).padStart(6, '0')}`;
+};
+
+export const getInvoiceNumber = (billData) => formatInvoiceNumber(billData?.invoice);
+
+// Issuing burns a number for good, so only completed sales qualify: not cancelled, and delivered or paid
+export const canIssueInvoice = (order) => {
+    if (!order || formatInvoiceNumber(order.invoice) || order.invoiceNumber) return false;
+    if (order.order_status?.toLowerCase() === 'cancelled') return false;
+    return order.order_status?.toLowerCase() === 'delivered' || order.pay_status?.toLowerCase() === 'paid';
+};
+
+// Rate recorded on the issued invoice wins, so reprints keep the rate they were issued with.
+// The printed Total is the server's summary.totalAmount, the amount actually charged. With
+// VAT-inclusive prices any gap is folded into the discount so the line split adds up to it;
+// whatever still differs is returned as `mismatch` (total minus the sum of the line grosses).
+export const getBillVatBreakdown = (billData, tax = INVOICE_TEMPLATE.tax) => {
+    const options = {
+        discount: billData?.summary?.discount || 0,
+        vatRate: billData?.invoice?.vatRate ?? tax.vatRate,
+        pricesIncludeVat: tax.pricesIncludeVat,
+    };
+    let breakdown = computeVatBreakdown(billData?.items || [], options);
+    const serverTotal = billData?.summary?.totalAmount;
+    if (serverTotal == null || !Number.isFinite(Number(serverTotal))) {
+        return { ...breakdown, total: breakdown.totals.gross, mismatch: 0 };
+    }
+
+    const total = Math.round(Number(serverTotal));
+    const fittedDiscount = breakdown.totals.discount + breakdown.totals.gross - total;
+    if (tax.pricesIncludeVat && total !== breakdown.totals.gross && fittedDiscount >= 0 && fittedDiscount <= breakdown.totals.subtotal) {
+        breakdown = computeVatBreakdown(billData?.items || [], { ...options, discount: fittedDiscount });
+    }
+    return { ...breakdown, total, mismatch: total - breakdown.totals.gross };
+};
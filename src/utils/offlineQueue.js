@@ -0,0 +1,68 @@
+// Minimal IndexedDB store for order mutations made while offline.
+// Entries are tagged with the admin who made them and only replayed for that admin; the store is
+// cleared on logout so a shared machine never sends one user's changes under another's session.
+// Entries: { id, userId, orderId, data, baseStatus, baseUpdatedAt, createdAt, attempts, nextAttemptAt, state, conflictReason }
+const DB_NAME = 'gash-dashboard';
+const DB_VERSION = 1;
+const STORE = 'orderMutations';
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                db.createObjectStore(STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+};
+
+// Run one request in a transaction and resolve with its result
+const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const getQueuedMutations = async (userId) => {
+    const entries = (await withStore('readonly', (store) => store.getAll())) || [];
+    return entries.filter((e) => e.userId === userId).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const putQueuedMutation = (entry) => withStore('readwrite', (store) => store.put(entry));
+
+export const removeQueuedMutation = (id) => withStore('readwrite', (store) => store.delete(id));
+
+export const clearQueuedMutations = () => withStore('readwrite', (store) => store.clear());
+
+export const createMutationId = () =>
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Connection failures (no response, timeouts) are worth retrying; HTTP errors are not
+export const isNetworkError = (err) =>
+    !err?.response && (
+        err?.code === 'ERR_NETWORK' ||
+        err?.code === 'ECONNABORTED' ||
+        err?.message === 'Failed to connect to server. Please check your connection.' ||
+        (typeof navigator !== 'undefined' && navigator.onLine === false)
+    );
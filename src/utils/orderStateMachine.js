@@ -0,0 +1,137 @@
+// Order lifecycle as one declarative state machine.
+// Every screen asks these helpers instead of re-implementing the rules.
+
+// ==== States & transitions ====
+export const ORDER_TRANSITIONS = {
+    pending: ["confirmed", "cancelled"],
+    confirmed: ["shipping", "cancelled"],
+    shipping: ["delivered", "cancelled"],
+    delivered: [],
+    cancelled: [],
+};
+
+export const PAY_TRANSITIONS = {
+    unpaid: ["paid"],
+    paid: [],
+};
+
+export const REFUND_TRANSITIONS = {
+    not_applicable: ["pending_refund"],
+    pending_refund: ["partially_refunded", "refunded"],
+    partially_refunded: ["partially_refunded", "refunded"],
+    refunded: [],
+};
+
+export const ORDER_STATUS_LABELS = {
+    pending: "Pending",
+    confirmed: "Confirmed",
+    shipping: "Shipping",
+    delivered: "Delivered",
+    cancelled: "Cancelled",
+    unpaid: "Unpaid",
+    paid: "Paid",
+    not_applicable: "Not Applicable",
+    pending_refund: "Pending Refund",
+    partially_refunded: "Partially Refunded",
+    refunded: "Refunded",
+};
+
+export const getStatusLabel = (value) => {
+    if (!value || typeof value !== "string") return value || "N/A";
+    return ORDER_STATUS_LABELS[value] || value.charAt(0).toUpperCase() + value.slice(1);
+};
+
+const isTerminal = (status) => (ORDER_TRANSITIONS[status] || []).length === 0;
+
+// ==== Guards ====
+
+// VNPAY orders that are unpaid cannot be updated (only cancellation is allowed)
+const isBlockedByPayment = (order) =>
+    order?.payment_method === "VNPAY" && order?.pay_status === "unpaid";
+
+// Order is in a final state and nothing can change any more
+export const isOrderFinalized = (order) => {
+    const { payment_method: method, order_status: status, pay_status: pay, refund_status: refund } = order || {};
+    if (status === "delivered" && pay === "paid") return true;
+    if (status === "cancelled" && pay === "unpaid") return true;
+    return method === "VNPAY" && status === "cancelled" && refund === "refunded";
+};
+
+// Order status can be changed at all
+export const canUpdateOrderStatus = (order) => {
+    const status = order?.order_status;
+    if (!status || !ORDER_TRANSITIONS[status]) return false;
+    if (isBlockedByPayment(order)) return false;
+    return !isTerminal(status);
+};
+
+// A specific order status transition is allowed
+export const canTransitionOrderStatus = (order, nextStatus) => {
+    if (!canUpdateOrderStatus(order)) return false;
+    return ORDER_TRANSITIONS[order.order_status].includes(nextStatus);
+};
+
+// A specific refund status transition is allowed; orders without one start at not_applicable
+export const canTransitionRefundStatus = (order, nextStatus) =>
+    (REFUND_TRANSITIONS[order?.refund_status || "not_applicable"] || []).includes(nextStatus);
+
+// Refund section applies (cancelled VNPAY paid orders, or delivered paid orders with a return awaiting refund)
+export const canManageRefund = (order) => {
+    if (order?.pay_status !== "paid") return false;
+    if (order?.order_status === "cancelled") return order?.payment_method === "VNPAY";
+    return order?.order_status === "delivered" && order?.refund_status !== "not_applicable" && !!order?.refund_status;
+};
+
+// Refund can still be processed (not yet refunded)
+export const canUpdateRefund = (order) =>
+    canManageRefund(order) && order?.refund_status !== "refunded";
+
+// Delivered stays terminal for order_status; returns are recorded alongside it
+export const canRecordReturn = (order) => order?.order_status === "delivered";
+
+// Cancel action is only offered before the order is confirmed
+export const canCancelOrder = (order) => order?.order_status === "pending";
+
+// Payment rules for a proposed change; returns an error message or null
+export const getPaymentRuleError = (order, nextStatus, nextPayStatus) => {
+    const status = nextStatus || order?.order_status;
+    const pay = nextPayStatus || order?.pay_status;
+
+    if (order?.payment_method === "COD" && pay === "paid" && ["pending", "confirmed", "shipping"].includes(status)) {
+        return "COD orders cannot be paid before delivery";
+    }
+    if (order?.payment_method === "VNPAY" && status !== "cancelled" && pay !== "paid") {
+        return "VNPAY orders must remain paid unless cancelled";
+    }
+    return null;
+};
+
+// Validate a proposed order status change; returns an error message or null
+export const getOrderTransitionError = (order, nextStatus) => {
+    if (!order) return "Order not found";
+
+    const currentStatus = order.order_status;
+    if (currentStatus === nextStatus) return `Already ${nextStatus}`;
+
+    if (!canUpdateOrderStatus(order)) {
+        return isBlockedByPayment(order)
+            ? "VNPAY unpaid orders can only be cancelled"
+            : `Cannot update a ${currentStatus || "unknown"} order`;
+    }
+    if (!canTransitionOrderStatus(order, nextStatus)) {
+        return `Invalid status transition: ${currentStatus} → ${nextStatus}`;
+    }
+    return getPaymentRuleError(order, nextStatus);
+};
+
+// Why the edit action is unavailable, or null when it is available
+export const getUpdateBlockReason = (order) => {
+    if (canUpdateRefund(order)) return null;
+    if (!canUpdateOrderStatus(order)) {
+        return "Order status cannot be updated for cancelled or delivered orders, or VNPAY unpaid orders, or refunded orders";
+    }
+    if (isOrderFinalized(order)) {
+        return "This order is finalized and cannot be updated";
+    }
+    return null;
+};
@@ -1,22 +1,15 @@
+import { ORDER_TRANSITIONS } from "./orderStateMachine";
+
 // Helper to determine which order status options should be enabled for update
 export const getOrderStatusOptionDisabled = (currentStatus, optionValue) => {
-    // Define allowed transitions based on workflow
-    const allowedTransitions = {
-        pending: ["confirmed", "cancelled"],
-        confirmed: ["shipping", "cancelled"],
-        shipping: ["delivered", "cancelled"],
-        delivered: [], // No transitions from delivered
-        cancelled: [], // No transitions from cancelled
-    };
-
     // Handle undefined or null currentStatus
     if (!currentStatus || typeof currentStatus !== 'string') {
         return true; // Disable all options if status is invalid
     }
 
-    // If current status is delivered or cancelled, disable all options
-    if (currentStatus === "delivered" || currentStatus === "cancelled") {
-        return true;
+    const allowedOptions = ORDER_TRANSITIONS[currentStatus];
+    if (!allowedOptions || allowedOptions.length === 0) {
+        return true; // Terminal or unknown status: disable all options
     }
 
     // If option value is the same as current status, don't disable
@@ -24,12 +17,5 @@ export const getOrderStatusOptionDisabled = (currentStatus, optionValue) => {
         return false;
     }
 
-    // Check if the transition is allowed
-    const allowedOptions = allowedTransitions[currentStatus];
-    if (!allowedOptions || !Array.isArray(allowedOptions)) {
-        return true; // Disable if no valid transitions found
-    }
-
     return !allowedOptions.includes(optionValue);
 };
-
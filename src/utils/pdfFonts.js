@@ -0,0 +1,60 @@
+// Unicode fonts for jsPDF documents. The built-in PDF fonts only cover Latin-1,
+// so Vietnamese text needs a TTF embedded into each document.
+export const PDF_FONTS = {
+    family: 'DejaVuSans',
+    regular: '/fonts/DejaVuSans.ttf',
+    bold: '/fonts/DejaVuSans-Bold.ttf',
+};
+
+// Fold Vietnamese marks to plain letters when no Unicode font could be embedded
+export const toPdfText = (value) =>
+    String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D');
+
+const fontCache = new Map(); // url -> Promise<base64>
+
+const arrayBufferToBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so large fonts don't overflow the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const fetchFont = (url) => {
+    if (!fontCache.has(url)) {
+        const request = fetch(url)
+            .then((response) => {
+                if (!response.ok) throw new Error(`Font ${url} returned ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(arrayBufferToBase64);
+        // Let a later export retry after a failed download
+        request.catch(() => fontCache.delete(url));
+        fontCache.set(url, request);
+    }
+    return fontCache.get(url);
+};
+
+// Embed the Unicode font into `pdf`. Resolves with a text helper and the font family to use:
+// the embedded family, or helvetica with folded text when the font could not be loaded.
+export const applyPdfFont = async (pdf, fonts = PDF_FONTS) => {
+    try {
+        const [regular, bold] = await Promise.all([fetchFont(fonts.regular), fetchFont(fonts.bold)]);
+        pdf.addFileToVFS(`${fonts.family}.ttf`, regular);
+        pdf.addFont(`${fonts.family}.ttf`, fonts.family, 'normal');
+        pdf.addFileToVFS(`${fonts.family}-Bold.ttf`, bold);
+        pdf.addFont(`${fonts.family}-Bold.ttf`, fonts.family, 'bold');
+        pdf.setFont(fonts.family, 'normal');
+        return { family: fonts.family, unicode: true, text: (value) => String(value ?? '') };
+    } catch (err) {
+        console.error('PDF font load failed, falling back to built-in font:', err);
+        pdf.setFont('helvetica', 'normal');
+        return { family: 'helvetica', unicode: false, text: toPdfText };
+    }
+};
@@ -0,0 +1,119 @@
+// Product drafts, scheduled publishing and revision history.
+// A product may carry publishAt / unpublishAt (ISO strings); the server flips draft -> active at
+// publishAt and active -> inactive at unpublishAt. Every create/update stores a revision:
+// { _id, version, snapshot: { productName, description, productImageIds, categoryId, productStatus,
+//   publishAt, unpublishAt }, actor: { username, email }, createdAt }
+import { htmlToPlainText } from './htmlUtils';
+import { toIdString } from './idUtils';
+
+// Statuses an admin can choose in ProductModal; 'pending' and 'discontinued' are set by the system
+export const EDITABLE_PRODUCT_STATUSES = [
+    { value: 'draft', label: 'Draft', hint: 'Hidden from the store until published' },
+    { value: 'active', label: 'Published', hint: 'Visible in the store' },
+    { value: 'inactive', label: 'Unpublished', hint: 'Hidden, keeps its variants and stock' },
+];
+
+// Fields restored by a revert; status and schedule stay as they are
+export const REVERTABLE_FIELDS = ['productName', 'description', 'productImageIds', 'categoryId'];
+
+const REVISION_FIELDS = [
+    { key: 'productName', label: 'Name' },
+    { key: 'description', label: 'Description' },
+    { key: 'productImageIds', label: 'Images' },
+    { key: 'categoryId', label: 'Category' },
+    { key: 'productStatus', label: 'Status' },
+    { key: 'publishAt', label: 'Publish at' },
+    { key: 'unpublishAt', label: 'Unpublish at' },
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// dd/MM/yyyy HH:mm in local time
+export const formatScheduleDate = (value) => {
+    if (!value) return '';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return '';
+    return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// ISO -> the value a <input type="datetime-local"> expects, and back
+export const toDateTimeLocal = (value) => {
+    if (!value) return '';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return '';
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : null);
+
+// Errors keyed by field for ProductModal; `initial` is the product being edited, so an
+// unchanged past time (already applied by the server) is not reported
+export const getScheduleErrors = ({ productStatus, publishAt, unpublishAt }, initial = {}, now = new Date()) => {
+    const errors = {};
+    const publish = publishAt ? new Date(publishAt) : null;
+    const unpublish = unpublishAt ? new Date(unpublishAt) : null;
+    const changed = (value, original) => toDateTimeLocal(value) !== toDateTimeLocal(original);
+
+    if (publish && changed(publishAt, initial.publishAt)) {
+        if (productStatus !== 'draft' && productStatus !== 'inactive') {
+            errors.publishAt = 'Only drafts and unpublished products can be scheduled to publish';
+        } else if (publish <= now) {
+            errors.publishAt = 'Publish time must be in the future';
+        }
+    }
+    if (unpublish && changed(unpublishAt, initial.unpublishAt) && unpublish <= now) {
+        errors.unpublishAt = 'Unpublish time must be in the future';
+    } else if (unpublish && publish && unpublish <= publish) {
+        errors.unpublishAt = 'Unpublish time must be after the publish time';
+    }
+    return errors;
+};
+
+// Short line for lists: "Publishes 20/10/2026 09:00", or null when nothing is scheduled
+export const getScheduleSummary = (product, now = new Date()) => {
+    const publish = product?.publishAt ? new Date(product.publishAt) : null;
+    const unpublish = product?.unpublishAt ? new Date(product.unpublishAt) : null;
+    const parts = [];
+    if (publish && publish > now && product.productStatus !== 'active') parts.push(`Publishes ${formatScheduleDate(publish)}`);
+    if (unpublish && unpublish > now) parts.push(`Unpublishes ${formatScheduleDate(unpublish)}`);
+    return parts.length > 0 ? parts.join(' · ') : null;
+};
+
+export const getRevisionActorName = (revision) => {
+    const actor = revision?.actor;
+    if (!actor) return 'System';
+    return typeof actor === 'object' ? actor.username || actor.email || 'Unknown' : String(actor);
+};
+
+// Comparable/printable form of a snapshot value
+const normalizeField = (key, value, categories) => {
+    if (key === 'productImageIds') {
+        return (value || []).map((img) => `${img.imageUrl}${img.isMain ? ' (main)' : ''}`).join('\n');
+    }
+    if (key === 'categoryId') {
+        const id = toIdString(value);
+        return categories.find((c) => toIdString(c._id || c.id) === id)?.cat_name || (typeof value === 'object' ? value?.cat_name : '') || id;
+    }
+    if (key === 'description') return htmlToPlainText(value);
+    if (key === 'publishAt' || key === 'unpublishAt') return formatScheduleDate(value);
+    return String(value ?? '');
+};
+
+// Field-level differences between two snapshots: [{ key, label, from, to }]
+export const diffSnapshots = (before, after, categories = [], keys = REVISION_FIELDS.map((f) => f.key)) =>
+    REVISION_FIELDS.filter((field) => keys.includes(field.key))
+        .map(({ key, label }) => {
+            // Raw description HTML is compared so formatting-only edits still count
+            const changed = key === 'description'
+                ? (before?.description || '') !== (after?.description || '')
+                : normalizeField(key, before?.[key], categories) !== normalizeField(key, after?.[key], categories);
+            if (!changed) return null;
+            const from = normalizeField(key, before?.[key], categories);
+            const to = normalizeField(key, after?.[key], categories);
+            return { key, label, from, to: from === to ? `${to} (formatting changed)` : to };
+        })
+        .filter(Boolean);
+
+// What a revert of `revision` would change on the current product
+export const diffRevert = (product, revision, categories = []) =>
+    diffSnapshots(product, revision?.snapshot, categories, REVERTABLE_FIELDS);
@@ -0,0 +1,113 @@
+// Refund ledger helpers shared by the refund modal, OrderDetails and the Refunds page.
+// An order keeps every refund it received in `refunds`:
+// [{ _id, amount, reason, note, items: [{ detailId, quantity, amount }], proofs: [url], createdAt, createdBy }]
+import { allocateProportionally } from './vat';
+
+export const REFUND_REASONS = [
+    { value: 'customer_cancelled', label: 'Customer cancelled' },
+    { value: 'out_of_stock', label: 'Out of stock' },
+    { value: 'damaged_item', label: 'Damaged item' },
+    { value: 'wrong_item', label: 'Wrong item sent' },
+    { value: 'returned_item', label: 'Returned item' },
+    { value: 'duplicate_payment', label: 'Duplicate payment' },
+    { value: 'goodwill', label: 'Goodwill / compensation' },
+    { value: 'other', label: 'Other' },
+];
+
+// Orders in any of these states show up on the Refunds page
+export const REFUND_LEDGER_STATUSES = ['pending_refund', 'partially_refunded', 'refunded'];
+
+export const getRefundReasonLabel = (reason) =>
+    REFUND_REASONS.find((r) => r.value === reason)?.label || reason || 'N/A';
+
+export const getOrderTotal = (order) => order?.finalPrice ?? order?.totalPrice ?? 0;
+
+// Most that can ever be refunded: the whole order once cancelled, or what accepted returns asked for once delivered
+export const getRefundCap = (order) => {
+    if (order?.order_status !== 'delivered') return getOrderTotal(order);
+    const requested = (order.returns || []).reduce((sum, r) => sum + (r.refundAmount || 0), 0);
+    return Math.min(getOrderTotal(order), requested);
+};
+
+// Orders refunded before partial refunds existed only carry a single refund_proof
+export const getOrderRefunds = (order) => {
+    if (Array.isArray(order?.refunds)) return order.refunds;
+    if (order?.refund_status === 'refunded' && order?.refund_proof) {
+        return [{
+            _id: `${order._id}-legacy`,
+            amount: getOrderTotal(order),
+            reason: 'other',
+            items: [],
+            proofs: [order.refund_proof],
+            createdAt: order.updatedAt,
+        }];
+    }
+    return [];
+};
+
+export const getRefundedAmount = (order) =>
+    getOrderRefunds(order).reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+export const getRefundableAmount = (order) => Math.max(0, getRefundCap(order) - getRefundedAmount(order));
+
+// detailId -> quantity already refunded
+export const getRefundedQuantities = (order) => {
+    const quantities = {};
+    getOrderRefunds(order).forEach((refund) => {
+        (refund.items || []).forEach(({ detailId, quantity }) => {
+            quantities[detailId] = (quantities[detailId] || 0) + (quantity || 0);
+        });
+    });
+    return quantities;
+};
+
+// Amount one unit of each order line is worth after the voucher discount is spread across lines
+export const getRefundUnitPrices = (order, details) => {
+    const lineTotals = details.map((d) => Math.round(d.totalPrice ?? (d.unitPrice || 0) * (d.quantity || 0)));
+    const discounts = allocateProportionally(Math.round(order?.discountAmount || 0), lineTotals);
+    const prices = {};
+    details.forEach((detail, i) => {
+        prices[detail._id] = detail.quantity ? (lineTotals[i] - discounts[i]) / detail.quantity : 0;
+    });
+    return prices;
+};
+
+// selections: { [detailId]: quantity } -> [{ detailId, quantity, amount }]
+export const buildRefundItems = (order, details, selections) => {
+    const unitPrices = getRefundUnitPrices(order, details);
+    return details
+        .filter((detail) => selections[detail._id] > 0)
+        .map((detail) => ({
+            detailId: detail._id,
+            quantity: selections[detail._id],
+            amount: Math.round(unitPrices[detail._id] * selections[detail._id]),
+        }));
+};
+
+// Status the order moves to once `amount` more is refunded
+export const getNextRefundStatus = (order, amount) =>
+    getRefundedAmount(order) + amount >= getRefundCap(order) ? 'refunded' : 'partially_refunded';
+
+// Whole days the refund has been open (or took, once refunded)
+export const getRefundAgeDays = (order, now = new Date()) => {
+    const start = order?.refund_requested_at || order?.cancelledAt || order?.updatedAt || order?.orderDate;
+    if (!start) return null;
+    const refunds = getOrderRefunds(order);
+    const end = order?.refund_status === 'refunded' && refunds.length > 0
+        ? refunds[refunds.length - 1].createdAt || now
+        : now;
+    const days = Math.floor((new Date(end) - new Date(start)) / 86400000);
+    return Number.isNaN(days) ? null : Math.max(0, days);
+};
+
+export const getRefundAssigneeName = (order) => {
+    const assignee = order?.refund_assignee;
+    if (!assignee) return null;
+    if (typeof assignee === 'object') return assignee.username || assignee.name || assignee.email || 'Unknown';
+    return order.refund_assignee_name || String(assignee);
+};
+
+export const getRefundAssigneeId = (order) => {
+    const assignee = order?.refund_assignee;
+    return assignee && typeof assignee === 'object' ? assignee._id : assignee || null;
+};
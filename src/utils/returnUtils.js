@@ -0,0 +1,42 @@
+// Return (RMA) helpers for delivered orders. An order keeps its returns in `returns`:
+// [{ _id, rmaNumber, items: [{ detailId, variantId, quantity }], reason, inspection, restock, refundAmount, note, createdAt, createdBy }]
+
+export const RETURN_REASONS = [
+    { value: 'wrong_size', label: 'Wrong size / fit' },
+    { value: 'not_as_described', label: 'Not as described' },
+    { value: 'damaged_in_transit', label: 'Damaged in transit' },
+    { value: 'defective', label: 'Defective' },
+    { value: 'wrong_item', label: 'Wrong item sent' },
+    { value: 'changed_mind', label: 'Changed mind' },
+    { value: 'other', label: 'Other' },
+];
+
+// `restock` is the default restock decision for each inspection result
+export const INSPECTION_RESULTS = [
+    { value: 'resellable', label: 'Resellable', restock: true },
+    { value: 'damaged', label: 'Damaged', restock: false },
+    { value: 'defective', label: 'Defective', restock: false },
+    { value: 'incomplete', label: 'Incomplete / missing parts', restock: false },
+];
+
+export const getReturnReasonLabel = (reason) =>
+    RETURN_REASONS.find((r) => r.value === reason)?.label || reason || 'N/A';
+
+export const getInspectionLabel = (inspection) =>
+    INSPECTION_RESULTS.find((r) => r.value === inspection)?.label || inspection || 'N/A';
+
+export const getOrderReturns = (order) => (Array.isArray(order?.returns) ? order.returns : []);
+
+// detailId -> quantity already returned
+export const getReturnedQuantities = (order) => {
+    const quantities = {};
+    getOrderReturns(order).forEach((ret) => {
+        (ret.items || []).forEach(({ detailId, quantity }) => {
+            quantities[detailId] = (quantities[detailId] || 0) + (quantity || 0);
+        });
+    });
+    return quantities;
+};
+
+// Shown when the server did not assign an RMA number
+export const getReturnLabel = (ret, index) => ret.rmaNumber || `Return #${index + 1}`;
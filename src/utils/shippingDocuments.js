@@ -0,0 +1,216 @@
+// Packing slips (A4) and 4x6" shipping labels built with jsPDF drawing calls,
+// so text stays selectable and barcodes stay sharp when printed.
+import jsPDF from 'jspdf';
+import { drawCode128 } from './barcode';
+import { applyPdfFont } from './pdfFonts';
+
+const SHOP = {
+    name: 'GASH',
+    contact: 'support@gash.com',
+};
+
+const A4 = { width: 595.28, height: 841.89, margin: 40 };
+const LABEL = { width: 288, height: 432, margin: 14 };
+
+const formatOrderCode = (orderId) => '#' + String(orderId).slice(-6).toUpperCase();
+
+const formatPrice = (price) =>
+    typeof price === 'number' && !isNaN(price)
+        ? `${new Intl.NumberFormat('vi-VN').format(price)} VND`
+        : 'N/A';
+
+// dd/MM/yyyy
+const formatDate = (dateStr) => {
+    const d = new Date(dateStr);
+    if (!dateStr || isNaN(d.getTime())) return 'N/A';
+    return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+const getReceiver = (order) => ({
+    name: order.name || order.acc_id?.name || order.acc_id?.username || 'Guest',
+    phone: order.phone || order.acc_id?.phone || 'N/A',
+    address: order.addressReceive || 'N/A',
+});
+
+// Cash still has to be collected on delivery
+const getCodAmount = (order) =>
+    order.payment_method === 'COD' && order.pay_status !== 'paid'
+        ? order.finalPrice ?? order.totalPrice ?? 0
+        : 0;
+
+const getItemRow = (detail) => ({
+    product: detail.variant?.product?.name || detail.productName || 'N/A',
+    color: detail.variant?.color?.name || detail.color || '-',
+    size: detail.variant?.size?.name || detail.size || '-',
+    quantity: detail.quantity || 0,
+});
+
+const SLIP_COLUMNS = [
+    { key: 'index', label: '#', width: 30 },
+    { key: 'product', label: 'Product', width: 265 },
+    { key: 'color', label: 'Colour', width: 90 },
+    { key: 'size', label: 'Size', width: 70 },
+    { key: 'quantity', label: 'Qty', width: 60, align: 'right' },
+];
+const ROW_HEIGHT = 20;
+
+const drawSlipTableHeader = (pdf, font, y) => {
+    const { margin } = A4;
+    pdf.setFillColor(249, 250, 251);
+    pdf.rect(margin, y, A4.width - margin * 2, ROW_HEIGHT, 'F');
+    pdf.setFont(font.family, 'bold');
+    pdf.setFontSize(10);
+    let x = margin;
+    SLIP_COLUMNS.forEach((col) => {
+        const textX = col.align === 'right' ? x + col.width - 6 : x + 6;
+        pdf.text(col.label, textX, y + 14, { align: col.align || 'left' });
+        x += col.width;
+    });
+    pdf.setFont(font.family, 'normal');
+    return y + ROW_HEIGHT;
+};
+
+const drawPackingSlip = (pdf, font, order, details) => {
+    const { margin, width, height } = A4;
+    const receiver = getReceiver(order);
+    const rows = details.map(getItemRow);
+
+    // Header: shop, title and a scannable order ID
+    pdf.setFont(font.family, 'bold');
+    pdf.setFontSize(22);
+    pdf.setTextColor(168, 101, 35);
+    pdf.text(SHOP.name, margin, margin + 18);
+    pdf.setTextColor(0, 0, 0);
+    pdf.setFontSize(16);
+    pdf.text('PACKING SLIP', margin, margin + 42);
+    pdf.setFont(font.family, 'normal');
+    pdf.setFontSize(10);
+    pdf.text(`Order ${formatOrderCode(order._id)}`, margin, margin + 60);
+    pdf.text(`Order date: ${formatDate(order.orderDate || order.createdAt)}`, margin, margin + 74);
+    drawCode128(pdf, order._id, width - margin - 220, margin, 220, 48, { fontSize: 8 });
+
+    // Ship to
+    let y = margin + 100;
+    pdf.setDrawColor(209, 213, 219);
+    pdf.line(margin, y, width - margin, y);
+    y += 20;
+    pdf.setFont(font.family, 'bold');
+    pdf.setFontSize(11);
+    pdf.text('Ship to', margin, y);
+    pdf.setFont(font.family, 'normal');
+    pdf.setFontSize(10);
+    y += 16;
+    pdf.text(font.text(receiver.name), margin, y);
+    y += 14;
+    pdf.text(`Phone: ${receiver.phone}`, margin, y);
+    const addressLines = pdf.splitTextToSize(font.text(receiver.address), width - margin * 2);
+    pdf.text(addressLines, margin, y + 14);
+    y += 14 + addressLines.length * 12 + 16;
+
+    // Items, continued on further pages when needed
+    y = drawSlipTableHeader(pdf, font, y);
+    rows.forEach((row, index) => {
+        if (y + ROW_HEIGHT > height - margin - 40) {
+            pdf.addPage('a4', 'portrait');
+            pdf.setFontSize(10);
+            pdf.text(`Packing slip ${formatOrderCode(order._id)} (continued)`, margin, margin);
+            y = drawSlipTableHeader(pdf, font, margin + 12);
+        }
+        const cells = { ...row, index: index + 1 };
+        let x = margin;
+        SLIP_COLUMNS.forEach((col) => {
+            const value = font.text(cells[col.key]);
+            const fitted = pdf.splitTextToSize(value, col.width - 12)[0] || '';
+            const textX = col.align === 'right' ? x + col.width - 6 : x + 6;
+            pdf.text(fitted, textX, y + 14, { align: col.align || 'left' });
+            x += col.width;
+        });
+        pdf.line(margin, y + ROW_HEIGHT, width - margin, y + ROW_HEIGHT);
+        y += ROW_HEIGHT;
+    });
+
+    // Totals
+    const totalQuantity = rows.reduce((sum, row) => sum + row.quantity, 0);
+    y += 18;
+    pdf.setFont(font.family, 'bold');
+    pdf.text(`Total items: ${totalQuantity}`, width - margin, y, { align: 'right' });
+    const cod = getCodAmount(order);
+    if (cod > 0) {
+        y += 16;
+        pdf.text(`Collect on delivery: ${formatPrice(cod)}`, width - margin, y, { align: 'right' });
+    }
+    pdf.setFont(font.family, 'normal');
+};
+
+const drawShippingLabel = (pdf, font, order, details) => {
+    const { margin, width } = LABEL;
+    const receiver = getReceiver(order);
+    const innerWidth = width - margin * 2;
+
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setLineWidth(1);
+    pdf.rect(margin / 2, margin / 2, width - margin, LABEL.height - margin);
+
+    // From
+    let y = margin + 12;
+    pdf.setFont(font.family, 'bold');
+    pdf.setFontSize(8);
+    pdf.text('FROM', margin, y);
+    pdf.setFont(font.family, 'normal');
+    pdf.text(`${SHOP.name} - ${SHOP.contact}`, margin, y + 11);
+    y += 22;
+    pdf.line(margin / 2, y, width - margin / 2, y);
+
+    // To
+    y += 16;
+    pdf.setFont(font.family, 'bold');
+    pdf.setFontSize(8);
+    pdf.text('TO', margin, y);
+    pdf.setFontSize(14);
+    const nameLines = pdf.splitTextToSize(font.text(receiver.name), innerWidth).slice(0, 2);
+    pdf.text(nameLines, margin, y + 18);
+    y += 18 + nameLines.length * 16;
+    pdf.setFontSize(12);
+    pdf.text(receiver.phone, margin, y);
+    pdf.setFont(font.family, 'normal');
+    pdf.setFontSize(10);
+    const addressLines = pdf.splitTextToSize(font.text(receiver.address), innerWidth).slice(0, 5);
+    pdf.text(addressLines, margin, y + 16);
+    y += 16 + addressLines.length * 12 + 6;
+    pdf.line(margin / 2, y, width - margin / 2, y);
+
+    // Order summary
+    y += 16;
+    const itemCount = details.reduce((sum, d) => sum + (d.quantity || 0), 0);
+    pdf.setFont(font.family, 'bold');
+    pdf.setFontSize(11);
+    pdf.text(`Order ${formatOrderCode(order._id)}`, margin, y);
+    pdf.setFont(font.family, 'normal');
+    pdf.setFontSize(10);
+    pdf.text(`${itemCount} item${itemCount !== 1 ? 's' : ''}`, width - margin, y, { align: 'right' });
+    const cod = getCodAmount(order);
+    y += 16;
+    pdf.setFont(font.family, 'bold');
+    pdf.text(cod > 0 ? `COD: ${formatPrice(cod)}` : 'PREPAID', margin, y);
+    pdf.setFont(font.family, 'normal');
+
+    // Barcode anchored to the bottom of the label
+    drawCode128(pdf, order._id, margin, LABEL.height - margin - 96, innerWidth, 72, { fontSize: 9 });
+};
+
+// entries: [{ order, details }]; slips come first, then labels, so each set prints as one page range
+export const createShippingDocumentsPdf = async (entries, { slips = true, labels = true } = {}) => {
+    const labelFormat = [LABEL.width, LABEL.height];
+    const pages = [
+        ...(slips ? entries.map((entry) => ({ ...entry, format: 'a4', draw: drawPackingSlip })) : []),
+        ...(labels ? entries.map((entry) => ({ ...entry, format: labelFormat, draw: drawShippingLabel })) : []),
+    ];
+
+    const pdf = new jsPDF({ unit: 'pt', format: pages[0]?.format || 'a4', orientation: 'portrait' });
+    const font = await applyPdfFont(pdf);
+    pages.forEach(({ order, details, format, draw }, i) => {
+        if (i > 0) pdf.addPage(format, 'portrait');
+        draw(pdf, font, order, details);
+    });
+    return pdf;
+};
@@ -0,0 +1,77 @@
+// Variant stock as the dashboard shows it. `stockQuantity` is what is on the shelf;
+// pending orders reserve units without moving them, and confirming, cancelling or
+// returning an order records a stock movement:
+// { _id, variant, variantId, delta, reason, note, orderId, stockAfter, createdAt, actor }
+
+export const STOCK_MOVEMENT_REASONS = {
+    order_confirmed: 'Order confirmed',
+    order_cancelled: 'Order cancelled',
+    order_returned: 'Return restocked',
+    manual_adjustment: 'Manual adjustment',
+    variant_created: 'Initial stock',
+    bulk_import: 'Bulk import',
+    bulk_edit: 'Bulk edit',
+};
+
+// Variants with this many units available or fewer count as low stock, until a global threshold is configured
+export const LOW_STOCK_THRESHOLD = 5;
+
+export const STOCK_LEVELS = {
+    out: { label: 'Out of stock', className: 'bg-red-100 text-red-800' },
+    low: { label: 'Low stock', className: 'bg-amber-100 text-amber-800' },
+    ok: { label: 'In stock', className: 'bg-green-100 text-green-800' },
+};
+
+export const getMovementReasonLabel = (reason) =>
+    STOCK_MOVEMENT_REASONS[reason] || (reason ? reason.replace(/_/g, ' ') : 'N/A');
+
+export const formatStockDelta = (delta) => (delta > 0 ? `+${delta}` : delta < 0 ? `−${Math.abs(delta)}` : '0');
+
+// [{ variantId, reserved }] -> { [variantId]: reserved }
+export const toReservationMap = (reservations) => {
+    const map = {};
+    (reservations || []).forEach(({ variantId, reserved }) => {
+        if (variantId) map[variantId] = (map[variantId] || 0) + (reserved || 0);
+    });
+    return map;
+};
+
+export const getAvailableStock = (variant, reserved = 0) => Math.max(0, (variant?.stockQuantity || 0) - reserved);
+
+// 'out' | 'low' | 'ok', judged on what can still be sold
+export const getStockLevel = (available, threshold = LOW_STOCK_THRESHOLD) => {
+    if (available <= 0) return 'out';
+    return available <= threshold ? 'low' : 'ok';
+};
+
+// thresholds: { global, products: [{ productId, threshold }] }; a product override beats the global value
+export const getLowStockThreshold = (thresholds, productId) => {
+    const override = (thresholds?.products || []).find((p) => String(p.productId) === String(productId));
+    return override?.threshold ?? thresholds?.global ?? LOW_STOCK_THRESHOLD;
+};
+
+// Low-stock alerts are admin notifications: { _id, type: 'low_stock', title, message, variantId, productId, available, threshold, isRead, createdAt }
+export const getAlertVariantLink = (alert) => `/variants?variantId=${encodeURIComponent(alert.variantId)}`;
+
+export const getMovementActorName = (movement) => {
+    const actor = movement?.actor;
+    if (!actor) return 'System';
+    return typeof actor === 'object' ? actor.username || actor.email || 'Unknown' : String(actor);
+};
+
+// One-line summary for toasts, e.g. "3 units deducted from stock, 1 unit restocked"; null when nothing moved
+export const summarizeStockMovements = (movements) => {
+    const out = (movements || []).filter((m) => m.delta < 0).reduce((sum, m) => sum - m.delta, 0);
+    const back = (movements || []).filter((m) => m.delta > 0).reduce((sum, m) => sum + m.delta, 0);
+    const parts = [];
+    if (out > 0) parts.push(`${out} unit${out !== 1 ? 's' : ''} deducted from stock`);
+    if (back > 0) parts.push(`${back} unit${back !== 1 ? 's' : ''} restocked`);
+    return parts.length > 0 ? parts.join(', ') : null;
+};
+
+// Order update responses carry the movements they caused next to the order fields
+export const splitStockMovements = (data) => {
+    if (!data || typeof data !== 'object') return { order: data, stockMovements: [] };
+    const { stockMovements = [], ...order } = data;
+    return { order, stockMovements };
+};
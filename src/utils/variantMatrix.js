@@ -0,0 +1,118 @@
+// Colour × size grid of a product's variants. Each cell is keyed `${colorId}|${sizeId}` and holds
+// the editable values as strings: { colorId, sizeId, variant, enabled, price, stock, imageUrl, imageFile }.
+// Saving turns the grid into creates (bulkCreate groups), updates and disables.
+import { toIdString } from './idUtils';
+
+// Same limits BulkVariantModal enforces
+export const MATRIX_MAX_PRICE = 100000000;
+export const MATRIX_MAX_STOCK = 1000;
+
+export const getCellKey = (colorId, sizeId) => `${colorId}|${sizeId}`;
+
+// Discontinued variants stay in the grid read-only
+export const isCellLocked = (cell) => cell.variant?.variantStatus === 'discontinued';
+
+export const createEmptyCell = (colorId, sizeId) => ({
+    colorId,
+    sizeId,
+    variant: null,
+    enabled: false,
+    price: '',
+    stock: '',
+    imageUrl: '',
+    imageFile: null,
+});
+
+// When a combination exists more than once, the active variant wins
+export const buildMatrixCells = (variants) => {
+    const cells = {};
+    variants.forEach((variant) => {
+        const colorId = toIdString(variant.productColorId);
+        const sizeId = toIdString(variant.productSizeId);
+        const key = getCellKey(colorId, sizeId);
+        if (cells[key]?.variant?.variantStatus === 'active') return;
+        cells[key] = {
+            colorId,
+            sizeId,
+            variant,
+            enabled: variant.variantStatus === 'active',
+            price: String(variant.variantPrice ?? ''),
+            stock: String(variant.stockQuantity ?? ''),
+            imageUrl: variant.variantImage || '',
+            imageFile: null,
+        };
+    });
+    return cells;
+};
+
+// Only enabled cells are validated; a disabled cell is never sent
+export const getCellErrors = (cell, fallbackImage) => {
+    if (!cell.enabled || isCellLocked(cell)) return {};
+    const errors = {};
+    const price = Number(cell.price);
+    if (cell.price === '' || !(price > 0)) errors.price = 'Price must be greater than 0';
+    else if (price > MATRIX_MAX_PRICE) errors.price = 'Price must be less than 100,000,000 VND';
+    const stock = Number(cell.stock);
+    if (cell.stock === '' || !Number.isInteger(stock) || stock < 0) errors.stock = 'Stock must be a whole number, 0 or more';
+    else if (stock > MATRIX_MAX_STOCK) errors.stock = `Stock must not exceed ${MATRIX_MAX_STOCK}`;
+    if (!cell.imageUrl && !cell.imageFile && !fallbackImage) errors.image = 'Choose an image';
+    return errors;
+};
+
+// getImageUrl(cell) -> the uploaded or existing URL for the cell.
+// Returns { creates: [{ productColorId, variantPrice, stockQuantity, variantImage, sizeIds }],
+// updates: [{ variant, changes: { variantPrice?, variantImage?, variantStatus? }, stockTarget }], disables: [variant] }
+// stockTarget is the stock the cell asks for, or null when it was left as loaded; it is absolute
+// so the caller can adjust against the variant's current stock rather than the loaded copy.
+export const planMatrixChanges = (cells, getImageUrl) => {
+    const creates = [];
+    const updates = [];
+    const disables = [];
+
+    Object.values(cells).forEach((cell) => {
+        if (isCellLocked(cell)) return;
+        const { variant } = cell;
+
+        if (!variant) {
+            if (!cell.enabled) return;
+            const variantPrice = Number(cell.price);
+            const stockQuantity = Number(cell.stock);
+            const variantImage = getImageUrl(cell);
+            // Combinations sharing colour, price, stock and image go to bulkCreate in one call
+            let group = creates.find((g) =>
+                g.productColorId === cell.colorId && g.variantPrice === variantPrice
+                && g.stockQuantity === stockQuantity && g.variantImage === variantImage);
+            if (!group) {
+                group = { productColorId: cell.colorId, variantPrice, stockQuantity, variantImage, sizeIds: [] };
+                creates.push(group);
+            }
+            group.sizeIds.push(cell.sizeId);
+            return;
+        }
+
+        if (!cell.enabled) {
+            if (variant.variantStatus === 'active') disables.push(variant);
+            return;
+        }
+
+        const changes = {};
+        if (variant.variantStatus !== 'active') changes.variantStatus = 'active';
+        if (Number(cell.price) !== variant.variantPrice) changes.variantPrice = Number(cell.price);
+        const imageUrl = getImageUrl(cell);
+        if (imageUrl && imageUrl !== variant.variantImage) changes.variantImage = imageUrl;
+        const stockTarget = Number(cell.stock) !== (variant.stockQuantity || 0) ? Number(cell.stock) : null;
+        if (Object.keys(changes).length > 0 || stockTarget !== null) updates.push({ variant, changes, stockTarget });
+    });
+
+    return { creates, updates, disables };
+};
+
+// Counts for the save summary, without needing uploaded image URLs
+export const summarizeMatrixChanges = (cells) => {
+    const plan = planMatrixChanges(cells, (cell) => cell.imageUrl || cell.imageFile || 'row');
+    return {
+        created: plan.creates.reduce((sum, group) => sum + group.sizeIds.length, 0),
+        updated: plan.updates.length,
+        disabled: plan.disables.length,
+    };
+};
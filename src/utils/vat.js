@@ -0,0 +1,61 @@
+// VAT breakdown for invoices. Amounts are whole VND; rounding differences are
+// pushed onto the lines with the largest remainders so the totals always add up.
+
+// Split `amount` across `weights` proportionally, keeping the parts integer and summing exactly to `amount`
+export const allocateProportionally = (amount, weights) => {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (totalWeight <= 0 || amount === 0) return weights.map(() => 0);
+
+    const exact = weights.map((w) => (amount * w) / totalWeight);
+    const parts = exact.map(Math.floor);
+    let remainder = amount - parts.reduce((sum, p) => sum + p, 0);
+    exact
+        .map((value, i) => ({ i, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ i }) => {
+            if (remainder > 0) {
+                parts[i] += 1;
+                remainder -= 1;
+            }
+        });
+    return parts;
+};
+
+// Net and tax parts of a gross (or net) amount at `vatRate`
+export const splitVat = (amount, vatRate, pricesIncludeVat = true) => {
+    if (pricesIncludeVat) {
+        const net = Math.round(amount / (1 + vatRate));
+        return { net, tax: amount - net, gross: amount };
+    }
+    const tax = Math.round(amount * vatRate);
+    return { net: amount, tax, gross: amount + tax };
+};
+
+// items: [{ totalPrice, ... }]; discount: order-level voucher discount.
+// Returns each item with discount/net/tax/gross fields plus the order totals.
+export const computeVatBreakdown = (items, { discount = 0, vatRate = 0, pricesIncludeVat = true } = {}) => {
+    const lineTotals = items.map((item) => Math.round(item.totalPrice ?? (item.unitPrice || 0) * (item.quantity || 0)));
+    const discounts = allocateProportionally(Math.round(discount), lineTotals);
+
+    const lines = items.map((item, i) => ({
+        ...item,
+        lineTotal: lineTotals[i],
+        discount: discounts[i],
+        ...splitVat(lineTotals[i] - discounts[i], vatRate, pricesIncludeVat),
+    }));
+
+    const totals = lines.reduce(
+        (sum, line) => ({
+            subtotal: sum.subtotal + line.lineTotal,
+            discount: sum.discount + line.discount,
+            net: sum.net + line.net,
+            tax: sum.tax + line.tax,
+            gross: sum.gross + line.gross,
+        }),
+        { subtotal: 0, discount: 0, net: 0, tax: 0, gross: 0 }
+    );
+
+    return { vatRate, pricesIncludeVat, lines, totals };
+};
+
+export const formatVatRate = (vatRate) => `${Math.round(vatRate * 1000) / 10}%`;
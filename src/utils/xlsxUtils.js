@@ -0,0 +1,131 @@
+// Reads the first worksheet of an .xlsx workbook (Office Open XML) into rows of strings,
+// the same shape parseCSV returns, and writes single-sheet workbooks. Formatting, formulas
+// and extra sheets are ignored.
+import { createZip, readZip } from './zipUtils';
+import { downloadBlob } from './csvUtils';
+import { escapeXml } from './htmlUtils';
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const parseXml = (bytes) =>
+    bytes ? new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml') : null;
+
+// 27 -> "AB" (zero-based column index)
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndex = (ref) => {
+    const letters = /^[A-Z]+/.exec(ref || '')?.[0] || '';
+    return [...letters].reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Text of a shared or inline string, joining rich-text runs but skipping phonetic hints
+const readStringItem = (item) =>
+    [...item.getElementsByTagName('t')]
+        .filter((t) => t.parentNode?.nodeName !== 'rPh')
+        .map((t) => t.textContent)
+        .join('');
+
+// Path of the first sheet, following workbook.xml -> workbook.xml.rels
+const getFirstSheetPath = (files) => {
+    const workbook = parseXml(files['xl/workbook.xml']);
+    const rels = parseXml(files['xl/_rels/workbook.xml.rels']);
+    const sheet = workbook?.getElementsByTagName('sheet')[0];
+    const relId = sheet?.getAttribute('r:id');
+    const rel = rels && [...rels.getElementsByTagName('Relationship')].find((r) => r.getAttribute('Id') === relId);
+    const target = rel?.getAttribute('Target');
+    if (!target) return 'xl/worksheets/sheet1.xml';
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+export const readXlsxRows = async (data) => {
+    const files = await readZip(data, (name) => name.startsWith('xl/') && !name.startsWith('xl/media/'));
+    const sheetPath = getFirstSheetPath(files);
+    const sheet = parseXml(files[sheetPath]);
+    if (!sheet) throw new Error('The workbook has no worksheet');
+
+    const sharedStrings = [...(parseXml(files['xl/sharedStrings.xml'])?.getElementsByTagName('si') || [])].map(readStringItem);
+
+    // Rows keep their sheet position (r="5") so row numbers in error messages match Excel
+    const rows = [];
+    [...sheet.getElementsByTagName('row')].forEach((rowEl) => {
+        const rowNumber = Number(rowEl.getAttribute('r')) || rows.length + 1;
+        const row = [];
+        [...rowEl.getElementsByTagName('c')].forEach((cell, position) => {
+            const ref = cell.getAttribute('r');
+            const index = ref ? columnIndex(ref) : position;
+            const type = cell.getAttribute('t');
+            const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+            let text;
+            if (type === 's') text = sharedStrings[Number(value)] ?? '';
+            else if (type === 'inlineStr') text = readStringItem(cell.getElementsByTagName('is')[0] || cell);
+            else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+            else text = value;
+            row[index] = text;
+        });
+        // Cells Excel omitted (blank) become empty strings
+        rows[rowNumber - 1] = Array.from(row, (cell) => cell ?? '');
+    });
+    return Array.from(rows, (row) => row || []);
+};
+
+// Numbers stay numeric so Excel can sum and sort them; everything else is an inline string
+const toCellXml = (value, ref) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+// Build a one-sheet .xlsx Blob from a header row and data rows (arrays of cells)
+export const createXlsx = (header, rows, sheetName = 'Sheet1') => {
+    const sheetRows = [header, ...rows]
+        .map((row, r) => `<row r="${r + 1}">${row.map((cell, c) => toCellXml(cell, `${columnName(c)}${r + 1}`)).join('')}</row>`)
+        .join('');
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const safeSheetName = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    const blob = createZip([
+        {
+            name: '[Content_Types].xml',
+            data: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+                + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+        },
+    ]);
+    return new Blob([blob], { type: XLSX_MIME });
+};
+
+export const downloadXlsx = (header, rows, filename, sheetName) => {
+    downloadBlob(createXlsx(header, rows, sheetName), filename);
+};